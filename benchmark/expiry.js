@@ -0,0 +1,71 @@
+// Benchmark: cost of one cleanup sweep with many keys
+// Compares the previous full Map scan with the heap-based sweep in SimpleCache.
+//
+// Usage: node benchmark/expiry.js [keys] [expiredPercent]
+
+const SimpleCache = require("../src/index");
+
+const KEYS = Number(process.argv[2]) || 300000;
+const EXPIRED_PERCENT = Number(process.argv[3]) || 1;
+const ROUNDS = 20;
+
+/**
+ * Previous implementation of the interval callback: visit every expiry
+ * @param {SimpleCache} cache
+ */
+function mapScanSweep(cache) {
+    const now = Date.now();
+    for (const [key, expiryTime] of cache.expiries.entries()) {
+        if (now >= expiryTime) {
+            cache._removeEntry(key, "expired");
+        }
+    }
+}
+
+/**
+ * Fill a cache where EXPIRED_PERCENT of the keys are already due
+ * @returns {SimpleCache}
+ */
+function createCache() {
+    const cache = new SimpleCache(0, { checkInterval: 3600, maxExpirePerTick: Infinity });
+    const expiredCount = Math.floor(KEYS * EXPIRED_PERCENT / 100);
+    const past = Date.now() - 1000;
+
+    for (let i = 0; i < KEYS; i++) {
+        cache.set(`key:${i}`, i, 3600);
+    }
+    for (let i = 0; i < expiredCount; i++) {
+        cache._setExpiryTime(`key:${i}`, past);
+    }
+
+    return cache;
+}
+
+/**
+ * Average duration of one sweep in ms
+ * @param {(cache: SimpleCache) => void} sweep
+ * @returns {number}
+ */
+function measure(sweep) {
+    let total = 0;
+
+    for (let round = 0; round < ROUNDS; round++) {
+        const cache = createCache();
+        const start = process.hrtime.bigint();
+        sweep(cache);
+        total += Number(process.hrtime.bigint() - start) / 1e6;
+        cache.destroy();
+    }
+
+    return total / ROUNDS;
+}
+
+console.log(`Keys: ${KEYS}, expired per sweep: ${EXPIRED_PERCENT}%, rounds: ${ROUNDS}\n`);
+
+const scan = measure(mapScanSweep);
+console.log(`Map scan:   ${scan.toFixed(2)} ms/sweep`);
+
+const heap = measure((cache) => cache._sweepExpired());
+console.log(`Heap sweep: ${heap.toFixed(2)} ms/sweep`);
+
+console.log(`\nSpeedup: ${(scan / heap).toFixed(1)}x`);
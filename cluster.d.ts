@@ -0,0 +1,129 @@
+// cluster.d.ts
+// TypeScript definitions for simple-cache-id/cluster
+
+import { EventEmitter } from 'events';
+import { ChildProcess } from 'child_process';
+import SimpleCache = require('./index');
+
+interface ClusterHostOptions {
+  /**
+   * Channel name, to share several caches
+   * @default 'default'
+   */
+  name?: string;
+
+  /**
+   * Source of worker `message` / `exit` events
+   * @default require('cluster')
+   */
+  cluster?: EventEmitter;
+}
+
+interface ClusterClientOptions {
+  /**
+   * Channel name (as given to serveCluster())
+   * @default 'default'
+   */
+  name?: string;
+
+  /**
+   * Seconds to wait for the primary before rejecting with code ETIMEDOUT (for wrap(): until the
+   * primary accepts the request; the wrap() timeout option bounds the computation itself)
+   * @default 10
+   */
+  timeout?: number;
+
+  /**
+   * Keep values read by get() in the worker for up to N seconds, dropped when the primary
+   * reports a change or when this worker changes the key (0 = off)
+   * @default 0
+   */
+  localTtl?: number;
+
+  /**
+   * Maximum number of locally kept values
+   * @default 1000
+   */
+  localMaxSize?: number;
+
+  /**
+   * IPC channel to the primary
+   * @default process
+   */
+  channel?: EventEmitter & { send(message: any): any };
+}
+
+/**
+ * Serves a cache living in the primary process to cluster workers.
+ * Only the primary's cache touches the file, so persistence works as in a single process.
+ */
+declare class ClusterHost extends EventEmitter {
+  constructor(cache: SimpleCache, options?: ClusterHostOptions);
+
+  readonly cache: SimpleCache;
+  readonly name: string;
+
+  /** Serve a process started with child_process.fork() (cluster workers are served automatically) */
+  addWorker(child: ChildProcess): this;
+
+  /** Stop serving workers (the cache stays usable) */
+  close(): void;
+}
+
+/**
+ * Worker-side proxy of the primary's cache. Every method returns a promise.
+ * Values travel over IPC and must survive the cluster's serialization.
+ */
+declare class ClusterClient extends EventEmitter {
+  constructor(options?: ClusterClientOptions);
+
+  readonly name: string;
+  readonly timeout: number;
+  readonly localTtl: number;
+
+  get<T = any>(key: string, options?: SimpleCache.GetOptions): Promise<T | null>;
+  getEntry<T = any>(key: string): Promise<SimpleCache.EntryInfo<T> | null>;
+  has(key: string): Promise<boolean>;
+  set(key: string, value: any, ttl?: number | SimpleCache.SetOptions): Promise<"OK">;
+  del(key: string): Promise<number>;
+  take<T = any>(key: string): Promise<T | null>;
+  mget<T = any>(keys: string[]): Promise<Record<string, T | null>>;
+  mset(entries: Record<string, any> | SimpleCache.Entry[], ttl?: number): Promise<"OK">;
+  mdel(keys: string[]): Promise<number>;
+  mtake<T = any>(keys: string[]): Promise<Record<string, T | null>>;
+  keys(pattern?: string): Promise<string[]>;
+  ttl(key: string): Promise<number>;
+  getTtl(key: string): Promise<number | undefined>;
+  expire(key: string, seconds: number): Promise<number>;
+  persist(key: string): Promise<number>;
+  touch(key: string, ttl?: number): Promise<number>;
+  invalidateTag(tag: string): Promise<number>;
+  invalidateTags(tags: string[]): Promise<number>;
+  flush(): Promise<void>;
+  stats(): Promise<SimpleCache.Stats>;
+
+  /**
+   * Return the cached value or compute it. Concurrent calls for the same key in all workers
+   * share a single fn() call, run by the worker that asked first.
+   */
+  wrap<T>(key: string, fn: () => T | Promise<T>, ttl?: number | SimpleCache.WrapOptions): Promise<T>;
+
+  /** Stop talking to the primary; pending requests are rejected */
+  close(): void;
+
+  on(event: 'invalidate', listener: (key: string) => void): this;
+  on(event: 'flush', listener: () => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * Share a cache with cluster workers (call in the primary)
+ */
+declare function serveCluster(cache: SimpleCache, options?: ClusterHostOptions): ClusterHost;
+
+/**
+ * Connect to the cache shared by the primary (call in a worker)
+ */
+declare function connectCluster(options?: ClusterClientOptions): ClusterClient;
+
+export { ClusterHost, ClusterHostOptions, ClusterClient, ClusterClientOptions, serveCluster, connectCluster };
@@ -0,0 +1,4 @@
+// simple-cache-id
+// Entry point for require('simple-cache-id/cluster')
+
+module.exports = require('./src/cluster');
@@ -1,6 +1,8 @@
 // index.d.ts
 // TypeScript definitions for simple-cache-id
 
+import { EventEmitter } from 'events';
+
 /**
  * Configuration options for SimpleCache
  */
@@ -11,6 +13,13 @@ interface SimpleCacheOptions {
    */
   checkInterval?: number;
 
+  /**
+   * Maximum number of expired keys removed per sweep step
+   * (remaining keys are handled on the next event loop turn)
+   * @default 1000
+   */
+  maxExpirePerTick?: number;
+
   /**
    * Enable persistent storage ke binary file
    * @default false
@@ -22,12 +31,598 @@ interface SimpleCacheOptions {
    * @default './.cache/simple-cache.sdb'
    */
   persistPath?: string;
+
+  /**
+   * Debounce delay in seconds before auto-save
+   * @default 3
+   */
+  saveDelay?: number;
+
+  /**
+   * Upper bound in seconds on how long the debounce can postpone a save (0 = unlimited)
+   * @default 0
+   */
+  maxSaveDelay?: number;
+
+  /**
+   * Save unsaved changes at least every N seconds (0 = off)
+   * @default 0
+   */
+  autoSaveInterval?: number;
+
+  /**
+   * Load and auto-save with non-blocking fs.promises I/O (wait for `ready` before use)
+   * @default false
+   */
+  asyncIO?: boolean;
+
+  /**
+   * Cross-process lock on the file: throw if another process holds it ('fail'),
+   * wait for it ('wait'), open without writing ('readonly') or no lock (false)
+   * @default 'fail'
+   */
+  lock?: 'fail' | 'wait' | 'readonly' | false;
+
+  /**
+   * Seconds lock: 'wait' waits before throwing
+   * @default 10
+   */
+  lockTimeout?: number;
+
+  /**
+   * Seconds without heartbeat after which another process's lock is taken over
+   * @default 30
+   */
+  lockStale?: number;
+
+  /**
+   * Storage backend replacing the default SdbBackend built from the persistence options.
+   * Another backend holds every entry and memory only keeps the hot ones (bounded by
+   * maxSize / maxMemory); it cannot be combined with persistent. An SdbBackend of your own
+   * makes the cache persistent with its file (instead of name / persistPath)
+   */
+  backend?: SimpleCacheBackend | SdbBackend;
+
+  /**
+   * Publish del / flush / invalidateTag to other instances through this transport and apply theirs
+   */
+  sync?: SimpleCacheSyncTransport;
+
+  /**
+   * Maximum number of entries (0 = unlimited)
+   * @default 0
+   */
+  maxSize?: number;
+
+  /**
+   * Maximum estimated memory usage in bytes (0 = unlimited)
+   * @default 0
+   */
+  maxMemory?: number;
+
+  /**
+   * Which entry to evict when maxSize or maxMemory is exceeded
+   * @default 'lru'
+   */
+  evictionPolicy?: 'lru' | 'lfu' | 'fifo';
+
+  /**
+   * TTL in seconds for null/undefined results of wrap() (0 = use normal TTL)
+   * @default 0
+   */
+  negativeTtl?: number;
+
+  /**
+   * Renew an entry's expiry by its original TTL on every read
+   * @default false
+   */
+  slidingTtl?: boolean;
+
+  /**
+   * Upper bound in seconds on an entry's lifetime when its expiry is renewed (0 = unlimited)
+   * @default 0
+   */
+  maxAge?: number;
+
+  /**
+   * Compress the binary file with zlib (true = gzip)
+   * @default false
+   */
+  compress?: boolean | SimpleCacheCompression | SimpleCacheCompressOptions;
+
+  /**
+   * AES-256-GCM key for the binary file: 32 bytes as a Buffer or hex/base64 string.
+   * With a list (or a provider returning one) the first key encrypts and every key
+   * is tried for decryption, which allows key rotation.
+   */
+  encryptionKey?: SimpleCacheKey | SimpleCacheKey[] | (() => SimpleCacheKey | SimpleCacheKey[]);
+
+  /**
+   * Codec for persisted values. 'structured' round-trips Date, Map, Set, BigInt,
+   * Buffer, typed arrays, RegExp and registered classes; 'v8' uses v8.serialize.
+   * @default 'json'
+   */
+  serializer?: 'json' | 'structured' | 'v8';
+
+  /**
+   * Custom classes for the structured serializer, keyed by a stable name
+   */
+  types?: Record<string, SimpleCacheTypeDefinition['type'] | SimpleCacheTypeDefinition>;
+
+  /**
+   * 'snapshot' rewrites the whole file after a debounce,
+   * 'aof' appends every change to `<persistPath>.aof`
+   * @default 'snapshot'
+   */
+  persistMode?: 'snapshot' | 'aof';
+
+  /**
+   * When the append-only log is flushed to disk
+   * @default 'everysec'
+   */
+  fsync?: 'always' | 'everysec' | 'never';
+
+  /**
+   * Compact when the log grows beyond this multiple of the snapshot size
+   * @default 1
+   */
+  compactRatio?: number;
+
+  /**
+   * Never compact a log smaller than this many bytes
+   * @default 1048576
+   */
+  compactMinSize?: number;
+}
+
+/**
+ * Custom class registration for the structured serializer
+ */
+interface SimpleCacheTypeDefinition<T = any> {
+  /** Class whose instances are encoded */
+  type: new (...args: any[]) => T;
+  /** Instance → data (encoded recursively), defaults to own enumerable properties */
+  serialize?: (instance: T) => any;
+  /** Data → instance, defaults to assigning the data to an object with the class prototype */
+  deserialize?: (data: any) => T;
+}
+
+/**
+ * Encryption key: 32 bytes as a Buffer or hex/base64 string
+ */
+type SimpleCacheKey = Buffer | Uint8Array | string;
+
+/**
+ * Compression algorithm for persisted files
+ */
+type SimpleCacheCompression = 'gzip' | 'brotli' | 'deflate';
+
+/**
+ * Detailed compression options
+ */
+interface SimpleCacheCompressOptions {
+  /** @default 'gzip' */
+  algorithm?: SimpleCacheCompression;
+  /** zlib level (gzip/deflate: -1..9) or brotli quality (0..11) */
+  level?: number;
+  /**
+   * Minimum size in bytes before compressing
+   * @default 1024
+   */
+  threshold?: number;
+  /**
+   * Compress the whole file or each value separately
+   * @default 'file'
+   */
+  mode?: 'file' | 'value';
+}
+
+/**
+ * Options accepted by get()
+ */
+interface SimpleCacheGetOptions {
+  /** Renew the expiry by the entry's original TTL (defaults to the slidingTtl option) */
+  refresh?: boolean;
+}
+
+/**
+ * Payload of the `saved` and `loaded` events
+ */
+interface SimpleCachePersistInfo {
+  /** Path of the binary file */
+  path: string;
+  /** Number of entries written / loaded */
+  entries: number;
+  /** File size in bytes */
+  bytes: number;
+  /** Duration of the operation in milliseconds */
+  duration: number;
+  /** Corrupt records dropped while loading (`loaded` only) */
+  skipped?: number;
+  /** SDB format version of the file read (`loaded` only) */
+  version?: number;
+  /** Operations replayed from the append-only log (`loaded` in aof mode only) */
+  replayed?: number;
+}
+
+/**
+ * Information passed to the `compacted` event
+ */
+interface SimpleCacheCompactInfo {
+  /** Path of the append-only log */
+  path: string;
+  /** Size of the log that was folded into the snapshot */
+  bytes: number;
+  /** Duration of the compaction in milliseconds */
+  duration: number;
+}
+
+/**
+ * Options accepted by set() and wrap() in place of a TTL number
+ */
+interface SimpleCacheSetOptions {
+  /** TTL in seconds, defaults to constructor TTL */
+  ttl?: number;
+  /** Tags for invalidateTag() / invalidateTags() */
+  tags?: string[];
+}
+
+/**
+ * Options accepted by wrap() in place of a TTL number
+ */
+interface SimpleCacheWrapOptions extends SimpleCacheSetOptions {
+  /**
+   * Seconds to wait for the computation before rejecting with code 'ETIMEDOUT'.
+   * The computation keeps running and is still cached if it succeeds.
+   */
+  timeout?: number;
+
+  /**
+   * Seconds after the fresh TTL elapses during which the expired value is returned
+   * immediately while a background refresh runs (stale-while-revalidate)
+   */
+  staleTtl?: number;
+
+  /**
+   * Seconds after the fresh TTL elapses during which the expired value is returned
+   * if fn() throws or times out (stale-if-error)
+   */
+  staleIfError?: number;
+
+  /** TTL in seconds for null/undefined results, overrides the cache-level negativeTtl */
+  negativeTtl?: number;
+}
+
+/**
+ * Result of getEntry()
+ */
+interface SimpleCacheEntryInfo<T = any> {
+  value: T;
+  /** Expiry timestamp in ms (0 = permanent) */
+  expiryTime: number;
+}
+
+/**
+ * Entry as stored by a backend (same shape as an .sdb record)
+ */
+interface SimpleCacheBackendEntry {
+  key: string;
+  value: any;
+  /** Expiry timestamp in ms (0 = permanent) */
+  expiryTime: number;
+  /** Original TTL in seconds */
+  ttl?: number;
+  tags?: string[];
+  /** Timestamp in ms of the last set */
+  createdAt?: number;
+}
+
+/**
+ * Storage backend interface (backend option). All methods are synchronous.
+ */
+interface SimpleCacheBackend {
+  get(key: string): SimpleCacheBackendEntry | undefined;
+  set(key: string, entry: SimpleCacheBackendEntry): void;
+  del(key: string): boolean;
+  /** Change the expiry without rewriting the value */
+  expire(key: string, expiryTime: number, ttl: number): void;
+  iterate(): Iterable<SimpleCacheBackendEntry>;
+  /** Flush and release resources (called by destroy()) */
+  close(): void;
+  /** Whether the key exists and is not expired, without reading the value */
+  has?(key: string): boolean;
+  /** Keys that are not expired */
+  keys?(): Iterable<string>;
+  /** Keys tagged with any of the tags (may include expired ones) */
+  keysByTag?(tags: string[]): Iterable<string>;
+  clear?(): void;
+  /** Number of entries, expired ones included (not used by the cache) */
+  readonly size?: number;
+}
+
+/**
+ * Options of FileBackend
+ */
+interface SimpleCacheFileBackendOptions {
+  /**
+   * Codec for values (new files only; an existing file keeps its own)
+   * @default 'json'
+   */
+  serializer?: 'json' | 'structured' | 'v8';
+  types?: Record<string, SimpleCacheTypeDefinition['type'] | SimpleCacheTypeDefinition>;
+  /** Compress each value above the threshold (new files only) */
+  compress?: boolean | SimpleCacheCompression | SimpleCacheCompressOptions;
+  /** @default 'everysec' */
+  fsync?: 'always' | 'everysec' | 'never';
+  /**
+   * Compact when garbage exceeds this multiple of the live data
+   * @default 1
+   */
+  compactRatio?: number;
+  /**
+   * Never compact with less garbage than this many bytes
+   * @default 1048576
+   */
+  compactMinSize?: number;
+  /** @default 'fail' */
+  lock?: 'fail' | 'wait' | false;
+  /** @default 10 */
+  lockTimeout?: number;
+  /** @default 30 */
+  lockStale?: number;
+  /** Background fsync / compaction failures (default: console.error) */
+  onError?: (err: Error) => void;
+}
+
+/**
+ * Reference backend: entries in a Map, nothing persisted
+ */
+declare class MemoryBackend implements SimpleCacheBackend {
+  constructor();
+  entries: Map<string, SimpleCacheBackendEntry>;
+  readonly size: number;
+  has(key: string): boolean;
+  get(key: string): SimpleCacheBackendEntry | undefined;
+  set(key: string, entry: SimpleCacheBackendEntry): void;
+  del(key: string): boolean;
+  expire(key: string, expiryTime: number, ttl: number): void;
+  iterate(): IterableIterator<SimpleCacheBackendEntry>;
+  keys(): string[];
+  keysByTag(tags: string[]): string[];
+  clear(): void;
+  close(): void;
+}
+
+/**
+ * Options of SdbBackend (same meaning as the cache options of the same name)
+ */
+interface SimpleCacheSdbBackendOptions extends Pick<SimpleCacheOptions,
+  'compress' | 'encryptionKey' | 'serializer' | 'types' | 'persistMode' | 'fsync' | 'compactRatio' | 'compactMinSize'> {
+  /** Background fsync failures (default: console.error) */
+  onError?: (err: Error) => void;
+}
+
+/**
+ * Default backend: entries stay in the cache's memory and are persisted to an .sdb snapshot
+ * (plus an append-only log in aof mode). Without a path nothing is persisted.
+ * The cache loads it once when it opens and never asks it for single keys.
+ */
+declare class SdbBackend {
+  constructor(path: string | null, options?: SimpleCacheSdbBackendOptions);
+  readonly path: string | null;
+  readonly resident: true;
+  readonly persistMode: 'snapshot' | 'aof';
+  readonly logPath: string;
+  /** Changes are appended to the log (aof mode, once the cache opened it) */
+  readonly writeThrough: boolean;
+  set(key: string, entry: SimpleCacheBackendEntry): void;
+  del(key: string): void;
+  expire(key: string, expiryTime: number, ttl: number): void;
+  clear(): void;
+  /** Entries on disk: the snapshot with the log replayed over it, expired ones left out */
+  iterate(): IterableIterator<SimpleCacheBackendEntry>;
+  /** Write a snapshot (temp file + rename) */
+  save(entries: SimpleCacheBackendEntry[]): { bytes: number };
+  saveAsync(entries: SimpleCacheBackendEntry[]): Promise<{ bytes: number; superseded: boolean }>;
+  close(): void;
+}
+
+/**
+ * Disk-resident backend: values stay in a record file, only the key index is in memory
+ */
+declare class FileBackend implements SimpleCacheBackend {
+  constructor(path: string, options?: SimpleCacheFileBackendOptions);
+  readonly path: string;
+  /** Records dropped on open because they were corrupt or truncated */
+  readonly skipped: number;
+  readonly size: number;
+  has(key: string): boolean;
+  get(key: string): SimpleCacheBackendEntry | undefined;
+  set(key: string, entry: SimpleCacheBackendEntry): void;
+  del(key: string): boolean;
+  expire(key: string, expiryTime: number, ttl: number): void;
+  iterate(): IterableIterator<SimpleCacheBackendEntry>;
+  keys(): string[];
+  keysByTag(tags: string[]): string[];
+  clear(): void;
+  /** Flush written records to disk */
+  sync(): void;
+  /** Rewrite the file with only the live, non-expired records */
+  compact(): void;
+  close(): void;
+}
+
+/**
+ * Invalidation exchanged between instances (sync option)
+ */
+interface SimpleCacheSyncMessage {
+  /** syncId of the publishing cache */
+  origin: string;
+  op: 'del' | 'invalidateTags' | 'flush';
+  keys?: string[];
+  tags?: string[];
+}
+
+/**
+ * Pub/sub transport interface (sync option). Delivery is best effort.
+ */
+interface SimpleCacheSyncTransport {
+  /** Send a JSON-serializable message to the other subscribers */
+  publish(message: SimpleCacheSyncMessage): void;
+  /** Receive messages from the other subscribers (own messages are filtered by origin) */
+  subscribe(handler: (message: SimpleCacheSyncMessage) => void): void;
+  /** Stop receiving and release resources (called by destroy()) */
+  close(): void;
+}
+
+/**
+ * Transport between instances of the same process; delivers before publish() returns
+ */
+declare class InProcessTransport implements SimpleCacheSyncTransport {
+  /** @param channel - Default 'default' */
+  constructor(channel?: string);
+  readonly channel: string;
+  publish(message: SimpleCacheSyncMessage): void;
+  subscribe(handler: (message: SimpleCacheSyncMessage) => void): void;
+  close(): void;
+}
+
+/**
+ * Transport between processes of one machine over a UNIX domain socket.
+ * The first transport listens and relays, the others connect; another one takes over when it leaves.
+ */
+declare class SocketTransport implements SimpleCacheSyncTransport {
+  constructor(socketPath: string, options?: {
+    /**
+     * Seconds to wait before reconnecting after the listening process left
+     * @default 0.5
+     */
+    retryDelay?: number;
+    /**
+     * Longest accepted message in characters; a connection sending a longer one is dropped
+     * @default 8388608
+     */
+    maxMessageLength?: number;
+    /** Unexpected socket errors (default: console.error) */
+    onError?: (err: Error) => void;
+  });
+  readonly socketPath: string;
+  /** Listening for the other transports, or registered by the listening one */
+  readonly connected: boolean;
+  publish(message: SimpleCacheSyncMessage): void;
+  subscribe(handler: (message: SimpleCacheSyncMessage) => void): void;
+  close(): void;
+}
+
+/**
+ * Transport over a BroadcastChannel: reaches the main thread and worker_threads of the process
+ */
+declare class BroadcastChannelTransport implements SimpleCacheSyncTransport {
+  /** @param channel - Default 'simple-cache-id' */
+  constructor(channel?: string);
+  readonly channel: string;
+  publish(message: SimpleCacheSyncMessage): void;
+  subscribe(handler: (message: SimpleCacheSyncMessage) => void): void;
+  close(): void;
+}
+
+/**
+ * Entry accepted by mset()
+ */
+interface SimpleCacheEntry {
+  key: string;
+  value: any;
+  /** TTL in seconds, defaults to the ttl argument or constructor TTL */
+  ttl?: number;
+  /** Tags for invalidateTag() / invalidateTags() */
+  tags?: string[];
+}
+
+/**
+ * Result of stats()
+ */
+interface SimpleCacheStats {
+  /** Number of keys currently stored (in the backend, when one is set) */
+  keys: number;
+  /** Successful get() lookups */
+  hits: number;
+  /** get() lookups for missing or expired keys */
+  misses: number;
+  /** hits / (hits + misses), 0 when there were no lookups */
+  hitRate: number;
+  /** set() calls */
+  sets: number;
+  /** Keys removed with del() */
+  deletes: number;
+  /** Keys removed because their TTL elapsed */
+  expired: number;
+  /** Keys removed to satisfy maxSize / maxMemory */
+  evicted: number;
+  /** wrap() calls that had to compute the value */
+  wraps: number;
+  /** Average duration of a wrap() computation in milliseconds */
+  avgWrapTime: number;
+  /** Stale values served by wrap() (staleTtl / staleIfError) */
+  stale: number;
+  /** Successful saves to the binary file */
+  saves: number;
+  /** Failed saves to the binary file */
+  saveErrors: number;
+  /** Timestamp (ms) of the last successful save, null if never saved */
+  lastSave: number | null;
+  /** Duration of the last successful save in milliseconds */
+  lastSaveDuration: number;
+  /** Estimated memory usage of all entries in bytes */
+  memory: number;
+}
+
+/**
+ * Namespaced view over a SimpleCache that transparently prefixes keys.
+ * Shares storage and persistence with its parent.
+ */
+declare class CacheNamespace {
+  /** Parent cache holding the data */
+  readonly cache: SimpleCache;
+
+  /** Full key prefix including separator (e.g. "user:") */
+  readonly prefix: string;
+
+  /** Create a nested namespace (e.g. "user" → "user:settings") */
+  namespace(prefix: string): CacheNamespace;
+
+  set(key: string, value: any, ttl?: number | SimpleCacheSetOptions): "OK";
+  get<T = any>(key: string, options?: SimpleCacheGetOptions): T | null;
+  getEntry<T = any>(key: string): SimpleCacheEntryInfo<T> | null;
+  has(key: string): boolean;
+  del(key: string): number;
+  take<T = any>(key: string): T | null;
+  mget<T = any>(keys: string[]): Record<string, T | null>;
+  mset(entries: Record<string, any> | SimpleCacheEntry[], ttl?: number): "OK";
+  mdel(keys: string[]): number;
+  mtake<T = any>(keys: string[]): Record<string, T | null>;
+  wrap<T>(key: string, fn: () => T | Promise<T>, ttl?: number | SimpleCacheWrapOptions): Promise<T>;
+
+  /** List keys in this namespace (without prefix), optionally filtered by a glob pattern */
+  keys(pattern?: string): string[];
+  entries(): IterableIterator<[string, any]>;
+  [Symbol.iterator](): IterableIterator<[string, any]>;
+  ttl(key: string): number;
+  getTtl(key: string): number | undefined;
+  expire(key: string, seconds: number): number;
+  persist(key: string): number;
+  touch(key: string, ttl?: number): number;
+
+  /**
+   * Delete every key in this namespace (including nested namespaces)
+   * @returns Number of deleted keys
+   */
+  flush(): number;
 }
 
 /**
  * A lightweight in-memory cache with default TTL and helper wrap()
  */
-declare class SimpleCache {
+declare class SimpleCache extends EventEmitter {
   /**
    * Create a new cache instance
    * @param defaultTtl - Default TTL in seconds (0 = no expiration)
@@ -35,21 +630,102 @@ declare class SimpleCache {
    */
   constructor(defaultTtl?: number, options?: SimpleCacheOptions | number);
 
+  /**
+   * Create a cache with non-blocking I/O and wait until its file is loaded
+   * @param options - Constructor options, optionally with `defaultTtl` (asyncIO defaults to true)
+   */
+  static open(options?: SimpleCacheOptions & { defaultTtl?: number }): Promise<SimpleCache>;
+  static open(defaultTtl: number, options?: SimpleCacheOptions): Promise<SimpleCache>;
+
+  /**
+   * Resolves with the cache once persisted entries are loaded
+   * (rejects only when lock: 'wait' times out with asyncIO)
+   */
+  readonly ready: Promise<this>;
+
+  /**
+   * The file is read but never written (lock: 'readonly', or the lock was taken over)
+   */
+  readonly readOnly: boolean;
+
+  /**
+   * Origin id of this instance's sync messages
+   */
+  readonly syncId: string;
+
   /**
    * Store a value in the cache with optional TTL
    * @param key - Unique cache key
    * @param value - Value to store
-   * @param ttl - TTL in seconds, defaults to constructor TTL
+   * @param ttl - TTL in seconds (defaults to constructor TTL), or options with `ttl` and `tags`
    * @returns "OK"
    */
-  set(key: string, value: any, ttl?: number): "OK";
+  set(key: string, value: any, ttl?: number | SimpleCacheSetOptions): "OK";
 
   /**
    * Retrieve a value from the cache
    * @param key - Cache key
+   * @param options - `refresh: true` renews the expiry by the entry's original TTL
    * @returns The cached value or null if not found
    */
-  get<T = any>(key: string): T | null;
+  get<T = any>(key: string, options?: SimpleCacheGetOptions): T | null;
+
+  /**
+   * Retrieve an entry, distinguishing a missing key from a stored null/undefined
+   * @param key - Cache key
+   * @returns The entry or null if not found
+   */
+  getEntry<T = any>(key: string): SimpleCacheEntryInfo<T> | null;
+
+  /**
+   * Check whether a key exists and is not expired (does not count as hit/miss)
+   * @param key - Cache key
+   */
+  has(key: string): boolean;
+
+  /**
+   * List keys that are not expired
+   * @param pattern - Optional glob pattern (`*`, `?`, `[abc]`, `\` to escape), e.g. "user:*"
+   */
+  keys(pattern?: string): string[];
+
+  /**
+   * Iterate over [key, value] pairs that are not expired (no hit/miss accounting)
+   */
+  entries(): IterableIterator<[string, any]>;
+
+  [Symbol.iterator](): IterableIterator<[string, any]>;
+
+  /**
+   * Remaining time to live of a key
+   * @returns Remaining seconds, -1 if the key has no expiry, -2 if not found
+   */
+  ttl(key: string): number;
+
+  /**
+   * Expiry timestamp of a key
+   * @returns Timestamp in ms, 0 if the key has no expiry, undefined if not found
+   */
+  getTtl(key: string): number | undefined;
+
+  /**
+   * Change the expiry of a key without rewriting its value (non-positive = expire now)
+   * @returns 1 if the key exists, 0 if not found
+   */
+  expire(key: string, seconds: number): number;
+
+  /**
+   * Remove the expiry of a key
+   * @returns 1 if an expiry was removed, 0 otherwise
+   */
+  persist(key: string): number;
+
+  /**
+   * Renew the expiry of a key (sliding expiration), capped by maxAge
+   * @param ttl - TTL in seconds, defaults to the key's original TTL
+   * @returns 1 if the key exists, 0 if not found
+   */
+  touch(key: string, ttl?: number): number;
 
   /**
    * Delete a key from the cache
@@ -58,11 +734,103 @@ declare class SimpleCache {
    */
   del(key: string): number;
 
+  /**
+   * Retrieve a value and delete it in one step
+   * @param key - Cache key
+   * @returns The cached value or null if not found
+   */
+  take<T = any>(key: string): T | null;
+
+  /**
+   * Retrieve multiple values at once
+   * @param keys - Cache keys
+   * @returns Value per key (null if not found)
+   */
+  mget<T = any>(keys: string[]): Record<string, T | null>;
+
+  /**
+   * Store multiple values at once (single debounced save)
+   * @param entries - Object of key → value, or array of entries with optional per-entry TTL
+   * @param ttl - TTL in seconds for entries without their own TTL
+   * @returns "OK"
+   */
+  mset(entries: Record<string, any> | SimpleCacheEntry[], ttl?: number): "OK";
+
+  /**
+   * Delete multiple keys at once (single debounced save)
+   * @param keys - Cache keys
+   * @returns Number of deleted keys
+   */
+  mdel(keys: string[]): number;
+
+  /**
+   * Retrieve and delete multiple keys at once (single debounced save)
+   * @param keys - Cache keys
+   * @returns Value per key (null if not found)
+   */
+  mtake<T = any>(keys: string[]): Record<string, T | null>;
+
+  /**
+   * Create a namespaced view that prefixes keys with `${prefix}:`
+   * @param prefix - Namespace name
+   */
+  namespace(prefix: string): CacheNamespace;
+
+  /**
+   * Register a custom class with the structured serializer
+   * (types needed while loading must be passed as the `types` option)
+   * @param name - Name stored in the file
+   */
+  registerType<T>(name: string, definition: (new (...args: any[]) => T) | SimpleCacheTypeDefinition<T>): this;
+
+  /** Namespace view class */
+  static Namespace: typeof CacheNamespace;
+
+  /** In-memory reference backend */
+  static MemoryBackend: typeof MemoryBackend;
+
+  /** Default backend: memory + .sdb file */
+  static SdbBackend: typeof SdbBackend;
+
+  /** Disk-resident backend */
+  static FileBackend: typeof FileBackend;
+
+  /** Bounded memory L1 in front of an L2 cache or backend */
+  static TieredCache: typeof TieredCache;
+
+  /** Sync transport between instances of one process */
+  static InProcessTransport: typeof InProcessTransport;
+
+  /** Sync transport between processes over a UNIX domain socket */
+  static SocketTransport: typeof SocketTransport;
+
+  /** Sync transport between threads over a BroadcastChannel */
+  static BroadcastChannelTransport: typeof BroadcastChannelTransport;
+
   /**
    * Clear all cache entries
    */
   flush(): void;
 
+  /**
+   * Write the binary file now (aof mode: compact the log into a new snapshot).
+   * Failures reject instead of emitting `error`.
+   */
+  save(): Promise<SimpleCachePersistInfo>;
+
+  /**
+   * Like save(), streaming the file with non-blocking fs.promises I/O.
+   * Saves are queued and never overlap.
+   */
+  saveAsync(): Promise<SimpleCachePersistInfo>;
+
+  /**
+   * Discard in-memory entries and read the binary file again, after the saves already queued.
+   * Writes made after the call win over the file's copies.
+   * @returns Load info, or null if there is no file
+   */
+  reload(): Promise<SimpleCachePersistInfo | null>;
+
   /**
    * Destroy cache instance, stop all intervals, and save to binary if persistent=true
    */
@@ -70,26 +838,147 @@ declare class SimpleCache {
 
   /**
    * Get cache statistics
-   * @returns Object containing number of keys
+   * @returns Running counters, hit rate and estimated memory usage
+   */
+  stats(): SimpleCacheStats;
+
+  /**
+   * Reset all statistics counters
    */
-  stats(): { keys: number };
+  resetStats(): void;
 
   /**
-   * Return cached value or compute and cache it
+   * Return cached value or compute and cache it.
+   * Concurrent calls for the same key share a single fn() invocation.
    * @param key - Cache key
    * @param fn - Function to compute value if not cached
-   * @param ttl - Optional TTL override in seconds
+   * @param ttl - Optional TTL override in seconds, or options with `ttl` and `tags`
    * @returns The cached or computed value
    */
-  wrap<T>(key: string, fn: () => T | Promise<T>, ttl?: number): Promise<T>;
+  wrap<T>(key: string, fn: () => T | Promise<T>, ttl?: number | SimpleCacheWrapOptions): Promise<T>;
+
+  /**
+   * Delete every key tagged with `tag`
+   * @returns Number of deleted keys
+   */
+  invalidateTag(tag: string): number;
+
+  /**
+   * Delete every key tagged with any of `tags`
+   * @returns Number of deleted keys
+   */
+  invalidateTags(tags: string[]): number;
+
+  on(event: 'set', listener: (key: string, value: any, ttl: number) => void): this;
+  on(event: 'get' | 'hit', listener: (key: string, value: any) => void): this;
+  on(event: 'miss', listener: (key: string) => void): this;
+  on(event: 'del' | 'expired' | 'evicted', listener: (key: string, value: any) => void): this;
+  on(event: 'flush' | 'ready', listener: () => void): this;
+  on(event: 'saved' | 'loaded', listener: (info: SimpleCachePersistInfo) => void): this;
+  on(event: 'compacted', listener: (info: SimpleCacheCompactInfo) => void): this;
+  on(event: 'error', listener: (err: Error) => void): this;
+  on(event: 'refreshError', listener: (key: string, err: Error) => void): this;
+  on(event: 'sync', listener: (message: SimpleCacheSyncMessage) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * Lookups of one tier of a TieredCache
+ */
+interface SimpleCacheTierStats {
+  hits: number;
+  misses: number;
+  hitRate: number;
+  /** Keys in the tier */
+  keys: number;
+}
+
+/**
+ * Result of TieredCache#stats()
+ */
+interface SimpleCacheTieredStats extends SimpleCacheStats {
+  tiers: {
+    l1: SimpleCacheTierStats;
+    l2: SimpleCacheTierStats;
+  };
+}
+
+/**
+ * Options of TieredCache: SimpleCache options for the L1 plus the L2
+ */
+interface SimpleCacheTieredOptions extends Omit<SimpleCacheOptions, 'backend' | 'persistent'> {
+  /** Second tier holding every entry: another SimpleCache or a backend */
+  l2: SimpleCache | SimpleCacheBackend;
+}
+
+/**
+ * Bounded in-memory L1 (maxSize / maxMemory required) in front of an L2.
+ * Writes reach both tiers with the same expiry, L2 hits are promoted, L1 evictions demoted.
+ * `ready` also waits for the L2 to load; destroy() destroys the L2 too.
+ */
+declare class TieredCache extends SimpleCache {
+  constructor(defaultTtl: number, options: SimpleCacheTieredOptions);
+
+  /** Second tier */
+  readonly l2: SimpleCache | SimpleCacheBackend;
+
+  stats(): SimpleCacheTieredStats;
 }
 
 declare namespace SimpleCache {
   export interface Options {
     checkInterval?: number;
+    maxExpirePerTick?: number;
     persistent?: boolean;
     persistPath?: string;
+    saveDelay?: number;
+    maxSaveDelay?: number;
+    autoSaveInterval?: number;
+    asyncIO?: boolean;
+    lock?: 'fail' | 'wait' | 'readonly' | false;
+    lockTimeout?: number;
+    lockStale?: number;
+    backend?: SimpleCacheBackend;
+    sync?: SimpleCacheSyncTransport;
+    maxSize?: number;
+    maxMemory?: number;
+    evictionPolicy?: 'lru' | 'lfu' | 'fifo';
+    negativeTtl?: number;
+    slidingTtl?: boolean;
+    maxAge?: number;
+    compress?: boolean | SimpleCacheCompression | SimpleCacheCompressOptions;
+    encryptionKey?: SimpleCacheKey | SimpleCacheKey[] | (() => SimpleCacheKey | SimpleCacheKey[]);
+    serializer?: 'json' | 'structured' | 'v8';
+    types?: Record<string, SimpleCacheTypeDefinition['type'] | SimpleCacheTypeDefinition>;
+    persistMode?: 'snapshot' | 'aof';
+    fsync?: 'always' | 'everysec' | 'never';
+    compactRatio?: number;
+    compactMinSize?: number;
   }
+
+  export type CompactInfo = SimpleCacheCompactInfo;
+
+  export type TypeDefinition<T = any> = SimpleCacheTypeDefinition<T>;
+
+  export type CompressOptions = SimpleCacheCompressOptions;
+
+  export type PersistInfo = SimpleCachePersistInfo;
+  export type Stats = SimpleCacheStats;
+  export type Entry = SimpleCacheEntry;
+  export type SetOptions = SimpleCacheSetOptions;
+  export type WrapOptions = SimpleCacheWrapOptions;
+  export type GetOptions = SimpleCacheGetOptions;
+  export type EntryInfo<T = any> = SimpleCacheEntryInfo<T>;
+  export type Namespace = CacheNamespace;
+  export type Backend = SimpleCacheBackend;
+  export type BackendEntry = SimpleCacheBackendEntry;
+  export type SdbBackendOptions = SimpleCacheSdbBackendOptions;
+  export type FileBackendOptions = SimpleCacheFileBackendOptions;
+  export type TieredOptions = SimpleCacheTieredOptions;
+  export type TieredStats = SimpleCacheTieredStats;
+  export type TierStats = SimpleCacheTierStats;
+  export type SyncTransport = SimpleCacheSyncTransport;
+  export type SyncMessage = SimpleCacheSyncMessage;
 }
 
 export = SimpleCache;
@@ -0,0 +1,69 @@
+// server.d.ts
+// TypeScript definitions for simple-cache-id/server
+
+import { EventEmitter } from 'events';
+import { Socket, AddressInfo } from 'net';
+import SimpleCache = require('./index');
+
+interface CacheServerOptions {
+  /**
+   * Largest accepted key or value in bytes
+   * @default 536870912
+   */
+  maxBulkLength?: number;
+}
+
+/**
+ * Serves a SimpleCache to Redis clients over TCP (RESP2).
+ * Supports GET, SET (EX / PX / NX / XX), DEL, EXISTS, EXPIRE, TTL, KEYS, MGET, MSET, FLUSHDB, INCR and PING.
+ * No authentication: listen on localhost or a private network only.
+ */
+declare class CacheServer extends EventEmitter {
+  constructor(cache: SimpleCache, options?: CacheServerOptions);
+
+  readonly cache: SimpleCache;
+  readonly maxBulkLength: number;
+
+  /**
+   * Start accepting connections
+   * @param port - Default 6379, 0 picks a free port
+   * @param host - Default '127.0.0.1'
+   */
+  listen(port?: number, host?: string): Promise<AddressInfo>;
+
+  address(): AddressInfo | null;
+
+  /** Stop accepting connections and disconnect the clients (the cache stays usable) */
+  close(): Promise<void>;
+
+  /**
+   * Run one command and return the encoded RESP reply
+   * @param args - Command name and arguments
+   */
+  execute(args: string[]): Buffer;
+
+  on(event: 'connection', listener: (socket: Socket) => void): this;
+  on(event: 'error', listener: (err: Error) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * Incremental parser for RESP arrays of bulk strings and inline commands
+ */
+declare class RespParser {
+  constructor(options?: { maxBulkLength?: number });
+
+  /**
+   * Feed received data
+   * @returns Complete commands, each an array of arguments
+   * @throws on a protocol error
+   */
+  push(chunk: Buffer): Buffer[][];
+}
+
+/**
+ * Create a server for a cache (call listen() to start it)
+ */
+declare function createServer(cache: SimpleCache, options?: CacheServerOptions): CacheServer;
+
+export { CacheServer, CacheServerOptions, RespParser, createServer };
@@ -0,0 +1,366 @@
+// simple-cache-id
+// Append-only log of changes, replayed on top of the snapshot (persistMode: 'aof')
+
+const fs = require('fs');
+const path = require('path');
+const crc32 = require('./crc32');
+const sdb = require('./sdb');
+const compression = require('./compression');
+const encryption = require('./encryption');
+const { serializerForId } = require('./serializer');
+
+/** @type {number} */
+const VERSION = 1;
+
+/** @type {number} */
+const HEADER_SIZE = 12;
+
+/** @type {number} - Header flag: every record payload is AES-256-GCM encrypted (header as AAD) */
+const LOG_ENCRYPTED = 0x01;
+
+/** @type {Object<string, number>} - Operation codes stored in each record */
+const OPS = { set: 1, del: 2, expire: 3, flush: 4 };
+
+/** @type {string[]} */
+const FSYNC_POLICIES = ['always', 'everysec', 'never'];
+
+/**
+ * @typedef {object} LogOperation
+ * @property {'set'|'del'|'expire'|'flush'} op
+ * @property {string} [key]
+ * @property {import('./sdb').SdbEntry} [entry] - set only
+ * @property {number} [expiryTime] - expire only (0 = permanent)
+ * @property {number} [ttl] - expire only
+ */
+
+/**
+ * Writer for the append-only log.
+ *
+ * Header (12 bytes)
+ * - Magic: "SDL" (3 bytes)
+ * - Version: 0x01 (1 byte)
+ * - Flags: uint8 (LOG_ENCRYPTED)
+ * - Compression: uint8 (algorithm id for compressed values, 0 = none)
+ * - Serializer: uint8 (codec id)
+ * - Reserved: (1 byte)
+ * - Header CRC32: uint32 LE (4 bytes, over the previous 8 bytes)
+ *
+ * Record (appended per change)
+ * - Payload Length: uint32 LE (4 bytes)
+ * - Payload (encrypted as IV + auth tag + ciphertext with LOG_ENCRYPTED):
+ *   - Op: uint8 (set / del / expire / flush)
+ *   - set: SDB v2 record body
+ *   - del: Key (UTF-8)
+ *   - expire: Expiry Time BigInt64 LE + Original TTL double LE + Key (UTF-8)
+ *   - flush: nothing
+ * - Payload CRC32: uint32 LE (4 bytes)
+ *
+ * @class AppendOnlyLog
+ */
+class AppendOnlyLog {
+    /**
+     * @param {string} logPath
+     * @param {object} options
+     * @param {'always'|'everysec'|'never'} options.fsync
+     * @param {import('./compression').CompressOptions|null} options.compress - Values above the threshold are compressed
+     * @param {import('./serializer').Codec} options.serializer
+     * @param {function(): Buffer[]} options.keys - Resolves the encryption keys (first encrypts)
+     * @param {function(Error): void} options.onError - Called when a background fsync fails
+     */
+    constructor(logPath, options) {
+        /** @type {string} */
+        this.path = logPath;
+
+        /** @type {object} */
+        this._options = options;
+
+        /** @type {number|null} */
+        this._fd = null;
+
+        /** @type {number} - Current file size in bytes */
+        this.size = 0;
+
+        /** @type {Buffer|null} */
+        this._header = null;
+
+        /** @type {Buffer|null} - Key used for records written since the last reset() */
+        this._key = null;
+
+        /** @type {boolean} - Written since the last fsync */
+        this._dirty = false;
+
+        /** @type {NodeJS.Timeout|null} */
+        this._syncInterval = null;
+
+        if (options.fsync === 'everysec') {
+            this._syncInterval = setInterval(() => {
+                try {
+                    this.sync();
+                } catch (err) {
+                    options.onError(err);
+                }
+            }, 1000);
+            if (this._syncInterval.unref) {
+                this._syncInterval.unref();
+            }
+        }
+    }
+
+    /**
+     * @returns {boolean} - true once reset() has opened the file
+     */
+    get isOpen() {
+        return this._fd !== null;
+    }
+
+    /**
+     * Replace the log with an empty one (after the snapshot took over its contents).
+     * The new file is written next to the old one and renamed, so a crash leaves either log intact.
+     */
+    reset() {
+        this._closeFd();
+
+        const [key = null] = this._options.keys();
+        const compress = this._options.compress;
+
+        const header = Buffer.alloc(HEADER_SIZE);
+        header.write('SDL', 0, 'ascii');
+        header.writeUInt8(VERSION, 3);
+        header.writeUInt8(key ? LOG_ENCRYPTED : 0, 4);
+        header.writeUInt8(compress ? compression.algorithmId(compress.algorithm) : 0, 5);
+        header.writeUInt8(this._options.serializer.id, 6);
+        header.writeUInt32LE(crc32(header, 0, 8), 8);
+
+        const dir = path.dirname(this.path);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const tempPath = this.path + '.tmp';
+        fs.writeFileSync(tempPath, header);
+        fs.renameSync(tempPath, this.path);
+
+        this._fd = fs.openSync(this.path, 'a');
+        this._header = header;
+        this._key = key;
+        this.size = header.length;
+        this._dirty = false;
+    }
+
+    /**
+     * Append one operation
+     * @param {LogOperation} operation
+     */
+    append(operation) {
+        if (this._fd === null) {
+            throw new Error('Append-only log is not open');
+        }
+
+        let payload = encodeOperation(operation, this._options);
+        if (this._key) {
+            payload = encryption.encrypt(this._key, payload, this._header);
+        }
+
+        const record = Buffer.alloc(4 + payload.length + 4);
+        record.writeUInt32LE(payload.length, 0);
+        payload.copy(record, 4);
+        record.writeUInt32LE(crc32(payload), 4 + payload.length);
+
+        fs.writeSync(this._fd, record);
+        this.size += record.length;
+        this._dirty = true;
+
+        if (this._options.fsync === 'always') {
+            this.sync();
+        }
+    }
+
+    /**
+     * Flush written records to disk
+     */
+    sync() {
+        if (this._fd !== null && this._dirty) {
+            fs.fsyncSync(this._fd);
+            this._dirty = false;
+        }
+    }
+
+    /**
+     * Close the file (synced first unless fsync is 'never') and stop the fsync timer
+     */
+    close() {
+        if (this._syncInterval) {
+            clearInterval(this._syncInterval);
+            this._syncInterval = null;
+        }
+        this._closeFd();
+    }
+
+    /**
+     * @private
+     */
+    _closeFd() {
+        if (this._fd === null) return;
+
+        try {
+            if (this._options.fsync !== 'never') this.sync();
+        } finally {
+            fs.closeSync(this._fd);
+            this._fd = null;
+        }
+    }
+}
+
+/**
+ * Encode the payload of one record
+ * @private
+ * @param {LogOperation} operation
+ * @param {{compress: import('./compression').CompressOptions|null, serializer: import('./serializer').Codec}} options
+ * @returns {Buffer}
+ */
+function encodeOperation(operation, options) {
+    const opBuf = Buffer.from([OPS[operation.op]]);
+
+    switch (operation.op) {
+        case 'set':
+            return Buffer.concat([opBuf, sdb.encodeBody(operation.entry, options.compress, options.serializer)]);
+        case 'del':
+            return Buffer.concat([opBuf, Buffer.from(operation.key, 'utf8')]);
+        case 'expire': {
+            const timeBuf = Buffer.alloc(16);
+            timeBuf.writeBigInt64LE(BigInt(operation.expiryTime), 0);
+            timeBuf.writeDoubleLE(operation.ttl || 0, 8);
+            return Buffer.concat([opBuf, timeBuf, Buffer.from(operation.key, 'utf8')]);
+        }
+        case 'flush':
+            return opBuf;
+        default:
+            throw new Error(`Unknown log operation: ${operation.op}`);
+    }
+}
+
+/**
+ * Decode the payload of one record
+ * @private
+ * @param {Buffer} payload
+ * @param {number} algorithm
+ * @param {import('./serializer').Codec} codec
+ * @returns {LogOperation}
+ */
+function decodeOperation(payload, algorithm, codec) {
+    const code = payload.readUInt8(0);
+
+    switch (code) {
+        case OPS.set:
+            return { op: 'set', entry: sdb.decodeBody(payload.subarray(1), algorithm, codec) };
+        case OPS.del:
+            return { op: 'del', key: payload.toString('utf8', 1) };
+        case OPS.expire:
+            return {
+                op: 'expire',
+                expiryTime: Number(payload.readBigInt64LE(1)),
+                ttl: payload.readDoubleLE(9),
+                key: payload.toString('utf8', 17)
+            };
+        case OPS.flush:
+            return { op: 'flush' };
+        default:
+            throw new Error(`Unknown log operation code: ${code}`);
+    }
+}
+
+/**
+ * Read all operations of a log file.
+ * Records with a bad checksum are skipped; reading stops at a truncated record
+ * (the tail of a write interrupted by a crash).
+ * @param {string} logPath
+ * @param {object} options
+ * @param {Buffer[]} options.keys - Decryption keys, tried in order
+ * @param {import('./serializer').Codec} [options.serializer]
+ * @returns {{operations: LogOperation[], skipped: number, bytes: number}|null} - null if there is no log
+ */
+function readLog(logPath, options) {
+    if (!fs.existsSync(logPath)) return null;
+
+    return parseLog(fs.readFileSync(logPath), options);
+}
+
+/**
+ * Decode the contents of a log file (see readLog())
+ * @param {Buffer} buffer
+ * @param {object} options
+ * @param {Buffer[]} options.keys - Decryption keys, tried in order
+ * @param {import('./serializer').Codec} [options.serializer]
+ * @returns {{operations: LogOperation[], skipped: number, bytes: number}}
+ */
+function parseLog(buffer, options) {
+    if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 3) !== 'SDL') {
+        throw new Error('Invalid append-only log format');
+    }
+    if (buffer.readUInt8(3) !== VERSION) {
+        throw new Error(`Unsupported append-only log version: ${buffer.readUInt8(3)}`);
+    }
+    if (buffer.readUInt32LE(8) !== crc32(buffer, 0, 8)) {
+        throw new Error('Append-only log header is corrupt');
+    }
+
+    const header = buffer.subarray(0, HEADER_SIZE);
+    const encrypted = (buffer.readUInt8(4) & LOG_ENCRYPTED) !== 0;
+    const algorithm = buffer.readUInt8(5);
+    const codec = serializerForId(buffer.readUInt8(6), options.serializer);
+    const keys = options.keys;
+
+    if (keys.length > 0 && !encrypted) {
+        const err = new Error('Append-only log is not encrypted but an encryption key is configured');
+        err.code = 'ERR_SDB_AUTH';
+        throw err;
+    }
+    if (keys.length === 0 && encrypted) {
+        throw new Error('Append-only log is encrypted but no encryption key is configured');
+    }
+
+    const operations = [];
+    let skipped = 0;
+    let offset = HEADER_SIZE;
+
+    while (offset < buffer.length) {
+        if (offset + 4 > buffer.length) {
+            skipped++;
+            break;
+        }
+        const payloadStart = offset + 4;
+        const payloadEnd = payloadStart + buffer.readUInt32LE(offset);
+
+        if (payloadEnd + 4 > buffer.length) {
+            skipped++;
+            break;
+        }
+        offset = payloadEnd + 4;
+
+        let payload = buffer.subarray(payloadStart, payloadEnd);
+        if (buffer.readUInt32LE(payloadEnd) !== crc32(payload)) {
+            skipped++;
+            continue;
+        }
+
+        // An authentication failure is not "corruption": refuse the whole log
+        if (encrypted) {
+            payload = encryption.decrypt(keys, payload, header).plaintext;
+        }
+
+        try {
+            operations.push(decodeOperation(payload, algorithm, codec));
+        } catch (err) {
+            skipped++;
+        }
+    }
+
+    return { operations, skipped, bytes: buffer.length };
+}
+
+module.exports = {
+    AppendOnlyLog,
+    readLog,
+    parseLog,
+    FSYNC_POLICIES
+};
@@ -0,0 +1,181 @@
+// simple-cache-id
+// Storage backend interface and the in-memory reference backend
+
+/**
+ * @typedef {import('./sdb').SdbEntry} BackendEntry
+ */
+
+/**
+ * Storage backend interface (`backend` option).
+ *
+ * Every cache goes through a backend. The default one, SdbBackend, is resident (`resident: true`):
+ * the cache's `store` Map holds every entry, the backend persists them (or nothing without a path)
+ * and is read once when the cache opens.
+ *
+ * Any other backend holds every entry itself and the cache's `store` Map only keeps the
+ * hot ones: every change is written through, keys missing from `store` are read from the
+ * backend on demand, and `maxSize` / `maxMemory` evictions just drop entries from memory.
+ *
+ * All methods are synchronous, like the cache API. Entries have the shape of an SDB record:
+ * `{ key, value, expiryTime, ttl, tags, createdAt }` (expiryTime in ms, 0 = permanent).
+ * Backends may keep expired entries; the cache checks `expiryTime` and deletes them.
+ *
+ * Required:
+ * - `get(key)` → entry or undefined
+ * - `set(key, entry)`
+ * - `del(key)` → true if the key existed
+ * - `expire(key, expiryTime, ttl)` - change the expiry without rewriting the value
+ * - `iterate()` → iterable of entries
+ * - `close()` - flush and release resources (called by destroy())
+ *
+ * Optional (derived from get() / iterate() / del() when missing):
+ * - `has(key)` → true if the key exists and is not expired, without reading the value
+ * - `keys()` → iterable of keys that are not expired
+ * - `keysByTag(tags)` → iterable of keys tagged with any of `tags` (may include expired ones)
+ * - `clear()` - remove every entry
+ * - `size` - number of entries (may include expired ones; not used by the cache)
+ *
+ * Resident backends are never asked for single keys; instead of `get` they implement `load()` /
+ * `loadAsync()` and `save(entries)` / `saveAsync(entries)` (see SdbBackend), and `del`'s result is not used.
+ *
+ * @typedef {object} Backend
+ * @property {function(string): (BackendEntry|undefined)} get
+ * @property {function(string, BackendEntry): void} set
+ * @property {function(string): boolean} del
+ * @property {function(string, number, number): void} expire
+ * @property {function(): Iterable<BackendEntry>} iterate
+ * @property {function(): void} close
+ * @property {function(string): boolean} [has]
+ * @property {function(): Iterable<string>} [keys]
+ * @property {function(string[]): Iterable<string>} [keysByTag]
+ * @property {function(): void} [clear]
+ * @property {number} [size]
+ * @property {boolean} [resident] - Entries are kept in the cache's memory (SdbBackend)
+ */
+
+/** @type {string[]} */
+const REQUIRED_METHODS = ['get', 'set', 'del', 'expire', 'iterate', 'close'];
+
+/** @type {string[]} */
+const RESIDENT_METHODS = ['set', 'del', 'expire', 'iterate', 'close', 'load', 'loadAsync', 'save', 'saveAsync'];
+
+/**
+ * Reference implementation of the backend interface: entries in a Map.
+ * Nothing is persisted; useful for tests and as a template for custom backends.
+ * @class MemoryBackend
+ */
+class MemoryBackend {
+    constructor() {
+        /** @type {Map<string, BackendEntry>} */
+        this.entries = new Map();
+    }
+
+    /**
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        const entry = this.entries.get(key);
+        return entry !== undefined && (entry.expiryTime === 0 || Date.now() < entry.expiryTime);
+    }
+
+    /**
+     * @param {string} key
+     * @returns {BackendEntry|undefined}
+     */
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    /**
+     * @param {string} key
+     * @param {BackendEntry} entry
+     */
+    set(key, entry) {
+        this.entries.set(key, entry);
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    del(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} expiryTime - Timestamp in ms, 0 = permanent
+     * @param {number} ttl - Original TTL in seconds
+     */
+    expire(key, expiryTime, ttl) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.set(key, { ...entry, expiryTime, ttl });
+        }
+    }
+
+    /**
+     * @returns {IterableIterator<BackendEntry>}
+     */
+    iterate() {
+        return this.entries.values();
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    keys() {
+        const now = Date.now();
+        const keys = [];
+        for (const entry of this.entries.values()) {
+            if (entry.expiryTime === 0 || now < entry.expiryTime) keys.push(entry.key);
+        }
+        return keys;
+    }
+
+    /**
+     * @param {string[]} tags
+     * @returns {string[]}
+     */
+    keysByTag(tags) {
+        const wanted = new Set(tags);
+        const keys = [];
+        for (const entry of this.entries.values()) {
+            if (entry.tags && entry.tags.some((tag) => wanted.has(tag))) keys.push(entry.key);
+        }
+        return keys;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    close() {}
+}
+
+/**
+ * Check that an object implements the required backend methods
+ * @param {any} backend
+ * @returns {Backend}
+ */
+function validateBackend(backend) {
+    const required = backend && backend.resident ? RESIDENT_METHODS : REQUIRED_METHODS;
+    const missing = required.filter((method) => !backend || typeof backend[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`[SimpleCache] backend is missing required method(s): ${missing.join(', ')}`);
+    }
+    return backend;
+}
+
+module.exports = {
+    MemoryBackend,
+    validateBackend
+};
@@ -0,0 +1,686 @@
+// simple-cache-id
+// Share one cache between cluster workers: the primary hosts it, workers talk to it over IPC
+
+const { EventEmitter } = require('events');
+const SimpleCache = require('./index');
+
+/** @type {string[]} - Cache methods workers may call (wrap() has its own protocol) */
+const METHODS = [
+    'get', 'getEntry', 'has', 'set', 'del', 'take', 'mget', 'mset', 'mdel', 'mtake',
+    'keys', 'ttl', 'getTtl', 'expire', 'persist', 'touch', 'invalidateTag', 'invalidateTags',
+    'flush', 'stats'
+];
+
+/** @type {string[]} - Methods that change a single key, passed as their first argument */
+const KEY_WRITES = ['set', 'del', 'take', 'expire', 'persist', 'touch'];
+
+/** @type {string[]} - Methods that change several keys, passed as an array (or mset's object) */
+const BATCH_WRITES = ['mset', 'mdel', 'mtake'];
+
+/** @type {string[]} - Methods that may change any key */
+const GLOBAL_WRITES = ['flush', 'invalidateTag', 'invalidateTags'];
+
+/**
+ * Keys a cache method call may change
+ * @private
+ * @param {string} method
+ * @param {any[]} args
+ * @returns {string[]|null} - null when any key may change
+ */
+function changedKeys(method, args) {
+    if (GLOBAL_WRITES.includes(method)) return null;
+    if (KEY_WRITES.includes(method)) return [String(args[0])];
+    if (BATCH_WRITES.includes(method)) {
+        const batch = args[0] || [];
+        if (!Array.isArray(batch)) return Object.keys(batch);
+        return batch.map((item) => String(method === 'mset' ? item.key : item));
+    }
+    return [];
+}
+
+/**
+ * Plain object form of an error for IPC
+ * @private
+ * @param {Error} err
+ * @returns {{message: string, name: string, code?: string}}
+ */
+function serializeError(err) {
+    const error = err instanceof Error ? err : new Error(String(err));
+    return { message: error.message, name: error.name, code: error.code };
+}
+
+/**
+ * @private
+ * @param {{message: string, name?: string, code?: string}} data
+ * @returns {Error}
+ */
+function deserializeError(data) {
+    const err = new Error(data.message);
+    if (data.name && data.name !== 'Error') err.name = data.name;
+    if (data.code !== undefined) err.code = data.code;
+    return err;
+}
+
+/**
+ * Send over an IPC channel that may already be closed (the worker exited)
+ * @private
+ * @param {{send: Function}} target
+ * @param {object} message
+ */
+function trySend(target, message) {
+    try {
+        target.send(message, (err) => {
+            // Delivery failures mean the other side is gone; its requests are cleaned up on exit
+            void err;
+        });
+    } catch (err) {
+        // Channel closed
+    }
+}
+
+/**
+ * @class ClusterHost
+ * @classdesc Serves a cache that lives in the primary process to cluster workers.
+ *
+ * Workers connect with `connectCluster()` (a `ClusterClient`). Only the primary's cache touches
+ * the file, so persistence works as in a single process.
+ * - Calls from workers run against the primary's cache, one message each way
+ * - `wrap()` is coalesced across workers: the first worker asking for a missing key computes it,
+ *   the others wait for its result
+ * - Changes (set, del, expiry, eviction, flush) are broadcast to workers that subscribed,
+ *   so their local copies (`localTtl`) are dropped right away
+ * @extends EventEmitter
+ */
+class ClusterHost extends EventEmitter {
+    /**
+     * @param {SimpleCache} cache - Cache to share
+     * @param {object} [options]
+     * @param {string} [options.name='default'] - Channel name, to share several caches
+     * @param {EventEmitter} [options.cluster] - Source of worker `message` / `exit` events (default: the cluster module)
+     */
+    constructor(cache, options = {}) {
+        super();
+
+        /** @type {SimpleCache} */
+        this.cache = cache;
+
+        /** @type {string} */
+        this.name = options.name || 'default';
+
+        /** @type {EventEmitter} */
+        this.cluster = options.cluster || require('cluster');
+
+        /** @type {Set<{send: Function}>} - Workers that receive change notifications */
+        this._subscribers = new Set();
+
+        /** @type {Map<number, {worker: object, resolve: function(any): void, reject: function(Error): void}>} - wrap() computations running in workers */
+        this._computing = new Map();
+
+        /** @type {number} */
+        this._nextComputeId = 0;
+
+        /** @type {Set<string>} - Changed keys not broadcast yet */
+        this._changed = new Set();
+
+        /** @type {boolean} - A flush is waiting to be broadcast */
+        this._flushed = false;
+
+        /** @type {NodeJS.Immediate|null} */
+        this._broadcastImmediate = null;
+
+        /** @type {Map<object, {message: Function, exit: Function}>} - Listeners on child processes added with addWorker() */
+        this._children = new Map();
+
+        this._onMessage = (worker, message) => this._handle(worker, message);
+        this._onExit = (worker) => this._removeWorker(worker);
+        this.cluster.on('message', this._onMessage);
+        this.cluster.on('exit', this._onExit);
+
+        this._onChange = (key) => this._queueChange(key);
+        this._onFlush = () => {
+            this._flushed = true;
+            this._changed.clear();
+            this._scheduleBroadcast();
+        };
+        for (const event of ['set', 'del', 'expired', 'evicted']) {
+            cache.on(event, this._onChange);
+        }
+        cache.on('flush', this._onFlush);
+    }
+
+    /**
+     * Serve a process started with child_process.fork() (cluster workers are served automatically)
+     * @param {import('child_process').ChildProcess} child
+     * @returns {this}
+     */
+    addWorker(child) {
+        const listeners = {
+            message: (message) => this._handle(child, message),
+            exit: () => this._removeWorker(child)
+        };
+        child.on('message', listeners.message);
+        child.on('exit', listeners.exit);
+        this._children.set(child, listeners);
+        return this;
+    }
+
+    /**
+     * Stop serving workers (the cache itself stays as is)
+     */
+    close() {
+        this.cluster.off('message', this._onMessage);
+        this.cluster.off('exit', this._onExit);
+
+        for (const [child, listeners] of this._children) {
+            child.off('message', listeners.message);
+            child.off('exit', listeners.exit);
+        }
+        this._children.clear();
+
+        for (const event of ['set', 'del', 'expired', 'evicted']) {
+            this.cache.off(event, this._onChange);
+        }
+        this.cache.off('flush', this._onFlush);
+
+        if (this._broadcastImmediate) {
+            clearImmediate(this._broadcastImmediate);
+            this._broadcastImmediate = null;
+        }
+
+        const err = new Error('[SimpleCache] Cluster host was closed');
+        for (const computation of this._computing.values()) {
+            computation.reject(err);
+        }
+        this._computing.clear();
+        this._subscribers.clear();
+    }
+
+    /**
+     * @private
+     * @param {{send: Function}} worker
+     * @param {any} message
+     */
+    _handle(worker, message) {
+        if (!message || message.simpleCache !== this.name) return;
+
+        switch (message.type) {
+            case 'call':
+                this._call(worker, message);
+                break;
+            case 'wrap':
+                this._wrap(worker, message);
+                break;
+            case 'computed': {
+                const computation = this._computing.get(message.computeId);
+                if (!computation) break;
+
+                this._computing.delete(message.computeId);
+                if (message.error) computation.reject(deserializeError(message.error));
+                else computation.resolve(message.value);
+                break;
+            }
+            case 'subscribe':
+                this._subscribers.add(worker);
+                break;
+        }
+    }
+
+    /**
+     * @private
+     * @param {{send: Function}} worker
+     * @param {{id: number, method: string, args: any[]}} message
+     */
+    _call(worker, { id, method, args }) {
+        const reply = { simpleCache: this.name, type: 'result', id };
+
+        if (!METHODS.includes(method)) {
+            reply.error = serializeError(new Error(`[SimpleCache] Unknown cluster method "${method}"`));
+        } else {
+            try {
+                reply.value = this.cache[method](...(args || []));
+            } catch (err) {
+                reply.error = serializeError(err);
+            }
+        }
+
+        trySend(worker, reply);
+    }
+
+    /**
+     * Run wrap() on the primary's cache; if the value has to be computed, the requesting worker computes it
+     * @private
+     * @param {{send: Function}} worker
+     * @param {{id: number, key: string, options: any}} message
+     */
+    _wrap(worker, { id, key, options }) {
+        // Lets the worker stop its reply timeout: the computation may take as long as it needs
+        trySend(worker, { simpleCache: this.name, type: 'accepted', id });
+
+        this.cache.wrap(key, () => this._compute(worker, id), options).then(
+            (value) => trySend(worker, { simpleCache: this.name, type: 'result', id, value }),
+            (err) => trySend(worker, { simpleCache: this.name, type: 'result', id, error: serializeError(err) })
+        );
+    }
+
+    /**
+     * Ask a worker to run the function of its wrap() request
+     * @private
+     * @param {{send: Function}} worker
+     * @param {number} id - Id of the worker's wrap request
+     * @returns {Promise<any>}
+     */
+    _compute(worker, id) {
+        return new Promise((resolve, reject) => {
+            const computeId = ++this._nextComputeId;
+            this._computing.set(computeId, { worker, resolve, reject });
+            trySend(worker, { simpleCache: this.name, type: 'compute', id, computeId });
+        });
+    }
+
+    /**
+     * Forget an exited worker and fail the computations it was running
+     * @private
+     * @param {{send: Function, id?: number, pid?: number}} worker
+     */
+    _removeWorker(worker) {
+        this._subscribers.delete(worker);
+
+        for (const [computeId, computation] of this._computing) {
+            if (computation.worker !== worker) continue;
+
+            this._computing.delete(computeId);
+            const who = worker.process ? worker.process.pid : worker.pid;
+            computation.reject(new Error(`[SimpleCache] Worker ${who} exited before its wrap() computation finished`));
+        }
+
+        const listeners = this._children.get(worker);
+        if (listeners) {
+            worker.off('message', listeners.message);
+            worker.off('exit', listeners.exit);
+            this._children.delete(worker);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     */
+    _queueChange(key) {
+        if (this._subscribers.size === 0) return;
+
+        this._changed.add(key);
+        this._scheduleBroadcast();
+    }
+
+    /**
+     * Send queued changes to subscribers once per event loop turn
+     * @private
+     */
+    _scheduleBroadcast() {
+        if (this._broadcastImmediate || this._subscribers.size === 0) return;
+
+        this._broadcastImmediate = setImmediate(() => {
+            this._broadcastImmediate = null;
+
+            const message = this._flushed
+                ? { simpleCache: this.name, type: 'flush' }
+                : { simpleCache: this.name, type: 'invalidate', keys: [...this._changed] };
+            this._flushed = false;
+            this._changed.clear();
+
+            for (const worker of this._subscribers) {
+                trySend(worker, message);
+            }
+        });
+    }
+}
+
+/**
+ * @class ClusterClient
+ * @classdesc Worker-side proxy of a cache hosted by the primary (see ClusterHost).
+ * Same API as SimpleCache for the supported methods, but every method returns a promise.
+ * Values travel over IPC, so they must survive the cluster's serialization
+ * (JSON by default; use `serialization: 'advanced'` for Date, Map, Set, ...).
+ *
+ * Events:
+ * - `invalidate` (key) - A key was changed or removed in the primary
+ * - `flush` () - The primary's cache was flushed
+ * @extends EventEmitter
+ */
+class ClusterClient extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.name='default'] - Channel name (as given to serveCluster())
+     * @param {number} [options.timeout=10] - Seconds to wait for the primary before rejecting
+     *   (for wrap(): until the primary accepts the request; the wrap() `timeout` option bounds the computation)
+     * @param {number} [options.localTtl=0] - Keep values read by get() in this worker for up to N seconds, dropped by its own writes and changes reported by the primary (0 = off)
+     * @param {number} [options.localMaxSize=1000] - Maximum number of locally kept values
+     * @param {NodeJS.Process|EventEmitter} [options.channel] - IPC channel to the primary (default: process)
+     */
+    constructor(options = {}) {
+        super();
+
+        /** @type {string} */
+        this.name = options.name || 'default';
+
+        /** @type {number} */
+        this.timeout = options.timeout === undefined ? 10 : options.timeout;
+
+        /** @type {number} */
+        this.localTtl = options.localTtl || 0;
+
+        /** @type {NodeJS.Process|EventEmitter} */
+        this.channel = options.channel || process;
+
+        if (typeof this.channel.send !== 'function') {
+            throw new Error('[SimpleCache] ClusterClient must run in a worker (process.send is not available)');
+        }
+
+        /** @type {SimpleCache|null} - Values recently read from the primary (localTtl only) */
+        this._local = this.localTtl > 0
+            ? new SimpleCache(this.localTtl, { maxSize: options.localMaxSize || 1000 })
+            : null;
+
+        /** @type {Map<number, {resolve: function(any): void, reject: function(Error): void, timer: NodeJS.Timeout|null}>} */
+        this._requests = new Map();
+
+        /** @type {Map<number, {fn: Function, responded: boolean, computing: boolean}>} - wrap() requests by id */
+        this._wraps = new Map();
+
+        /** @type {Map<string, Promise<any>>} - wrap() requests in flight in this worker, by key */
+        this._pending = new Map();
+
+        /** @type {number} */
+        this._nextId = 0;
+
+        /** @type {boolean} */
+        this._subscribed = false;
+
+        /** @type {boolean} */
+        this._closed = false;
+
+        this._onMessage = (message) => this._handle(message);
+        this._onDisconnect = () => this._rejectAll(new Error('[SimpleCache] Disconnected from the primary'));
+        this.channel.on('message', this._onMessage);
+        this.channel.on('disconnect', this._onDisconnect);
+
+        if (this._local) {
+            this._subscribe();
+        }
+        this.on('newListener', (event) => {
+            if (event === 'invalidate' || event === 'flush') this._subscribe();
+        });
+    }
+
+    /**
+     * @param {string|number} key
+     * @param {object} [options] - See SimpleCache#get() (refresh bypasses the local copy)
+     * @returns {Promise<any|null>}
+     */
+    async get(key, options) {
+        const stringKey = String(key);
+        if (!this._local || (options && options.refresh !== undefined)) {
+            return this._call('get', options === undefined ? [stringKey] : [stringKey, options]);
+        }
+
+        const local = this._local.getEntry(stringKey);
+        if (local) return local.value;
+
+        const entry = await this._call('getEntry', [stringKey]);
+        if (!entry) return null;
+
+        // Never keep a copy longer than the primary keeps the key
+        const remaining = entry.expiryTime > 0 ? (entry.expiryTime - Date.now()) / 1000 : this.localTtl;
+        if (remaining > 0 && !this._closed) {
+            this._local.set(stringKey, entry.value, Math.min(this.localTtl, remaining));
+        }
+        return entry.value;
+    }
+
+    /**
+     * Drop the local copies a call of ours may change, so that we read our own writes
+     * (the primary broadcasts the change only after answering)
+     * @private
+     * @param {string} method
+     * @param {any[]} args
+     */
+    _dropLocal(method, args) {
+        if (!this._local || this._closed) return;
+
+        const keys = changedKeys(method, args);
+        if (keys === null) {
+            this._local.flush();
+        } else if (keys.length > 0) {
+            this._local.mdel(keys);
+        }
+    }
+
+    /**
+     * Return the cached value, or compute it. Concurrent calls for the same key in all workers
+     * share a single `fn()` call, run by the worker that asked first.
+     * @template T
+     * @param {string|number} key
+     * @param {() => (Promise<T>|T)} fn
+     * @param {number|object} [options] - See SimpleCache#wrap()
+     * @returns {Promise<T>}
+     */
+    wrap(key, fn, options) {
+        const stringKey = String(key);
+
+        let pending = this._pending.get(stringKey);
+        if (!pending) {
+            const id = ++this._nextId;
+            this._wraps.set(id, { fn, responded: false, computing: false });
+
+            pending = this._request(id, { type: 'wrap', key: stringKey, options }, this.timeout)
+                .finally(() => {
+                    this._pending.delete(stringKey);
+                    const wrap = this._wraps.get(id);
+                    if (wrap) {
+                        wrap.responded = true;
+                        if (!wrap.computing) this._wraps.delete(id);
+                    }
+                });
+            this._pending.set(stringKey, pending);
+        }
+        return pending;
+    }
+
+    /**
+     * Stop talking to the primary; pending requests are rejected
+     */
+    close() {
+        if (this._closed) return;
+        this._closed = true;
+
+        this.channel.off('message', this._onMessage);
+        this.channel.off('disconnect', this._onDisconnect);
+        this._rejectAll(new Error('[SimpleCache] Cluster client was closed'));
+
+        if (this._local) {
+            this._local.destroy();
+        }
+    }
+
+    /**
+     * Call a cache method in the primary
+     * @private
+     * @param {string} method
+     * @param {any[]} args
+     * @returns {Promise<any>}
+     */
+    _call(method, args) {
+        return this._request(++this._nextId, { type: 'call', method, args }, this.timeout);
+    }
+
+    /**
+     * @private
+     * @param {number} id
+     * @param {object} message
+     * @param {number} timeout - Seconds, 0 = none
+     * @returns {Promise<any>}
+     */
+    _request(id, message, timeout) {
+        if (this._closed) {
+            return Promise.reject(new Error('[SimpleCache] Cluster client was closed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    this._requests.delete(id);
+                    const err = new Error(`[SimpleCache] Cluster request "${message.method || message.type}" timed out after ${timeout}s (is the primary serving the cache?)`);
+                    err.code = 'ETIMEDOUT';
+                    reject(err);
+                }, timeout * 1000);
+                if (timer.unref) {
+                    timer.unref();
+                }
+            }
+
+            this._requests.set(id, { resolve, reject, timer });
+            this._send({ ...message, id });
+        });
+    }
+
+    /**
+     * @private
+     * @param {object} message
+     */
+    _send(message) {
+        try {
+            this.channel.send({ simpleCache: this.name, ...message });
+        } catch (err) {
+            this._rejectAll(err);
+        }
+    }
+
+    /**
+     * @private
+     * @param {any} message
+     */
+    _handle(message) {
+        if (!message || message.simpleCache !== this.name) return;
+
+        switch (message.type) {
+            case 'result': {
+                const request = this._requests.get(message.id);
+                if (!request) break;
+
+                this._requests.delete(message.id);
+                if (request.timer) clearTimeout(request.timer);
+                if (message.error) request.reject(deserializeError(message.error));
+                else request.resolve(message.value);
+                break;
+            }
+            case 'accepted': {
+                // The primary answers wrap() once the value is there, however long that takes
+                const request = this._requests.get(message.id);
+                if (request && request.timer) {
+                    clearTimeout(request.timer);
+                    request.timer = null;
+                }
+                break;
+            }
+            case 'compute':
+                this._runComputation(message);
+                break;
+            case 'invalidate':
+                for (const key of message.keys) {
+                    if (this._local) this._local.del(key);
+                    this.emit('invalidate', key);
+                }
+                break;
+            case 'flush':
+                if (this._local) this._local.flush();
+                this.emit('flush');
+                break;
+        }
+    }
+
+    /**
+     * Run the function of one of our wrap() requests for the primary
+     * @private
+     * @param {{id: number, computeId: number}} message
+     */
+    _runComputation({ id, computeId }) {
+        const wrap = this._wraps.get(id);
+        if (!wrap) {
+            this._send({ type: 'computed', computeId, error: serializeError(new Error('[SimpleCache] wrap() request is no longer active')) });
+            return;
+        }
+
+        wrap.computing = true;
+        Promise.resolve()
+            .then(() => wrap.fn())
+            .then(
+                (value) => this._send({ type: 'computed', computeId, value }),
+                (err) => this._send({ type: 'computed', computeId, error: serializeError(err) })
+            )
+            .finally(() => {
+                wrap.computing = false;
+                if (wrap.responded) this._wraps.delete(id);
+            });
+    }
+
+    /**
+     * Ask the primary for change notifications
+     * @private
+     */
+    _subscribe() {
+        if (this._subscribed || this._closed) return;
+        this._subscribed = true;
+        this._send({ type: 'subscribe' });
+    }
+
+    /**
+     * @private
+     * @param {Error} err
+     */
+    _rejectAll(err) {
+        for (const request of this._requests.values()) {
+            if (request.timer) clearTimeout(request.timer);
+            request.reject(err);
+        }
+        this._requests.clear();
+    }
+}
+
+// Promise-returning proxies for the remaining cache methods
+for (const method of METHODS) {
+    if (method === 'get') continue;
+
+    ClusterClient.prototype[method] = function (...args) {
+        // Again once answered: a get() sent before this call may have stored the old value meanwhile
+        this._dropLocal(method, args);
+        const dropAgain = () => this._dropLocal(method, args);
+        return this._call(method, args).finally(dropAgain);
+    };
+}
+
+/**
+ * Share a cache with cluster workers (call in the primary)
+ * @param {SimpleCache} cache
+ * @param {object} [options] - See ClusterHost
+ * @returns {ClusterHost}
+ */
+function serveCluster(cache, options) {
+    return new ClusterHost(cache, options);
+}
+
+/**
+ * Connect to the cache shared by the primary (call in a worker)
+ * @param {object} [options] - See ClusterClient
+ * @returns {ClusterClient}
+ */
+function connectCluster(options) {
+    return new ClusterClient(options);
+}
+
+module.exports = {
+    ClusterHost,
+    ClusterClient,
+    serveCluster,
+    connectCluster
+};
@@ -0,0 +1,164 @@
+// simple-cache-id
+// zlib compression for persisted files (built-in, no dependencies)
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+// Threadpool variants for the non-blocking persistence path
+const gzipAsync = promisify(zlib.gzip);
+const gunzipAsync = promisify(zlib.gunzip);
+const deflateAsync = promisify(zlib.deflate);
+const inflateAsync = promisify(zlib.inflate);
+const brotliCompressAsync = promisify(zlib.brotliCompress);
+const brotliDecompressAsync = promisify(zlib.brotliDecompress);
+
+/**
+ * Supported algorithms, keyed by option name.
+ * `id` is what the SDB header stores, so it must never change for an existing algorithm.
+ * @type {Object<string, {id: number, maxLevel: number, compress: function(Buffer, number): Buffer, decompress: function(Buffer): Buffer, compressAsync: function(Buffer, number): Promise<Buffer>, decompressAsync: function(Buffer): Promise<Buffer>}>}
+ */
+const ALGORITHMS = {
+    gzip: {
+        id: 1,
+        maxLevel: 9,
+        compress: (buffer, level) => zlib.gzipSync(buffer, { level }),
+        decompress: (buffer) => zlib.gunzipSync(buffer),
+        compressAsync: (buffer, level) => gzipAsync(buffer, { level }),
+        decompressAsync: (buffer) => gunzipAsync(buffer)
+    },
+    deflate: {
+        id: 2,
+        maxLevel: 9,
+        compress: (buffer, level) => zlib.deflateSync(buffer, { level }),
+        decompress: (buffer) => zlib.inflateSync(buffer),
+        compressAsync: (buffer, level) => deflateAsync(buffer, { level }),
+        decompressAsync: (buffer) => inflateAsync(buffer)
+    },
+    brotli: {
+        id: 3,
+        maxLevel: 11,
+        compress: (buffer, level) => zlib.brotliCompressSync(buffer, {
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level }
+        }),
+        decompress: (buffer) => zlib.brotliDecompressSync(buffer),
+        compressAsync: (buffer, level) => brotliCompressAsync(buffer, {
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level }
+        }),
+        decompressAsync: (buffer) => brotliDecompressAsync(buffer)
+    }
+};
+
+/** @type {number} - Payloads smaller than this (bytes) are stored uncompressed by default */
+const DEFAULT_THRESHOLD = 1024;
+
+/**
+ * @typedef {object} CompressOptions
+ * @property {'gzip'|'brotli'|'deflate'} algorithm
+ * @property {number} level - -1 = zlib default for gzip/deflate, 0-11 quality for brotli
+ * @property {number} threshold - Minimum size in bytes before compressing
+ * @property {'file'|'value'} mode - Compress the whole record section or each value separately
+ */
+
+/**
+ * Normalize the `compress` constructor option.
+ * Accepts `true` (gzip), an algorithm name or `{ algorithm, level, threshold, mode }`.
+ * @param {boolean|string|Partial<CompressOptions>} [option]
+ * @returns {CompressOptions|null} - null when compression is disabled
+ */
+function parseCompressOptions(option) {
+    if (!option) return null;
+
+    const options = typeof option === 'object' ? option : { algorithm: option === true ? 'gzip' : option };
+    const algorithm = options.algorithm || 'gzip';
+    const spec = ALGORITHMS[algorithm];
+
+    if (!spec) {
+        throw new Error(`[SimpleCache] Invalid compress algorithm "${algorithm}" (expected one of: ${Object.keys(ALGORITHMS).join(', ')})`);
+    }
+
+    const mode = options.mode || 'file';
+    if (mode !== 'file' && mode !== 'value') {
+        throw new Error(`[SimpleCache] Invalid compress mode "${mode}" (expected one of: file, value)`);
+    }
+
+    let level = options.level;
+    if (level === undefined) {
+        level = algorithm === 'brotli' ? zlib.constants.BROTLI_DEFAULT_QUALITY : zlib.constants.Z_DEFAULT_COMPRESSION;
+    } else if (!Number.isInteger(level) || level < (algorithm === 'brotli' ? 0 : -1) || level > spec.maxLevel) {
+        throw new Error(`[SimpleCache] Invalid compress level ${level} for ${algorithm}`);
+    }
+
+    const threshold = options.threshold === undefined ? DEFAULT_THRESHOLD : options.threshold;
+
+    return { algorithm, level, threshold, mode };
+}
+
+/**
+ * Compress a buffer
+ * @param {CompressOptions} options
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function compress(options, buffer) {
+    return ALGORITHMS[options.algorithm].compress(buffer, options.level);
+}
+
+/**
+ * Decompress a buffer written with the algorithm stored under `id`
+ * @param {number} id - Algorithm id from the file header
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function decompress(id, buffer) {
+    return algorithmForId(id).decompress(buffer);
+}
+
+/**
+ * compress() on the zlib threadpool
+ * @param {CompressOptions} options
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer>}
+ */
+function compressAsync(options, buffer) {
+    return ALGORITHMS[options.algorithm].compressAsync(buffer, options.level);
+}
+
+/**
+ * decompress() on the zlib threadpool
+ * @param {number} id - Algorithm id from the file header
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer>}
+ */
+async function decompressAsync(id, buffer) {
+    return algorithmForId(id).decompressAsync(buffer);
+}
+
+/**
+ * @private
+ * @param {number} id
+ */
+function algorithmForId(id) {
+    const spec = Object.values(ALGORITHMS).find((candidate) => candidate.id === id);
+    if (!spec) {
+        throw new Error(`Unknown compression algorithm id: ${id}`);
+    }
+    return spec;
+}
+
+/**
+ * Header id of an algorithm
+ * @param {string} algorithm
+ * @returns {number}
+ */
+function algorithmId(algorithm) {
+    return ALGORITHMS[algorithm].id;
+}
+
+module.exports = {
+    parseCompressOptions,
+    compress,
+    decompress,
+    compressAsync,
+    decompressAsync,
+    algorithmId
+};
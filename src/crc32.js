@@ -0,0 +1,30 @@
+// simple-cache-id
+// CRC-32 (IEEE 802.3) checksum, used by the SDB file format
+
+/** @type {Int32Array} */
+const TABLE = new Int32Array(256);
+
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    TABLE[n] = c;
+}
+
+/**
+ * Compute the CRC-32 of a byte range
+ * @param {Buffer} buffer
+ * @param {number} [start=0]
+ * @param {number} [end=buffer.length]
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+function crc32(buffer, start = 0, end = buffer.length) {
+    let crc = -1;
+    for (let i = start; i < end; i++) {
+        crc = TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+module.exports = crc32;
@@ -0,0 +1,108 @@
+// simple-cache-id
+// AES-256-GCM encryption for persisted files (node:crypto, no dependencies)
+
+const crypto = require('crypto');
+
+/** @type {string} */
+const ALGORITHM = 'aes-256-gcm';
+
+/** @type {number} - Key length in bytes */
+const KEY_LENGTH = 32;
+
+/** @type {number} - GCM nonce length in bytes */
+const IV_LENGTH = 12;
+
+/** @type {number} - GCM authentication tag length in bytes */
+const TAG_LENGTH = 16;
+
+/**
+ * Convert a key to a 32-byte Buffer.
+ * Accepts a Buffer / Uint8Array or a hex / base64 string.
+ * @param {Buffer|Uint8Array|string} key
+ * @returns {Buffer}
+ */
+function normalizeKey(key) {
+    let buffer = null;
+
+    if (Buffer.isBuffer(key) || key instanceof Uint8Array) {
+        buffer = Buffer.from(key);
+    } else if (typeof key === 'string') {
+        buffer = /^[0-9a-f]+$/i.test(key) && key.length === KEY_LENGTH * 2
+            ? Buffer.from(key, 'hex')
+            : Buffer.from(key, 'base64');
+    }
+
+    if (buffer === null || buffer.length !== KEY_LENGTH) {
+        throw new Error(`[SimpleCache] encryptionKey must be ${KEY_LENGTH} bytes (Buffer, hex or base64 string)`);
+    }
+    return buffer;
+}
+
+/**
+ * Resolve the `encryptionKey` option to a list of keys.
+ * The first key encrypts, every key is tried for decryption (key rotation).
+ * @param {any} option - Key, list of keys, or a function returning either
+ * @returns {Buffer[]} - Empty when encryption is disabled
+ */
+function resolveKeys(option) {
+    const value = typeof option === 'function' ? option() : option;
+    if (!value) return [];
+
+    const keys = Array.isArray(value) ? value : [value];
+    return keys.map(normalizeKey);
+}
+
+/**
+ * Encrypt a payload.
+ * Output layout: IV (12 bytes) + auth tag (16 bytes) + ciphertext
+ * @param {Buffer} key
+ * @param {Buffer} plaintext
+ * @param {Buffer} aad - Additional data authenticated with the payload (the file header)
+ * @returns {Buffer}
+ */
+function encrypt(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(aad);
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt a payload written by encrypt(), trying each key in turn.
+ * Throws an error with code `ERR_SDB_AUTH` if no key authenticates it.
+ * @param {Buffer[]} keys
+ * @param {Buffer} payload
+ * @param {Buffer} aad
+ * @returns {{plaintext: Buffer, keyIndex: number}}
+ */
+function decrypt(keys, payload, aad) {
+    if (payload.length >= IV_LENGTH + TAG_LENGTH) {
+        const iv = payload.subarray(0, IV_LENGTH);
+        const tag = payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+        const ciphertext = payload.subarray(IV_LENGTH + TAG_LENGTH);
+
+        for (let i = 0; i < keys.length; i++) {
+            try {
+                const decipher = crypto.createDecipheriv(ALGORITHM, keys[i], iv, { authTagLength: TAG_LENGTH });
+                decipher.setAAD(aad);
+                decipher.setAuthTag(tag);
+                const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+                return { plaintext, keyIndex: i };
+            } catch (err) {
+                // Wrong key or tampered data, try the next key
+            }
+        }
+    }
+
+    const err = new Error('Encrypted SDB file failed authentication (tampered or no matching key)');
+    err.code = 'ERR_SDB_AUTH';
+    throw err;
+}
+
+module.exports = {
+    resolveKeys,
+    encrypt,
+    decrypt
+};
@@ -0,0 +1,21 @@
+// simple-cache-id
+// Building result objects keyed by cache keys
+
+/**
+ * Set `object[key] = value` as an own property for any key.
+ * Plain assignment of `__proto__` would change the object's prototype instead of storing the value.
+ * @param {object} object
+ * @param {string} key
+ * @param {any} value
+ */
+function setEntry(object, key, value) {
+    if (key === '__proto__') {
+        Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+    } else {
+        object[key] = value;
+    }
+}
+
+module.exports = {
+    setEntry
+};
@@ -0,0 +1,639 @@
+// simple-cache-id
+// Disk-resident storage backend: values stay in a record file, only the key index is in memory
+
+const fs = require('fs');
+const path = require('path');
+const crc32 = require('./crc32');
+const sdb = require('./sdb');
+const compression = require('./compression');
+const { parseCompressOptions } = require('./compression');
+const { createSerializer, serializerForId } = require('./serializer');
+const { FSYNC_POLICIES } = require('./aof');
+const { FileLock } = require('./lock');
+
+/** @type {number} */
+const VERSION = 1;
+
+/** @type {number} */
+const HEADER_SIZE = 12;
+
+/** @type {Object<string, number>} - Operation codes stored in each record */
+const OPS = { set: 1, del: 2, expire: 3 };
+
+/** @type {string[]} - Algorithms a file header can name */
+const COMPRESS_ALGORITHMS = ['gzip', 'deflate', 'brotli'];
+
+/** @type {number} - Record framing: length (4) + op (1) + CRC (4) */
+const RECORD_OVERHEAD = 9;
+
+/**
+ * @typedef {object} IndexEntry
+ * @property {number} offset - Position of the record body in the file
+ * @property {number} length - Body length in bytes
+ * @property {number} expiryTime - Current expiry (ms, 0 = permanent), may be newer than the body's
+ * @property {number} ttl - Current original TTL in seconds
+ * @property {string[]} tags
+ */
+
+/**
+ * Storage backend that keeps entries on disk, for caches larger than memory.
+ *
+ * Every change is appended to one record file; an in-memory index maps each key to the
+ * position of its latest value, so a read is a single positioned read, and each tag to its
+ * keys, so invalidating a tag does not read the file. Overwritten and deleted records are
+ * garbage until compaction copies the live records to a new file.
+ *
+ * Header (12 bytes)
+ * - Magic: "SDF" (3 bytes)
+ * - Version: 0x01 (1 byte)
+ * - Serializer: uint8 (codec id)
+ * - Compression: uint8 (algorithm id for compressed values, 0 = none)
+ * - Reserved: (2 bytes)
+ * - Header CRC32: uint32 LE (4 bytes, over the previous 8 bytes)
+ *
+ * Record (appended per change)
+ * - Body Length: uint32 LE (4 bytes)
+ * - Op: uint8 (set / del / expire)
+ * - Body:
+ *   - set: SDB v2 record body
+ *   - del: Key (UTF-8)
+ *   - expire: Expiry Time BigInt64 LE + Original TTL double LE + Key (UTF-8)
+ * - CRC32: uint32 LE (4 bytes, over op and body)
+ *
+ * The serializer and compression are fixed when the file is created; an existing file keeps its own.
+ * @class FileBackend
+ */
+class FileBackend {
+    /**
+     * @param {string} filePath
+     * @param {object} [options]
+     * @param {'json'|'structured'|'v8'} [options.serializer='json'] - Codec for values (new files only)
+     * @param {Object<string, Function|object>} [options.types] - Custom classes for the structured serializer
+     * @param {boolean|string|object} [options.compress=false] - Compress each value above the threshold (new files only)
+     * @param {'always'|'everysec'|'never'} [options.fsync='everysec'] - When writes are flushed to disk
+     * @param {number} [options.compactRatio=1] - Compact when garbage exceeds this multiple of the live data
+     * @param {number} [options.compactMinSize=1048576] - Never compact with less garbage than this many bytes
+     * @param {'fail'|'wait'|false} [options.lock='fail'] - Cross-process lock on the file
+     * @param {number} [options.lockTimeout=10] - How long lock: 'wait' waits, in seconds
+     * @param {number} [options.lockStale=30] - Seconds without heartbeat after which a lock is taken over
+     * @param {function(Error): void} [options.onError] - Background fsync / compaction failures (default: console.error)
+     */
+    constructor(filePath, options = {}) {
+        /** @type {string} */
+        this.path = filePath;
+
+        /** @type {'always'|'everysec'|'never'} */
+        this.fsync = options.fsync || 'everysec';
+
+        if (!FSYNC_POLICIES.includes(this.fsync)) {
+            throw new Error(`[SimpleCache] Invalid fsync "${this.fsync}" (expected one of: ${FSYNC_POLICIES.join(', ')})`);
+        }
+
+        /** @type {number} */
+        this.compactRatio = options.compactRatio || 1;
+
+        /** @type {number} */
+        this.compactMinSize = options.compactMinSize === undefined ? 1024 * 1024 : options.compactMinSize;
+
+        /** @type {function(Error): void} */
+        this.onError = options.onError || ((err) => console.error('FileBackend:', err.message));
+
+        /** @type {import('./compression').CompressOptions|null} - Per-value compression (file mode is not supported) */
+        this._compress = parseCompressOptions(options.compress);
+
+        /** @type {import('./serializer').Codec} */
+        this._serializer = createSerializer(options.serializer, options.types);
+
+        /** @type {number} - Algorithm id written to / read from the header */
+        this._algorithm = this._compress ? compression.algorithmId(this._compress.algorithm) : 0;
+
+        /** @type {Map<string, IndexEntry>} */
+        this._index = new Map();
+
+        /** @type {Map<string, Set<string>>} - Keys per tag */
+        this._tagged = new Map();
+
+        /** @type {number|null} */
+        this._fd = null;
+
+        /** @type {number} - File size in bytes (next write position) */
+        this._size = 0;
+
+        /** @type {number} - Bytes of records that no longer describe a live entry */
+        this._garbage = 0;
+
+        /** @type {boolean} - Written since the last fsync */
+        this._dirty = false;
+
+        /** @type {number} - Records dropped on open because they were corrupt or truncated */
+        this.skipped = 0;
+
+        /** @type {NodeJS.Immediate|null} */
+        this._compactImmediate = null;
+
+        /** @type {NodeJS.Timeout|null} */
+        this._syncInterval = null;
+
+        /** @type {FileLock|null} */
+        this._lock = null;
+
+        const lock = options.lock === undefined ? 'fail' : options.lock;
+        if (lock !== false && lock !== 'fail' && lock !== 'wait') {
+            throw new Error(`[SimpleCache] Invalid lock "${lock}" for FileBackend (expected one of: fail, wait, false)`);
+        }
+        if (lock) {
+            this._lock = new FileLock(filePath + '.lock', { stale: options.lockStale, onLost: this.onError });
+            this._lock.acquireSync({ wait: lock === 'wait', timeout: options.lockTimeout });
+        }
+
+        try {
+            this._open();
+        } catch (err) {
+            if (this._lock) this._lock.release();
+            throw err;
+        }
+
+        if (this.fsync === 'everysec') {
+            this._syncInterval = setInterval(() => {
+                try {
+                    this.sync();
+                } catch (err) {
+                    this.onError(err);
+                }
+            }, 1000);
+            if (this._syncInterval.unref) {
+                this._syncInterval.unref();
+            }
+        }
+    }
+
+    /**
+     * @returns {number} - Number of entries (expired ones included until they are deleted or compacted away)
+     */
+    get size() {
+        return this._index.size;
+    }
+
+    /**
+     * Whether a key exists and is not expired (answered from the index, no disk read)
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        const location = this._index.get(key);
+        return location !== undefined && (location.expiryTime === 0 || Date.now() < location.expiryTime);
+    }
+
+    /**
+     * @param {string} key
+     * @returns {import('./sdb').SdbEntry|undefined}
+     */
+    get(key) {
+        const location = this._index.get(key);
+        if (!location) return undefined;
+
+        const body = Buffer.alloc(location.length);
+        fs.readSync(this._fd, body, 0, location.length, location.offset);
+
+        const entry = sdb.decodeBody(body, this._algorithm, this._serializer);
+        entry.expiryTime = location.expiryTime;
+        entry.ttl = location.ttl;
+        return entry;
+    }
+
+    /**
+     * @param {string} key
+     * @param {import('./sdb').SdbEntry} entry
+     */
+    set(key, entry) {
+        const body = sdb.encodeBody({ ...entry, key }, this._compress, this._serializer);
+        const offset = this._append(OPS.set, body);
+
+        this._replace(key, { offset, length: body.length, expiryTime: entry.expiryTime || 0, ttl: entry.ttl || 0, tags: entry.tags || [] });
+        this._maybeCompact();
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    del(key) {
+        if (!this._index.has(key)) return false;
+
+        const body = Buffer.from(key, 'utf8');
+        this._append(OPS.del, body);
+        this._replace(key, null);
+        this._garbage += body.length + RECORD_OVERHEAD;
+        this._maybeCompact();
+        return true;
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} expiryTime - Timestamp in ms, 0 = permanent
+     * @param {number} ttl - Original TTL in seconds
+     */
+    expire(key, expiryTime, ttl) {
+        const location = this._index.get(key);
+        if (!location) return;
+
+        const keyBuf = Buffer.from(key, 'utf8');
+        const body = Buffer.alloc(16 + keyBuf.length);
+        body.writeBigInt64LE(BigInt(expiryTime), 0);
+        body.writeDoubleLE(ttl, 8);
+        keyBuf.copy(body, 16);
+
+        this._append(OPS.expire, body);
+        location.expiryTime = expiryTime;
+        location.ttl = ttl;
+        this._garbage += body.length + RECORD_OVERHEAD;
+        this._maybeCompact();
+    }
+
+    /**
+     * Iterate over every entry, reading values from disk one at a time
+     * @returns {IterableIterator<import('./sdb').SdbEntry>}
+     */
+    *iterate() {
+        for (const key of [...this._index.keys()]) {
+            const entry = this.get(key);
+            if (entry) yield entry;
+        }
+    }
+
+    /**
+     * Keys that are not expired (answered from the index, no disk reads)
+     * @returns {string[]}
+     */
+    keys() {
+        const now = Date.now();
+        const keys = [];
+        for (const [key, { expiryTime }] of this._index) {
+            if (expiryTime === 0 || now < expiryTime) keys.push(key);
+        }
+        return keys;
+    }
+
+    /**
+     * Keys tagged with any of the tags (answered from the index, expired keys included)
+     * @param {string[]} tags
+     * @returns {string[]}
+     */
+    keysByTag(tags) {
+        const keys = new Set();
+        for (const tag of tags) {
+            const tagged = this._tagged.get(tag);
+            if (!tagged) continue;
+            for (const key of tagged) keys.add(key);
+        }
+        return [...keys];
+    }
+
+    /**
+     * Remove every entry (starts a new, empty file)
+     */
+    clear() {
+        this._rewrite([]);
+    }
+
+    /**
+     * Flush written records to disk
+     */
+    sync() {
+        if (this._fd !== null && this._dirty) {
+            fs.fsyncSync(this._fd);
+            this._dirty = false;
+        }
+    }
+
+    /**
+     * Copy the live, non-expired records to a new file and drop the garbage
+     */
+    compact() {
+        this._compactImmediate = null;
+        if (this._fd === null) return;
+
+        const now = Date.now();
+        const live = [];
+        for (const [key, location] of this._index) {
+            if (location.expiryTime === 0 || now < location.expiryTime) live.push([key, location]);
+        }
+        this._rewrite(live);
+    }
+
+    /**
+     * Close the file (synced first unless fsync is 'never') and release the lock
+     */
+    close() {
+        if (this._syncInterval) {
+            clearInterval(this._syncInterval);
+            this._syncInterval = null;
+        }
+        if (this._compactImmediate) {
+            clearImmediate(this._compactImmediate);
+            this._compactImmediate = null;
+        }
+
+        try {
+            if (this._fd !== null) {
+                if (this.fsync !== 'never') this.sync();
+                fs.closeSync(this._fd);
+            }
+        } finally {
+            this._fd = null;
+            this._index.clear();
+            this._tagged.clear();
+            if (this._lock) this._lock.release();
+        }
+    }
+
+    /**
+     * Open (or create) the file and build the index
+     * @private
+     */
+    _open() {
+        if (!fs.existsSync(this.path)) {
+            this._rewrite([]);
+            return;
+        }
+
+        this._fd = fs.openSync(this.path, 'r+');
+        this._size = fs.fstatSync(this._fd).size;
+
+        const header = Buffer.alloc(HEADER_SIZE);
+        if (this._size < HEADER_SIZE || fs.readSync(this._fd, header, 0, HEADER_SIZE, 0) < HEADER_SIZE ||
+            header.toString('ascii', 0, 3) !== 'SDF') {
+            fs.closeSync(this._fd);
+            this._fd = null;
+            throw new Error(`Invalid file backend format: ${this.path}`);
+        }
+        if (header.readUInt8(3) !== VERSION) {
+            fs.closeSync(this._fd);
+            this._fd = null;
+            throw new Error(`Unsupported file backend version: ${header.readUInt8(3)}`);
+        }
+        if (header.readUInt32LE(8) !== crc32(header, 0, 8)) {
+            fs.closeSync(this._fd);
+            this._fd = null;
+            throw new Error(`File backend header is corrupt: ${this.path}`);
+        }
+
+        // The file's own settings win over the options
+        this._serializer = serializerForId(header.readUInt8(4), this._serializer);
+        this._algorithm = header.readUInt8(5);
+        if (this._algorithm === 0) {
+            this._compress = null;
+        } else if (!this._compress || compression.algorithmId(this._compress.algorithm) !== this._algorithm) {
+            const algorithm = COMPRESS_ALGORITHMS.find((name) => compression.algorithmId(name) === this._algorithm);
+            if (!algorithm) {
+                fs.closeSync(this._fd);
+                this._fd = null;
+                throw new Error(`Unknown compression algorithm id: ${this._algorithm}`);
+            }
+            this._compress = parseCompressOptions({ algorithm, mode: 'value' });
+        }
+
+        this._scan();
+    }
+
+    /**
+     * Replay the records into the index. A torn record at the end (crash mid-write) is cut off
+     * so new records start at a clean boundary; records with a bad checksum are skipped.
+     * @private
+     */
+    _scan() {
+        const prefix = Buffer.alloc(5);
+        let offset = HEADER_SIZE;
+
+        while (offset < this._size) {
+            if (offset + RECORD_OVERHEAD > this._size) break;
+
+            fs.readSync(this._fd, prefix, 0, 5, offset);
+            const length = prefix.readUInt32LE(0);
+            const recordLength = length + RECORD_OVERHEAD;
+            if (offset + recordLength > this._size) break;
+
+            const record = Buffer.alloc(recordLength);
+            fs.readSync(this._fd, record, 0, recordLength, offset);
+
+            const bodyOffset = offset + 5;
+            offset += recordLength;
+
+            if (record.readUInt32LE(5 + length) !== crc32(record, 4, 5 + length)) {
+                this.skipped++;
+                this._garbage += recordLength;
+                continue;
+            }
+
+            const op = record.readUInt8(4);
+            const body = record.subarray(5, 5 + length);
+
+            try {
+                if (op === OPS.set) {
+                    const { key, expiryTime, ttl, tags } = sdb.decodeBodyHeader(body);
+                    this._replace(key, { offset: bodyOffset, length, expiryTime, ttl, tags });
+                } else if (op === OPS.del) {
+                    this._replace(body.toString('utf8'), null);
+                    this._garbage += recordLength;
+                } else if (op === OPS.expire) {
+                    const location = this._index.get(body.toString('utf8', 16));
+                    if (location) {
+                        location.expiryTime = Number(body.readBigInt64LE(0));
+                        location.ttl = body.readDoubleLE(8);
+                    }
+                    this._garbage += recordLength;
+                } else {
+                    throw new Error(`Unknown file backend operation: ${op}`);
+                }
+            } catch (err) {
+                this.skipped++;
+                this._garbage += recordLength;
+            }
+        }
+
+        if (offset < this._size) {
+            this.skipped++;
+            fs.ftruncateSync(this._fd, offset);
+            this._size = offset;
+        }
+    }
+
+    /**
+     * Point a key at a new record (or remove it), counting the old record as garbage
+     * @private
+     * @param {string} key
+     * @param {IndexEntry|null} location
+     */
+    _replace(key, location) {
+        const previous = this._index.get(key);
+        if (previous) {
+            this._garbage += previous.length + RECORD_OVERHEAD;
+            this._untag(key, previous.tags);
+        }
+
+        if (location) {
+            this._index.set(key, location);
+            this._tag(key, location.tags);
+        } else {
+            this._index.delete(key);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     * @param {string[]} tags
+     */
+    _tag(key, tags) {
+        for (const tag of tags) {
+            let tagged = this._tagged.get(tag);
+            if (!tagged) {
+                tagged = new Set();
+                this._tagged.set(tag, tagged);
+            }
+            tagged.add(key);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     * @param {string[]} tags
+     */
+    _untag(key, tags) {
+        for (const tag of tags) {
+            const tagged = this._tagged.get(tag);
+            if (!tagged) continue;
+            tagged.delete(key);
+            if (tagged.size === 0) this._tagged.delete(tag);
+        }
+    }
+
+    /**
+     * Append a record
+     * @private
+     * @param {number} op
+     * @param {Buffer} body
+     * @returns {number} - File position of the body
+     */
+    _append(op, body) {
+        if (this._fd === null) {
+            throw new Error('File backend is closed');
+        }
+
+        const record = encodeRecord(op, body);
+        fs.writeSync(this._fd, record, 0, record.length, this._size);
+
+        const bodyOffset = this._size + 5;
+        this._size += record.length;
+        this._dirty = true;
+
+        if (this.fsync === 'always') {
+            this.sync();
+        }
+        return bodyOffset;
+    }
+
+    /**
+     * Schedule a compaction on the next event loop turn once garbage outgrows the live data
+     * @private
+     */
+    _maybeCompact() {
+        if (this._compactImmediate || this._garbage <= this.compactMinSize) return;
+
+        const live = this._size - HEADER_SIZE - this._garbage;
+        if (this._garbage <= live * this.compactRatio) return;
+
+        this._compactImmediate = setImmediate(() => {
+            try {
+                this.compact();
+            } catch (err) {
+                this.onError(err);
+            }
+        });
+        if (this._compactImmediate.unref) {
+            this._compactImmediate.unref();
+        }
+    }
+
+    /**
+     * Write a new file with the given records (copied from the current file) and switch to it.
+     * Written next to the old file and renamed, so a crash leaves either file intact.
+     * @private
+     * @param {Array<[string, IndexEntry]>} live
+     */
+    _rewrite(live) {
+        const header = Buffer.alloc(HEADER_SIZE);
+        header.write('SDF', 0, 'ascii');
+        header.writeUInt8(VERSION, 3);
+        header.writeUInt8(this._serializer.id, 4);
+        header.writeUInt8(this._algorithm, 5);
+        header.writeUInt32LE(crc32(header, 0, 8), 8);
+
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+        const tempPath = this.path + '.tmp';
+        const fd = fs.openSync(tempPath, 'w');
+        const index = new Map();
+        let size = 0;
+
+        try {
+            fs.writeSync(fd, header, 0, HEADER_SIZE, 0);
+            size = HEADER_SIZE;
+
+            for (const [key, location] of live) {
+                let body = Buffer.alloc(location.length);
+                fs.readSync(this._fd, body, 0, location.length, location.offset);
+
+                // Fold a later expire record into the value record
+                const stored = sdb.decodeBodyHeader(body);
+                if (stored.expiryTime !== location.expiryTime || stored.ttl !== location.ttl) {
+                    const entry = sdb.decodeBody(body, this._algorithm, this._serializer);
+                    body = sdb.encodeBody({ ...entry, expiryTime: location.expiryTime, ttl: location.ttl }, this._compress, this._serializer);
+                }
+
+                const record = encodeRecord(OPS.set, body);
+                fs.writeSync(fd, record, 0, record.length, size);
+                index.set(key, { offset: size + 5, length: body.length, expiryTime: location.expiryTime, ttl: location.ttl, tags: location.tags });
+                size += record.length;
+            }
+
+            if (this.fsync !== 'never') fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        fs.renameSync(tempPath, this.path);
+
+        if (this._fd !== null) {
+            fs.closeSync(this._fd);
+        }
+        this._fd = fs.openSync(this.path, 'r+');
+        this._index = index;
+        this._tagged.clear();
+        for (const [key, { tags }] of index) {
+            this._tag(key, tags);
+        }
+        this._size = size;
+        this._garbage = 0;
+        this._dirty = false;
+    }
+}
+
+/**
+ * Frame a record: length + op + body + CRC32 (over op and body)
+ * @private
+ * @param {number} op
+ * @param {Buffer} body
+ * @returns {Buffer}
+ */
+function encodeRecord(op, body) {
+    const record = Buffer.alloc(body.length + RECORD_OVERHEAD);
+    record.writeUInt32LE(body.length, 0);
+    record.writeUInt8(op, 4);
+    body.copy(record, 5);
+    record.writeUInt32LE(crc32(record, 4, 5 + body.length), 5 + body.length);
+    return record;
+}
+
+module.exports = FileBackend;
@@ -0,0 +1,63 @@
+// simple-cache-id
+// Minimal glob matching for key patterns
+
+/**
+ * Convert a glob pattern to an anchored RegExp.
+ * Supports `*` (any run of characters), `?` (one character), `[abc]` / `[a-z]` / `[!a]`
+ * character classes and `\` to escape the next character.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\' && i + 1 < pattern.length) {
+            source += escapeRegExp(pattern[++i]);
+        } else if (char === '*') {
+            source += '[\\s\\S]*';
+        } else if (char === '?') {
+            source += '[\\s\\S]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+
+            let body = pattern.slice(i + 1, end);
+            const negate = body[0] === '!' || body[0] === '^';
+            if (negate) body = body.slice(1);
+
+            source += (negate ? '[^' : '[') + body.replace(/[\\\]]/g, '\\$&') + ']';
+            i = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Escape glob special characters so a string matches literally
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeGlob(text) {
+    return text.replace(/[\\*?[\]]/g, '\\$&');
+}
+
+/**
+ * Escape RegExp special characters
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+module.exports = { globToRegExp, escapeGlob };
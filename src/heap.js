@@ -0,0 +1,146 @@
+// simple-cache-id
+// Binary min-heap of expiry timestamps
+
+/**
+ * @class ExpiryHeap
+ * @classdesc Min-heap of `(time, key)` pairs ordered by time.
+ * Updates are lazy: a key whose expiry changes simply gets a new node,
+ * and outdated nodes are recognized (and skipped) by the caller when popped.
+ */
+class ExpiryHeap {
+    constructor() {
+        /** @type {number[]} */
+        this._times = [];
+
+        /** @type {string[]} */
+        this._keys = [];
+    }
+
+    /**
+     * Number of nodes (including outdated ones)
+     * @returns {number}
+     */
+    get size() {
+        return this._times.length;
+    }
+
+    /**
+     * Time of the earliest node, or Infinity if empty
+     * @returns {number}
+     */
+    peekTime() {
+        return this._times.length > 0 ? this._times[0] : Infinity;
+    }
+
+    /**
+     * Add a node
+     * @param {number} time - Timestamp in ms
+     * @param {string} key
+     */
+    push(time, key) {
+        this._times.push(time);
+        this._keys.push(key);
+        this._siftUp(this._times.length - 1);
+    }
+
+    /**
+     * Remove and return the earliest node
+     * @returns {{time: number, key: string}|undefined}
+     */
+    pop() {
+        const count = this._times.length;
+        if (count === 0) return undefined;
+
+        const time = this._times[0];
+        const key = this._keys[0];
+
+        const lastTime = this._times.pop();
+        const lastKey = this._keys.pop();
+        if (count > 1) {
+            this._times[0] = lastTime;
+            this._keys[0] = lastKey;
+            this._siftDown(0);
+        }
+
+        return { time, key };
+    }
+
+    /**
+     * Replace all nodes at once (used to drop outdated nodes)
+     * @param {Iterable<[string, number]>} entries - `[key, time]` pairs
+     */
+    rebuild(entries) {
+        this._times = [];
+        this._keys = [];
+        for (const [key, time] of entries) {
+            this._times.push(time);
+            this._keys.push(key);
+        }
+
+        // Heapify bottom-up: O(n)
+        for (let i = (this._times.length >> 1) - 1; i >= 0; i--) {
+            this._siftDown(i);
+        }
+    }
+
+    /**
+     * Remove all nodes
+     */
+    clear() {
+        this._times = [];
+        this._keys = [];
+    }
+
+    /**
+     * @private
+     * @param {number} index
+     */
+    _siftUp(index) {
+        const times = this._times;
+        const keys = this._keys;
+        const time = times[index];
+        const key = keys[index];
+
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (times[parent] <= time) break;
+
+            times[index] = times[parent];
+            keys[index] = keys[parent];
+            index = parent;
+        }
+
+        times[index] = time;
+        keys[index] = key;
+    }
+
+    /**
+     * @private
+     * @param {number} index
+     */
+    _siftDown(index) {
+        const times = this._times;
+        const keys = this._keys;
+        const count = times.length;
+        const time = times[index];
+        const key = keys[index];
+
+        for (;;) {
+            const left = index * 2 + 1;
+            if (left >= count) break;
+
+            const right = left + 1;
+            const child = right < count && times[right] < times[left] ? right : left;
+            if (times[child] >= time) break;
+
+            times[index] = times[child];
+            keys[index] = keys[child];
+            index = child;
+        }
+
+        times[index] = time;
+        keys[index] = key;
+    }
+}
+
+module.exports = ExpiryHeap;
@@ -1,24 +1,174 @@
 // simple-cache-id
 // Lightweight in-memory cache with default TTL + wrap()
 
-const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const CacheNamespace = require('./namespace');
+const { globToRegExp } = require('./glob');
+const ExpiryHeap = require('./heap');
+const FrequencyIndex = require('./lfu');
+const sdb = require('./sdb');
+const { createSerializer } = require('./serializer');
+const { FileLock, LOCK_MODES } = require('./lock');
+const { MemoryBackend, validateBackend } = require('./backend');
+const SdbBackend = require('./sdb-backend');
+const FileBackend = require('./file-backend');
+const { setEntry } = require('./entries');
+const { InProcessTransport, BroadcastChannelTransport, validateTransport } = require('./sync');
+const SocketTransport = require('./socket-transport');
+
+/** @type {string[]} */
+const EVICTION_POLICIES = ['lru', 'lfu', 'fifo'];
+
+/**
+ * Roughly estimate how many bytes a value occupies in memory
+ * @param {any} value
+ * @returns {number}
+ */
+function estimateSize(value) {
+    switch (typeof value) {
+        case 'string':
+            return value.length * 2;
+        case 'number':
+        case 'bigint':
+            return 8;
+        case 'boolean':
+            return 4;
+        case 'object':
+            if (value === null) return 0;
+            if (Buffer.isBuffer(value)) return value.length;
+            try {
+                return JSON.stringify(value).length * 2;
+            } catch (err) {
+                return 0;
+            }
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Normalize the third argument of set()/wrap(): a TTL number or an options object.
+ * `retain` is how long (seconds) an entry is kept after expiry for stale reads by wrap().
+ * @param {number|{ttl?: number, tags?: string[], staleTtl?: number, staleIfError?: number}} [options]
+ * @returns {{ttl: number|undefined, tags: string[]|undefined, retain: number}}
+ */
+function parseSetOptions(options) {
+    if (options !== null && typeof options === 'object') {
+        return {
+            ttl: options.ttl,
+            tags: options.tags,
+            retain: Math.max(options.staleTtl || 0, options.staleIfError || 0)
+        };
+    }
+    return { ttl: options, tags: undefined, retain: 0 };
+}
+
+/**
+ * Reject if a promise does not settle within the given time.
+ * The original promise keeps running; only this caller stops waiting.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} seconds
+ * @param {string} key - Used in the error message
+ * @returns {Promise<T>}
+ */
+function withTimeout(promise, seconds, key) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`[SimpleCache] wrap() timed out after ${seconds}s for key "${key}"`);
+            err.code = 'ETIMEDOUT';
+            reject(err);
+        }, seconds * 1000);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a fresh set of statistics counters
+ * @returns {object}
+ */
+function createStats() {
+    return {
+        hits: 0,
+        misses: 0,
+        sets: 0,
+        deletes: 0,
+        expired: 0,
+        evicted: 0,
+        wraps: 0,
+        wrapTime: 0,
+        stale: 0,
+        saves: 0,
+        saveErrors: 0,
+        lastSave: null,
+        lastSaveDuration: 0
+    };
+}
 
 /**
  * @class SimpleCache
  * @classdesc A lightweight in-memory cache with default TTL and helper `wrap()`.
+ *
+ * Events:
+ * - `set` (key, value, ttl) - A key was written
+ * - `get` (key, value) - A key was read (value is null on miss)
+ * - `hit` (key, value) / `miss` (key) - Outcome of a read
+ * - `del` (key, value) - A key was deleted manually
+ * - `expired` (key, value) - A key was removed because its TTL elapsed
+ * - `evicted` (key, value) - A key was removed to satisfy maxSize/maxMemory
+ * - `flush` () - All keys were cleared
+ * - `saved` ({ path, entries, bytes, duration }) - Snapshot written to disk
+ * - `loaded` ({ path, entries, bytes, duration, skipped, version, replayed? }) - Snapshot (and log in aof mode) read from disk
+ * - `compacted` ({ path, bytes, duration }) - Append-only log folded into a new snapshot
+ * - `ready` () - Persisted entries are loaded (right away, or after the asynchronous load with asyncIO)
+ * - `error` (err) - Persistence failure (falls back to console.error when nobody listens)
+ * - `refreshError` (key, err) - A wrap() computation failed but a stale value was served instead
+ * @extends EventEmitter
  */
-class SimpleCache {
+class SimpleCache extends EventEmitter {
     /**
      * @param {number} [defaultTtl=0] - Default TTL in seconds (0 = no expiration)
      * @param {object} [options={}] - Configuration options
      * @param {number} [options.checkInterval=5] - Interval to check for expired keys (in seconds)
+     * @param {number} [options.maxExpirePerTick=1000] - Maximum number of expired keys removed per sweep step
      * @param {boolean} [options.persistent=false] - Enable persistent storage to binary file
      * @param {string} [options.name] - Unique name for this cache (required if persistent=true)
      * @param {string} [options.persistPath] - Custom path to binary file (overrides name)
      * @param {number} [options.saveDelay=3] - Debounce delay in seconds (saves N seconds after last change)
+     * @param {number} [options.maxSaveDelay=0] - Upper bound in seconds on how long the debounce can postpone a save (0 = unlimited)
+     * @param {number} [options.autoSaveInterval=0] - Save unsaved changes at least every N seconds (0 = off)
+     * @param {boolean} [options.asyncIO=false] - Load and auto-save with non-blocking fs.promises I/O (wait for `ready` before use)
+     * @param {'fail'|'wait'|'readonly'|false} [options.lock='fail'] - Cross-process lock on the file: throw if another process holds it,
+     *   wait for it, open without writing, or no lock
+     * @param {number} [options.lockTimeout=10] - How long lock: 'wait' waits, in seconds
+     * @param {number} [options.lockStale=30] - Seconds without heartbeat after which another process's lock is taken over
+     * @param {boolean|'gzip'|'brotli'|'deflate'|{algorithm?: 'gzip'|'brotli'|'deflate', level?: number, threshold?: number, mode?: 'file'|'value'}} [options.compress=false] - Compress the binary file with zlib
+     * @param {Buffer|string|Array<Buffer|string>|function(): (Buffer|string|Array<Buffer|string>)} [options.encryptionKey] - AES-256-GCM key(s) for the binary file; the first encrypts, all are tried for decryption
+     * @param {'json'|'structured'|'v8'} [options.serializer='json'] - Codec for persisted values ('structured' round-trips Date, Map, Set, BigInt, Buffer and registered classes)
+     * @param {Object<string, Function|{type: Function, serialize?: function(any): any, deserialize?: function(any): any}>} [options.types] - Custom classes for the structured serializer, by stable name
+     * @param {'snapshot'|'aof'} [options.persistMode='snapshot'] - Rewrite the whole file after changes, or append every change to a log
+     * @param {'always'|'everysec'|'never'} [options.fsync='everysec'] - When the log is flushed to disk (aof only)
+     * @param {number} [options.compactRatio=1] - Compact when the log grows beyond this multiple of the snapshot size (aof only)
+     * @param {number} [options.compactMinSize=1048576] - Never compact a log smaller than this many bytes (aof only)
+     * @param {import('./backend').Backend} [options.backend] - Storage backend, replacing the default SdbBackend built from the options
+     *   above: another backend holds every entry and the cache keeps only hot ones in memory (maxSize / maxMemory bound those),
+     *   an SdbBackend of your own makes the cache persistent with its file
+     * @param {import('./sync').SyncTransport} [options.sync] - Publish del / flush / invalidateTag to other instances through
+     *   this transport and apply theirs
+     * @param {number} [options.maxSize=0] - Maximum number of entries (0 = unlimited)
+     * @param {number} [options.maxMemory=0] - Maximum estimated memory usage in bytes (0 = unlimited)
+     * @param {'lru'|'lfu'|'fifo'} [options.evictionPolicy='lru'] - Which entry to evict when a bound is exceeded
+     * @param {number} [options.negativeTtl=0] - TTL in seconds for null/undefined results of wrap() (0 = use normal TTL)
+     * @param {boolean} [options.slidingTtl=false] - Renew an entry's expiry by its original TTL on every read
+     * @param {number} [options.maxAge=0] - Upper bound in seconds on an entry's lifetime when its expiry is renewed (0 = unlimited)
      */
     constructor(defaultTtl = 0, options = {}) {
+        super();
+
         // Support backward compatibility: if options is a number, treat it as checkInterval
         if (typeof options === 'number') {
             options = { checkInterval: options };
@@ -36,31 +186,168 @@ class SimpleCache {
         /** @type {number} */
         this.checkInterval = options.checkInterval || 5;
 
-        /** @type {boolean} */
-        this.persistent = options.persistent || false;
+        /** @type {number} - Maximum number of expired keys removed per sweep step */
+        this.maxExpirePerTick = options.maxExpirePerTick || 1000;
 
         /** @type {number} - Debounce delay in seconds (time to wait after last change before saving) */
         this.saveDelay = options.saveDelay || 3;
 
+        /** @type {number} - Upper bound in seconds on how long the debounce can postpone a save (0 = unlimited) */
+        this.maxSaveDelay = options.maxSaveDelay || 0;
+
+        /** @type {number} - Save unsaved changes at least every N seconds (0 = off) */
+        this.autoSaveInterval = options.autoSaveInterval || 0;
+
+        /** @type {NodeJS.Immediate|null} - Pending background compaction */
+        this._compactImmediate = null;
+
+        /** @type {number} - TTL in seconds for null/undefined results of wrap() (0 = use normal TTL) */
+        this.negativeTtl = options.negativeTtl || 0;
+
+        /** @type {boolean} - Renew an entry's expiry by its original TTL on every read */
+        this.slidingTtl = options.slidingTtl || false;
+
+        /** @type {number} - Upper bound in seconds on an entry's lifetime when its expiry is renewed (0 = unlimited) */
+        this.maxAge = options.maxAge || 0;
+
+        /** @type {number} - Maximum number of entries (0 = unlimited) */
+        this.maxSize = options.maxSize || 0;
+
+        /** @type {number} - Maximum estimated memory usage in bytes (0 = unlimited) */
+        this.maxMemory = options.maxMemory || 0;
+
+        /** @type {'lru'|'lfu'|'fifo'} */
+        this.evictionPolicy = options.evictionPolicy || 'lru';
+
+        if (!EVICTION_POLICIES.includes(this.evictionPolicy)) {
+            throw new Error(`[SimpleCache] Invalid evictionPolicy "${this.evictionPolicy}" (expected one of: ${EVICTION_POLICIES.join(', ')})`);
+        }
+
+        /** @type {import('./backend').Backend|null} - Where entries go: the default SdbBackend persists store (or nothing),
+         *  any other backend holds every entry while store only holds the hot ones (null once destroyed) */
+        this._backend = this._createBackend(options);
+
+        /** @type {boolean} - store only holds the hot entries, the backend has all of them (non-resident backend) */
+        this._hotOnly = !this._backend.resident;
+
+        /** @type {string|null} - Snapshot file (null if not persistent) */
+        this.persistPath = this._hotOnly ? null : this._backend.path;
+
+        /** @type {boolean} */
+        this.persistent = this.persistPath !== null;
+
+        /** @type {'snapshot'|'aof'} */
+        this.persistMode = this._hotOnly ? 'snapshot' : this._backend.persistMode;
+
+        /** @type {import('./serializer').Codec} - Codec for persisted values (the backend's, for SdbBackend) */
+        this._serializer = this._hotOnly ? createSerializer(options.serializer, options.types) : this._backend.serializer;
+
+        /** @type {import('./sync').SyncTransport|null} - Shares invalidations with other instances */
+        this._sync = options.sync ? validateTransport(options.sync) : null;
+
+        /** @type {string} - Origin of this instance's sync messages (its own messages are ignored) */
+        this.syncId = crypto.randomUUID();
+
+        /** @type {boolean} - A remote invalidation is being applied (it is not published again) */
+        this._applyingSync = false;
+
+        /** @type {FrequencyIndex} - Access count per key (lfu only) */
+        this._frequencies = new FrequencyIndex();
+
+        /** @type {Map<string, number>} - Estimated size per key in bytes (maxMemory only) */
+        this._sizes = new Map();
+
+        /** @type {number} - Sum of all entries in _sizes */
+        this._memoryUsage = 0;
+
+        /** @type {Map<string, Set<string>>} - Tag → keys index */
+        this._tags = new Map();
+
+        /** @type {Map<string, Set<string>>} - Key → tags index */
+        this._keyTags = new Map();
+
+        /** @type {ExpiryHeap} - Expiry timestamps ordered for the cleanup sweep */
+        this._expiryHeap = new ExpiryHeap();
+
+        /** @type {NodeJS.Immediate|null} - Continuation of a sweep that hit maxExpirePerTick */
+        this._sweepImmediate = null;
+
+        /** @type {Map<string, number>} - Original TTL in seconds per key (keys with an expiry only) */
+        this._ttls = new Map();
+
+        /** @type {Map<string, number>} - Timestamp (ms) when each key was last set */
+        this._created = new Map();
+
+        /** @type {Map<string, number>} - Timestamp (ms) until which an expired entry is kept for stale reads */
+        this._staleUntil = new Map();
+
+        /** @type {Map<string, Promise<any>>} - In-flight wrap() computations */
+        this._pending = new Map();
+
+        /** @type {object} - Running counters, see stats() */
+        this._stats = createStats();
+
         /** @type {NodeJS.Timeout|null} */
         this.cleanupInterval = null;
 
         /** @type {NodeJS.Timeout|null} - Debounced save timeout */
         this._saveTimeout = null;
 
-        // Generate persistPath from name or use custom path
-        if (this.persistent) {
-            if (options.persistPath) {
-                this.persistPath = options.persistPath;
-            } else if (options.name) {
-                this.persistPath = this._getPathFromName(options.name);
-            } else {
-                throw new Error('[SimpleCache] persistent=true requires either "name" or "persistPath" option');
-            }
-        } else {
-            this.persistPath = null;
+        /** @type {number|null} - Timestamp (ms) of the oldest change not yet saved (for maxSaveDelay) */
+        this._pendingSince = null;
+
+        /** @type {NodeJS.Timeout|null} - autoSaveInterval timer */
+        this._autoSaveTimer = null;
+
+        /** @type {boolean} - Load and auto-save with non-blocking I/O */
+        this.asyncIO = options.asyncIO || false;
+
+        /** @type {boolean} - An asynchronous load is in progress (nothing is saved meanwhile) */
+        this._loading = false;
+
+        /** @type {Set<string>|null} - Keys set or deleted while the file is read (the file's copies are skipped) */
+        this._loadOverrides = null;
+
+        /** @type {boolean} - flush() ran while the file was read (the whole file is skipped) */
+        this._flushedWhileLoading = false;
+
+        /** @type {Set<{keys: Set<string>, flushed: boolean}>} - Writes made since each pending reload() was called */
+        this._reloads = new Set();
+
+        /** @type {boolean} - Entries read from disk are being put back (nothing is recorded meanwhile) */
+        this._restoring = false;
+
+        /** @type {Set<string>} - Keys renewed by sliding get() whose new expiry is not in the log yet */
+        this._renewedKeys = new Set();
+
+        /** @type {NodeJS.Timeout|null} - Appends the renewals in _renewedKeys */
+        this._renewTimer = null;
+
+        /** @type {boolean} */
+        this._destroyed = false;
+
+        /** @type {number} - Saves waiting in or running from the save queue */
+        this._queuedSaves = 0;
+
+        /** @type {'fail'|'wait'|'readonly'|false} - Cross-process locking of the file */
+        this.lockMode = options.lock === undefined || options.lock === true ? 'fail' : options.lock;
+
+        if (this.lockMode !== false && !LOCK_MODES.includes(this.lockMode)) {
+            throw new Error(`[SimpleCache] Invalid lock "${this.lockMode}" (expected one of: ${LOCK_MODES.join(', ')}, false)`);
         }
 
+        /** @type {number} - How long lock: 'wait' waits, in seconds */
+        this.lockTimeout = options.lockTimeout === undefined ? 10 : options.lockTimeout;
+
+        /** @type {number} - Seconds without heartbeat after which a lock is considered abandoned */
+        this.lockStale = options.lockStale || 30;
+
+        /** @type {boolean} - The file is read but never written (lock: 'readonly', or the lock was lost) */
+        this.readOnly = this.lockMode === 'readonly';
+
+        /** @type {FileLock|null} */
+        this._lock = null;
+
         // Load from binary if persistent=true
         if (this.persistent) {
             // Check if file is already in use by another instance
@@ -68,21 +355,123 @@ class SimpleCache {
                 SimpleCache._activeFiles = new Map();
             }
 
-            if (SimpleCache._activeFiles.has(this.persistPath)) {
-                throw new Error(`[SimpleCache] Cache file already in use by another instance: ${this.persistPath}`);
+            // Read-only instances never write, so they can share the file
+            if (!this.readOnly) {
+                if (SimpleCache._activeFiles.has(this.persistPath)) {
+                    throw new Error(`[SimpleCache] Cache file already in use by another instance: ${this.persistPath}`);
+                }
+
+                // Register this instance
+                SimpleCache._activeFiles.set(this.persistPath, this);
             }
 
-            // Register this instance
-            SimpleCache._activeFiles.set(this.persistPath, this);
+            // Lock against other processes (with asyncIO, waiting happens in _loadAsync())
+            if (this.lockMode === 'fail' || this.lockMode === 'wait') {
+                this._lock = new FileLock(this.persistPath + '.lock', {
+                    stale: this.lockStale,
+                    onLost: (err) => this._onLockLost(err)
+                });
+
+                if (!this.asyncIO || this.lockMode === 'fail') {
+                    try {
+                        this._lock.acquireSync({ wait: this.lockMode === 'wait', timeout: this.lockTimeout });
+                    } catch (err) {
+                        SimpleCache._activeFiles.delete(this.persistPath);
+                        throw err;
+                    }
+                }
+            }
 
-            this._loadFromBinary();
+            if (this.asyncIO) {
+                this._loading = true;
+                this._loadOverrides = new Set();
+                this.ready = this._loadAsync();
+            } else {
+                this._startPersistence(this._loadFromBinary());
+            }
             this._setupGracefulShutdown();
         }
 
+        if (!this.ready) {
+            /** @type {Promise<SimpleCache>} - Resolves with the cache once persisted entries are loaded */
+            this.ready = new Promise((resolve) => {
+                process.nextTick(() => {
+                    this.emit('ready');
+                    resolve(this);
+                });
+            });
+        }
+
+        /** @type {Promise<void>} - Tail of the save queue; saves run one at a time, after loading */
+        this._saveQueue = this.ready.then(() => {}, () => {});
+
         // Start cleanup interval if defaultTtl is set
         if (this.defaultTtl > 0 || this.checkInterval > 0) {
             this._startCleanup();
         }
+
+        if (this._sync) {
+            this._sync.subscribe((message) => this._applySync(message));
+        }
+    }
+
+    /**
+     * Create a cache and wait until its persisted entries are loaded with non-blocking I/O.
+     * @param {number|object} [defaultTtl=0] - Default TTL in seconds, or the options (with an optional `defaultTtl`)
+     * @param {object} [options={}] - Constructor options; `asyncIO` defaults to true
+     * @returns {Promise<SimpleCache>}
+     */
+    static async open(defaultTtl = 0, options = {}) {
+        if (typeof defaultTtl === 'object' && defaultTtl !== null) {
+            options = defaultTtl;
+            defaultTtl = options.defaultTtl || 0;
+        }
+
+        const cache = new this(defaultTtl, { asyncIO: true, ...options });
+        return cache.ready;
+    }
+
+    /**
+     * The backend option, or the default SdbBackend configured by the persistence options
+     * @private
+     * @param {object} options - Constructor options
+     * @returns {import('./backend').Backend}
+     */
+    _createBackend(options) {
+        if (options.backend) {
+            const backend = validateBackend(options.backend);
+            if (options.persistent && !backend.resident) {
+                throw new Error('[SimpleCache] "backend" cannot be combined with persistent=true (the backend stores the entries)');
+            }
+            if (options.persistent && (options.persistPath || options.name)) {
+                throw new Error('[SimpleCache] "persistPath" / "name" cannot be combined with "backend" (the backend\'s path is used)');
+            }
+            return backend;
+        }
+
+        // Generate persistPath from name or use custom path
+        let persistPath = null;
+        if (options.persistent) {
+            if (options.persistPath) {
+                persistPath = options.persistPath;
+            } else if (options.name) {
+                persistPath = this._getPathFromName(options.name);
+            } else {
+                throw new Error('[SimpleCache] persistent=true requires either "name" or "persistPath" option');
+            }
+        }
+
+        return new SdbBackend(persistPath, {
+            compress: options.compress,
+            encryptionKey: options.encryptionKey,
+            serializer: options.serializer,
+            types: options.types,
+            persistMode: options.persistMode,
+            fsync: options.fsync,
+            compactRatio: options.compactRatio,
+            compactMinSize: options.compactMinSize,
+            onError: (err) => this._emitError(err, 'Failed to sync append-only log')
+        });
     }
 
     /**
@@ -111,13 +500,7 @@ class SimpleCache {
         if (this.cleanupInterval) return;
 
         this.cleanupInterval = setInterval(() => {
-            const now = Date.now();
-            for (const [key, expiryTime] of this.expiries.entries()) {
-                if (now >= expiryTime) {
-                    this.store.delete(key);
-                    this.expiries.delete(key);
-                }
-            }
+            this._sweepExpired();
         }, this.checkInterval * 1000);
 
         // Prevent Node.js from hanging due to interval
@@ -126,6 +509,59 @@ class SimpleCache {
         }
     }
 
+    /**
+     * Remove expired keys, earliest first, touching only nodes that are due.
+     * At most maxExpirePerTick keys are processed per call; if more are due,
+     * the sweep continues on the next event loop turn.
+     * @private
+     */
+    _sweepExpired() {
+        this._sweepImmediate = null;
+
+        // Outdated nodes pile up when expiries are renewed; drop them once they dominate
+        if (this._expiryHeap.size > 2 * this.expiries.size + 1024) {
+            this._expiryHeap.rebuild(this.expiries);
+        }
+
+        const now = Date.now();
+        let processed = 0;
+
+        while (this._expiryHeap.peekTime() <= now) {
+            if (processed >= this.maxExpirePerTick) {
+                this._sweepImmediate = setImmediate(() => this._sweepExpired());
+                if (this._sweepImmediate.unref) {
+                    this._sweepImmediate.unref();
+                }
+                return;
+            }
+
+            const { time, key } = this._expiryHeap.pop();
+            processed++;
+
+            // Skip nodes for keys that were deleted or got a new expiry
+            const staleUntil = this._staleUntil.get(key);
+            if (this.expiries.get(key) !== time && staleUntil !== time) continue;
+
+            if (staleUntil !== undefined && now < staleUntil) {
+                // Retained for stale reads: check again when the stale window ends
+                this._expiryHeap.push(staleUntil, key);
+            } else {
+                this._removeEntry(key, 'expired');
+            }
+        }
+    }
+
+    /**
+     * Set the expiry timestamp of a key and schedule it for the sweep
+     * @private
+     * @param {string} key
+     * @param {number} expiryTime - Timestamp in ms
+     */
+    _setExpiryTime(key, expiryTime) {
+        this.expiries.set(key, expiryTime);
+        this._expiryHeap.push(expiryTime, key);
+    }
+
     /**
      * Stop cleanup interval
      * @private
@@ -135,192 +571,1648 @@ class SimpleCache {
             clearInterval(this.cleanupInterval);
             this.cleanupInterval = null;
         }
+        if (this._sweepImmediate) {
+            clearImmediate(this._sweepImmediate);
+            this._sweepImmediate = null;
+        }
     }
 
     /**
-     * Schedule a debounced save - saves N seconds after the last change
+     * Whether an expired entry is still kept for stale reads by wrap()
+     * @private
+     * @param {string} key
+     * @param {number} now
+     * @returns {boolean}
+     */
+    _isRetained(key, now) {
+        const staleUntil = this._staleUntil.get(key);
+        return staleUntil !== undefined && now < staleUntil;
+    }
+
+    /**
+     * Return an expired-but-retained entry without touching bookkeeping
      * @private
+     * @param {string} key
+     * @returns {{value: any, expiryTime: number}|undefined}
      */
-    _scheduleSave() {
-        // Clear existing timeout (debounce)
-        if (this._saveTimeout) {
-            clearTimeout(this._saveTimeout);
+    _peekStale(key) {
+        const expiryTime = this.expiries.get(key);
+        const now = Date.now();
+
+        if (expiryTime === undefined || now < expiryTime || !this._isRetained(key, now)) {
+            return undefined;
         }
+        return { value: this.store.get(key), expiryTime };
+    }
 
-        // Schedule new save after saveDelay seconds
-        this._saveTimeout = setTimeout(() => {
-            this._saveToBinary();
-            this._saveTimeout = null;
-        }, this.saveDelay * 1000);
+    /**
+     * Whether maxSize or maxMemory is configured
+     * @private
+     * @returns {boolean}
+     */
+    _isBounded() {
+        return this.maxSize > 0 || this.maxMemory > 0;
+    }
 
-        // Prevent Node.js from hanging due to timeout
-        if (this._saveTimeout.unref) {
-            this._saveTimeout.unref();
+    /**
+     * Update recency/frequency bookkeeping after a key is read or written
+     * @private
+     * @param {string} key
+     */
+    _touch(key) {
+        if (!this._isBounded()) return;
+
+        if (this.evictionPolicy === 'lru') {
+            // Map keeps insertion order, so re-inserting moves the key to the "most recent" end
+            const value = this.store.get(key);
+            this.store.delete(key);
+            this.store.set(key, value);
+        } else if (this.evictionPolicy === 'lfu') {
+            this._frequencies.increment(key);
         }
     }
 
     /**
-     * Cancel scheduled save
+     * Record the estimated size of an entry (only when maxMemory is set)
      * @private
+     * @param {string} key
+     * @param {any} value
      */
-    _cancelScheduledSave() {
-        if (this._saveTimeout) {
-            clearTimeout(this._saveTimeout);
-            this._saveTimeout = null;
+    _trackSize(key, value) {
+        if (this.maxMemory <= 0) return;
+
+        const size = key.length * 2 + estimateSize(value);
+        this._memoryUsage += size - (this._sizes.get(key) || 0);
+        this._sizes.set(key, size);
+    }
+
+    /**
+     * Remove a key together with all of its bookkeeping
+     * @private
+     * @param {string} key
+     * @param {'del'|'expired'|'evicted'} [event] - Event to emit if the key existed
+     * @returns {boolean} - true if the key existed
+     */
+    _removeEntry(key, event) {
+        // Load it first so the event carries the value
+        if (this._hotOnly) {
+            this._fault(key);
+        }
+
+        const value = this.store.get(key);
+        const existed = this._dropEntry(key);
+
+        if (existed) {
+            this._record('del', key);
+        } else if (!this._restoring) {
+            // The key may still be on its way from the file
+            this._markOverride('del', key);
+        }
+
+        if (existed && event) {
+            if (event === 'del') this._stats.deletes++;
+            else this._stats[event]++;
+            this.emit(event, key, value);
         }
+
+        return existed;
     }
 
     /**
-     * Store a value in the cache with optional TTL.
-     * @param {string|number} key - Unique cache key
-     * @param {any} value - Value to store
-     * @param {number} [ttl] - TTL in seconds, defaults to constructor TTL
-     * @returns {"OK"}
+     * Remove a key and its bookkeeping from memory only (no log, no backend write, no events)
+     * @private
+     * @param {string} key
+     * @returns {boolean} - true if the key was in memory
      */
-    set(key, value, ttl) {
-        // use per-key TTL or default
-        const effectiveTtl = typeof ttl === "number" ? ttl : this.defaultTtl;
+    _dropEntry(key) {
+        const existed = this.store.delete(key);
+
+        this.expiries.delete(key);
+        this._ttls.delete(key);
+        this._created.delete(key);
+        this._staleUntil.delete(key);
+        this._frequencies.delete(key);
+        this._untag(key);
+
+        if (this._sizes.has(key)) {
+            this._memoryUsage -= this._sizes.get(key);
+            this._sizes.delete(key);
+        }
 
-        // Convert key to string for consistency
-        const stringKey = String(key);
+        return existed;
+    }
 
-        this.store.set(stringKey, value);
+    /**
+     * Load a key from the backend into memory if it is not there yet.
+     * An expired entry is deleted from the backend instead (counted and emitted as `expired`).
+     * @private
+     * @param {string} key
+     * @returns {boolean} - true if the key is in memory afterwards
+     */
+    _fault(key) {
+        if (this.store.has(key)) return true;
+
+        let entry;
+        try {
+            entry = this._backend.get(key);
+        } catch (err) {
+            this._emitError(err, 'Failed to read from backend');
+            return false;
+        }
+        if (!entry) return false;
+
+        const now = Date.now();
+        if (entry.expiryTime > 0 && now >= entry.expiryTime) {
+            this._writeBackend('del', key);
+            this._stats.expired++;
+            this.emit('expired', key, entry.value);
+            return false;
+        }
 
-        if (effectiveTtl > 0) {
-            // Store expiry time (now + TTL)
-            const expiryTime = Date.now() + (effectiveTtl * 1000);
-            this.expiries.set(stringKey, expiryTime);
+        this._putEntry({ ...entry, key }, now);
+        this._enforceLimits(key);
+        return true;
+    }
 
-            // Ensure cleanup interval is running
-            if (!this.cleanupInterval) {
-                this._startCleanup();
+    /**
+     * Whether a key that is not in memory exists in the backend, without loading it
+     * (loading could evict hot entries)
+     * @private
+     * @param {string} key
+     * @returns {boolean}
+     */
+    _backendHas(key) {
+        try {
+            if (typeof this._backend.has === 'function') return this._backend.has(key);
+
+            const entry = this._backend.get(key);
+            return entry !== undefined && (entry.expiryTime === 0 || Date.now() < entry.expiryTime);
+        } catch (err) {
+            this._emitError(err, 'Failed to read from backend');
+            return false;
+        }
+    }
+
+    /**
+     * Keys of the backend tagged with any of the tags, from its own index when it has one
+     * @private
+     * @param {string[]} tags
+     * @returns {Iterable<string>}
+     */
+    _backendKeysByTag(tags) {
+        if (typeof this._backend.keysByTag === 'function') return this._backend.keysByTag(tags);
+
+        const wanted = new Set(tags);
+        const keys = [];
+        for (const entry of this._backend.iterate()) {
+            if (entry.tags && entry.tags.some((tag) => wanted.has(tag))) keys.push(entry.key);
+        }
+        return keys;
+    }
+
+    /**
+     * Replace the tags of a key in the tag index
+     * @private
+     * @param {string} key
+     * @param {string[]} [tags]
+     */
+    _tag(key, tags) {
+        this._untag(key);
+        if (!tags || tags.length === 0) return;
+
+        const tagSet = new Set(tags.map(String));
+        this._keyTags.set(key, tagSet);
+
+        for (const tag of tagSet) {
+            if (!this._tags.has(tag)) {
+                this._tags.set(tag, new Set());
+            }
+            this._tags.get(tag).add(key);
+        }
+    }
+
+    /**
+     * Remove a key from the tag index
+     * @private
+     * @param {string} key
+     */
+    _untag(key) {
+        const tagSet = this._keyTags.get(key);
+        if (!tagSet) return;
+
+        for (const tag of tagSet) {
+            const keys = this._tags.get(tag);
+            keys.delete(key);
+            if (keys.size === 0) {
+                this._tags.delete(tag);
             }
+        }
+        this._keyTags.delete(key);
+    }
+
+    /**
+     * Report a persistence error through the `error` event.
+     * Falls back to console.error so an unhandled `error` event never crashes the process.
+     * @private
+     * @param {Error} err
+     * @param {string} context - Human readable description of the failed operation
+     */
+    _emitError(err, context) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
         } else {
-            // Remove expiry if TTL = 0 (permanent)
-            this.expiries.delete(stringKey);
+            console.error(`${context}:`, err.message);
         }
+    }
 
-        // Schedule debounced save
+    /**
+     * Send an invalidation to the other instances (sync option)
+     * @private
+     * @param {'del'|'invalidateTags'|'flush'} op
+     * @param {{keys?: string[], tags?: string[]}} [data]
+     */
+    _publish(op, data) {
+        // Applying a remote invalidation must not echo it back
+        if (!this._sync || this._applyingSync) return;
+
+        try {
+            this._sync.publish({ origin: this.syncId, op, ...data });
+        } catch (err) {
+            this._emitError(err, 'Failed to publish sync message');
+        }
+    }
+
+    /**
+     * Apply an invalidation received from another instance, then emit `sync`
+     * @private
+     * @param {import('./sync').SyncMessage} message
+     */
+    _applySync(message) {
+        if (!message || message.origin === this.syncId || this._destroyed) return;
+
+        this._applyingSync = true;
+        try {
+            switch (message.op) {
+                case 'del':
+                    this.mdel(message.keys);
+                    break;
+                case 'invalidateTags':
+                    this.invalidateTags(message.tags);
+                    break;
+                case 'flush':
+                    this.flush();
+                    break;
+                default:
+                    return;
+            }
+            this.emit('sync', message);
+        } catch (err) {
+            this._emitError(err, 'Failed to apply sync message');
+        } finally {
+            this._applyingSync = false;
+        }
+    }
+
+    /**
+     * Pick the next key to evict according to evictionPolicy
+     * @private
+     * @param {string} [excludeKey] - Key that must not be evicted (the one just written)
+     * @returns {string|undefined}
+     */
+    _findEvictionCandidate(excludeKey) {
+        if (this.evictionPolicy === 'lfu') {
+            return this._frequencies.min(excludeKey);
+        }
+
+        // lru and fifo: the first key in the Map is the oldest / least recently used
+        for (const key of this.store.keys()) {
+            if (key !== excludeKey) return key;
+        }
+        return undefined;
+    }
+
+    /**
+     * Evict entries until maxSize and maxMemory are satisfied.
+     * With a backend the entries stay there and are only unloaded from memory (no `evicted` event).
+     * @private
+     * @param {string} [excludeKey] - Key that must not be evicted (the one just written)
+     * @returns {number} - Number of evicted entries
+     */
+    _enforceLimits(excludeKey) {
+        let evicted = 0;
+
+        while (
+            (this.maxSize > 0 && this.store.size > this.maxSize) ||
+            (this.maxMemory > 0 && this._memoryUsage > this.maxMemory)
+        ) {
+            const key = this._findEvictionCandidate(excludeKey);
+            if (key === undefined) break;
+
+            if (this._hotOnly) {
+                this._dropEntry(key);
+                continue;
+            }
+
+            this._removeEntry(key, 'evicted');
+            evicted++;
+        }
+
+        return evicted;
+    }
+
+    /**
+     * Schedule a debounced save - saves N seconds after the last change
+     * @private
+     */
+    _scheduleSave() {
+        // In aof mode the change is already in the log; the snapshot is only rewritten by compaction.
+        // While loading, saving would replace the file with a partial cache (see _loadAsync())
+        if (this.persistMode === 'aof' || this._loading || this.readOnly) return;
+
+        // Clear existing timeout (debounce)
+        if (this._saveTimeout) {
+            clearTimeout(this._saveTimeout);
+        }
+
+        // Schedule new save after saveDelay seconds, but no later than maxSaveDelay after the first unsaved change
+        const now = Date.now();
+        if (this._pendingSince === null) {
+            this._pendingSince = now;
+        }
+
+        let delay = this.saveDelay * 1000;
+        if (this.maxSaveDelay > 0) {
+            delay = Math.max(0, Math.min(delay, this._pendingSince + (this.maxSaveDelay * 1000) - now));
+        }
+
+        this._saveTimeout = setTimeout(() => {
+            this._saveTimeout = null;
+            this._pendingSince = null;
+            this._autoSave();
+        }, delay);
+
+        // Prevent Node.js from hanging due to timeout
+        if (this._saveTimeout.unref) {
+            this._saveTimeout.unref();
+        }
+    }
+
+    /**
+     * Cancel scheduled save
+     * @private
+     */
+    _cancelScheduledSave() {
+        if (this._saveTimeout) {
+            clearTimeout(this._saveTimeout);
+            this._saveTimeout = null;
+        }
+        this._pendingSince = null;
+    }
+
+    /**
+     * Save triggered by the debounce or autoSaveInterval: synchronous, or queued with asyncIO
+     * @private
+     */
+    _autoSave() {
+        if (!this.asyncIO) {
+            this._saveToBinary();
+            return;
+        }
+
+        this._enqueueSave(() => this._writeSnapshotAsync()).catch((err) => {
+            // destroy() already saved synchronously
+            if (!this._destroyed) this._emitError(err, 'Failed to save to binary');
+        });
+    }
+
+    /**
+     * Start the autoSaveInterval timer (snapshot mode only, the log needs no checkpoints)
+     * @private
+     */
+    _startAutoSave() {
+        if (this.autoSaveInterval <= 0 || this.persistMode === 'aof') return;
+
+        this._autoSaveTimer = setInterval(() => {
+            // A pending debounced save means there are unsaved changes
+            if (this._saveTimeout) {
+                this._cancelScheduledSave();
+                this._autoSave();
+            }
+        }, this.autoSaveInterval * 1000);
+
+        if (this._autoSaveTimer.unref) {
+            this._autoSaveTimer.unref();
+        }
+    }
+
+    /**
+     * Store a value in the cache with optional TTL.
+     * @param {string|number} key - Unique cache key
+     * @param {any} value - Value to store
+     * @param {number|{ttl?: number, tags?: string[]}} [options] - TTL in seconds (defaults to constructor TTL),
+     *   or an options object with `ttl` and `tags` for tag-based invalidation
+     * @returns {"OK"}
+     */
+    set(key, value, options) {
+        this._setEntry(String(key), value, parseSetOptions(options));
+
+        // Schedule debounced save
+        if (this.persistent) {
+            this._scheduleSave();
+        }
+
+        return "OK";
+    }
+
+    /**
+     * Write an entry without scheduling a save (shared by set() and mset())
+     * @private
+     * @param {string} stringKey
+     * @param {any} value
+     * @param {{ttl?: number, tags?: string[], retain?: number}} options - Result of parseSetOptions()
+     */
+    _setEntry(stringKey, value, { ttl, tags, retain = 0 }) {
+        // use per-key TTL or default
+        const effectiveTtl = typeof ttl === "number" ? ttl : this.defaultTtl;
+
+        this.store.set(stringKey, value);
+        this._touch(stringKey);
+
+        this._trackSize(stringKey, value);
+        this._tag(stringKey, tags);
+        this._created.set(stringKey, Date.now());
+
+        this._setExpiry(stringKey, effectiveTtl);
+
+        // Keep the entry around after expiry so wrap() can serve it stale
+        if (effectiveTtl > 0 && retain > 0) {
+            this._staleUntil.set(stringKey, this.expiries.get(stringKey) + (retain * 1000));
+        }
+
+        this._record('set', stringKey);
+
+        this._stats.sets++;
+        this.emit('set', stringKey, value, effectiveTtl);
+        this._enforceLimits(stringKey);
+    }
+
+    /**
+     * Retrieve a value from the cache.
+     * A stored `null` is indistinguishable from a miss here; use has() or getEntry() for that.
+     * @param {string|number} key
+     * @param {object} [options]
+     * @param {boolean} [options.refresh] - Renew the expiry by the entry's original TTL (defaults to slidingTtl)
+     * @returns {any|null}
+     */
+    get(key, options = {}) {
+        const entry = this._lookup(String(key), options.refresh);
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * Retrieve an entry, distinguishing a missing key from a stored `null` / `undefined`.
+     * @param {string|number} key
+     * @returns {{value: any, expiryTime: number}|null} - null if not found or expired (expiryTime 0 = permanent)
+     */
+    getEntry(key) {
+        return this._lookup(String(key)) || null;
+    }
+
+    /**
+     * Check whether a key exists and is not expired.
+     * Does not count as a hit/miss and does not update recency.
+     * @param {string|number} key
+     * @returns {boolean}
+     */
+    has(key) {
+        const stringKey = String(key);
+        if (this._hotOnly && !this.store.has(stringKey)) {
+            return this._backendHas(stringKey);
+        }
+        if (!this.store.has(stringKey)) return false;
+
+        const expiryTime = this.expiries.get(stringKey);
+        return expiryTime === undefined || Date.now() < expiryTime;
+    }
+
+    /**
+     * Like has(), but a key only in the backend is loaded into memory (for methods that change or read its expiry)
+     * @private
+     * @param {string} stringKey
+     * @returns {boolean}
+     */
+    _loadKey(stringKey) {
+        if (this._hotOnly) {
+            this._fault(stringKey);
+        }
+        if (!this.store.has(stringKey)) return false;
+
+        const expiryTime = this.expiries.get(stringKey);
+        return expiryTime === undefined || Date.now() < expiryTime;
+    }
+
+    /**
+     * List keys that are not expired, optionally filtered by a glob pattern.
+     * @param {string} [pattern] - Glob pattern (`*`, `?`, `[abc]`, `\` to escape), e.g. "user:*"
+     * @returns {string[]}
+     */
+    keys(pattern) {
+        const regex = pattern === undefined ? null : globToRegExp(String(pattern));
+        const keys = [];
+
+        for (const key of this._liveKeys()) {
+            if (!regex || regex.test(key)) {
+                keys.push(key);
+            }
+        }
+
+        return keys;
+    }
+
+    /**
+     * Keys that are not expired, answered by the backend without reading values when it can
+     * @private
+     * @returns {Iterable<string>}
+     */
+    *_liveKeys() {
+        if (this._hotOnly && typeof this._backend.keys === 'function') {
+            yield* this._backend.keys();
+            return;
+        }
+
+        for (const [key] of this.entries()) {
+            yield key;
+        }
+    }
+
+    /**
+     * Iterate over `[key, value]` pairs that are not expired.
+     * Does not count as hits and does not update recency.
+     * @returns {IterableIterator<[string, any]>}
+     */
+    *entries() {
+        const now = Date.now();
+
+        // The backend has every entry; the in-memory copy of hot ones is the same
+        if (this._hotOnly) {
+            for (const entry of this._backend.iterate()) {
+                if (entry.expiryTime > 0 && now >= entry.expiryTime) continue;
+
+                yield [entry.key, this.store.has(entry.key) ? this.store.get(entry.key) : entry.value];
+            }
+            return;
+        }
+
+        for (const [key, value] of this.store) {
+            const expiryTime = this.expiries.get(key);
+            if (expiryTime !== undefined && now >= expiryTime) continue;
+
+            yield [key, value];
+        }
+    }
+
+    /**
+     * Iterate over `[key, value]` pairs that are not expired (same as entries()).
+     * @returns {IterableIterator<[string, any]>}
+     */
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Read an entry in its persisted form (expiry, original TTL, tags, creation time).
+     * Counts as a hit / miss but never renews the expiry.
+     * Internal interface for TieredCache, not part of the public API.
+     * @internal
+     * @param {string} key
+     * @returns {import('./backend').BackendEntry|undefined}
+     */
+    exportEntry(key) {
+        const stringKey = String(key);
+        const entry = this._lookup(stringKey, false);
+        if (!entry) return undefined;
+
+        return this._snapshotEntry(stringKey, entry.value, entry.expiryTime);
+    }
+
+    /**
+     * Every entry that is not expired, in its persisted form (backend entries included).
+     * Does not count as hits. Internal interface for TieredCache, not part of the public API.
+     * @internal
+     * @returns {IterableIterator<import('./backend').BackendEntry>}
+     */
+    *exportEntries() {
+        const now = Date.now();
+
+        if (this._hotOnly) {
+            for (const entry of this._backend.iterate()) {
+                if (entry.expiryTime > 0 && now >= entry.expiryTime) continue;
+                yield entry;
+            }
+            return;
+        }
+
+        for (const [key, value] of this.entries()) {
+            yield this._snapshotEntry(key, value, this.expiries.get(key) || 0);
+        }
+    }
+
+    /**
+     * Store an entry in its persisted form, keeping its absolute expiry, original TTL, tags and
+     * creation time (an entry that is already expired deletes the key). Counts as a set.
+     * Internal interface for TieredCache, not part of the public API.
+     * @internal
+     * @param {import('./backend').BackendEntry} entry
+     */
+    importEntry(entry) {
+        const key = String(entry.key);
+        const now = Date.now();
+
+        this._dropEntry(key);
+        if (entry.expiryTime > 0 && now >= entry.expiryTime) {
+            this._record('del', key);
+        } else {
+            this._putEntry({ ...entry, key }, now);
+            this._record('set', key);
+            this._stats.sets++;
+            this._enforceLimits(key);
+        }
+
+        if (this.persistent) {
+            this._scheduleSave();
+        }
+    }
+
+    /**
+     * Give a key an absolute expiry without rewriting its value (an expiry in the past deletes it).
+     * Internal interface for TieredCache, not part of the public API.
+     * @internal
+     * @param {string} key
+     * @param {number} expiryTime - Timestamp in ms, 0 = permanent
+     * @param {number} ttl - Original TTL in seconds
+     * @returns {boolean} - true if the key existed
+     */
+    importExpiry(key, expiryTime, ttl) {
+        const stringKey = String(key);
+        if (!this._loadKey(stringKey)) return false;
+
+        this._applyExpiry(stringKey, expiryTime, ttl, Date.now());
+        if (this.store.has(stringKey)) {
+            this._record('expire', stringKey);
+        }
+
+        if (this.persistent) {
+            this._scheduleSave();
+        }
+        return true;
+    }
+
+    /**
+     * Delete every entry like flush(), but schedule a save of the now empty cache
+     * (flush() drops the pending save). Internal interface for TieredCache, not part of the public API.
+     * @internal
+     */
+    importFlush() {
+        this.flush();
+
+        if (this.persistent) {
+            this._scheduleSave();
+        }
+    }
+
+    /**
+     * Remaining time to live of a key.
+     * @param {string|number} key
+     * @returns {number} - Remaining seconds, -1 if the key has no expiry, -2 if not found or expired
+     */
+    ttl(key) {
+        const stringKey = String(key);
+        if (!this._loadKey(stringKey)) return -2;
+
+        const expiryTime = this.expiries.get(stringKey);
+        if (expiryTime === undefined) return -1;
+
+        return (expiryTime - Date.now()) / 1000;
+    }
+
+    /**
+     * Expiry timestamp of a key.
+     * @param {string|number} key
+     * @returns {number|undefined} - Timestamp in ms, 0 if the key has no expiry, undefined if not found or expired
+     */
+    getTtl(key) {
+        const stringKey = String(key);
+        if (!this._loadKey(stringKey)) return undefined;
+
+        return this.expiries.get(stringKey) || 0;
+    }
+
+    /**
+     * Change the expiry of a key without rewriting its value.
+     * A non-positive value expires the key immediately (use persist() to remove the expiry).
+     * @param {string|number} key
+     * @param {number} seconds - New TTL in seconds, counted from now
+     * @returns {number} - 1 if the key exists, 0 if not found
+     */
+    expire(key, seconds) {
+        const stringKey = String(key);
+        if (!this._loadKey(stringKey)) return 0;
+
+        if (seconds > 0) {
+            this._setExpiry(stringKey, seconds);
+            this._record('expire', stringKey);
+        } else {
+            this._removeEntry(stringKey, 'expired');
+        }
+
+        if (this.persistent) {
+            this._scheduleSave();
+        }
+
+        return 1;
+    }
+
+    /**
+     * Remove the expiry of a key so it never expires.
+     * @param {string|number} key
+     * @returns {number} - 1 if an expiry was removed, 0 if not found or already permanent
+     */
+    persist(key) {
+        const stringKey = String(key);
+        if (!this._loadKey(stringKey) || !this.expiries.has(stringKey)) return 0;
+
+        this._setExpiry(stringKey, 0);
+        this._record('expire', stringKey);
+
+        if (this.persistent) {
+            this._scheduleSave();
+        }
+
+        return 1;
+    }
+
+    /**
+     * Renew the expiry of a key (sliding expiration) without rewriting its value.
+     * The new expiry is capped by maxAge.
+     * @param {string|number} key
+     * @param {number} [ttl] - TTL in seconds, defaults to the key's original TTL (or constructor TTL)
+     * @returns {number} - 1 if the key exists, 0 if not found
+     */
+    touch(key, ttl) {
+        const stringKey = String(key);
+        if (!this._loadKey(stringKey)) return 0;
+
+        this._renew(stringKey, ttl);
+        this._touch(stringKey);
+        this._record('expire', stringKey);
+
+        if (this.persistent) {
+            this._scheduleSave();
+        }
+
+        return 1;
+    }
+
+    /**
+     * Set or clear the expiry of an existing key
+     * @private
+     * @param {string} stringKey
+     * @param {number} seconds - TTL in seconds (0 = permanent)
+     */
+    _setExpiry(stringKey, seconds) {
+        // A new expiry supersedes any stale window from wrap()
+        this._staleUntil.delete(stringKey);
+
+        if (seconds > 0) {
+            // Store expiry time (now + TTL) and the TTL itself for sliding renewal
+            this._setExpiryTime(stringKey, Date.now() + (seconds * 1000));
+            this._ttls.set(stringKey, seconds);
+
+            // Ensure cleanup interval is running
+            if (!this.cleanupInterval) {
+                this._startCleanup();
+            }
+        } else {
+            // Remove expiry if TTL = 0 (permanent)
+            this.expiries.delete(stringKey);
+            this._ttls.delete(stringKey);
+        }
+    }
+
+    /**
+     * Push the expiry of a key forward, capped by maxAge
+     * @private
+     * @param {string} stringKey
+     * @param {number} [ttl] - TTL in seconds, defaults to the key's original TTL (or constructor TTL)
+     */
+    _renew(stringKey, ttl) {
+        let seconds = ttl;
+        if (typeof seconds !== "number") {
+            seconds = this._ttls.has(stringKey) ? this._ttls.get(stringKey) : this.defaultTtl;
+        }
+
+        this._setExpiry(stringKey, seconds);
+
+        if (this.maxAge > 0) {
+            const createdAt = this._created.get(stringKey) || Date.now();
+            const deadline = createdAt + (this.maxAge * 1000);
+            const expiryTime = this.expiries.get(stringKey);
+
+            if (expiryTime === undefined || expiryTime > deadline) {
+                this._setExpiryTime(stringKey, deadline);
+            }
+        }
+    }
+
+    /**
+     * Read an entry with lazy expiry, bookkeeping, stats and events (shared by all read paths)
+     * @private
+     * @param {string} stringKey
+     * @param {boolean} [refresh] - Renew the expiry by the original TTL (defaults to slidingTtl)
+     * @returns {{value: any, expiryTime: number}|undefined}
+     */
+    _lookup(stringKey, refresh = this.slidingTtl) {
+        if (this._hotOnly) {
+            this._fault(stringKey);
+        }
+
+        if (!this.store.has(stringKey)) {
+            this._stats.misses++;
+            this.emit('miss', stringKey);
+            this.emit('get', stringKey, null);
+            return undefined;
+        }
+
+        // Lazy deletion: check if expired
+        if (this.expiries.has(stringKey)) {
+            const expiryTime = this.expiries.get(stringKey);
+            const now = Date.now();
+            if (now >= expiryTime) {
+                if (!this._isRetained(stringKey, now)) {
+                    this._removeEntry(stringKey, 'expired');
+                }
+                this._stats.misses++;
+                this.emit('miss', stringKey);
+                this.emit('get', stringKey, null);
+                return undefined;
+            }
+        }
+
+        this._touch(stringKey);
+
+        // Sliding expiration: only entries that have a TTL slide
+        if (refresh && this._ttls.has(stringKey)) {
+            this._renew(stringKey);
+            if (this._hotOnly) {
+                this._writeBackend('expire', stringKey);
+            } else {
+                this._queueRenewal(stringKey);
+            }
+            if (this.persistent) {
+                this._scheduleSave();
+            }
+        }
+
+        const value = this.store.get(stringKey);
+        this._stats.hits++;
+        this.emit('hit', stringKey, value);
+        this.emit('get', stringKey, value);
+        return { value, expiryTime: this.expiries.get(stringKey) || 0 };
+    }
+
+    /**
+     * Delete a key.
+     * @param {string|number} key
+     * @returns {number} - 1 if deleted, 0 if not found
+     */
+    del(key) {
+        // Convert key to string for consistency
+        const stringKey = String(key);
+
+        const deleted = this._removeEntry(stringKey, 'del') ? 1 : 0;
+
+        // Other instances may hold the key even when this one does not
+        this._publish('del', { keys: [stringKey] });
+
+        // Schedule debounced save if something was deleted
+        if (deleted && this.persistent) {
+            this._scheduleSave();
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Retrieve a value and delete it in one step.
+     * @param {string|number} key
+     * @returns {any|null} - The value, or null if not found or expired
+     */
+    take(key) {
+        const entry = this._lookup(String(key));
+        if (!entry) return null;
+
+        this.del(key);
+        return entry.value;
+    }
+
+    /**
+     * Retrieve multiple values at once.
+     * @param {Array<string|number>} keys
+     * @returns {Object<string, any>} - Value per key (null if not found or expired)
+     */
+    mget(keys) {
+        const result = {};
+        for (const key of keys) {
+            setEntry(result, String(key), this.get(key));
+        }
+        return result;
+    }
+
+    /**
+     * Store multiple values at once with a single debounced save.
+     * @param {Object<string, any>|Array<{key: string|number, value: any, ttl?: number, tags?: string[]}>} entries
+     *   - Plain object of key → value, or array of entries with optional per-entry TTL and tags
+     * @param {number} [ttl] - TTL in seconds for entries without their own TTL
+     * @returns {"OK"}
+     */
+    mset(entries, ttl) {
+        const list = Array.isArray(entries)
+            ? entries
+            : Object.keys(entries).map((key) => ({ key, value: entries[key] }));
+
+        for (const entry of list) {
+            this._setEntry(String(entry.key), entry.value, {
+                ttl: typeof entry.ttl === "number" ? entry.ttl : ttl,
+                tags: entry.tags
+            });
+        }
+
+        if (list.length > 0 && this.persistent) {
+            this._scheduleSave();
+        }
+
+        return "OK";
+    }
+
+    /**
+     * Delete multiple keys at once with a single debounced save.
+     * @param {Array<string|number>} keys
+     * @returns {number} - Number of deleted keys
+     */
+    mdel(keys) {
+        const stringKeys = keys.map(String);
+        if (stringKeys.length > 0) {
+            this._publish('del', { keys: stringKeys });
+        }
+        return this._deleteKeys(stringKeys);
+    }
+
+    /**
+     * Delete keys with a single debounced save (not published)
+     * @private
+     * @param {string[]} keys
+     * @returns {number} - Number of deleted keys
+     */
+    _deleteKeys(keys) {
+        let deleted = 0;
+        for (const key of keys) {
+            if (this._removeEntry(key, 'del')) deleted++;
+        }
+
+        if (deleted && this.persistent) {
+            this._scheduleSave();
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Retrieve and delete multiple keys at once with a single debounced save.
+     * @param {Array<string|number>} keys
+     * @returns {Object<string, any>} - Value per key (null if not found or expired)
+     */
+    mtake(keys) {
+        const result = {};
+        const found = [];
+
+        for (const key of keys) {
+            const stringKey = String(key);
+            const entry = this._lookup(stringKey);
+            setEntry(result, stringKey, entry ? entry.value : null);
+            if (entry) found.push(stringKey);
+        }
+
+        this.mdel(found);
+        return result;
+    }
+
+    /**
+     * Delete every key tagged with `tag`.
+     * @param {string} tag
+     * @returns {number} - Number of deleted keys
+     */
+    invalidateTag(tag) {
+        return this.invalidateTags([tag]);
+    }
+
+    /**
+     * Delete every key tagged with any of `tags` with a single debounced save.
+     * @param {string[]} tags
+     * @returns {number} - Number of deleted keys
+     */
+    invalidateTags(tags) {
+        const keys = new Set();
+        for (const tag of tags) {
+            const tagged = this._tags.get(String(tag));
+            if (!tagged) continue;
+            for (const key of tagged) keys.add(key);
+        }
+
+        // The tag index only covers entries in memory
+        if (this._hotOnly) {
+            for (const key of this._backendKeysByTag(tags.map(String))) keys.add(key);
+        }
+
+        // Other instances resolve the tags against their own entries
+        this._publish('invalidateTags', { tags: tags.map(String) });
+        return this._deleteKeys([...keys]);
+    }
+
+    /**
+     * Create a namespaced view that transparently prefixes keys with `${prefix}:`.
+     * The view shares this instance's storage and persistence.
+     * @param {string} prefix
+     * @returns {CacheNamespace}
+     */
+    namespace(prefix) {
+        return new CacheNamespace(this, String(prefix) + ':');
+    }
+
+    /**
+     * Register a custom class with the structured serializer so its instances
+     * are revived on load. Types needed while loading must be passed as `options.types`.
+     * @param {string} name - Name stored in the file (must be stable across releases)
+     * @param {Function|{type: Function, serialize?: function(any): any, deserialize?: function(any): any}} definition
+     * @returns {this}
+     */
+    registerType(name, definition) {
+        if (this._serializer.name !== 'structured') {
+            throw new Error('[SimpleCache] registerType() requires serializer: \'structured\'');
+        }
+        this._serializer.registerType(name, definition);
+        return this;
+    }
+
+    /**
+     * Clear all cache.
+     */
+    flush() {
+        this._stopCleanup();
+        this._clearEntries();
+
+        this._record('flush');
+        this._publish('flush');
+        this.emit('flush');
+
+        // Cancel any pending save after flush
         if (this.persistent) {
+            this._cancelScheduledSave();
+        }
+    }
+
+    /**
+     * Remove every entry and its bookkeeping (no events)
+     * @private
+     */
+    _clearEntries() {
+        this.expiries.clear();
+        this._expiryHeap.clear();
+        this.store.clear();
+        this._frequencies.clear();
+        this._sizes.clear();
+        this._memoryUsage = 0;
+        this._tags.clear();
+        this._keyTags.clear();
+        this._staleUntil.clear();
+        this._ttls.clear();
+        this._created.clear();
+    }
+
+    /**
+     * Write the binary file now (in aof mode: compact the log into a new snapshot).
+     * Replaces any pending debounced save and waits for saves already queued.
+     * Errors reject the promise instead of emitting `error`.
+     * @returns {Promise<{path: string, entries: number, bytes: number, duration: number}>}
+     */
+    async save() {
+        this._assertWritable('save');
+        this._cancelScheduledSave();
+
+        return this._enqueueSave(() => (this._logging() ? this._compactNow() : this._writeSnapshot()));
+    }
+
+    /**
+     * Like save(), but streams the file to disk with non-blocking fs.promises I/O.
+     * In aof mode this is the same as save() (compaction must not let log appends slip in between).
+     * @returns {Promise<{path: string, entries: number, bytes: number, duration: number}>}
+     */
+    async saveAsync() {
+        this._assertWritable('saveAsync');
+        if (this.persistMode === 'aof') return this.save();
+
+        this._cancelScheduledSave();
+        return this._enqueueSave(() => this._writeSnapshotAsync());
+    }
+
+    /**
+     * Discard the in-memory entries and read the binary file (and log) again.
+     * Runs after the saves already queued. The file is read with non-blocking I/O and swapped in at once;
+     * changes made before the call and not saved are lost, changes made while the file is read are kept.
+     * Errors reject the promise instead of emitting `error`; skipped corrupt records are still reported through `error`.
+     * @returns {Promise<{path: string, entries: number, bytes: number, duration: number, skipped: number, version: number}|null>}
+     *   - null if there is no file
+     */
+    async reload() {
+        this._assertPersistent('reload');
+
+        // Writes made from now on win over the file, as during the asynchronous load
+        const reload = { keys: new Set(), flushed: false };
+        this._reloads.add(reload);
+        try {
+            await this.ready;
+
+            // A queued save must not replace the file while it is read
+            return await this._enqueueSave(() => this._reloadNow(reload));
+        } finally {
+            this._reloads.delete(reload);
+        }
+    }
+
+    /**
+     * Body of reload(), run from the save queue
+     * @private
+     * @param {{keys: Set<string>, flushed: boolean}} reload - Writes made since reload() was called
+     * @returns {Promise<object|null>}
+     */
+    async _reloadNow(reload) {
+        const read = await this._readFileAsync();
+        this._reloads.delete(reload);
+        this._cancelScheduledSave();
+
+        // Keep what was written meanwhile (after a flush, everything in memory was)
+        const changed = reload.keys.size > 0 || reload.flushed;
+        if (!changed) {
+            this._clearEntries();
+        } else if (!reload.flushed) {
+            for (const key of [...this.store.keys()]) {
+                if (!reload.keys.has(key)) this._dropEntry(key);
+            }
+        }
+
+        this._loadOverrides = reload.keys;
+        this._flushedWhileLoading = reload.flushed;
+        let result;
+        try {
+            result = this._restoreFromDisk(read);
+        } finally {
+            this._loadOverrides = null;
+            this._flushedWhileLoading = false;
+        }
+
+        const { info, rewrite, errors, warnings } = result;
+        for (const { err, context } of warnings) {
+            this._emitError(err, context);
+        }
+        if (errors.length > 0) {
+            throw errors[0].err;
+        }
+
+        // In aof mode the writes made meanwhile are in the log already
+        if (this._logging()) {
+            if (rewrite) this._compactNow();
+        } else if (rewrite || changed) {
+            this._scheduleSave();
+        }
+
+        if (info) this.emit('loaded', info);
+        return info;
+    }
+
+    /**
+     * Run a save after the ones already queued, so two writers never overlap
+     * @private
+     * @param {function(): any} write
+     * @returns {Promise<any>} - Result of `write`
+     */
+    _enqueueSave(write) {
+        this._queuedSaves++;
+
+        const result = this._saveQueue.then(() => {
+            if (this._destroyed) {
+                throw new Error('[SimpleCache] Cache was destroyed before the save could run');
+            }
+            return write();
+        });
+        this._saveQueue = result.catch(() => {}).then(() => {
+            this._queuedSaves--;
+        });
+        return result;
+    }
+
+    /**
+     * @private
+     * @param {string} method
+     */
+    _assertPersistent(method) {
+        if (!this.persistent) {
+            throw new Error(`[SimpleCache] ${method}() requires persistent: true`);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} method
+     */
+    _assertWritable(method) {
+        this._assertPersistent(method);
+        if (this.readOnly) {
+            throw new Error(`[SimpleCache] ${method}() is not available on a read-only cache`);
+        }
+    }
+
+    /**
+     * The heartbeat found our lock removed or taken over: stop writing so two processes never
+     * write the file at once
+     * @private
+     * @param {Error} err
+     */
+    _onLockLost(err) {
+        this.readOnly = true;
+        this._cancelScheduledSave();
+
+        if (this._autoSaveTimer) {
+            clearInterval(this._autoSaveTimer);
+            this._autoSaveTimer = null;
+        }
+        if (this._logging()) {
+            try {
+                this._backend.closeLog();
+            } catch (closeErr) {
+                // The lost lock is what gets reported
+            }
+        }
+
+        this._emitError(err, 'Lost cache file lock');
+    }
+
+    /**
+     * Destroy cache instance and stop all intervals
+     */
+    destroy() {
+        this._destroyed = true;
+
+        // If there's a pending save, execute it immediately (queued asynchronous saves are superseded by it)
+        if (this.persistent && !this._loading && !this.readOnly && (this._saveTimeout || (this._queuedSaves > 0 && !this._logging()))) {
+            clearTimeout(this._saveTimeout);
+            this._saveToBinary();
+            this._saveTimeout = null;
+        }
+
+        if (this._autoSaveTimer) {
+            clearInterval(this._autoSaveTimer);
+            this._autoSaveTimer = null;
+        }
+
+        // Everything is already in the log; close it so flush() below is not recorded
+        if (this._logging()) {
+            this._logRenewals();
+            if (this._compactImmediate) {
+                clearImmediate(this._compactImmediate);
+                this._compactImmediate = null;
+            }
+            try {
+                this._backend.closeLog();
+            } catch (err) {
+                this._emitError(err, 'Failed to close append-only log');
+            }
+        }
+
+        // Entries stay in the backend; close it so flush() below does not clear it
+        // (SdbBackend is kept: closed, it writes nothing through but can still save a snapshot)
+        if (this._hotOnly) {
+            try {
+                this._backend.close();
+            } catch (err) {
+                this._emitError(err, 'Failed to close backend');
+            }
+            this._backend = null;
+            this._hotOnly = false;
+        }
+
+        // Stop syncing so flush() below is not published
+        if (this._sync) {
+            try {
+                this._sync.close();
+            } catch (err) {
+                this._emitError(err, 'Failed to close sync transport');
+            }
+            this._sync = null;
+        }
+
+        // Remove from instances set
+        if (SimpleCache._instances) {
+            SimpleCache._instances.delete(this);
+        }
+
+        // Remove from active files registry
+        if (this.persistent && SimpleCache._activeFiles && SimpleCache._activeFiles.get(this.persistPath) === this) {
+            SimpleCache._activeFiles.delete(this.persistPath);
+        }
+
+        // Everything is written, let other processes in
+        if (this._lock) {
+            try {
+                this._lock.release();
+            } catch (err) {
+                this._emitError(err, 'Failed to release cache file lock');
+            }
+        }
+
+        this._stopCleanup();
+        this.flush();
+    }
+
+    /**
+     * Load cache from binary file (and replay the append-only log in aof mode).
+     * `loaded` / `error` are emitted on the next tick so listeners attached
+     * right after the constructor still receive them.
+     * @private
+     * @returns {boolean} - true if the snapshot should be rewritten (old version, damaged, old key, or log replayed)
+     */
+    _loadFromBinary() {
+        const { info, rewrite, errors, warnings } = this._readFromDisk();
+
+        process.nextTick(() => {
+            // Start fresh on error
+            for (const { err, context } of [...warnings, ...errors]) {
+                this._emitError(err, context);
+            }
+            if (info) this.emit('loaded', info);
+        });
+
+        return rewrite;
+    }
+
+    /**
+     * Open persistence once the entries are loaded
+     * @private
+     * @param {boolean} rewrite - true if the snapshot should be rewritten
+     */
+    _startPersistence(rewrite) {
+        if (this.readOnly) return;
+
+        if (this.persistMode === 'aof') {
+            this._openLog(rewrite);
+        } else if (rewrite) {
             this._scheduleSave();
         }
-
-        return "OK";
+        this._startAutoSave();
     }
 
     /**
-     * Retrieve a value from the cache.
-     * @param {string|number} key
-     * @returns {any|null}
+     * Load with non-blocking I/O (asyncIO), then emit `loaded` and `ready`.
+     * Writes before `ready` win: the file's copy of a key set or deleted meanwhile is skipped,
+     * and nothing from the file is kept after a flush().
+     * @private
+     * @returns {Promise<SimpleCache>} - Rejects only when lock: 'wait' times out (the cache is destroyed);
+     *   load failures are emitted as `error`
      */
-    get(key) {
-        // Convert key to string for consistency
-        const stringKey = String(key);
+    async _loadAsync() {
+        if (this._lock && !this._lock.isHeld) {
+            try {
+                await this._lock.acquire({ wait: true, timeout: this.lockTimeout });
+            } catch (err) {
+                // Still loading, so destroy() saves nothing
+                this.destroy();
+                throw err;
+            }
+            if (this._destroyed) {
+                this._lock.release();
+                return this;
+            }
+        }
 
-        if (!this.store.has(stringKey)) return null;
+        const read = await this._readFileAsync();
+        if (this._destroyed) return this;
 
-        // Lazy deletion: check if expired
-        if (this.expiries.has(stringKey)) {
-            const expiryTime = this.expiries.get(stringKey);
-            if (Date.now() >= expiryTime) {
-                this.store.delete(stringKey);
-                this.expiries.delete(stringKey);
-                return null;
-            }
+        const changed = this.store.size > 0 || this._loadOverrides.size > 0 || this._flushedWhileLoading;
+        const { info, rewrite, errors, warnings } = this._restoreFromDisk(read);
+        this._loading = false;
+        this._loadOverrides = null;
+        this._flushedWhileLoading = false;
+
+        // Start fresh on error
+        for (const { err, context } of [...warnings, ...errors]) {
+            this._emitError(err, context);
         }
+        if (info) this.emit('loaded', info);
 
-        return this.store.get(stringKey);
+        this._startPersistence(rewrite || changed);
+        this.emit('ready');
+        return this;
     }
 
     /**
-     * Delete a key.
-     * @param {string|number} key
-     * @returns {number} - 1 if deleted, 0 if not found
+     * Read the snapshot (and the log in aof mode) into the cache.
+     * Nothing is emitted: load failures are returned as `errors`, skipped records as `warnings`.
+     * @private
+     * @returns {{info: object|null, rewrite: boolean, errors: Array<{err: Error, context: string}>, warnings: Array<{err: Error, context: string}>}}
+     *   `info` is null when there was nothing to read
      */
-    del(key) {
-        // Convert key to string for consistency
-        const stringKey = String(key);
-
-        this.expiries.delete(stringKey);
-        const deleted = this.store.delete(stringKey) ? 1 : 0;
-
-        // Schedule debounced save if something was deleted
-        if (deleted && this.persistent) {
-            this._scheduleSave();
-        }
-
-        return deleted;
+    _readFromDisk() {
+        return this._restoreFromDisk({ startTime: Date.now(), ...this._backend.load() });
     }
 
     /**
-     * Clear all cache.
+     * Read and decode the snapshot (and log) with non-blocking I/O, without touching the cache
+     * @private
+     * @returns {Promise<{startTime: number, snapshot: object|null, log: object|null, errors: Array<{err: Error, context: string}>}>}
      */
-    flush() {
-        this._stopCleanup();
-        this.expiries.clear();
-        this.store.clear();
+    async _readFileAsync() {
+        const startTime = Date.now();
+        return { startTime, ...(await this._backend.loadAsync()) };
+    }
 
-        // Cancel any pending save after flush
-        if (this.persistent) {
-            this._cancelScheduledSave();
+    /**
+     * Put a decoded snapshot and log into the cache
+     * @private
+     * @param {{startTime: number, snapshot: object|null, log: object|null, errors: Array<{err: Error, context: string}>}} read
+     * @returns {{info: object|null, rewrite: boolean, errors: Array<{err: Error, context: string}>, warnings: Array<{err: Error, context: string}>}}
+     */
+    _restoreFromDisk({ startTime, snapshot, log, errors }) {
+        // Replacing and replaying entries must not append to the live log (reload() in aof mode)
+        this._restoring = true;
+        try {
+            return this._restoreEntries({ startTime, snapshot, log, errors });
+        } finally {
+            this._restoring = false;
         }
     }
 
     /**
-     * Destroy cache instance and stop all intervals
+     * Body of _restoreFromDisk()
+     * @private
+     * @param {{startTime: number, snapshot: object|null, log: object|null, errors: Array<{err: Error, context: string}>}} read
+     * @returns {{info: object|null, rewrite: boolean, errors: Array<{err: Error, context: string}>, warnings: Array<{err: Error, context: string}>}}
      */
-    destroy() {
-        // If there's a pending save, execute it immediately
-        if (this.persistent && this._saveTimeout) {
-            clearTimeout(this._saveTimeout);
-            this._saveToBinary();
-            this._saveTimeout = null;
+    _restoreEntries({ startTime, snapshot, log, errors }) {
+        const warnings = [];
+        let info = null;
+        let rewrite = false;
+
+        if (snapshot) {
+            const { entries, skipped, version, keyIndex, bytes } = snapshot;
+            const now = Date.now();
+
+            for (const entry of entries) {
+                this._restoreEntry(entry, now);
+            }
+
+            info = { path: this.persistPath, entries: 0, bytes, duration: 0, skipped, version };
+            if (skipped > 0) {
+                warnings.push({ err: new Error(`Skipped ${skipped} corrupt record(s) in ${this.persistPath}`), context: 'Failed to load from binary' });
+            }
+
+            // Rewrite older or damaged files in the current format, and re-encrypt files read with an old key
+            rewrite = version !== sdb.VERSION || skipped > 0 || keyIndex > 0;
         }
 
-        // Remove from instances set
-        if (SimpleCache._instances) {
-            SimpleCache._instances.delete(this);
+        if (log) {
+            const now = Date.now();
+            for (const operation of log.operations) {
+                this._applyLogOperation(operation, now);
+            }
+
+            info = info || { path: this.persistPath, entries: 0, bytes: 0, duration: 0, skipped: 0, version: sdb.VERSION };
+            info.replayed = log.operations.length;
+            if (log.skipped > 0) {
+                warnings.push({ err: new Error(`Skipped ${log.skipped} corrupt record(s) in ${this._backend.logPath}`), context: 'Failed to replay append-only log' });
+            }
+
+            rewrite = rewrite || log.operations.length > 0 || log.skipped > 0;
         }
 
-        // Remove from active files registry
-        if (this.persistent && SimpleCache._activeFiles) {
-            SimpleCache._activeFiles.delete(this.persistPath);
+        // File may have been written with larger (or no) bounds
+        this._enforceLimits();
+
+        if (info) {
+            info.entries = this.store.size;
+            info.duration = Date.now() - startTime;
         }
 
-        this._stopCleanup();
-        this.flush();
+        return { info, rewrite, errors, warnings };
     }
 
     /**
-     * Load cache from binary file
+     * Put an entry read from disk back into the cache (no events, no stats)
      * @private
+     * @param {{key: string, value: any, expiryTime: number, tags: string[], ttl: number, createdAt: number}} entry
+     * @param {number} now
      */
-    _loadFromBinary() {
-        try {
-            // Check if file exists
-            if (!fs.existsSync(this.persistPath)) {
-                return; // file doesn't exist, skip
-            }
+    _restoreEntry(entry, now) {
+        if (this._overriddenWhileLoading(entry.key)) return;
 
-            const buffer = fs.readFileSync(this.persistPath);
-            const entries = this._deserializeBinary(buffer);
-            const now = Date.now();
+        this._removeEntry(entry.key);
 
-            // Load only non-expired entries
-            for (const { key, value, expiryTime } of entries) {
-                // Skip if already expired
-                if (expiryTime > 0 && now >= expiryTime) {
-                    continue;
-                }
+        // Skip if already expired
+        if (entry.expiryTime > 0 && now >= entry.expiryTime) return;
+
+        this._putEntry(entry, now);
+    }
+
+    /**
+     * Put an entry into memory with its bookkeeping (the key must not be in memory)
+     * @private
+     * @param {{key: string, value: any, expiryTime: number, tags: string[], ttl: number, createdAt: number}} entry
+     * @param {number} now
+     */
+    _putEntry({ key, value, expiryTime, tags, ttl, createdAt }, now) {
+        this.store.set(key, value);
+        if (this.evictionPolicy === 'lfu' && this._isBounded()) {
+            this._frequencies.add(key);
+        }
+        if (expiryTime > 0) {
+            this._setExpiryTime(key, expiryTime);
+            if (ttl > 0) {
+                this._ttls.set(key, ttl);
+            }
+            this._startCleanup(); // stopped by flush()
+        }
+        this._created.set(key, createdAt || now);
+        this._trackSize(key, value);
+        this._tag(key, tags);
+    }
 
-                this.store.set(key, value);
-                if (expiryTime > 0) {
-                    this.expiries.set(key, expiryTime);
+    /**
+     * Apply one operation of the append-only log
+     * @private
+     * @param {{op: string, key?: string, entry?: object, expiryTime?: number, ttl?: number}} operation
+     * @param {number} now
+     */
+    _applyLogOperation(operation, now) {
+        if (operation.op !== 'set' && operation.op !== 'flush' && this._overriddenWhileLoading(operation.key)) return;
+
+        switch (operation.op) {
+            case 'set':
+                this._restoreEntry(operation.entry, now);
+                break;
+            case 'del':
+                this._removeEntry(operation.key);
+                break;
+            case 'expire': {
+                const { key, expiryTime, ttl } = operation;
+                if (this.store.has(key)) {
+                    this._applyExpiry(key, expiryTime, ttl, now);
                 }
+                break;
             }
-        } catch (err) {
-            // Silent fail, start fresh on error
-            console.error('Failed to load from binary:', err.message);
+            case 'flush':
+                for (const key of [...this.store.keys()]) {
+                    if (!this._overriddenWhileLoading(key)) this._removeEntry(key);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Whether a key was set or deleted while the file was read (asynchronous load or reload()), so the file must not touch it
+     * @private
+     * @param {string} key
+     * @returns {boolean}
+     */
+    _overriddenWhileLoading(key) {
+        return this._loadOverrides !== null && (this._flushedWhileLoading || this._loadOverrides.has(key));
+    }
+
+    /**
+     * Give a key in memory an absolute expiry (no events; an expiry in the past removes the key)
+     * @private
+     * @param {string} key
+     * @param {number} expiryTime - Timestamp in ms, 0 = permanent
+     * @param {number} ttl - Original TTL in seconds
+     * @param {number} now
+     */
+    _applyExpiry(key, expiryTime, ttl, now) {
+        this._staleUntil.delete(key);
+
+        if (expiryTime === 0) {
+            this.expiries.delete(key);
+            this._ttls.delete(key);
+        } else if (now >= expiryTime) {
+            this._removeEntry(key);
+        } else {
+            this._setExpiryTime(key, expiryTime);
+            if (ttl > 0) this._ttls.set(key, ttl);
         }
     }
 
@@ -342,11 +2234,19 @@ class SimpleCache {
             const globalSaveHandler = (signal) => {
                 // Save all instances
                 for (const instance of SimpleCache._instances) {
-                    if (instance.store.size === 0) continue;
+                    if (instance._logging()) {
+                        // Changes are already in the log, only make sure they reached the disk
+                        try {
+                            instance._logRenewals();
+                            instance._backend.syncLog();
+                        } catch (err) {
+                            instance._emitError(err, 'Failed to sync append-only log');
+                        }
+                        continue;
+                    }
+                    if (instance.store.size === 0 || instance._loading || instance.readOnly) continue;
 
-                    console.log('[SimpleCache] Saving cache to binary before exit...');
                     instance._saveToBinary();
-                    console.log('[SimpleCache] Cache saved successfully');
                 }
 
                 // Only exit if called from SIGINT/SIGTERM
@@ -372,176 +2272,524 @@ class SimpleCache {
             process.once('SIGTERM', () => globalSaveHandler('SIGTERM'));
             // Save pending changes on normal exit
             process.once('beforeExit', beforeExitHandler);
+            // Remove lockfiles on the way out (process.exit() in the signal handlers included)
+            process.once('exit', () => {
+                for (const instance of SimpleCache._instances) {
+                    if (!instance._lock) continue;
+                    try {
+                        instance._lock.release();
+                    } catch (err) {
+                        // Left for stale-lock detection
+                    }
+                }
+            });
         }
     }
 
     /**
-     * Save cache to binary file
+     * Save cache to binary file, reporting failures through the `error` event
      * Only saves entries with valid TTL (not expired)
      * @private
+     * @returns {boolean} - true if the file was written
      */
     _saveToBinary() {
         try {
-            const now = Date.now();
-            const entries = [];
+            this._writeSnapshot();
+            return true;
+        } catch (err) {
+            this._emitError(err, 'Failed to save to binary');
+            return false;
+        }
+    }
 
-            // Filter: only save non-expired entries
-            for (const [key, value] of this.store.entries()) {
-                const expiryTime = this.expiries.get(key) || 0;
+    /**
+     * Write the snapshot synchronously (throws on failure)
+     * @private
+     * @returns {{path: string, entries: number, bytes: number, duration: number}}
+     */
+    _writeSnapshot() {
+        const startTime = Date.now();
 
-                // Skip if already expired
-                if (expiryTime > 0 && now >= expiryTime) {
-                    continue;
-                }
+        try {
+            const entries = this._collectSnapshot();
+            const { bytes } = this._backend.save(entries);
+            return this._recordSave(entries.length, bytes, startTime);
+        } catch (err) {
+            this._stats.saveErrors++;
+            throw err;
+        }
+    }
+
+    /**
+     * Stream the snapshot to disk with fs.promises (throws on failure).
+     * Runs through the save queue, so only one asynchronous write exists at a time. A synchronous
+     * save (destroy, process exit) that finishes first wins: the older snapshot is then discarded.
+     * @private
+     * @returns {Promise<{path: string, entries: number, bytes: number, duration: number}>}
+     */
+    async _writeSnapshotAsync() {
+        const startTime = Date.now();
 
-                entries.push({ key, value, expiryTime });
+        try {
+            const entries = this._collectSnapshot();
+            const { bytes, superseded } = await this._backend.saveAsync(entries);
+            if (superseded) {
+                return { path: this.persistPath, entries: entries.length, bytes, duration: Date.now() - startTime };
             }
+            return this._recordSave(entries.length, bytes, startTime);
+        } catch (err) {
+            this._stats.saveErrors++;
+            throw err;
+        }
+    }
+
+    /**
+     * Persisted form of every non-expired entry
+     * @private
+     * @returns {Array<{key: string, value: any, expiryTime: number, tags: string[], ttl: number, createdAt: number}>}
+     */
+    _collectSnapshot() {
+        const now = Date.now();
+        const entries = [];
 
-            // Serialize to binary
-            const buffer = this._serializeBinary(entries);
+        // Filter: only save non-expired entries
+        for (const [key, value] of this.store.entries()) {
+            const expiryTime = this.expiries.get(key) || 0;
 
-            // Ensure directory exists
-            const dir = path.dirname(this.persistPath);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
+            // Skip if already expired
+            if (expiryTime > 0 && now >= expiryTime) {
+                continue;
             }
 
-            // Atomic write: write to temp → rename
-            const tempPath = this.persistPath + '.tmp';
-            fs.writeFileSync(tempPath, buffer);
-            fs.renameSync(tempPath, this.persistPath);
-        } catch (err) {
-            console.error('Failed to save to binary:', err.message);
+            entries.push(this._snapshotEntry(key, value, expiryTime));
         }
+
+        return entries;
+    }
+
+    /**
+     * Update save stats and emit `saved`
+     * @private
+     * @param {number} count - Entries written
+     * @param {number} bytes - File size
+     * @param {number} startTime - When the save started (ms)
+     * @returns {{path: string, entries: number, bytes: number, duration: number}}
+     */
+    _recordSave(count, bytes, startTime) {
+        const duration = Date.now() - startTime;
+        this._stats.saves++;
+        this._stats.lastSave = Date.now();
+        this._stats.lastSaveDuration = duration;
+
+        const info = {
+            path: this.persistPath,
+            entries: count,
+            bytes,
+            duration
+        };
+        this.emit('saved', info);
+        return info;
+    }
+
+    /**
+     * Persisted form of an entry (snapshot and log)
+     * @private
+     * @param {string} key
+     * @param {any} value
+     * @param {number} expiryTime - 0 = permanent
+     * @returns {{key: string, value: any, expiryTime: number, tags: string[], ttl: number, createdAt: number}}
+     */
+    _snapshotEntry(key, value, expiryTime) {
+        const tagSet = this._keyTags.get(key);
+        return {
+            key,
+            value,
+            expiryTime,
+            tags: tagSet ? [...tagSet] : [],
+            ttl: this._ttls.get(key) || 0,
+            createdAt: this._created.get(key) || 0
+        };
     }
 
     /**
-     * Serialize entries to binary format
+     * Start a fresh append-only log, compacting first if the snapshot is out of date
      * @private
-     * @param {Array<{key: string, value: any, expiryTime: number}>} entries
-     * @returns {Buffer}
+     * @param {boolean} rewrite - Result of _loadFromBinary()
      */
-    _serializeBinary(entries) {
-        const buffers = [];
+    _openLog(rewrite) {
+        this._backend.openLog();
 
-        // Header (12 bytes)
-        // - Magic: "SDB" (3 bytes)
-        // - Version: 0x01 (1 byte)
-        // - Entry Count: uint32 LE (4 bytes)
-        // - Reserved: (4 bytes)
-        const header = Buffer.alloc(12);
-        header.write('SDB', 0, 'ascii');
-        header.writeUInt8(1, 3); // version
-        header.writeUInt32LE(entries.length, 4);
-        buffers.push(header);
+        if (rewrite) {
+            this._compact();
+            if (this._backend.isLogOpen) return;
+        }
+
+        try {
+            this._backend.resetLog();
+        } catch (err) {
+            this._emitError(err, 'Failed to open append-only log');
+        }
+    }
 
-        // Entries
-        for (const { key, value, expiryTime } of entries) {
-            const keyBuf = Buffer.from(key, 'utf8');
-            const valueBuf = Buffer.from(JSON.stringify(value), 'utf8');
+    /**
+     * Whether changes are appended to the log (aof mode, once the log is open)
+     * @private
+     * @returns {boolean}
+     */
+    _logging() {
+        return this._backend !== null && this._backend.resident === true && this._backend.writeThrough;
+    }
 
-            // Entry structure:
-            // - Key Length: uint16 LE (2 bytes)
-            // - Key: UTF-8 string (variable)
-            // - Expiry Time: BigInt64 LE (8 bytes, 0 = permanent)
-            // - Value JSON Length: uint32 LE (4 bytes)
-            // - Value: JSON string (variable)
-            const entryBuf = Buffer.alloc(2 + keyBuf.length + 8 + 4 + valueBuf.length);
-            let offset = 0;
+    /**
+     * Record a change: write it through to the backend (the log, in aof mode)
+     * @private
+     * @param {'set'|'del'|'expire'|'flush'} op
+     * @param {string} [key]
+     */
+    _record(op, key) {
+        if (this._restoring) return;
 
-            // Key
-            entryBuf.writeUInt16LE(keyBuf.length, offset);
-            offset += 2;
-            keyBuf.copy(entryBuf, offset);
-            offset += keyBuf.length;
+        this._markOverride(op, key);
+        this._writeBackend(op, key);
+    }
 
-            // Expiry
-            entryBuf.writeBigInt64LE(BigInt(expiryTime), offset);
-            offset += 8;
+    /**
+     * Remember a change made while the file is read (asynchronous load, pending reload()),
+     * so that the file's copy does not overwrite it
+     * @private
+     * @param {'set'|'del'|'expire'|'flush'} op
+     * @param {string} [key]
+     */
+    _markOverride(op, key) {
+        if (this._loadOverrides) {
+            if (op === 'flush') this._flushedWhileLoading = true;
+            else this._loadOverrides.add(key);
+        }
+        for (const reload of this._reloads) {
+            if (op === 'flush') reload.flushed = true;
+            else reload.keys.add(key);
+        }
+    }
 
-            // Value
-            entryBuf.writeUInt32LE(valueBuf.length, offset);
-            offset += 4;
-            valueBuf.copy(entryBuf, offset);
+    /**
+     * Write a change through to the backend. SdbBackend only takes changes in aof mode (appended
+     * to its log); the snapshot is written from store instead.
+     * @private
+     * @param {'set'|'del'|'expire'|'flush'} op
+     * @param {string} [key]
+     */
+    _writeBackend(op, key) {
+        const backend = this._backend;
+        if (!backend || (backend.resident && !backend.writeThrough)) return;
 
-            buffers.push(entryBuf);
+        try {
+            switch (op) {
+                case 'set':
+                    backend.set(key, this._snapshotEntry(key, this.store.get(key), this.expiries.get(key) || 0));
+                    break;
+                case 'del':
+                    backend.del(key);
+                    break;
+                case 'expire':
+                    backend.expire(key, this.expiries.get(key) || 0, this._ttls.get(key) || 0);
+                    break;
+                case 'flush':
+                    if (typeof backend.clear === 'function') {
+                        backend.clear();
+                    } else {
+                        for (const entry of [...backend.iterate()]) {
+                            backend.del(entry.key);
+                        }
+                    }
+                    break;
+            }
+        } catch (err) {
+            this._emitError(err, backend.resident ? 'Failed to append to log' : 'Failed to write to backend');
+            return;
         }
 
-        return Buffer.concat(buffers);
+        // Compact in the background once the log outgrows the snapshot
+        if (backend.resident && backend.needsCompaction() && !this._compactImmediate) {
+            this._compactImmediate = setImmediate(() => this._compact());
+            if (this._compactImmediate.unref) {
+                this._compactImmediate.unref();
+            }
+        }
     }
 
     /**
-     * Deserialize binary format to entries
+     * Log the renewal of a sliding get() later (aof mode only): a hot key would otherwise append
+     * a record on every read. Renewals not yet appended are lost on a crash, so such keys may
+     * expire up to saveDelay seconds early after a restart.
      * @private
-     * @param {Buffer} buffer
-     * @returns {Array<{key: string, value: any, expiryTime: number}>}
+     * @param {string} key
      */
-    _deserializeBinary(buffer) {
-        const entries = [];
+    _queueRenewal(key) {
+        if (!this._logging() || this._restoring) return;
+
+        this._renewedKeys.add(key);
+        if (this._renewTimer) return;
 
-        // Parse header
-        const magic = buffer.toString('ascii', 0, 3);
-        if (magic !== 'SDB') {
-            throw new Error('Invalid SDB file format');
+        this._renewTimer = setTimeout(() => this._logRenewals(), this.saveDelay * 1000);
+        if (this._renewTimer.unref) {
+            this._renewTimer.unref();
+        }
+    }
+
+    /**
+     * Append the current expiry of every queued renewal (one record per key)
+     * @private
+     */
+    _logRenewals() {
+        if (this._renewTimer) {
+            clearTimeout(this._renewTimer);
+            this._renewTimer = null;
         }
 
-        const version = buffer.readUInt8(3);
-        if (version !== 1) {
-            throw new Error(`Unsupported SDB version: ${version}`);
+        const keys = [...this._renewedKeys];
+        this._renewedKeys.clear();
+        for (const key of keys) {
+            // Deleted keys are already in the log; a later set or expire() logged the same expiry
+            if (this.store.has(key)) this._writeBackend('expire', key);
         }
+    }
 
-        const entryCount = buffer.readUInt32LE(4);
-        let offset = 12;
+    /**
+     * Fold the log into a new snapshot and start an empty log.
+     * A crash between the two steps is harmless: replaying the old log over the new snapshot gives the same state.
+     * @private
+     */
+    _compact() {
+        this._compactImmediate = null;
+        if (!this._logging()) return;
 
-        // Parse entries
-        for (let i = 0; i < entryCount; i++) {
-            // Key
-            const keyLength = buffer.readUInt16LE(offset);
-            offset += 2;
-            const key = buffer.toString('utf8', offset, offset + keyLength);
-            offset += keyLength;
+        try {
+            this._compactNow();
+        } catch (err) {
+            this._emitError(err, 'Failed to compact append-only log');
+        }
+    }
 
-            // Expiry
-            const expiryTime = Number(buffer.readBigInt64LE(offset));
-            offset += 8;
+    /**
+     * Compaction body (throws on failure)
+     * @private
+     * @returns {{path: string, entries: number, bytes: number, duration: number}} - The snapshot that was written
+     */
+    _compactNow() {
+        const startTime = Date.now();
+        const logBytes = this._backend.logSize;
+
+        const info = this._writeSnapshot();
+        this._backend.resetLog();
+
+        // The snapshot has the renewed expiries
+        this._renewedKeys.clear();
+
+        this.emit('compacted', {
+            path: this._backend.logPath,
+            bytes: logBytes,
+            duration: Date.now() - startTime
+        });
+        return info;
+    }
 
-            // Value
-            const valueLength = buffer.readUInt32LE(offset);
-            offset += 4;
-            const valueJson = buffer.toString('utf8', offset, offset + valueLength);
-            const value = JSON.parse(valueJson);
-            offset += valueLength;
+    /**
+     * Estimated memory usage of all entries in bytes
+     * @private
+     * @returns {number}
+     */
+    _estimateMemory() {
+        // Already tracked incrementally when maxMemory is set
+        if (this.maxMemory > 0) return this._memoryUsage;
 
-            entries.push({ key, value, expiryTime });
+        let total = 0;
+        for (const [key, value] of this.store.entries()) {
+            total += key.length * 2 + estimateSize(value);
         }
+        return total;
+    }
 
-        return entries;
+    /**
+     * Number of entries, including the ones that are only in the backend
+     * (expired ones excluded: a backend's `size` may count them)
+     * @private
+     * @returns {number}
+     */
+    _countKeys() {
+        if (!this._hotOnly) return this.store.size;
+
+        return [...this._liveKeys()].length;
     }
 
     /**
      * Stats
-     * @returns {{keys: number}}
+     * @returns {{keys: number, hits: number, misses: number, hitRate: number, sets: number, deletes: number, expired: number, evicted: number, wraps: number, avgWrapTime: number, stale: number, saves: number, saveErrors: number, lastSave: number|null, lastSaveDuration: number, memory: number}}
      */
     stats() {
-        return { keys: this.store.size };
+        const { wrapTime, ...counters } = this._stats;
+        const lookups = counters.hits + counters.misses;
+
+        return {
+            keys: this._countKeys(),
+            ...counters,
+            hitRate: lookups > 0 ? counters.hits / lookups : 0,
+            avgWrapTime: counters.wraps > 0 ? wrapTime / counters.wraps : 0,
+            memory: this._estimateMemory()
+        };
+    }
+
+    /**
+     * Reset all statistics counters (keys and memory are not counters and stay as is)
+     */
+    resetStats() {
+        this._stats = createStats();
     }
 
     /**
      * Wrap: return cached value or compute & cache.
+     * Cached `null` / `undefined` results count as hits.
+     * Concurrent calls for the same key share a single `fn()` invocation;
+     * if it rejects, every caller receives the error and nothing is cached.
+     *
+     * Stale modes (both in seconds, counted from the moment the fresh TTL elapses):
+     * - `staleTtl`: serve the expired value immediately and refresh in the background
+     * - `staleIfError`: if `fn()` throws, serve the expired value instead of the error
+     * Failures that are hidden this way are reported with the `refreshError` event.
      * @template T
      * @param {string} key
      * @param {() => (Promise<T>|T)} fn
-     * @param {number} [ttl] - Override TTL
+     * @param {number|{ttl?: number, tags?: string[], timeout?: number, staleTtl?: number, staleIfError?: number, negativeTtl?: number}} [options]
+     *   - Override TTL, or options object with `ttl`, `tags`, `timeout` (seconds to wait for the computation
+     *   before rejecting), `staleTtl`, `staleIfError` and `negativeTtl` (TTL for null/undefined results)
      * @returns {Promise<T>}
      */
-    async wrap(key, fn, ttl) {
-        const cached = this.get(key);
-        if (cached !== null) return cached;
+    async wrap(key, fn, options) {
+        const stringKey = String(key);
 
-        const result = await fn();
-        this.set(key, result, ttl);
-        return result;
+        const cached = this._lookup(stringKey);
+        if (cached) return cached.value;
+
+        const { timeout = 0, staleTtl = 0, staleIfError = 0 } =
+            options !== null && typeof options === 'object' ? options : {};
+        const stale = this._peekStale(stringKey);
+
+        // Stale-while-revalidate: answer now, refresh in the background
+        if (stale && Date.now() < stale.expiryTime + (staleTtl * 1000)) {
+            if (!this._pending.has(stringKey)) {
+                this._computeOnce(stringKey, fn, options)
+                    .catch((err) => this.emit('refreshError', stringKey, err));
+            }
+            this._stats.stale++;
+            return stale.value;
+        }
+
+        const pending = this._computeOnce(stringKey, fn, options);
+        const result = timeout > 0 ? this._withTimeout(stringKey, pending, timeout) : pending;
+        if (!stale || staleIfError <= 0) return result;
+
+        // Stale-if-error: fall back to the last good value during the grace window
+        try {
+            return await result;
+        } catch (err) {
+            if (Date.now() >= stale.expiryTime + (staleIfError * 1000)) throw err;
+
+            this.emit('refreshError', stringKey, err);
+            this._stats.stale++;
+            return stale.value;
+        }
+    }
+
+    /**
+     * Wait for a computation at most `timeout` seconds. A computation that timed out stops being
+     * the key's in-flight one, so the next wrap() calls fn again instead of joining a hung promise.
+     * @private
+     * @template T
+     * @param {string} stringKey
+     * @param {Promise<T>} pending
+     * @param {number} timeout - Seconds
+     * @returns {Promise<T>}
+     */
+    _withTimeout(stringKey, pending, timeout) {
+        return withTimeout(pending, timeout, stringKey).catch((err) => {
+            if (err.code === 'ETIMEDOUT' && this._pending.get(stringKey) === pending) {
+                this._pending.delete(stringKey);
+            }
+            throw err;
+        });
+    }
+
+    /**
+     * Return the in-flight computation for a key, starting one if there is none
+     * @private
+     * @template T
+     * @param {string} stringKey
+     * @param {() => (Promise<T>|T)} fn
+     * @param {number|object} [options]
+     * @returns {Promise<T>}
+     */
+    _computeOnce(stringKey, fn, options) {
+        let pending = this._pending.get(stringKey);
+        if (!pending) {
+            pending = this._compute(stringKey, fn, options);
+            this._pending.set(stringKey, pending);
+        }
+        return pending;
+    }
+
+    /**
+     * Run a wrap() computation and cache its result
+     * @private
+     * @template T
+     * @param {string} stringKey
+     * @param {() => (Promise<T>|T)} fn
+     * @param {number|{ttl?: number, tags?: string[]}} [options]
+     * @returns {Promise<T>}
+     */
+    _compute(stringKey, fn, options) {
+        const startTime = Date.now();
+
+        // Call fn on the next microtask so the promise is registered in _pending
+        // before a synchronous throw could settle it
+        const computation = Promise.resolve()
+            .then(() => fn())
+            .then((result) => {
+                // Timed out and replaced by a newer computation: that one's result wins
+                if (this._pending.has(stringKey) && this._pending.get(stringKey) !== computation) {
+                    return result;
+                }
+
+                this._stats.wraps++;
+                this._stats.wrapTime += Date.now() - startTime;
+
+                // Negative caching: "not found" results may use a shorter TTL
+                const objectOptions = options !== null && typeof options === 'object' ? options : {};
+                const negativeTtl = typeof objectOptions.negativeTtl === 'number' ? objectOptions.negativeTtl : this.negativeTtl;
+
+                if ((result === null || result === undefined) && negativeTtl > 0) {
+                    this.set(stringKey, result, { ...objectOptions, ttl: negativeTtl });
+                } else {
+                    this.set(stringKey, result, options);
+                }
+                return result;
+            })
+            .finally(() => {
+                if (this._pending.get(stringKey) === computation) {
+                    this._pending.delete(stringKey);
+                }
+            });
+        return computation;
     }
 }
 
+SimpleCache.Namespace = CacheNamespace;
+SimpleCache.MemoryBackend = MemoryBackend;
+SimpleCache.SdbBackend = SdbBackend;
+SimpleCache.FileBackend = FileBackend;
+SimpleCache.InProcessTransport = InProcessTransport;
+SimpleCache.SocketTransport = SocketTransport;
+SimpleCache.BroadcastChannelTransport = BroadcastChannelTransport;
+
 module.exports = SimpleCache;
+
+// TieredCache extends SimpleCache, so it is loaded once the class is exported
+SimpleCache.TieredCache = require('./tiered');
@@ -0,0 +1,160 @@
+// simple-cache-id
+// Access counts grouped in frequency buckets, for constant-time LFU eviction
+
+/**
+ * @class FrequencyIndex
+ * @classdesc Access count per key, with keys grouped by count in insertion-ordered Sets.
+ * The least frequently used key is the oldest key of the lowest bucket, so finding it
+ * does not scan the cache. Ties go to the key that reached that count first.
+ */
+class FrequencyIndex {
+    constructor() {
+        /** @type {Map<string, number>} - Access count per key */
+        this._counts = new Map();
+
+        /** @type {Map<number, Set<string>>} - Keys per access count (no empty Sets) */
+        this._buckets = new Map();
+
+        /** @type {number} - Lowest count with a bucket (may be stale after delete(), see min()) */
+        this._minCount = 0;
+    }
+
+    /**
+     * Number of tracked keys
+     * @returns {number}
+     */
+    get size() {
+        return this._counts.size;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {number|undefined}
+     */
+    get(key) {
+        return this._counts.get(key);
+    }
+
+    /**
+     * Start tracking a key with a count of 0 (no-op if it is tracked already)
+     * @param {string} key
+     */
+    add(key) {
+        if (this._counts.has(key)) return;
+
+        this._counts.set(key, 0);
+        this._bucket(0).add(key);
+        this._minCount = 0;
+    }
+
+    /**
+     * Count one access (tracks the key if needed)
+     * @param {string} key
+     */
+    increment(key) {
+        const count = this._counts.get(key);
+        if (count === undefined) {
+            this._counts.set(key, 1);
+            this._bucket(1).add(key);
+            this._minCount = Math.min(this._minCount, 1);
+            return;
+        }
+
+        this._removeFromBucket(key, count);
+        if (count === this._minCount && !this._buckets.has(count)) {
+            this._minCount = count + 1;
+        }
+
+        this._counts.set(key, count + 1);
+        this._bucket(count + 1).add(key);
+    }
+
+    /**
+     * Stop tracking a key
+     * @param {string} key
+     * @returns {boolean} - true if the key was tracked
+     */
+    delete(key) {
+        const count = this._counts.get(key);
+        if (count === undefined) return false;
+
+        this._counts.delete(key);
+        this._removeFromBucket(key, count);
+        return true;
+    }
+
+    clear() {
+        this._counts.clear();
+        this._buckets.clear();
+        this._minCount = 0;
+    }
+
+    /**
+     * Least frequently used key
+     * @param {string} [excludeKey] - Key that must not be returned
+     * @returns {string|undefined}
+     */
+    min(excludeKey) {
+        if (this._counts.size === 0) return undefined;
+
+        if (!this._buckets.has(this._minCount)) {
+            // The lowest bucket was emptied by delete(): find the new one
+            this._minCount = Infinity;
+            for (const count of this._buckets.keys()) {
+                if (count < this._minCount) this._minCount = count;
+            }
+        }
+
+        const candidate = this._first(this._buckets.get(this._minCount), excludeKey);
+        if (candidate !== undefined) return candidate;
+
+        // Only excludeKey is in the lowest bucket: take the next one
+        let next;
+        for (const count of this._buckets.keys()) {
+            if (count > this._minCount && (next === undefined || count < next)) next = count;
+        }
+        return next === undefined ? undefined : this._first(this._buckets.get(next), excludeKey);
+    }
+
+    /**
+     * @private
+     * @param {Set<string>} bucket
+     * @param {string} [excludeKey]
+     * @returns {string|undefined}
+     */
+    _first(bucket, excludeKey) {
+        for (const key of bucket) {
+            if (key !== excludeKey) return key;
+        }
+        return undefined;
+    }
+
+    /**
+     * @private
+     * @param {number} count
+     * @returns {Set<string>}
+     */
+    _bucket(count) {
+        let bucket = this._buckets.get(count);
+        if (!bucket) {
+            bucket = new Set();
+            this._buckets.set(count, bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     * @param {number} count
+     */
+    _removeFromBucket(key, count) {
+        const bucket = this._buckets.get(count);
+        bucket.delete(key);
+        if (bucket.size === 0) {
+            this._buckets.delete(count);
+        }
+    }
+}
+
+module.exports = FrequencyIndex;
@@ -0,0 +1,367 @@
+// simple-cache-id
+// Cross-process lockfile for persistent caches (PID + heartbeat, stale-lock detection)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/** @type {string[]} */
+const LOCK_MODES = ['fail', 'wait', 'readonly'];
+
+/** @type {number} - Delay between attempts while waiting for a lock (ms) */
+const RETRY_INTERVAL = 100;
+
+/** @type {Set<string>} - Tokens of the locks held by this process */
+const heldTokens = new Set();
+
+/** @type {LockOwner} - Reported when the lockfile exists but cannot be read */
+const UNKNOWN_OWNER = Object.freeze({ pid: 0, hostname: '', token: '', createdAt: 0 });
+
+/**
+ * @typedef {object} LockOwner
+ * @property {number} pid
+ * @property {string} hostname
+ * @property {string} token - Random id of the lock instance
+ * @property {number} createdAt - Timestamp in ms
+ */
+
+/**
+ * Lockfile next to the cache file.
+ *
+ * The file holds the owner as JSON (`{ pid, hostname, token, createdAt }`) and its mtime is the
+ * heartbeat, refreshed every `stale / 3` seconds. A lock is stale when its owner runs on this
+ * host and the PID is gone, or when the heartbeat is older than `stale` seconds (owner hung,
+ * crashed on another host, or the PID was reused).
+ *
+ * @class FileLock
+ */
+class FileLock {
+    /**
+     * @param {string} lockPath
+     * @param {object} [options]
+     * @param {number} [options.stale=30] - Seconds without heartbeat after which a lock is considered abandoned
+     * @param {function(Error): void} [options.onLost] - Called when the heartbeat finds the lock taken over or removed
+     */
+    constructor(lockPath, options = {}) {
+        /** @type {string} */
+        this.lockPath = lockPath;
+
+        /** @type {number} */
+        this.stale = options.stale || 30;
+
+        /** @type {function(Error): void} */
+        this.onLost = options.onLost || (() => {});
+
+        /** @type {string|null} - Token written to the lockfile while held */
+        this._token = null;
+
+        /** @type {NodeJS.Timeout|null} */
+        this._heartbeat = null;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isHeld() {
+        return this._token !== null;
+    }
+
+    /**
+     * Take the lock, optionally waiting for it. Blocks the thread while waiting.
+     * @param {object} [options]
+     * @param {boolean} [options.wait=false]
+     * @param {number} [options.timeout=10] - Seconds to wait before giving up
+     * @throws {Error} code `ELOCKED` when the lock is held by a live process
+     */
+    acquireSync({ wait = false, timeout = 10 } = {}) {
+        const deadline = Date.now() + (timeout * 1000);
+
+        for (;;) {
+            const owner = this._tryAcquire();
+            if (owner === null) return;
+
+            if (!wait || Date.now() >= deadline) throw lockedError(this.lockPath, owner);
+            sleepSync(Math.min(RETRY_INTERVAL, Math.max(1, deadline - Date.now())));
+        }
+    }
+
+    /**
+     * Like acquireSync(), but waits without blocking the event loop
+     * @param {object} [options]
+     * @param {boolean} [options.wait=false]
+     * @param {number} [options.timeout=10]
+     * @returns {Promise<void>}
+     */
+    async acquire({ wait = false, timeout = 10 } = {}) {
+        const deadline = Date.now() + (timeout * 1000);
+
+        for (;;) {
+            const owner = this._tryAcquire();
+            if (owner === null) return;
+
+            if (!wait || Date.now() >= deadline) throw lockedError(this.lockPath, owner);
+            await new Promise((resolve) => setTimeout(resolve, Math.min(RETRY_INTERVAL, Math.max(1, deadline - Date.now()))));
+        }
+    }
+
+    /**
+     * Remove the lockfile if it is still ours and stop the heartbeat
+     */
+    release() {
+        if (this._heartbeat) {
+            clearInterval(this._heartbeat);
+            this._heartbeat = null;
+        }
+        if (!this.isHeld) return;
+
+        const owner = readOwner(this.lockPath);
+        if (owner && owner.token === this._token) {
+            try {
+                fs.unlinkSync(this.lockPath);
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        }
+        heldTokens.delete(this._token);
+        this._token = null;
+    }
+
+    /**
+     * One attempt at creating the lockfile, taking over a stale one
+     * @private
+     * @returns {LockOwner|null} - null on success, otherwise the live owner
+     */
+    _tryAcquire() {
+        const token = crypto.randomBytes(8).toString('hex');
+        const owner = { pid: process.pid, hostname: os.hostname(), token, createdAt: Date.now() };
+
+        // Write the owner to a private file and hard-link it into place: the link fails if a lockfile
+        // exists, so only one process can create it, and nobody ever sees a half-written lockfile
+        const tempPath = `${this.lockPath}.${token}`;
+        fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(owner));
+
+        try {
+            for (let attempt = 0; attempt < 2; attempt++) {
+                if (createLockfile(this.lockPath, tempPath)) {
+                    // A takeover racing with ours may have replaced the file right after the link (a file
+                    // briefly moved aside is put back by whoever moved it; the heartbeat checks it from then on)
+                    const current = readOwner(this.lockPath);
+                    if (current && current.token !== token) return current;
+
+                    this._token = token;
+                    heldTokens.add(token);
+                    this._startHeartbeat();
+                    return null;
+                }
+
+                // An unreadable lockfile may be one created without hard links whose owner is not written
+                // yet: it only counts as abandoned once its heartbeat is overdue
+                const current = readOwner(this.lockPath);
+                if (current ? !this._isStale(current) : !this._heartbeatStopped()) return current || UNKNOWN_OWNER;
+
+                // Stale or abandoned: move it out of the way and try once more
+                const live = this._moveStale(current, token);
+                if (live) return live;
+            }
+
+            // Another process took it over between our move and link
+            return readOwner(this.lockPath) || UNKNOWN_OWNER;
+        } finally {
+            unlinkIfExists(tempPath);
+        }
+    }
+
+    /**
+     * Move a stale lockfile aside instead of unlinking it blindly. The rename is atomic, so when several
+     * processes take over the same stale lock only one of them moves it, and the moved file can be checked:
+     * if it is not the one that was found stale, a new owner got in meanwhile and its lockfile is put back.
+     * @private
+     * @param {LockOwner|null} stale - Owner read when the lock was found stale (null: unreadable)
+     * @param {string} token - Our token, for a unique name
+     * @returns {LockOwner|null} - The live owner whose lockfile was moved by mistake, or null
+     */
+    _moveStale(stale, token) {
+        const movedPath = `${this.lockPath}.${token}.stale`;
+        try {
+            fs.renameSync(this.lockPath, movedPath);
+        } catch (err) {
+            // Already moved or removed by another process
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+
+        try {
+            const moved = readOwner(movedPath);
+            const same = stale ? moved !== null && moved.token === stale.token : moved === null;
+            if (same) return null;
+
+            // If someone else created a lockfile in between, the moved owner's heartbeat reports the loss
+            createLockfile(this.lockPath, movedPath);
+            return moved || UNKNOWN_OWNER;
+        } finally {
+            unlinkIfExists(movedPath);
+        }
+    }
+
+    /**
+     * @private
+     * @param {LockOwner} owner
+     * @returns {boolean}
+     */
+    _isStale(owner) {
+        if (this._heartbeatStopped()) return true;
+
+        if (owner.hostname !== os.hostname()) return false;
+
+        // Our own PID but not one of our locks: a leftover (typically PID 1 in a restarted container)
+        if (owner.pid === process.pid) return !heldTokens.has(owner.token);
+
+        return !isAlive(owner.pid);
+    }
+
+    /**
+     * Whether the lockfile is older than `stale` seconds (or gone)
+     * @private
+     * @returns {boolean}
+     */
+    _heartbeatStopped() {
+        try {
+            return Date.now() - fs.statSync(this.lockPath).mtimeMs > this.stale * 1000;
+        } catch (err) {
+            return true;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _startHeartbeat() {
+        this._heartbeat = setInterval(() => {
+            const owner = readOwner(this.lockPath);
+            if (!owner || owner.token !== this._token) {
+                clearInterval(this._heartbeat);
+                this._heartbeat = null;
+                heldTokens.delete(this._token);
+                this._token = null;
+                this.onLost(new Error(`[SimpleCache] Lost the lock on ${this.lockPath} (removed or taken over as stale)`));
+                return;
+            }
+
+            try {
+                const now = new Date();
+                fs.utimesSync(this.lockPath, now, now);
+            } catch (err) {
+                this.onLost(err);
+            }
+        }, (this.stale * 1000) / 3);
+
+        if (this._heartbeat.unref) {
+            this._heartbeat.unref();
+        }
+    }
+}
+
+/**
+ * Owner recorded in a lockfile
+ * @param {string} lockPath
+ * @returns {LockOwner|null} - null if the file is missing or unreadable
+ */
+function readOwner(lockPath) {
+    try {
+        const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        return owner && typeof owner.pid === 'number' ? owner : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Create the lockfile from a file holding its content, unless it exists
+ * @private
+ * @param {string} lockPath
+ * @param {string} sourcePath
+ * @returns {boolean} - false if the lockfile already exists
+ */
+function createLockfile(lockPath, sourcePath) {
+    try {
+        fs.linkSync(sourcePath, lockPath);
+        return true;
+    } catch (err) {
+        if (err.code === 'EEXIST') return false;
+        if (err.code !== 'EPERM' && err.code !== 'ENOTSUP') throw err;
+    }
+
+    // No hard links on this file system: exclusive create, then write the owner. Until the
+    // owner is written the file is unreadable, which other processes treat as held (see _tryAcquire)
+    let fd;
+    try {
+        fd = fs.openSync(lockPath, 'wx');
+    } catch (err) {
+        if (err.code === 'EEXIST') return false;
+        throw err;
+    }
+    try {
+        fs.writeSync(fd, fs.readFileSync(sourcePath));
+    } finally {
+        fs.closeSync(fd);
+    }
+    return true;
+}
+
+/**
+ * @private
+ * @param {string} filePath
+ */
+function unlinkIfExists(filePath) {
+    try {
+        fs.unlinkSync(filePath);
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+}
+
+/**
+ * @private
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // EPERM: the process exists but belongs to another user
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * @private
+ * @param {number} ms
+ */
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * @private
+ * @param {string} lockPath
+ * @param {LockOwner} owner
+ * @returns {Error}
+ */
+function lockedError(lockPath, owner) {
+    const host = owner.hostname && owner.hostname !== os.hostname() ? ` on ${owner.hostname}` : '';
+    const holder = owner.pid ? `process ${owner.pid}${host}` : 'another process';
+    const err = new Error(`[SimpleCache] Cache file is locked by ${holder}: ${lockPath}`);
+    err.code = 'ELOCKED';
+    err.pid = owner.pid;
+    return err;
+}
+
+module.exports = {
+    FileLock,
+    readOwner,
+    LOCK_MODES
+};
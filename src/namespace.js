@@ -0,0 +1,249 @@
+// simple-cache-id
+// Namespaced view over a SimpleCache instance
+
+const { escapeGlob } = require('./glob');
+const { setEntry } = require('./entries');
+
+/**
+ * @class CacheNamespace
+ * @classdesc A view over a parent cache that transparently prefixes every key.
+ * All data lives in the parent, so persistence still goes through the parent's
+ * single `.sdb` file. Create one with `cache.namespace(prefix)`.
+ */
+class CacheNamespace {
+    /**
+     * @param {import('./index')} cache - Parent cache that stores the data
+     * @param {string} prefix - Full key prefix including separator (e.g. "user:")
+     */
+    constructor(cache, prefix) {
+        /** @type {import('./index')} */
+        this.cache = cache;
+
+        /** @type {string} */
+        this.prefix = prefix;
+    }
+
+    /**
+     * Prefix a key
+     * @private
+     * @param {string|number} key
+     * @returns {string}
+     */
+    _key(key) {
+        return this.prefix + String(key);
+    }
+
+    /**
+     * Prefix an object of key → value, or an array of `{key, value, ttl}` entries
+     * @private
+     * @param {Object<string, any>|Array<{key: string|number, value: any, ttl?: number}>} entries
+     * @returns {Array<{key: string, value: any, ttl?: number}>}
+     */
+    _entries(entries) {
+        if (Array.isArray(entries)) {
+            return entries.map((entry) => ({ ...entry, key: this._key(entry.key) }));
+        }
+        return Object.keys(entries).map((key) => ({ key: this._key(key), value: entries[key] }));
+    }
+
+    /**
+     * Strip the prefix from the keys of a parent result object
+     * @private
+     * @param {Object<string, any>} result
+     * @returns {Object<string, any>}
+     */
+    _unprefix(result) {
+        const unprefixed = {};
+        for (const key of Object.keys(result)) {
+            setEntry(unprefixed, key.slice(this.prefix.length), result[key]);
+        }
+        return unprefixed;
+    }
+
+    /**
+     * Create a nested namespace (e.g. "user" → "user:settings")
+     * @param {string} prefix
+     * @returns {CacheNamespace}
+     */
+    namespace(prefix) {
+        return new CacheNamespace(this.cache, this._key(prefix) + ':');
+    }
+
+    /**
+     * @param {string|number} key
+     * @param {any} value
+     * @param {number} [ttl]
+     * @returns {"OK"}
+     */
+    set(key, value, ttl) {
+        return this.cache.set(this._key(key), value, ttl);
+    }
+
+    /**
+     * @param {string|number} key
+     * @param {{refresh?: boolean}} [options]
+     * @returns {any|null}
+     */
+    get(key, options) {
+        return this.cache.get(this._key(key), options);
+    }
+
+    /**
+     * @param {string|number} key
+     * @returns {{value: any, expiryTime: number}|null}
+     */
+    getEntry(key) {
+        return this.cache.getEntry(this._key(key));
+    }
+
+    /**
+     * @param {string|number} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.cache.has(this._key(key));
+    }
+
+    /**
+     * @param {string|number} key
+     * @returns {number}
+     */
+    del(key) {
+        return this.cache.del(this._key(key));
+    }
+
+    /**
+     * @param {string|number} key
+     * @returns {any|null}
+     */
+    take(key) {
+        return this.cache.take(this._key(key));
+    }
+
+    /**
+     * @param {Array<string|number>} keys
+     * @returns {Object<string, any>}
+     */
+    mget(keys) {
+        return this._unprefix(this.cache.mget(keys.map((key) => this._key(key))));
+    }
+
+    /**
+     * @param {Object<string, any>|Array<{key: string|number, value: any, ttl?: number}>} entries
+     * @param {number} [ttl]
+     * @returns {"OK"}
+     */
+    mset(entries, ttl) {
+        return this.cache.mset(this._entries(entries), ttl);
+    }
+
+    /**
+     * @param {Array<string|number>} keys
+     * @returns {number}
+     */
+    mdel(keys) {
+        return this.cache.mdel(keys.map((key) => this._key(key)));
+    }
+
+    /**
+     * @param {Array<string|number>} keys
+     * @returns {Object<string, any>}
+     */
+    mtake(keys) {
+        return this._unprefix(this.cache.mtake(keys.map((key) => this._key(key))));
+    }
+
+    /**
+     * @template T
+     * @param {string|number} key
+     * @param {() => (Promise<T>|T)} fn
+     * @param {number} [ttl]
+     * @returns {Promise<T>}
+     */
+    wrap(key, fn, ttl) {
+        return this.cache.wrap(this._key(key), fn, ttl);
+    }
+
+    /**
+     * List keys in this namespace (without prefix), skipping expired entries
+     * @param {string} [pattern] - Glob pattern matched against the unprefixed key
+     * @returns {string[]}
+     */
+    keys(pattern = '*') {
+        return this.cache
+            .keys(escapeGlob(this.prefix) + pattern)
+            .map((key) => key.slice(this.prefix.length));
+    }
+
+    /**
+     * Iterate over `[key, value]` pairs in this namespace (without prefix), skipping expired entries
+     * @returns {IterableIterator<[string, any]>}
+     */
+    *entries() {
+        for (const [key, value] of this.cache.entries()) {
+            if (key.startsWith(this.prefix)) {
+                yield [key.slice(this.prefix.length), value];
+            }
+        }
+    }
+
+    /**
+     * @returns {IterableIterator<[string, any]>}
+     */
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * @param {string|number} key
+     * @returns {number}
+     */
+    ttl(key) {
+        return this.cache.ttl(this._key(key));
+    }
+
+    /**
+     * @param {string|number} key
+     * @returns {number|undefined}
+     */
+    getTtl(key) {
+        return this.cache.getTtl(this._key(key));
+    }
+
+    /**
+     * @param {string|number} key
+     * @param {number} seconds
+     * @returns {number}
+     */
+    expire(key, seconds) {
+        return this.cache.expire(this._key(key), seconds);
+    }
+
+    /**
+     * @param {string|number} key
+     * @returns {number}
+     */
+    persist(key) {
+        return this.cache.persist(this._key(key));
+    }
+
+    /**
+     * @param {string|number} key
+     * @param {number} [ttl]
+     * @returns {number}
+     */
+    touch(key, ttl) {
+        return this.cache.touch(this._key(key), ttl);
+    }
+
+    /**
+     * Delete every key in this namespace (including nested namespaces).
+     * Other keys in the parent cache are untouched.
+     * @returns {number} - Number of deleted keys
+     */
+    flush() {
+        return this.mdel(this.keys());
+    }
+}
+
+module.exports = CacheNamespace;
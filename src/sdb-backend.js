@@ -0,0 +1,432 @@
+// simple-cache-id
+// Default storage backend: entries in the cache's memory, persisted to an .sdb snapshot (and append-only log)
+
+const fs = require('fs');
+const path = require('path');
+const sdb = require('./sdb');
+const { parseCompressOptions } = require('./compression');
+const { resolveKeys } = require('./encryption');
+const { createSerializer } = require('./serializer');
+const { AppendOnlyLog, readLog, parseLog, FSYNC_POLICIES } = require('./aof');
+
+/** @type {string[]} */
+const PERSIST_MODES = ['snapshot', 'aof'];
+
+/**
+ * Read a file with fs.promises
+ * @param {string} filePath
+ * @returns {Promise<Buffer|null>} - null if the file does not exist
+ */
+async function readIfExists(filePath) {
+    try {
+        return await fs.promises.readFile(filePath);
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+/**
+ * @typedef {object} SdbRead
+ * @property {{bytes: number, entries: import('./sdb').SdbEntry[], skipped: number, version: number, keyIndex: number}|null} snapshot
+ *   - null when there is no snapshot file
+ * @property {{operations: import('./aof').LogOperation[], skipped: number}|null} log - null outside aof mode or without a log file
+ * @property {Array<{err: Error, context: string}>} errors - The snapshot or log that failed to read is null
+ */
+
+/**
+ * Default storage backend of SimpleCache: the Map+SDB store.
+ *
+ * It is resident: every entry stays in the cache's `store` Map, which this backend persists
+ * to an .sdb snapshot file. In `persistMode: 'snapshot'` the cache rewrites the snapshot
+ * (save / saveAsync) after changes; in `'aof'` each change is written through (set / del /
+ * expire / clear append to the log) and compaction folds the log into a new snapshot.
+ * The cache reads the file once when it opens and never asks for single keys.
+ *
+ * Without a path nothing is persisted (a cache without `persistent`).
+ * Debouncing, locking and events are the cache's; this class only does the file I/O.
+ * @class SdbBackend
+ */
+class SdbBackend {
+    /**
+     * @param {string|null} filePath - Snapshot path (the log is `filePath + '.aof'`), null = not persisted
+     * @param {object} [options]
+     * @param {boolean|string|object} [options.compress=false] - Compress the file with zlib
+     * @param {Buffer|string|Array<Buffer|string>|function(): (Buffer|string|Array<Buffer|string>)} [options.encryptionKey] - AES-256-GCM key(s)
+     * @param {'json'|'structured'|'v8'} [options.serializer='json'] - Codec for persisted values
+     * @param {Object<string, Function|object>} [options.types] - Custom classes for the structured serializer
+     * @param {'snapshot'|'aof'} [options.persistMode='snapshot'] - Rewrite the whole file after changes, or append every change to a log
+     * @param {'always'|'everysec'|'never'} [options.fsync='everysec'] - When the log is flushed to disk (aof only)
+     * @param {number} [options.compactRatio=1] - Compact when the log grows beyond this multiple of the snapshot size (aof only)
+     * @param {number} [options.compactMinSize=1048576] - Never compact a log smaller than this many bytes (aof only)
+     * @param {function(Error): void} [options.onError] - Background fsync failures (default: console.error)
+     */
+    constructor(filePath, options = {}) {
+        /** @type {string|null} */
+        this.path = filePath || null;
+
+        /** @type {true} - Entries are kept in the cache's memory, see Backend */
+        this.resident = true;
+
+        /** @type {'snapshot'|'aof'} */
+        this.persistMode = options.persistMode || 'snapshot';
+
+        if (!PERSIST_MODES.includes(this.persistMode)) {
+            throw new Error(`[SimpleCache] Invalid persistMode "${this.persistMode}" (expected one of: ${PERSIST_MODES.join(', ')})`);
+        }
+
+        /** @type {'always'|'everysec'|'never'} - When the append-only log is flushed to disk */
+        this.fsync = options.fsync || 'everysec';
+
+        if (!FSYNC_POLICIES.includes(this.fsync)) {
+            throw new Error(`[SimpleCache] Invalid fsync "${this.fsync}" (expected one of: ${FSYNC_POLICIES.join(', ')})`);
+        }
+
+        /** @type {number} - Compact when the log exceeds this multiple of the snapshot size */
+        this.compactRatio = options.compactRatio || 1;
+
+        /** @type {number} - Minimum log size in bytes before compacting */
+        this.compactMinSize = options.compactMinSize === undefined ? 1024 * 1024 : options.compactMinSize;
+
+        /** @type {{algorithm: string, level: number, threshold: number, mode: 'file'|'value'}|null} - Normalized compression options (null = off) */
+        this.compress = parseCompressOptions(options.compress);
+
+        /** @type {any} - encryptionKey option as given (key, key list or provider), resolved on every save/load */
+        this._encryptionKey = options.encryptionKey || null;
+
+        if (this._encryptionKey && typeof this._encryptionKey !== 'function') {
+            resolveKeys(this._encryptionKey); // validate early
+        }
+
+        if (options.types && options.serializer !== 'structured') {
+            throw new Error('[SimpleCache] "types" requires serializer: \'structured\'');
+        }
+
+        /** @type {import('./serializer').Codec} - Codec for persisted values (the cache registers types on it) */
+        this.serializer = createSerializer(options.serializer, options.types);
+
+        /** @type {function(Error): void} */
+        this.onError = options.onError || ((err) => console.error('SdbBackend:', err.message));
+
+        /** @type {AppendOnlyLog|null} - Log changes are written to (aof mode, from openLog() until closeLog()) */
+        this._log = null;
+
+        /** @type {number} - Snapshot size in bytes when the log was last reset */
+        this._snapshotSize = 0;
+
+        /** @type {number} - Incremented for every snapshot written */
+        this._saveGeneration = 0;
+
+        /** @type {number} - Generation of the snapshot currently on disk */
+        this._savedGeneration = 0;
+    }
+
+    /**
+     * @returns {string} - Path of the append-only log next to the snapshot
+     */
+    get logPath() {
+        return this.path + '.aof';
+    }
+
+    /**
+     * @returns {boolean} - Changes are written through to the log (aof mode, log opened)
+     */
+    get writeThrough() {
+        return this._log !== null;
+    }
+
+    /**
+     * @returns {boolean} - The log file is open for appending
+     */
+    get isLogOpen() {
+        return this._log !== null && this._log.isOpen;
+    }
+
+    /**
+     * @returns {number} - Log size in bytes (0 without a log)
+     */
+    get logSize() {
+        return this._log ? this._log.size : 0;
+    }
+
+    /**
+     * @param {string} key
+     * @param {import('./sdb').SdbEntry} entry
+     */
+    set(key, entry) {
+        this._append({ op: 'set', entry });
+    }
+
+    /**
+     * @param {string} key
+     */
+    del(key) {
+        this._append({ op: 'del', key });
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} expiryTime - Timestamp in ms, 0 = permanent
+     * @param {number} ttl - Original TTL in seconds
+     */
+    expire(key, expiryTime, ttl) {
+        this._append({ op: 'expire', key, expiryTime, ttl });
+    }
+
+    clear() {
+        this._append({ op: 'flush' });
+    }
+
+    /**
+     * Entries on disk: the snapshot with the log replayed over it, expired ones left out
+     * @returns {IterableIterator<import('./sdb').SdbEntry>}
+     */
+    *iterate() {
+        const { snapshot, log, errors } = this.load();
+        if (errors.length > 0) throw errors[0].err;
+
+        const entries = new Map();
+        for (const entry of snapshot ? snapshot.entries : []) {
+            entries.set(entry.key, entry);
+        }
+        for (const operation of log ? log.operations : []) {
+            switch (operation.op) {
+                case 'set':
+                    entries.set(operation.entry.key, operation.entry);
+                    break;
+                case 'del':
+                    entries.delete(operation.key);
+                    break;
+                case 'expire':
+                    if (entries.has(operation.key)) {
+                        entries.set(operation.key, { ...entries.get(operation.key), expiryTime: operation.expiryTime, ttl: operation.ttl });
+                    }
+                    break;
+                case 'flush':
+                    entries.clear();
+                    break;
+            }
+        }
+
+        const now = Date.now();
+        for (const entry of entries.values()) {
+            if (entry.expiryTime === 0 || now < entry.expiryTime) yield entry;
+        }
+    }
+
+    /**
+     * Close the log (the snapshot needs no closing)
+     */
+    close() {
+        this.closeLog();
+    }
+
+    /**
+     * Read and decode the snapshot (and the log in aof mode)
+     * @returns {SdbRead}
+     */
+    load() {
+        const read = { snapshot: null, log: null, errors: [] };
+        if (!this.path) return read;
+
+        try {
+            if (fs.existsSync(this.path)) {
+                const buffer = fs.readFileSync(this.path);
+                read.snapshot = { bytes: buffer.length, ...this.decode(buffer) };
+            }
+        } catch (err) {
+            read.errors.push({ err, context: 'Failed to load from binary' });
+        }
+
+        if (this.persistMode === 'aof') {
+            try {
+                read.log = readLog(this.logPath, this._readOptions());
+            } catch (err) {
+                read.errors.push({ err, context: 'Failed to replay append-only log' });
+            }
+        }
+
+        return read;
+    }
+
+    /**
+     * load() with non-blocking I/O
+     * @returns {Promise<SdbRead>}
+     */
+    async loadAsync() {
+        const read = { snapshot: null, log: null, errors: [] };
+        if (!this.path) return read;
+
+        try {
+            const buffer = await readIfExists(this.path);
+            if (buffer) {
+                read.snapshot = { bytes: buffer.length, ...(await sdb.deserializeAsync(buffer, this._readOptions())) };
+            }
+        } catch (err) {
+            read.errors.push({ err, context: 'Failed to load from binary' });
+        }
+
+        if (this.persistMode === 'aof') {
+            try {
+                const buffer = await readIfExists(this.logPath);
+                read.log = buffer ? parseLog(buffer, this._readOptions()) : null;
+            } catch (err) {
+                read.errors.push({ err, context: 'Failed to replay append-only log' });
+            }
+        }
+
+        return read;
+    }
+
+    /**
+     * Write a snapshot synchronously (temp file → rename)
+     * @param {import('./sdb').SdbEntry[]} entries
+     * @returns {{bytes: number}}
+     */
+    save(entries) {
+        const generation = ++this._saveGeneration;
+        const buffer = this.encode(entries);
+
+        // Ensure directory exists
+        const dir = path.dirname(this.path);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        // Atomic write: write to temp → rename
+        const tempPath = this.path + '.tmp';
+        fs.writeFileSync(tempPath, buffer);
+        fs.renameSync(tempPath, this.path);
+        this._savedGeneration = generation;
+
+        return { bytes: buffer.length };
+    }
+
+    /**
+     * Stream a snapshot to disk with fs.promises. It uses its own temp file, and a save() that
+     * finishes first wins: the older snapshot is then discarded instead of renamed over the newer one.
+     * Callers must not run two saveAsync() at once.
+     * @param {import('./sdb').SdbEntry[]} entries
+     * @returns {Promise<{bytes: number, superseded: boolean}>}
+     */
+    async saveAsync(entries) {
+        const tempPath = this.path + '.async.tmp';
+
+        try {
+            const generation = ++this._saveGeneration;
+            const [key = null] = resolveKeys(this._encryptionKey);
+            const chunks = sdb.serializeStream(entries, { compress: this.compress, key, serializer: this.serializer });
+
+            await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+
+            const file = await fs.promises.open(tempPath, 'w');
+            let bytes = 0;
+            try {
+                for await (const chunk of chunks) {
+                    await file.writeFile(chunk);
+                    bytes += chunk.length;
+                }
+            } finally {
+                await file.close();
+            }
+
+            // Check and rename in the same tick so no synchronous save can slip in between
+            if (generation < this._savedGeneration) {
+                fs.unlinkSync(tempPath);
+                return { bytes, superseded: true };
+            }
+            fs.renameSync(tempPath, this.path);
+            this._savedGeneration = generation;
+
+            return { bytes, superseded: false };
+        } catch (err) {
+            fs.promises.unlink(tempPath).catch(() => {});
+            throw err;
+        }
+    }
+
+    /**
+     * Start writing changes through to the log (aof mode). The file is opened by resetLog().
+     */
+    openLog() {
+        this._log = new AppendOnlyLog(this.logPath, {
+            fsync: this.fsync,
+            compress: this.compress,
+            serializer: this.serializer,
+            keys: () => resolveKeys(this._encryptionKey),
+            onError: (err) => this.onError(err)
+        });
+    }
+
+    /**
+     * Replace the log with an empty one, once the snapshot on disk holds its contents
+     */
+    resetLog() {
+        this._log.reset();
+        this._snapshotSize = fs.existsSync(this.path) ? fs.statSync(this.path).size : 0;
+    }
+
+    /**
+     * Flush the log to disk
+     */
+    syncLog() {
+        if (this._log) this._log.sync();
+    }
+
+    /**
+     * Stop writing changes through and close the log
+     */
+    closeLog() {
+        if (!this._log) return;
+
+        const log = this._log;
+        this._log = null;
+        log.close();
+    }
+
+    /**
+     * @returns {boolean} - The log outgrew the snapshot (compactRatio, compactMinSize)
+     */
+    needsCompaction() {
+        const limit = Math.max(this.compactMinSize, this._snapshotSize * this.compactRatio);
+        return this._log !== null && this._log.size > limit;
+    }
+
+    /**
+     * Serialize entries to binary format (always the current SDB version)
+     * @param {import('./sdb').SdbEntry[]} entries
+     * @returns {Buffer}
+     */
+    encode(entries) {
+        const [key = null] = resolveKeys(this._encryptionKey);
+        return sdb.serialize(entries, { compress: this.compress, key, serializer: this.serializer });
+    }
+
+    /**
+     * Deserialize binary format (v1 or v2) to entries
+     * @param {Buffer} buffer
+     * @returns {{entries: import('./sdb').SdbEntry[], skipped: number, version: number, keyIndex: number}}
+     */
+    decode(buffer) {
+        return sdb.deserialize(buffer, this._readOptions());
+    }
+
+    /**
+     * @private
+     * @param {import('./aof').LogOperation} operation
+     */
+    _append(operation) {
+        if (this._log) this._log.append(operation);
+    }
+
+    /**
+     * Decryption keys and codec for reading the snapshot and log
+     * @private
+     * @returns {{keys: Buffer[], serializer: object}}
+     */
+    _readOptions() {
+        return { keys: resolveKeys(this._encryptionKey), serializer: this.serializer };
+    }
+}
+
+module.exports = SdbBackend;
@@ -0,0 +1,647 @@
+// simple-cache-id
+// SDB binary file format (read v1 + v2, write v2)
+
+const crc32 = require('./crc32');
+const compression = require('./compression');
+const encryption = require('./encryption');
+const { createSerializer, serializerForId } = require('./serializer');
+
+/** @type {number} - Version written by serialize() */
+const VERSION = 2;
+
+/** @type {number} - v2 entry flag: original TTL (double) is present */
+const ENTRY_TTL = 0x01;
+
+/** @type {number} - v2 entry flag: created-at timestamp (int64) is present */
+const ENTRY_CREATED = 0x02;
+
+/** @type {number} - v2 entry flag: tags are present */
+const ENTRY_TAGS = 0x04;
+
+/** @type {number} - v2 entry flag: value bytes are compressed with the file's algorithm */
+const ENTRY_COMPRESSED = 0x08;
+
+/** @type {number} - v2 file flag: everything after the header is one compressed block */
+const FILE_COMPRESSED = 0x01;
+
+/** @type {number} - v2 file flag: some values are compressed (see ENTRY_COMPRESSED) */
+const VALUES_COMPRESSED = 0x02;
+
+/** @type {number} - v2 file flag: everything after the header is AES-256-GCM encrypted (header as AAD) */
+const FILE_ENCRYPTED = 0x04;
+
+/** @type {number} - Value encoding: bytes written by the file's serializer (JSON for v1 files) */
+const ENCODING_VALUE = 0;
+
+/** @type {number} - Value encoding: undefined (no value bytes) */
+const ENCODING_UNDEFINED = 1;
+
+/** @type {number} */
+const V2_HEADER_SIZE = 16;
+
+/**
+ * @typedef {object} SdbEntry
+ * @property {string} key
+ * @property {any} value
+ * @property {number} expiryTime - Timestamp in ms, 0 = permanent
+ * @property {string[]} tags
+ * @property {number} ttl - Original TTL in seconds, 0 = unknown / none
+ * @property {number} createdAt - Timestamp in ms, 0 = unknown
+ */
+
+/**
+ * @typedef {object} SdbReadResult
+ * @property {SdbEntry[]} entries - Entries that could be read
+ * @property {number} skipped - Records dropped because they were corrupt or truncated
+ * @property {number} version - Format version of the file
+ * @property {number} keyIndex - Index of the key that decrypted the file, -1 if it was not encrypted
+ */
+
+/**
+ * Serialize entries to the v2 format.
+ *
+ * Header (16 bytes)
+ * - Magic: "SDB" (3 bytes)
+ * - Version: 0x02 (1 byte)
+ * - Entry Count: uint32 LE (4 bytes)
+ * - File Flags: uint16 LE (2 bytes, FILE_COMPRESSED | VALUES_COMPRESSED | FILE_ENCRYPTED)
+ * - Compression: uint8 (1 byte, algorithm id, 0 = none)
+ * - Serializer: uint8 (1 byte, codec id, 0 = JSON)
+ * - Header CRC32: uint32 LE (4 bytes, over the previous 12 bytes)
+ *
+ * Record (repeated Entry Count times)
+ * - Body Length: uint32 LE (4 bytes)
+ * - Body:
+ *   - Entry Flags: uint8 (ENTRY_TTL | ENTRY_CREATED | ENTRY_TAGS | ENTRY_COMPRESSED)
+ *   - Value Encoding: uint8 (ENCODING_VALUE | ENCODING_UNDEFINED)
+ *   - Key Length: uint16 LE + Key: UTF-8 string
+ *   - Expiry Time: BigInt64 LE (8 bytes, 0 = permanent)
+ *   - [ENTRY_TTL] Original TTL: double LE (8 bytes, seconds)
+ *   - [ENTRY_CREATED] Created At: BigInt64 LE (8 bytes, ms)
+ *   - [ENTRY_TAGS] Tag Count: uint16 LE + per tag: Length uint16 LE + UTF-8 string
+ *   - Value Length: uint32 LE + Value bytes
+ * - Body CRC32: uint32 LE (4 bytes)
+ *
+ * With FILE_COMPRESSED the records are written as one compressed block after the header.
+ * With FILE_ENCRYPTED that block (compressed or not) is replaced by IV + auth tag + ciphertext.
+ *
+ * @param {Array<Partial<SdbEntry>>} entries
+ * @param {object} [options]
+ * @param {import('./compression').CompressOptions|null} [options.compress] - Normalized compression options
+ * @param {Buffer|null} [options.key] - 32-byte AES-256-GCM key
+ * @param {import('./serializer').Codec} [options.serializer] - Value codec (default: JSON)
+ * @returns {Buffer}
+ */
+function serialize(entries, options = {}) {
+    const compress = options.compress || null;
+    const codec = options.serializer || createSerializer();
+    const compressValues = compress !== null && compress.mode === 'value';
+    const buffers = [];
+    let flags = 0;
+
+    for (const entry of entries) {
+        const record = encodeRecord(entry, compressValues ? compress : null, codec);
+        if (record.readUInt8(4) & ENTRY_COMPRESSED) flags |= VALUES_COMPRESSED;
+        buffers.push(record);
+    }
+
+    let records = Buffer.concat(buffers);
+    if (compress !== null && compress.mode === 'file' && records.length >= compress.threshold) {
+        records = compression.compress(compress, records);
+        flags |= FILE_COMPRESSED;
+    }
+
+    const algorithm = flags & (FILE_COMPRESSED | VALUES_COMPRESSED) ? compression.algorithmId(compress.algorithm) : 0;
+    if (options.key) flags |= FILE_ENCRYPTED;
+
+    const header = encodeHeader(entries.length, flags, algorithm, codec.id);
+
+    if (options.key) {
+        records = encryption.encrypt(options.key, records, header);
+    }
+
+    return Buffer.concat([header, records]);
+}
+
+/**
+ * Serialize entries to the v2 format as a sequence of chunks, for writing with non-blocking I/O.
+ * Records are encoded `batchSize` at a time and the event loop gets a turn between batches.
+ *
+ * Plain files are streamed header first, then one chunk per batch. A compressed or encrypted
+ * file is a single block, so it is collected first, compressed on the zlib threadpool and
+ * yielded as header + block. The result reads back identically to serialize().
+ * @param {Array<Partial<SdbEntry>>} entries
+ * @param {object} [options] - Same as serialize()
+ * @param {import('./compression').CompressOptions|null} [options.compress]
+ * @param {Buffer|null} [options.key]
+ * @param {import('./serializer').Codec} [options.serializer]
+ * @param {number} [options.batchSize=1000] - Records per chunk
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* serializeStream(entries, options = {}) {
+    const compress = options.compress || null;
+    const codec = options.serializer || createSerializer();
+    const compressValues = compress !== null && compress.mode === 'value';
+    const batchSize = options.batchSize || 1000;
+    const block = Boolean(options.key) || (compress !== null && compress.mode === 'file');
+
+    let flags = 0;
+    let algorithm = 0;
+    if (compressValues) {
+        // The header goes out before the records, so this only says that values *may* be compressed
+        flags |= VALUES_COMPRESSED;
+        algorithm = compression.algorithmId(compress.algorithm);
+    }
+
+    if (!block) {
+        yield encodeHeader(entries.length, flags, algorithm, codec.id);
+    }
+
+    const buffers = [];
+    for (let start = 0; start < entries.length; start += batchSize) {
+        const batch = [];
+        for (const entry of entries.slice(start, start + batchSize)) {
+            batch.push(encodeRecord(entry, compressValues ? compress : null, codec));
+        }
+
+        if (block) {
+            buffers.push(...batch);
+            await yieldToEventLoop();
+        } else {
+            yield Buffer.concat(batch);
+        }
+    }
+
+    if (!block) return;
+
+    let records = Buffer.concat(buffers);
+    if (compress !== null && compress.mode === 'file' && records.length >= compress.threshold) {
+        records = await compression.compressAsync(compress, records);
+        flags |= FILE_COMPRESSED;
+        algorithm = compression.algorithmId(compress.algorithm);
+    }
+    if (options.key) flags |= FILE_ENCRYPTED;
+
+    const header = encodeHeader(entries.length, flags, algorithm, codec.id);
+    yield header;
+    yield options.key ? encryption.encrypt(options.key, records, header) : records;
+}
+
+/**
+ * @private
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Encode the v2 file header
+ * @private
+ * @param {number} count
+ * @param {number} flags
+ * @param {number} algorithm
+ * @param {number} codecId
+ * @returns {Buffer}
+ */
+function encodeHeader(count, flags, algorithm, codecId) {
+    const header = Buffer.alloc(V2_HEADER_SIZE);
+    header.write('SDB', 0, 'ascii');
+    header.writeUInt8(VERSION, 3);
+    header.writeUInt32LE(count, 4);
+    header.writeUInt16LE(flags, 8);
+    header.writeUInt8(algorithm, 10);
+    header.writeUInt8(codecId, 11);
+    header.writeUInt32LE(crc32(header, 0, 12), 12);
+    return header;
+}
+
+/**
+ * Encode a complete v2 record (length + body + CRC)
+ * @private
+ * @param {Partial<SdbEntry>} entry
+ * @param {import('./compression').CompressOptions|null} compress
+ * @param {import('./serializer').Codec} codec
+ * @returns {Buffer}
+ */
+function encodeRecord(entry, compress, codec) {
+    const body = encodeBody(entry, compress, codec);
+    const record = Buffer.alloc(body.length + 8);
+    record.writeUInt32LE(body.length, 0);
+    body.copy(record, 4);
+    record.writeUInt32LE(crc32(body), body.length + 4);
+    return record;
+}
+
+/**
+ * Encode the body of a v2 record
+ * @private
+ * @param {Partial<SdbEntry>} entry
+ * @param {import('./compression').CompressOptions|null} compress - Set to compress the value
+ * @param {import('./serializer').Codec} codec
+ * @returns {Buffer}
+ */
+function encodeBody({ key, value, expiryTime = 0, tags = [], ttl = 0, createdAt = 0 }, compress, codec) {
+    const keyBuf = Buffer.from(key, 'utf8');
+    const tagBufs = tags.map((tag) => Buffer.from(String(tag), 'utf8'));
+
+    // undefined has no JSON representation, so it is marked instead of encoded (for every codec)
+    const encoding = value === undefined ? ENCODING_UNDEFINED : ENCODING_VALUE;
+    let valueBuf = encoding === ENCODING_UNDEFINED ? Buffer.alloc(0) : codec.encode(value);
+
+    let flags = 0;
+    if (compress !== null && valueBuf.length > 0 && valueBuf.length >= compress.threshold) {
+        valueBuf = compression.compress(compress, valueBuf);
+        flags |= ENTRY_COMPRESSED;
+    }
+    if (ttl > 0) flags |= ENTRY_TTL;
+    if (createdAt > 0) flags |= ENTRY_CREATED;
+    if (tagBufs.length > 0) flags |= ENTRY_TAGS;
+
+    let size = 1 + 1 + 2 + keyBuf.length + 8 + 4 + valueBuf.length;
+    if (flags & ENTRY_TTL) size += 8;
+    if (flags & ENTRY_CREATED) size += 8;
+    if (flags & ENTRY_TAGS) size += 2 + tagBufs.reduce((sum, buf) => sum + 2 + buf.length, 0);
+
+    const body = Buffer.alloc(size);
+    let offset = 0;
+
+    offset = body.writeUInt8(flags, offset);
+    offset = body.writeUInt8(encoding, offset);
+
+    offset = body.writeUInt16LE(keyBuf.length, offset);
+    offset += keyBuf.copy(body, offset);
+
+    offset = body.writeBigInt64LE(BigInt(expiryTime), offset);
+
+    if (flags & ENTRY_TTL) {
+        offset = body.writeDoubleLE(ttl, offset);
+    }
+    if (flags & ENTRY_CREATED) {
+        offset = body.writeBigInt64LE(BigInt(createdAt), offset);
+    }
+    if (flags & ENTRY_TAGS) {
+        offset = body.writeUInt16LE(tagBufs.length, offset);
+        for (const tagBuf of tagBufs) {
+            offset = body.writeUInt16LE(tagBuf.length, offset);
+            offset += tagBuf.copy(body, offset);
+        }
+    }
+
+    offset = body.writeUInt32LE(valueBuf.length, offset);
+    valueBuf.copy(body, offset);
+
+    return body;
+}
+
+/**
+ * Read key, expiry, original TTL and tags of a record body without decoding the value
+ * @param {Buffer} body
+ * @returns {{key: string, expiryTime: number, ttl: number, tags: string[]}}
+ */
+function decodeBodyHeader(body) {
+    const flags = body.readUInt8(0);
+    const keyLength = body.readUInt16LE(2);
+    const key = readString(body, 4, keyLength);
+    const expiryTime = Number(body.readBigInt64LE(4 + keyLength));
+    let offset = 12 + keyLength;
+
+    let ttl = 0;
+    if (flags & ENTRY_TTL) {
+        ttl = body.readDoubleLE(offset);
+        offset += 8;
+    }
+    if (flags & ENTRY_CREATED) {
+        offset += 8;
+    }
+
+    const tags = [];
+    if (flags & ENTRY_TAGS) {
+        const tagCount = body.readUInt16LE(offset);
+        offset += 2;
+        for (let i = 0; i < tagCount; i++) {
+            const tagLength = body.readUInt16LE(offset);
+            offset += 2;
+            tags.push(readString(body, offset, tagLength));
+            offset += tagLength;
+        }
+    }
+
+    return { key, expiryTime, ttl, tags };
+}
+
+/**
+ * Decode the body of a v2 record (throws on malformed data)
+ * @private
+ * @param {Buffer} body
+ * @param {number} algorithm - Compression algorithm id from the header
+ * @param {import('./serializer').Codec} codec - Serializer named in the header
+ * @returns {SdbEntry}
+ */
+function decodeBody(body, algorithm, codec) {
+    let offset = 0;
+
+    const flags = body.readUInt8(offset++);
+    const encoding = body.readUInt8(offset++);
+
+    const keyLength = body.readUInt16LE(offset);
+    offset += 2;
+    const key = readString(body, offset, keyLength);
+    offset += keyLength;
+
+    const expiryTime = Number(body.readBigInt64LE(offset));
+    offset += 8;
+
+    let ttl = 0;
+    if (flags & ENTRY_TTL) {
+        ttl = body.readDoubleLE(offset);
+        offset += 8;
+    }
+
+    let createdAt = 0;
+    if (flags & ENTRY_CREATED) {
+        createdAt = Number(body.readBigInt64LE(offset));
+        offset += 8;
+    }
+
+    const tags = [];
+    if (flags & ENTRY_TAGS) {
+        const tagCount = body.readUInt16LE(offset);
+        offset += 2;
+        for (let i = 0; i < tagCount; i++) {
+            const tagLength = body.readUInt16LE(offset);
+            offset += 2;
+            tags.push(readString(body, offset, tagLength));
+            offset += tagLength;
+        }
+    }
+
+    const valueLength = body.readUInt32LE(offset);
+    offset += 4;
+
+    if (offset + valueLength > body.length) {
+        throw new RangeError('Value runs past end of record');
+    }
+    let valueBuf = body.subarray(offset, offset + valueLength);
+    if (flags & ENTRY_COMPRESSED) {
+        valueBuf = compression.decompress(algorithm, valueBuf);
+    }
+
+    let value;
+    if (encoding === ENCODING_VALUE) {
+        value = codec.decode(valueBuf);
+    } else if (encoding !== ENCODING_UNDEFINED) {
+        throw new Error(`Unknown value encoding: ${encoding}`);
+    }
+
+    return { key, value, expiryTime, tags, ttl, createdAt };
+}
+
+/**
+ * Read a UTF-8 string, failing if it runs past the end of the buffer
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+function readString(buffer, offset, length) {
+    if (offset + length > buffer.length) {
+        throw new RangeError('String runs past end of buffer');
+    }
+    return buffer.toString('utf8', offset, offset + length);
+}
+
+/**
+ * Deserialize a v1 or v2 file.
+ * Corrupt or truncated records are skipped (v2) or reading stops at the first
+ * unreadable entry (v1, which has no record boundaries) instead of discarding everything.
+ *
+ * When `keys` are given the file must be encrypted and authenticate with one of them;
+ * anything else (tampered data, wrong key, plaintext file) throws with code `ERR_SDB_AUTH`.
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {Buffer[]} [options.keys] - Decryption keys, tried in order
+ * @param {import('./serializer').Codec} [options.serializer] - Used when the file names the same codec (keeps registered types)
+ * @returns {SdbReadResult}
+ */
+function deserialize(buffer, options = {}) {
+    const version = checkFile(buffer, options.keys || []);
+    if (version === 1) return deserializeV1(buffer);
+
+    const file = openV2(buffer, options.keys || [], options.serializer);
+    if (file.flags & FILE_COMPRESSED) {
+        // The compressed block has its own integrity check; a failure here loses the whole file
+        file.records = compression.decompress(file.algorithm, file.records);
+    }
+
+    const result = createReadResult(file);
+    const reader = readRecordsV2(file, result);
+    while (!reader.next().done);
+    return result;
+}
+
+/**
+ * deserialize() without blocking the event loop for long: the file is decompressed on the
+ * zlib threadpool and records are decoded in batches with a turn for the event loop in between.
+ * @param {Buffer} buffer
+ * @param {object} [options] - Same as deserialize()
+ * @param {Buffer[]} [options.keys]
+ * @param {import('./serializer').Codec} [options.serializer]
+ * @param {number} [options.batchSize=1000] - Records decoded per turn
+ * @returns {Promise<SdbReadResult>}
+ */
+async function deserializeAsync(buffer, options = {}) {
+    const version = checkFile(buffer, options.keys || []);
+    if (version === 1) return deserializeV1(buffer);
+
+    const file = openV2(buffer, options.keys || [], options.serializer);
+    if (file.flags & FILE_COMPRESSED) {
+        file.records = await compression.decompressAsync(file.algorithm, file.records);
+    }
+
+    const batchSize = options.batchSize || 1000;
+    const result = createReadResult(file);
+    const reader = readRecordsV2(file, result);
+    let count = 0;
+    while (!reader.next().done) {
+        if (++count % batchSize === 0) await yieldToEventLoop();
+    }
+    return result;
+}
+
+/**
+ * Validate magic, version and encryption state
+ * @private
+ * @param {Buffer} buffer
+ * @param {Buffer[]} keys
+ * @returns {number} - Format version
+ */
+function checkFile(buffer, keys) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 3) !== 'SDB') {
+        throw new Error('Invalid SDB file format');
+    }
+
+    const version = buffer.readUInt8(3);
+    const encrypted = version === 2 && buffer.length >= V2_HEADER_SIZE && (buffer.readUInt16LE(8) & FILE_ENCRYPTED) !== 0;
+
+    if (keys.length > 0 && !encrypted) {
+        const err = new Error('SDB file is not encrypted but an encryption key is configured');
+        err.code = 'ERR_SDB_AUTH';
+        throw err;
+    }
+    if (keys.length === 0 && encrypted) {
+        throw new Error('SDB file is encrypted but no encryption key is configured');
+    }
+
+    if (version !== 1 && version !== 2) {
+        throw new Error(`Unsupported SDB version: ${version}`);
+    }
+    return version;
+}
+
+/**
+ * Parse a v2 header and decrypt the record section (decompression is left to the caller)
+ * @private
+ * @param {Buffer} buffer
+ * @param {Buffer[]} keys
+ * @param {import('./serializer').Codec} [serializer]
+ * @returns {{headerValid: boolean, entryCount: number, flags: number, algorithm: number, codec: import('./serializer').Codec, keyIndex: number, records: Buffer}}
+ */
+function openV2(buffer, keys, serializer) {
+    if (buffer.length < V2_HEADER_SIZE) {
+        throw new Error('Invalid SDB file format');
+    }
+
+    // A damaged header makes the entry count unreliable; read records until the end instead
+    const headerValid = buffer.readUInt32LE(12) === crc32(buffer, 0, 12);
+    const flags = buffer.readUInt16LE(8);
+    let records = buffer.subarray(V2_HEADER_SIZE);
+    let keyIndex = -1;
+
+    if (flags & FILE_ENCRYPTED) {
+        // Authenticates the header too, so a damaged header is rejected here as well
+        const result = encryption.decrypt(keys, records, buffer.subarray(0, V2_HEADER_SIZE));
+        records = result.plaintext;
+        keyIndex = result.keyIndex;
+    }
+
+    return {
+        headerValid,
+        entryCount: headerValid ? buffer.readUInt32LE(4) : Infinity,
+        flags,
+        algorithm: buffer.readUInt8(10),
+        codec: serializerForId(buffer.readUInt8(11), serializer),
+        keyIndex,
+        records
+    };
+}
+
+/**
+ * @private
+ * @param {{headerValid: boolean, keyIndex: number}} file
+ * @returns {SdbReadResult}
+ */
+function createReadResult(file) {
+    return { entries: [], skipped: file.headerValid ? 0 : 1, version: 2, keyIndex: file.keyIndex };
+}
+
+/**
+ * Decode the (plain) record section into `result`, yielding after every record
+ * @private
+ * @param {ReturnType<typeof openV2>} file
+ * @param {SdbReadResult} result
+ * @returns {Generator<void>}
+ */
+function* readRecordsV2({ entryCount, algorithm, codec, records: buffer }, result) {
+    let offset = 0;
+    let read = 0;
+
+    while (read < entryCount && offset < buffer.length) {
+        read++;
+
+        if (offset + 4 > buffer.length) {
+            result.skipped++;
+            break;
+        }
+        const bodyLength = buffer.readUInt32LE(offset);
+        const bodyStart = offset + 4;
+        const bodyEnd = bodyStart + bodyLength;
+
+        if (bodyEnd + 4 > buffer.length) {
+            // Truncated record: nothing after it can be trusted
+            result.skipped++;
+            break;
+        }
+        offset = bodyEnd + 4;
+
+        if (buffer.readUInt32LE(bodyEnd) !== crc32(buffer, bodyStart, bodyEnd)) {
+            result.skipped++;
+            yield;
+            continue;
+        }
+
+        try {
+            result.entries.push(decodeBody(buffer.subarray(bodyStart, bodyEnd), algorithm, codec));
+        } catch (err) {
+            result.skipped++;
+        }
+        yield;
+    }
+
+    if (Number.isFinite(entryCount)) {
+        result.skipped += entryCount - read;
+    }
+}
+
+/**
+ * Read the legacy v1 format (no checksums, tags or TTL metadata; the header's last field is reserved)
+ * @private
+ * @param {Buffer} buffer
+ * @returns {SdbReadResult}
+ */
+function deserializeV1(buffer) {
+    const entries = [];
+
+    const entryCount = buffer.readUInt32LE(4);
+    let offset = 12;
+
+    try {
+        for (let i = 0; i < entryCount; i++) {
+            // Key
+            const keyLength = buffer.readUInt16LE(offset);
+            offset += 2;
+            const key = readString(buffer, offset, keyLength);
+            offset += keyLength;
+
+            // Expiry
+            const expiryTime = Number(buffer.readBigInt64LE(offset));
+            offset += 8;
+
+            // Value (length 0 = undefined)
+            const valueLength = buffer.readUInt32LE(offset);
+            offset += 4;
+            const value = valueLength === 0 ? undefined : JSON.parse(readString(buffer, offset, valueLength));
+            offset += valueLength;
+
+            entries.push({ key, value, expiryTime, tags: [], ttl: 0, createdAt: 0 });
+        }
+    } catch (err) {
+        // No record boundaries in v1: keep what was read before the damage
+        return { entries, skipped: entryCount - entries.length, version: 1, keyIndex: -1 };
+    }
+
+    return { entries, skipped: 0, version: 1, keyIndex: -1 };
+}
+
+module.exports = {
+    VERSION,
+    serialize,
+    serializeStream,
+    deserialize,
+    deserializeAsync,
+    // Record bodies are shared with the append-only log and the file backend
+    encodeBody,
+    decodeBody,
+    decodeBodyHeader
+};
@@ -0,0 +1,295 @@
+// simple-cache-id
+// Value codecs for persisted files: plain JSON, typed JSON ("structured") and v8
+
+const v8 = require('v8');
+const { setEntry } = require('./entries');
+
+/** @type {string} - Property marking an encoded value in typed JSON */
+const TYPE_KEY = '$t';
+
+/**
+ * @typedef {object} TypeDefinition
+ * @property {Function} type - Class whose instances are encoded
+ * @property {function(any): any} [serialize] - Instance → data (encoded recursively), defaults to own enumerable properties
+ * @property {function(any): any} [deserialize] - Data → instance, defaults to assigning the data to an object with the class prototype
+ */
+
+/**
+ * @typedef {object} Codec
+ * @property {string} name
+ * @property {number} id - Stored in the SDB header; must never change for an existing codec
+ * @property {function(any): Buffer} encode
+ * @property {function(Buffer): any} decode
+ */
+
+/**
+ * Typed JSON codec.
+ * Round-trips Date, Map, Set, BigInt, Buffer, typed arrays, RegExp, undefined,
+ * NaN / ±Infinity and registered classes by wrapping them as `{ "$t": type, "v": data }`.
+ * @class StructuredCodec
+ */
+class StructuredCodec {
+    /**
+     * @param {Object<string, Function|TypeDefinition>} [types] - Custom classes by name
+     */
+    constructor(types = {}) {
+        /** @type {string} */
+        this.name = 'structured';
+
+        /** @type {number} */
+        this.id = 1;
+
+        /** @type {Map<string, Required<TypeDefinition>>} */
+        this._types = new Map();
+
+        for (const [name, definition] of Object.entries(types)) {
+            this.registerType(name, definition);
+        }
+    }
+
+    /**
+     * Register a custom class so its instances survive a save/load cycle
+     * @param {string} name - Name stored in the file (must be stable)
+     * @param {Function|TypeDefinition} definition - Class, or class with serialize/deserialize hooks
+     */
+    registerType(name, definition) {
+        const { type, serialize, deserialize } = typeof definition === 'function' ? { type: definition } : definition;
+
+        if (typeof type !== 'function') {
+            throw new Error(`[SimpleCache] registerType("${name}") requires a class`);
+        }
+        if (BUILT_IN_TYPES.includes(name)) {
+            throw new Error(`[SimpleCache] registerType("${name}") conflicts with a built-in type`);
+        }
+
+        this._types.set(name, {
+            type,
+            serialize: serialize || ((instance) => ({ ...instance })),
+            deserialize: deserialize || ((data) => Object.assign(Object.create(type.prototype), data))
+        });
+    }
+
+    /**
+     * @param {any} value
+     * @returns {Buffer}
+     */
+    encode(value) {
+        return Buffer.from(JSON.stringify(this._toJson(value, new Set())), 'utf8');
+    }
+
+    /**
+     * @param {Buffer} buffer
+     * @returns {any}
+     */
+    decode(buffer) {
+        return this._fromJson(JSON.parse(buffer.toString('utf8')));
+    }
+
+    /**
+     * Convert a value to a JSON-safe tree
+     * @private
+     * @param {any} value
+     * @param {Set<object>} seen - Objects on the current path (cycle detection)
+     * @returns {any}
+     */
+    _toJson(value, seen) {
+        switch (typeof value) {
+            case 'undefined':
+                return { [TYPE_KEY]: 'undefined' };
+            case 'bigint':
+                return { [TYPE_KEY]: 'BigInt', v: value.toString() };
+            case 'number':
+                return Number.isFinite(value) ? value : { [TYPE_KEY]: 'Number', v: String(value) };
+            case 'string':
+            case 'boolean':
+                return value;
+            case 'object':
+                break;
+            default:
+                // Functions and symbols have no meaningful persisted form (same as JSON)
+                return null;
+        }
+
+        if (value === null) return null;
+
+        if (seen.has(value)) {
+            throw new TypeError('Converting circular structure to structured JSON');
+        }
+        seen.add(value);
+
+        try {
+            return this._objectToJson(value, seen);
+        } finally {
+            seen.delete(value);
+        }
+    }
+
+    /**
+     * @private
+     * @param {object} value
+     * @param {Set<object>} seen
+     * @returns {any}
+     */
+    _objectToJson(value, seen) {
+        for (const [name, definition] of this._types) {
+            if (value instanceof definition.type) {
+                return { [TYPE_KEY]: name, v: this._toJson(definition.serialize(value), seen) };
+            }
+        }
+
+        if (value instanceof Date) {
+            return { [TYPE_KEY]: 'Date', v: this._toJson(value.getTime(), seen) };
+        }
+        if (Buffer.isBuffer(value)) {
+            return { [TYPE_KEY]: 'Buffer', v: value.toString('base64') };
+        }
+        if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+            const bytes = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+            return { [TYPE_KEY]: value.constructor.name, v: bytes.toString('base64') };
+        }
+        if (value instanceof Map) {
+            return { [TYPE_KEY]: 'Map', v: [...value].map(([k, v]) => [this._toJson(k, seen), this._toJson(v, seen)]) };
+        }
+        if (value instanceof Set) {
+            return { [TYPE_KEY]: 'Set', v: [...value].map((item) => this._toJson(item, seen)) };
+        }
+        if (value instanceof RegExp) {
+            return { [TYPE_KEY]: 'RegExp', v: [value.source, value.flags] };
+        }
+        if (Array.isArray(value)) {
+            return value.map((item) => this._toJson(item, seen));
+        }
+        if (typeof value.toJSON === 'function') {
+            return this._toJson(value.toJSON(), seen);
+        }
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            setEntry(result, key, this._toJson(item, seen));
+        }
+        // Escape plain objects that look like an encoded value
+        return TYPE_KEY in result ? { [TYPE_KEY]: 'Object', v: result } : result;
+    }
+
+    /**
+     * Rebuild a value from a JSON tree produced by _toJson()
+     * @private
+     * @param {any} json
+     * @returns {any}
+     */
+    _fromJson(json) {
+        if (json === null || typeof json !== 'object') return json;
+        if (Array.isArray(json)) return json.map((item) => this._fromJson(item));
+
+        if (!(TYPE_KEY in json)) {
+            return this._fromEntries(json);
+        }
+
+        const type = json[TYPE_KEY];
+        const data = json.v;
+
+        switch (type) {
+            case 'undefined': return undefined;
+            case 'BigInt': return BigInt(data);
+            case 'Number': return Number(data);
+            case 'Date': return new Date(this._fromJson(data));
+            case 'Buffer': return Buffer.from(data, 'base64');
+            case 'Map': return new Map(data.map(([k, v]) => [this._fromJson(k), this._fromJson(v)]));
+            case 'Set': return new Set(data.map((item) => this._fromJson(item)));
+            case 'RegExp': return new RegExp(data[0], data[1]);
+            case 'Object': return this._fromEntries(data);
+        }
+
+        if (TYPED_ARRAYS[type]) {
+            const bytes = Buffer.from(data, 'base64');
+            // Copy so the view is aligned and owns its memory
+            const copy = new Uint8Array(bytes).buffer;
+            return new TYPED_ARRAYS[type](copy);
+        }
+
+        const definition = this._types.get(type);
+        if (!definition) {
+            throw new Error(`Unknown structured type "${type}" (register it with registerType())`);
+        }
+        return definition.deserialize(this._fromJson(data));
+    }
+
+    /**
+     * @private
+     * @param {object} json
+     * @returns {object}
+     */
+    _fromEntries(json) {
+        const result = {};
+        for (const [key, item] of Object.entries(json)) {
+            setEntry(result, key, this._fromJson(item));
+        }
+        return result;
+    }
+}
+
+/** @type {Object<string, Function>} */
+const TYPED_ARRAYS = {
+    Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+    Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array
+};
+
+/** @type {string[]} - Type names reserved by StructuredCodec */
+const BUILT_IN_TYPES = ['undefined', 'BigInt', 'Number', 'Date', 'Buffer', 'Map', 'Set', 'RegExp', 'Object', ...Object.keys(TYPED_ARRAYS)];
+
+/** @type {Codec} - Plain JSON (default, same as every earlier version) */
+const JSON_CODEC = {
+    name: 'json',
+    id: 0,
+    encode: (value) => Buffer.from(JSON.stringify(value), 'utf8'),
+    decode: (buffer) => JSON.parse(buffer.toString('utf8'))
+};
+
+/** @type {Codec} - V8 structured clone (Date, Map, Set, BigInt, typed arrays; class prototypes are lost) */
+const V8_CODEC = {
+    name: 'v8',
+    id: 2,
+    encode: (value) => v8.serialize(value),
+    decode: (buffer) => v8.deserialize(buffer)
+};
+
+/** @type {string[]} */
+const SERIALIZERS = ['json', 'structured', 'v8'];
+
+/**
+ * Create the codec for the `serializer` option
+ * @param {'json'|'structured'|'v8'} [name='json']
+ * @param {Object<string, Function|TypeDefinition>} [types] - Custom classes (structured only)
+ * @returns {Codec}
+ */
+function createSerializer(name = 'json', types) {
+    switch (name) {
+        case 'json': return JSON_CODEC;
+        case 'structured': return new StructuredCodec(types);
+        case 'v8': return V8_CODEC;
+        default:
+            throw new Error(`[SimpleCache] Invalid serializer "${name}" (expected one of: ${SERIALIZERS.join(', ')})`);
+    }
+}
+
+/**
+ * Codec for the id stored in a file header
+ * @param {number} id
+ * @param {Codec} preferred - Returned when it matches (keeps registered types)
+ * @returns {Codec}
+ */
+function serializerForId(id, preferred) {
+    if (preferred && preferred.id === id) return preferred;
+
+    const name = SERIALIZERS.find((candidate) => createSerializer(candidate).id === id);
+    if (!name) {
+        throw new Error(`Unknown serializer id: ${id}`);
+    }
+    return createSerializer(name);
+}
+
+module.exports = {
+    StructuredCodec,
+    createSerializer,
+    serializerForId
+};
@@ -0,0 +1,536 @@
+// simple-cache-id
+// Redis protocol (RESP2) server exposing a SimpleCache over TCP
+
+const net = require('net');
+const { EventEmitter } = require('events');
+
+/** @type {number} - Largest accepted bulk string (same limit as Redis) */
+const DEFAULT_MAX_BULK_LENGTH = 512 * 1024 * 1024;
+
+/** @type {number} - Largest accepted number of arguments in one command */
+const MAX_ARGUMENTS = 1024 * 1024;
+
+/** @type {number} - Largest accepted inline command or header line */
+const MAX_INLINE_LENGTH = 64 * 1024;
+
+/**
+ * Incremental parser for client requests: RESP arrays of bulk strings, or inline commands
+ * (`PING\r\n`) as typed into a plain socket.
+ * @class RespParser
+ */
+class RespParser {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxBulkLength=536870912] - Largest accepted argument in bytes
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.maxBulkLength = options.maxBulkLength || DEFAULT_MAX_BULK_LENGTH;
+
+        /** @type {Buffer[]} - Received data not parsed yet */
+        this._chunks = [];
+
+        /** @type {number} - Total length of _chunks */
+        this._size = 0;
+
+        /** @type {Buffer[]|null} - Arguments of the command being read */
+        this._args = null;
+
+        /** @type {number} - Number of arguments of the command being read */
+        this._count = 0;
+
+        /** @type {number} - Length of the bulk string being read (-1 = reading its header) */
+        this._bulkLength = -1;
+    }
+
+    /**
+     * Feed received data
+     * @param {Buffer} chunk
+     * @returns {Buffer[][]} - Complete commands, each an array of arguments
+     * @throws {Error} on a protocol error (the connection should be closed)
+     */
+    push(chunk) {
+        this._chunks.push(chunk);
+        this._size += chunk.length;
+
+        // Don't copy a large value together until all of it has arrived
+        if (this._bulkLength >= 0 && this._size < this._bulkLength + 2) return [];
+
+        const buffer = this._chunks.length === 1 ? this._chunks[0] : Buffer.concat(this._chunks, this._size);
+        const commands = [];
+        let offset = 0;
+
+        for (;;) {
+            if (this._args === null) {
+                if (offset >= buffer.length) break;
+
+                const end = buffer.indexOf(0x0A, offset);
+                if (end === -1) {
+                    if (buffer.length - offset > MAX_INLINE_LENGTH) throw protocolError('too big inline request');
+                    break;
+                }
+                const line = buffer.toString('utf8', offset, end).replace(/\r$/, '');
+                offset = end + 1;
+
+                if (line[0] === '*') {
+                    const count = parseLength(line, -1, MAX_ARGUMENTS, 'invalid multibulk length');
+                    if (count > 0) {
+                        this._args = [];
+                        this._count = count;
+                    }
+                } else {
+                    const args = line.split(/[ \t]+/).filter((arg) => arg.length > 0);
+                    if (args.length > 0) commands.push(args.map((arg) => Buffer.from(arg, 'utf8')));
+                }
+                continue;
+            }
+
+            if (this._bulkLength < 0) {
+                const end = buffer.indexOf(0x0A, offset);
+                if (end === -1) {
+                    if (buffer.length - offset > MAX_INLINE_LENGTH) throw protocolError('too big bulk count string');
+                    break;
+                }
+                const line = buffer.toString('utf8', offset, end).replace(/\r$/, '');
+                if (line[0] !== '$') throw protocolError(`expected '$', got '${line[0] || ' '}'`);
+
+                // Unlike a reply, a request has no null bulk string: $-1 is rejected like Redis does
+                this._bulkLength = parseLength(line, 0, this.maxBulkLength, 'invalid bulk length');
+                offset = end + 1;
+            }
+
+            if (buffer.length - offset < this._bulkLength + 2) break;
+
+            this._args.push(Buffer.from(buffer.subarray(offset, offset + this._bulkLength)));
+            offset += this._bulkLength + 2;
+            this._bulkLength = -1;
+
+            if (this._args.length === this._count) {
+                commands.push(this._args);
+                this._args = null;
+            }
+        }
+
+        const rest = buffer.subarray(offset);
+        this._chunks = rest.length > 0 ? [rest] : [];
+        this._size = rest.length;
+        return commands;
+    }
+}
+
+/**
+ * @private
+ * @param {string} line - Header line such as "*3" or "$5"
+ * @param {number} min
+ * @param {number} max
+ * @param {string} message
+ * @returns {number}
+ */
+function parseLength(line, min, max, message) {
+    const text = line.slice(1);
+    const length = Number(text);
+    if (!/^-?\d+$/.test(text) || length > max || length < min) throw protocolError(message);
+    return length;
+}
+
+/**
+ * @private
+ * @param {string} message
+ * @returns {Error}
+ */
+function protocolError(message) {
+    const err = new Error(`Protocol error: ${message}`);
+    err.code = 'ERR_RESP_PROTOCOL';
+    return err;
+}
+
+/**
+ * Error sent to the client as a RESP error reply
+ * @private
+ * @param {string} message
+ * @returns {Error}
+ */
+function commandError(message) {
+    const err = new Error(message);
+    err.code = 'ERR_RESP_COMMAND';
+    return err;
+}
+
+// RESP2 reply encoders
+
+/**
+ * @private
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function simple(text) {
+    return Buffer.from(`+${text}\r\n`);
+}
+
+/**
+ * @private
+ * @param {string} message - Including the error prefix (e.g. "ERR ...")
+ * @returns {Buffer}
+ */
+function error(message) {
+    return Buffer.from(`-${message.replace(/[\r\n]+/g, ' ')}\r\n`);
+}
+
+/**
+ * @private
+ * @param {number} n
+ * @returns {Buffer}
+ */
+function integer(n) {
+    return Buffer.from(`:${n}\r\n`);
+}
+
+/**
+ * Bulk string of a cached value: strings and Buffers as is, numbers / booleans / bigints
+ * as their string form, other values as JSON, and null / undefined / missing as nil.
+ * @private
+ * @param {any} value
+ * @returns {Buffer}
+ */
+function bulk(value) {
+    if (value === null || value === undefined) return Buffer.from('$-1\r\n');
+
+    let data;
+    if (Buffer.isBuffer(value)) {
+        data = value;
+    } else if (typeof value === 'object') {
+        let json;
+        try {
+            json = JSON.stringify(value);
+        } catch (err) {
+            json = undefined;
+        }
+        data = Buffer.from(json === undefined ? String(value) : json, 'utf8');
+    } else {
+        data = Buffer.from(String(value), 'utf8');
+    }
+
+    return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data, Buffer.from('\r\n')]);
+}
+
+/**
+ * @private
+ * @param {Buffer[]} items - Encoded replies
+ * @returns {Buffer}
+ */
+function array(items) {
+    return Buffer.concat([Buffer.from(`*${items.length}\r\n`), ...items]);
+}
+
+/**
+ * Parse an integer argument the way Redis does
+ * @private
+ * @param {string} text
+ * @returns {number}
+ */
+function toInteger(text) {
+    if (!/^-?\d+$/.test(text) || !Number.isSafeInteger(Number(text))) {
+        throw commandError('ERR value is not an integer or out of range');
+    }
+    return Number(text);
+}
+
+/**
+ * @typedef {object} CommandSpec
+ * @property {number} arity - Number of arguments including the name; negative = at least that many
+ * @property {function(import('./index'), string[]): Buffer} run
+ */
+
+/**
+ * Supported commands, by lower-case name. Keys and values are UTF-8 strings.
+ * @type {Object<string, CommandSpec>}
+ */
+const COMMANDS = {
+    ping: {
+        arity: -1,
+        run: (cache, args) => {
+            if (args.length > 2) throw commandError("ERR wrong number of arguments for 'ping' command");
+            return args.length === 2 ? bulk(args[1]) : simple('PONG');
+        }
+    },
+
+    get: {
+        arity: 2,
+        run: (cache, [, key]) => bulk(cache.get(key))
+    },
+
+    set: {
+        arity: -3,
+        run: (cache, [, key, value, ...options]) => {
+            let ttl;
+            let condition = null;
+
+            for (let i = 0; i < options.length; i++) {
+                const option = options[i].toUpperCase();
+
+                if ((option === 'EX' || option === 'PX') && ttl === undefined && i + 1 < options.length) {
+                    const amount = toInteger(options[++i]);
+                    if (amount <= 0) throw commandError("ERR invalid expire time in 'set' command");
+                    ttl = option === 'EX' ? amount : amount / 1000;
+                } else if ((option === 'NX' || option === 'XX') && condition === null) {
+                    condition = option;
+                } else {
+                    throw commandError('ERR syntax error');
+                }
+            }
+
+            if (condition === 'NX' && cache.has(key)) return bulk(null);
+            if (condition === 'XX' && !cache.has(key)) return bulk(null);
+
+            // Without EX / PX the cache's default TTL applies
+            cache.set(key, value, ttl);
+            return simple('OK');
+        }
+    },
+
+    del: {
+        arity: -2,
+        run: (cache, [, ...keys]) => integer(cache.mdel(keys))
+    },
+
+    exists: {
+        arity: -2,
+        run: (cache, [, ...keys]) => integer(keys.filter((key) => cache.has(key)).length)
+    },
+
+    expire: {
+        arity: 3,
+        run: (cache, [, key, seconds]) => integer(cache.expire(key, toInteger(seconds)))
+    },
+
+    ttl: {
+        arity: 2,
+        run: (cache, [, key]) => {
+            const ttl = cache.ttl(key);
+            return integer(ttl < 0 ? ttl : Math.round(ttl));
+        }
+    },
+
+    keys: {
+        arity: 2,
+        run: (cache, [, pattern]) => array(cache.keys(pattern).map(bulk))
+    },
+
+    mget: {
+        arity: -2,
+        run: (cache, [, ...keys]) => array(keys.map((key) => bulk(cache.get(key))))
+    },
+
+    mset: {
+        arity: -3,
+        run: (cache, [, ...pairs]) => {
+            if (pairs.length % 2 !== 0) throw commandError("ERR wrong number of arguments for 'mset' command");
+
+            const entries = [];
+            for (let i = 0; i < pairs.length; i += 2) {
+                entries.push({ key: pairs[i], value: pairs[i + 1] });
+            }
+            cache.mset(entries);
+            return simple('OK');
+        }
+    },
+
+    flushdb: {
+        arity: -1,
+        run: (cache, args) => {
+            if (args.length > 2 || (args.length === 2 && !/^(a?sync)$/i.test(args[1]))) throw commandError('ERR syntax error');
+            cache.flush();
+            return simple('OK');
+        }
+    },
+
+    incr: {
+        arity: 2,
+        run: (cache, [, key]) => {
+            const entry = cache.getEntry(key);
+            let value = 0;
+
+            if (entry && entry.value !== null && entry.value !== undefined) {
+                value = typeof entry.value === 'number' ? entry.value : toInteger(String(entry.value));
+                if (!Number.isSafeInteger(value)) throw commandError('ERR value is not an integer or out of range');
+            }
+            if (value + 1 > Number.MAX_SAFE_INTEGER) throw commandError('ERR increment or decrement would overflow');
+
+            // An existing key keeps its expiry, a new one gets the default TTL
+            let ttl;
+            if (entry) {
+                ttl = entry.expiryTime > 0 ? Math.max(0.001, (entry.expiryTime - Date.now()) / 1000) : 0;
+            }
+            cache.set(key, value + 1, ttl);
+            return integer(value + 1);
+        }
+    },
+
+    // redis-cli asks for the command table on connect; an empty one keeps it working
+    command: {
+        arity: -1,
+        run: () => array([])
+    }
+};
+
+/**
+ * @class CacheServer
+ * @classdesc Serves a SimpleCache instance to Redis clients over TCP (RESP2).
+ *
+ * Supported commands: GET, SET (EX / PX / NX / XX), DEL, EXISTS, EXPIRE, TTL, KEYS, MGET, MSET,
+ * FLUSHDB, INCR, PING, plus COMMAND and QUIT for client compatibility.
+ * Keys and values are UTF-8 strings; values set from JavaScript are returned in their string
+ * form (objects as JSON). SET without EX / PX uses the cache's default TTL.
+ *
+ * There is no authentication: listen on localhost or a private network only.
+ *
+ * Events:
+ * - `connection` (socket) - A client connected
+ * - `error` (err) - Server failure after listen() resolved
+ * @extends EventEmitter
+ */
+class CacheServer extends EventEmitter {
+    /**
+     * @param {import('./index')} cache - Cache to serve (not destroyed by close())
+     * @param {object} [options]
+     * @param {number} [options.maxBulkLength=536870912] - Largest accepted key or value in bytes
+     */
+    constructor(cache, options = {}) {
+        super();
+
+        /** @type {import('./index')} */
+        this.cache = cache;
+
+        /** @type {number} */
+        this.maxBulkLength = options.maxBulkLength || DEFAULT_MAX_BULK_LENGTH;
+
+        /** @type {Set<net.Socket>} - Open client connections */
+        this._sockets = new Set();
+
+        /** @type {net.Server} */
+        this._server = net.createServer((socket) => this._handleConnection(socket));
+    }
+
+    /**
+     * Start accepting connections
+     * @param {number} [port=6379] - 0 picks a free port
+     * @param {string} [host='127.0.0.1']
+     * @returns {Promise<{address: string, family: string, port: number}>}
+     */
+    listen(port = 6379, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(port, host, () => {
+                this._server.off('error', reject);
+                this._server.on('error', (err) => this.emit('error', err));
+                resolve(this.address());
+            });
+        });
+    }
+
+    /**
+     * @returns {{address: string, family: string, port: number}|null}
+     */
+    address() {
+        return this._server.address();
+    }
+
+    /**
+     * Stop accepting connections and disconnect the clients (the cache stays usable)
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise((resolve) => {
+            for (const socket of this._sockets) {
+                socket.destroy();
+            }
+            if (!this._server.listening) {
+                resolve();
+                return;
+            }
+            this._server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Run one command
+     * @param {string[]} args - Command name and arguments
+     * @returns {Buffer} - Encoded reply
+     */
+    execute(args) {
+        const name = args[0].toLowerCase();
+        const spec = COMMANDS[name];
+
+        if (!spec) {
+            const rest = args.slice(1).map((arg) => `'${arg}'`).join(' ');
+            return error(`ERR unknown command '${args[0]}', with args beginning with: ${rest}`);
+        }
+        if (spec.arity > 0 ? args.length !== spec.arity : args.length < -spec.arity) {
+            return error(`ERR wrong number of arguments for '${name}' command`);
+        }
+
+        try {
+            return spec.run(this.cache, args);
+        } catch (err) {
+            return error(err.code === 'ERR_RESP_COMMAND' ? err.message : `ERR ${err.message}`);
+        }
+    }
+
+    /**
+     * @private
+     * @param {net.Socket} socket
+     */
+    _handleConnection(socket) {
+        this._sockets.add(socket);
+        const parser = new RespParser({ maxBulkLength: this.maxBulkLength });
+
+        socket.on('data', (chunk) => {
+            const replies = [];
+            let quit = false;
+
+            try {
+                for (const command of parser.push(chunk)) {
+                    const args = command.map((arg) => arg.toString('utf8'));
+                    if (args[0].toLowerCase() === 'quit') {
+                        replies.push(simple('OK'));
+                        quit = true;
+                        break;
+                    }
+                    replies.push(this.execute(args));
+                }
+            } catch (err) {
+                // Protocol errors leave the stream out of sync: reply and disconnect, like Redis
+                replies.push(error(`ERR ${err.message}`));
+                quit = true;
+            }
+
+            if (replies.length > 0) socket.write(Buffer.concat(replies));
+            if (quit) {
+                socket.end();
+                socket.removeAllListeners('data');
+            }
+        });
+
+        // The client went away; nothing to report
+        socket.on('error', () => {});
+        socket.on('close', () => this._sockets.delete(socket));
+
+        this.emit('connection', socket);
+    }
+}
+
+/**
+ * Create a server for a cache (call listen() to start it)
+ * @param {import('./index')} cache
+ * @param {object} [options] - See CacheServer
+ * @returns {CacheServer}
+ */
+function createServer(cache, options) {
+    return new CacheServer(cache, options);
+}
+
+module.exports = {
+    CacheServer,
+    RespParser,
+    createServer
+};
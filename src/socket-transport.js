@@ -0,0 +1,477 @@
+// simple-cache-id
+// Invalidation sync between processes of one machine over a UNIX domain socket
+
+const fs = require('fs');
+const net = require('net');
+const crypto = require('crypto');
+const { FileLock } = require('./lock');
+
+/** @type {number} - Messages kept while (re)connecting; older ones are dropped */
+const MAX_QUEUED_MESSAGES = 1000;
+
+/** @type {string} - First line sent by the listening transport once it registered a connection */
+const REGISTERED = '{"simpleCache":"registered"}\n';
+
+/** @type {number} - Default limit of one encoded message, in characters */
+const DEFAULT_MAX_MESSAGE_LENGTH = 8 * 1024 * 1024;
+
+/** @type {number} - Seconds without heartbeat after which a takeover lock is abandoned */
+const TAKEOVER_LOCK_STALE = 10;
+
+/** @type {boolean} - Named pipes have no socket file to link, rename or watch */
+const NAMED_PIPES = process.platform === 'win32';
+
+/**
+ * Sync transport between processes of the same machine, over a UNIX domain socket
+ * (a named pipe path on Windows).
+ *
+ * There is no separate broker: the first transport to open the socket path listens on it and
+ * relays messages between the others, which connect to it. When that process exits, the
+ * remaining transports reconnect and one of them takes over. Messages are newline-delimited JSON;
+ * messages published while (re)connecting are queued. A connecting transport counts as connected
+ * once the listening one has registered it (its first line), so nothing relayed is missed.
+ *
+ * The listening transport binds a private path and hard-links it to the socket path, so only one
+ * transport can claim an empty path. A socket file left by a crashed process is replaced under a
+ * lockfile (`<socketPath>.lock`) after probing it once more, and the listening transport checks
+ * every `retryDelay` seconds that the socket path is still its own: if it was removed or replaced,
+ * it stops listening and reconnects, so the processes never stay split between two listeners.
+ * @class SocketTransport
+ */
+class SocketTransport {
+    /**
+     * @param {string} socketPath - Socket file shared by all processes, e.g. '/tmp/my-app-cache.sock'
+     * @param {object} [options]
+     * @param {number} [options.retryDelay=0.5] - Seconds to wait before reconnecting after the listening process left
+     * @param {number} [options.maxMessageLength=8388608] - Longest accepted message in characters; a connection sending a longer one is dropped
+     * @param {function(Error): void} [options.onError] - Unexpected socket errors (default: console.error)
+     */
+    constructor(socketPath, options = {}) {
+        if (!socketPath) {
+            throw new Error('[SimpleCache] SocketTransport requires a socket path');
+        }
+
+        /** @type {string} */
+        this.socketPath = socketPath;
+
+        /** @type {number} */
+        this.retryDelay = options.retryDelay === undefined ? 0.5 : options.retryDelay;
+
+        /** @type {number} */
+        this.maxMessageLength = options.maxMessageLength || DEFAULT_MAX_MESSAGE_LENGTH;
+
+        /** @type {function(Error): void} */
+        this.onError = options.onError || ((err) => console.error('SocketTransport:', err.message));
+
+        /** @type {function(object): void|null} */
+        this._handler = null;
+
+        /** @type {net.Server|null} - Set while this transport is the one listening */
+        this._server = null;
+
+        /** @type {number|null} - Inode of the socket file while listening */
+        this._inode = null;
+
+        /** @type {NodeJS.Timeout|null} - Checks that the socket path still leads to this transport */
+        this._pathTimer = null;
+
+        /** @type {Set<net.Socket>} - Connected transports (listening side only) */
+        this._peers = new Set();
+
+        /** @type {net.Socket|null} - Connection to the listening transport */
+        this._socket = null;
+
+        /** @type {string[]} - Encoded messages waiting for a connection */
+        this._queue = [];
+
+        /** @type {NodeJS.Timeout|null} */
+        this._retryTimer = null;
+
+        /** @type {boolean} */
+        this._closed = false;
+
+        this._connect();
+    }
+
+    /**
+     * true once listening for the other transports, or registered by the listening one
+     * @type {boolean}
+     */
+    get connected() {
+        return this._server !== null || this._socket !== null;
+    }
+
+    /**
+     * @param {object} message
+     */
+    publish(message) {
+        const line = JSON.stringify(message) + '\n';
+
+        if (this._server) {
+            this._relay(line, null);
+        } else if (this._socket) {
+            this._socket.write(line);
+        } else {
+            this._queue.push(line);
+            if (this._queue.length > MAX_QUEUED_MESSAGES) this._queue.shift();
+        }
+    }
+
+    /**
+     * @param {function(object): void} handler
+     */
+    subscribe(handler) {
+        this._handler = handler;
+    }
+
+    close() {
+        this._closed = true;
+        this._handler = null;
+        this._queue = [];
+
+        if (this._retryTimer) {
+            clearTimeout(this._retryTimer);
+            this._retryTimer = null;
+        }
+        if (this._socket) {
+            this._socket.destroy();
+            this._socket = null;
+        }
+        if (this._server && this._ownsPath()) {
+            try {
+                fs.unlinkSync(this.socketPath);
+            } catch (err) {
+                // Already removed
+            }
+        }
+        this._stopListening();
+    }
+
+    /**
+     * Connect to the listening transport, or become it when nobody listens
+     * @private
+     */
+    _connect() {
+        if (this._closed) return;
+
+        const socket = net.connect(this.socketPath);
+        socket.unref();
+        let opened = false;
+
+        socket.once('connect', () => {
+            opened = true;
+            if (this._closed) socket.destroy();
+        });
+
+        socket.on('error', (err) => {
+            if (opened) {
+                // 'close' follows and reconnects
+                if (this._socket === socket) this.onError(err);
+            } else if (err.code === 'ENOENT') {
+                // Nobody listens
+                this._listen(null);
+            } else if (err.code === 'ECONNREFUSED') {
+                // A socket file without a listener, left by a crashed process
+                this._takeOver();
+            } else {
+                this.onError(err);
+                this._scheduleReconnect();
+            }
+        });
+
+        socket.on('close', () => {
+            // Failed connection attempts are handled on 'error'
+            if (!opened) return;
+
+            // The listening process left; one of the remaining transports takes over
+            if (this._socket === socket) this._socket = null;
+            this._scheduleReconnect();
+        });
+
+        let registered = false;
+        this._readLines(socket, (line) => {
+            if (registered) {
+                this._deliver(line);
+                return;
+            }
+
+            registered = true;
+            if (this._closed) return;
+            this._socket = socket;
+            for (const queued of this._queue.splice(0)) {
+                socket.write(queued);
+            }
+        });
+    }
+
+    /**
+     * Replace a socket file nobody listens on. Transports finding it at the same time would each
+     * replace the socket the other one just created, so they take turns holding a lockfile, and
+     * the holder probes the socket once more before replacing it.
+     * @private
+     */
+    _takeOver() {
+        if (this._closed) return;
+
+        const lock = new FileLock(this.socketPath + '.lock', { stale: TAKEOVER_LOCK_STALE });
+        try {
+            lock.acquireSync();
+        } catch (err) {
+            // ELOCKED: another transport is taking over, join it once it listens
+            if (err.code !== 'ELOCKED') this.onError(err);
+            this._scheduleReconnect();
+            return;
+        }
+
+        const probe = net.connect(this.socketPath);
+        probe.unref();
+        probe.once('connect', () => {
+            // Taken over before we got the lock
+            probe.destroy();
+            lock.release();
+            this._connect();
+        });
+        probe.once('error', (err) => {
+            if (err.code === 'ECONNREFUSED' || err.code === 'ENOENT') {
+                this._listen(lock);
+            } else {
+                lock.release();
+                this.onError(err);
+                this._scheduleReconnect();
+            }
+        });
+    }
+
+    /**
+     * Listen on a private path, then link it to the socket path (or rename it over a stale socket file)
+     * @private
+     * @param {FileLock|null} takeoverLock - Held while replacing a stale socket file; released here
+     */
+    _listen(takeoverLock) {
+        const release = () => {
+            if (takeoverLock) takeoverLock.release();
+        };
+        if (this._closed) {
+            release();
+            return;
+        }
+
+        // The bound path is unlinked when the server closes, so it must never be the shared one
+        const boundPath = NAMED_PIPES ? this.socketPath : `${this.socketPath}.${crypto.randomBytes(6).toString('hex')}`;
+        const server = net.createServer((peer) => this._addPeer(peer));
+        server.unref();
+
+        server.once('error', (err) => {
+            release();
+            if (err.code === 'EADDRINUSE') {
+                // Another process was faster
+                this._connect();
+            } else {
+                this.onError(err);
+                this._scheduleReconnect();
+            }
+        });
+
+        server.listen(boundPath, () => {
+            if (this._closed) {
+                release();
+                server.close();
+                return;
+            }
+
+            if (!NAMED_PIPES) {
+                try {
+                    if (takeoverLock) {
+                        fs.renameSync(boundPath, this.socketPath);
+                    } else {
+                        fs.linkSync(boundPath, this.socketPath);
+                        fs.unlinkSync(boundPath);
+                    }
+                    this._inode = fs.statSync(this.socketPath).ino;
+                } catch (err) {
+                    release();
+                    server.close();
+                    if (err.code === 'EEXIST') {
+                        // Another process was faster
+                        this._connect();
+                    } else {
+                        this.onError(err);
+                        this._scheduleReconnect();
+                    }
+                    return;
+                }
+            }
+            release();
+
+            this._server = server;
+            this._watchPath();
+            for (const line of this._queue.splice(0)) {
+                this._relay(line, null);
+            }
+        });
+    }
+
+    /**
+     * While listening, check every retryDelay seconds that the socket path still leads here;
+     * if it was removed or replaced, nobody new can reach this transport, so it rejoins
+     * @private
+     */
+    _watchPath() {
+        if (NAMED_PIPES) return;
+
+        this._pathTimer = setInterval(() => {
+            if (this._ownsPath()) return;
+
+            this._stopListening();
+            this._connect();
+        }, this.retryDelay * 1000);
+        if (this._pathTimer.unref) {
+            this._pathTimer.unref();
+        }
+    }
+
+    /**
+     * Whether the socket path is the one this transport listens on
+     * @private
+     * @returns {boolean}
+     */
+    _ownsPath() {
+        if (NAMED_PIPES) return true;
+
+        try {
+            return fs.statSync(this.socketPath).ino === this._inode;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Close the server and drop the connected transports (they reconnect on their own)
+     * @private
+     */
+    _stopListening() {
+        if (this._pathTimer) {
+            clearInterval(this._pathTimer);
+            this._pathTimer = null;
+        }
+        for (const peer of this._peers) {
+            peer.destroy();
+        }
+        this._peers.clear();
+        if (this._server) {
+            this._server.close();
+            this._server = null;
+        }
+        this._inode = null;
+    }
+
+    /**
+     * @private
+     * @param {net.Socket} peer
+     */
+    _addPeer(peer) {
+        if (this._closed) {
+            peer.destroy();
+            return;
+        }
+
+        peer.unref();
+        this._peers.add(peer);
+        peer.on('error', () => {
+            // A peer going away is not an error; 'close' removes it
+        });
+        peer.on('close', () => this._peers.delete(peer));
+        peer.write(REGISTERED);
+
+        this._readLines(peer, (line) => {
+            this._relay(line + '\n', peer);
+            this._deliver(line);
+        });
+    }
+
+    /**
+     * Send a line to every connected transport except its sender (listening side)
+     * @private
+     * @param {string} line - Encoded message, with its newline
+     * @param {net.Socket|null} from
+     */
+    _relay(line, from) {
+        for (const peer of this._peers) {
+            if (peer !== from) peer.write(line);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} line - Encoded message
+     */
+    _deliver(line) {
+        if (!this._handler) return;
+
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (err) {
+            this.onError(new Error(`[SimpleCache] Ignored malformed sync message on ${this.socketPath}`));
+            return;
+        }
+        this._handler(message);
+    }
+
+    /**
+     * Split a socket's data into lines (without their newline); a connection sending a line
+     * longer than maxMessageLength is destroyed
+     * @private
+     * @param {net.Socket} socket
+     * @param {function(string): void} onLine
+     */
+    _readLines(socket, onLine) {
+        const drop = () => {
+            socket.destroy();
+            this.onError(new Error(`[SimpleCache] Sync message over ${this.maxMessageLength} characters on ${this.socketPath}, connection dropped`));
+        };
+
+        let buffered = '';
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            let start = 0;
+            let end;
+            while ((end = chunk.indexOf('\n', start)) !== -1) {
+                const line = buffered + chunk.slice(start, end);
+                buffered = '';
+                start = end + 1;
+                if (line.length > this.maxMessageLength) {
+                    drop();
+                    return;
+                }
+                if (line) onLine(line);
+            }
+
+            // Don't buffer without bound for a peer that never ends its line
+            buffered += chunk.slice(start);
+            if (buffered.length > this.maxMessageLength) {
+                buffered = '';
+                drop();
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _scheduleReconnect() {
+        if (this._closed || this._retryTimer) return;
+
+        // Jitter so the remaining transports do not all try to listen at once
+        const delay = this.retryDelay * 1000 * (0.5 + Math.random());
+        this._retryTimer = setTimeout(() => {
+            this._retryTimer = null;
+            this._connect();
+        }, delay);
+        if (this._retryTimer.unref) {
+            this._retryTimer.unref();
+        }
+    }
+}
+
+module.exports = SocketTransport;
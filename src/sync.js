@@ -0,0 +1,156 @@
+// simple-cache-id
+// Invalidation sync between cache instances: transport interface and in-process / BroadcastChannel transports
+
+const { BroadcastChannel } = require('worker_threads');
+
+/**
+ * Invalidation published by a cache (`sync` option).
+ * - `del` - `keys` were deleted (del, take, mdel, mtake)
+ * - `invalidateTags` - keys tagged with any of `tags` were deleted
+ * - `flush` - every key was deleted
+ *
+ * @typedef {object} SyncMessage
+ * @property {string} origin - syncId of the publishing cache (its own messages are ignored)
+ * @property {'del'|'invalidateTags'|'flush'} op
+ * @property {string[]} [keys]
+ * @property {string[]} [tags]
+ */
+
+/**
+ * Pub/sub transport interface (`sync` option).
+ *
+ * The cache publishes every del / flush / invalidateTag and applies the messages it receives
+ * from other instances. Delivery is best effort: a message lost while a transport reconnects
+ * only means another instance serves its copy until the TTL expires.
+ *
+ * - `publish(message)` - send a plain, JSON-serializable object to the other subscribers
+ * - `subscribe(handler)` - call `handler(message)` for messages from other subscribers
+ *   (receiving your own messages is fine, the cache filters them by `origin`)
+ * - `close()` - stop receiving and release resources (called by destroy())
+ *
+ * @typedef {object} SyncTransport
+ * @property {function(SyncMessage): void} publish
+ * @property {function(function(SyncMessage): void): void} subscribe
+ * @property {function(): void} close
+ */
+
+/** @type {string[]} */
+const REQUIRED_METHODS = ['publish', 'subscribe', 'close'];
+
+/**
+ * Transport between instances of the same process (tests, several caches of one app).
+ * Messages are delivered synchronously, before publish() returns.
+ * @class InProcessTransport
+ */
+class InProcessTransport {
+    /**
+     * @param {string} [channel='default'] - Only transports on the same channel talk to each other
+     */
+    constructor(channel = 'default') {
+        /** @type {string} */
+        this.channel = String(channel);
+
+        /** @type {function(SyncMessage): void|null} */
+        this._handler = null;
+
+        let members = InProcessTransport._channels.get(this.channel);
+        if (!members) {
+            members = new Set();
+            InProcessTransport._channels.set(this.channel, members);
+        }
+        members.add(this);
+    }
+
+    /**
+     * @param {SyncMessage} message
+     */
+    publish(message) {
+        const members = InProcessTransport._channels.get(this.channel);
+        if (!members) return;
+
+        for (const member of members) {
+            if (member !== this && member._handler) member._handler(message);
+        }
+    }
+
+    /**
+     * @param {function(SyncMessage): void} handler
+     */
+    subscribe(handler) {
+        this._handler = handler;
+    }
+
+    close() {
+        this._handler = null;
+
+        const members = InProcessTransport._channels.get(this.channel);
+        if (!members) return;
+
+        members.delete(this);
+        if (members.size === 0) {
+            InProcessTransport._channels.delete(this.channel);
+        }
+    }
+}
+
+/** @type {Map<string, Set<InProcessTransport>>} - Open transports by channel */
+InProcessTransport._channels = new Map();
+
+/**
+ * Transport over a `BroadcastChannel`: reaches every thread of the process
+ * (main thread and worker_threads) that opened a channel with the same name.
+ * @class BroadcastChannelTransport
+ */
+class BroadcastChannelTransport {
+    /**
+     * @param {string} [channel='simple-cache-id'] - BroadcastChannel name
+     */
+    constructor(channel = 'simple-cache-id') {
+        /** @type {string} */
+        this.channel = String(channel);
+
+        /** @type {BroadcastChannel} */
+        this._channel = new BroadcastChannel(this.channel);
+
+        // An open channel would keep the process alive
+        this._channel.unref();
+    }
+
+    /**
+     * @param {SyncMessage} message
+     */
+    publish(message) {
+        this._channel.postMessage(message);
+    }
+
+    /**
+     * @param {function(SyncMessage): void} handler
+     */
+    subscribe(handler) {
+        this._channel.onmessage = (event) => handler(event.data);
+    }
+
+    close() {
+        this._channel.onmessage = null;
+        this._channel.close();
+    }
+}
+
+/**
+ * Check that an object implements the transport methods
+ * @param {any} transport
+ * @returns {SyncTransport}
+ */
+function validateTransport(transport) {
+    const missing = REQUIRED_METHODS.filter((method) => !transport || typeof transport[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`[SimpleCache] sync transport is missing required method(s): ${missing.join(', ')}`);
+    }
+    return transport;
+}
+
+module.exports = {
+    InProcessTransport,
+    BroadcastChannelTransport,
+    validateTransport
+};
@@ -0,0 +1,211 @@
+// simple-cache-id
+// Two-tier cache: bounded in-memory L1 in front of an L2 cache or backend
+
+const SimpleCache = require('./index');
+
+/**
+ * Backend adapter that stores entries in another SimpleCache.
+ * Goes through the cache's export / import methods so expiry, original TTL, tags and creation time carry over exactly.
+ * @private
+ * @class CacheTier
+ */
+class CacheTier {
+    /**
+     * @param {SimpleCache} cache
+     */
+    constructor(cache) {
+        /** @type {SimpleCache} */
+        this.cache = cache;
+    }
+
+    /**
+     * Read an entry (counts as a hit / miss of the L2, never renews its expiry)
+     * @param {string} key
+     * @returns {import('./backend').BackendEntry|undefined}
+     */
+    get(key) {
+        return this.cache.exportEntry(key);
+    }
+
+    /**
+     * @param {string} key
+     * @param {import('./backend').BackendEntry} entry
+     */
+    set(key, entry) {
+        this.cache.importEntry({ ...entry, key });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    del(key) {
+        return this.cache.del(key) === 1;
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} expiryTime - Timestamp in ms, 0 = permanent
+     * @param {number} ttl - Original TTL in seconds
+     */
+    expire(key, expiryTime, ttl) {
+        this.cache.importExpiry(key, expiryTime, ttl);
+    }
+
+    /**
+     * @returns {Iterable<import('./backend').BackendEntry>}
+     */
+    iterate() {
+        return this.cache.exportEntries();
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.cache.has(key);
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    keys() {
+        return this.cache.keys();
+    }
+
+    clear() {
+        this.cache.importFlush();
+    }
+
+    close() {
+        this.cache.destroy();
+    }
+}
+
+/**
+ * Create a fresh set of per-tier counters
+ * @private
+ * @returns {{l1: {hits: number, misses: number}, l2: {hits: number, misses: number}}}
+ */
+function createTierStats() {
+    return {
+        l1: { hits: 0, misses: 0 },
+        l2: { hits: 0, misses: 0 }
+    };
+}
+
+/**
+ * @class TieredCache
+ * @classdesc A SimpleCache whose memory (the L1, bounded by maxSize / maxMemory) holds the hot
+ * entries in front of an L2 that holds all of them: another SimpleCache (typically persistent)
+ * or a storage backend.
+ *
+ * - Writes go to both tiers with the same absolute expiry, so TTLs agree across tiers
+ * - An L1 miss that hits the L2 promotes the entry into the L1 (with its remaining TTL)
+ * - An L1 eviction demotes the entry: it leaves memory and stays in the L2, which already holds the latest copy
+ * - Expiry changes (expire, persist, touch, sliding renewals) and deletes are applied to both tiers
+ *
+ * Memory is only saved when the L2 keeps its entries out of memory (a backend, or an L2 cache with
+ * its own backend); a plain L2 cache holds every entry in memory too.
+ *
+ * Write to the L2 only through the TieredCache, otherwise the L1 may serve an outdated copy.
+ * destroy() also destroys the L2 cache (or closes the L2 backend).
+ * @extends SimpleCache
+ */
+class TieredCache extends SimpleCache {
+    /**
+     * @param {number} [defaultTtl=0] - Default TTL in seconds (0 = no expiration)
+     * @param {object} options - SimpleCache options for the L1, plus:
+     * @param {SimpleCache|import('./backend').Backend} options.l2 - Second tier
+     */
+    constructor(defaultTtl = 0, options = {}) {
+        const { l2, ...l1Options } = options;
+
+        if (!l2) {
+            throw new Error('[SimpleCache] TieredCache requires an "l2" option (a SimpleCache or a backend)');
+        }
+        if (l1Options.backend) {
+            throw new Error('[SimpleCache] TieredCache does not take a "backend" option, pass it as "l2"');
+        }
+        if (l2.resident) {
+            throw new Error('[SimpleCache] TieredCache needs an L2 that holds the entries (SdbBackend keeps them in the cache\'s memory): use a persistent SimpleCache as L2');
+        }
+        if (l1Options.persistent) {
+            throw new Error('[SimpleCache] TieredCache persists through its L2: set persistent on the L2 cache');
+        }
+        if (!(l1Options.maxSize > 0) && !(l1Options.maxMemory > 0)) {
+            throw new Error('[SimpleCache] TieredCache requires maxSize or maxMemory to bound the L1');
+        }
+
+        super(defaultTtl, { ...l1Options, backend: l2 instanceof SimpleCache ? new CacheTier(l2) : l2 });
+
+        /** @type {SimpleCache|import('./backend').Backend} */
+        this.l2 = l2;
+
+        /** @type {{l1: {hits: number, misses: number}, l2: {hits: number, misses: number}}} */
+        this._tierStats = createTierStats();
+
+        if (l2 instanceof SimpleCache) {
+            // Usable once the L2 has loaded its file
+            this.ready = Promise.all([this.ready, l2.ready]).then(() => this);
+        }
+    }
+
+    /**
+     * Read path of SimpleCache, counting which tier served the entry
+     * @private
+     * @param {string} stringKey
+     * @param {boolean} [refresh]
+     * @returns {{value: any, expiryTime: number}|undefined}
+     */
+    _lookup(stringKey, refresh = this.slidingTtl) {
+        const inL1 = this.store.has(stringKey);
+        const entry = super._lookup(stringKey, refresh);
+
+        if (inL1 && entry) {
+            this._tierStats.l1.hits++;
+        } else {
+            this._tierStats.l1.misses++;
+
+            // An expired L1 entry is expired in the L2 as well, so the L2 was not asked
+            if (!inL1) {
+                if (entry) this._tierStats.l2.hits++;
+                else this._tierStats.l2.misses++;
+            }
+        }
+
+        return entry;
+    }
+
+    /**
+     * Stats of SimpleCache (keys counts the L2) plus per-tier lookups
+     * @returns {object}
+     */
+    stats() {
+        const tier = ({ hits, misses }, keys) => ({
+            hits,
+            misses,
+            hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+            keys
+        });
+
+        return {
+            ...super.stats(),
+            tiers: {
+                l1: tier(this._tierStats.l1, this.store.size),
+                l2: tier(this._tierStats.l2, this._countKeys())
+            }
+        };
+    }
+
+    /**
+     * Reset all statistics counters, including the per-tier ones
+     */
+    resetStats() {
+        super.resetStats();
+        this._tierStats = createTierStats();
+    }
+}
+
+module.exports = TieredCache;
@@ -0,0 +1,258 @@
+const SimpleCache = require("../src/index");
+const fs = require("fs");
+const crypto = require("crypto");
+
+describe("Append-only Log Persistence", () => {
+    const testPersistPath = "./test-aof.sdb";
+    const logPath = testPersistPath + ".aof";
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        for (const p of [testPersistPath, logPath]) {
+            if (fs.existsSync(p)) fs.unlinkSync(p);
+            if (fs.existsSync(p + ".tmp")) fs.unlinkSync(p + ".tmp");
+        }
+    });
+
+    const open = (options = {}) => new SimpleCache(0, {
+        persistent: true,
+        persistPath: testPersistPath,
+        persistMode: "aof",
+        ...options
+    });
+
+    it("should validate persistMode and fsync", () => {
+        expect(() => new SimpleCache(0, { persistMode: "journal" })).toThrow('[SimpleCache] Invalid persistMode "journal"');
+        expect(() => new SimpleCache(0, { fsync: "sometimes" })).toThrow('[SimpleCache] Invalid fsync "sometimes"');
+    });
+
+    it("should append changes immediately instead of scheduling a snapshot", () => {
+        const cache = open();
+        const before = fs.statSync(logPath).size;
+
+        cache.set("a", 1);
+        expect(cache._saveTimeout).toBeNull();
+        expect(fs.statSync(logPath).size).toBeGreaterThan(before);
+        expect(fs.existsSync(testPersistPath)).toBe(false);
+
+        cache.destroy();
+    });
+
+    it("should replay sets, deletes and expiry changes on startup", () => {
+        const cache1 = open();
+        cache1.set("keep", { n: 1 }, { ttl: 60, tags: ["t"] });
+        cache1.set("gone", "x");
+        cache1.del("gone");
+        cache1.set("permanent", "p", 30);
+        cache1.persist("permanent");
+        cache1.set("short", "s");
+        cache1.expire("short", 100);
+        cache1.destroy();
+
+        const cache2 = open();
+        expect(cache2.get("keep")).toEqual({ n: 1 });
+        expect(cache2.ttl("keep")).toBeGreaterThan(55);
+        expect(cache2.has("gone")).toBe(false);
+        expect(cache2.ttl("permanent")).toBe(-1);
+        expect(cache2.ttl("short")).toBeGreaterThan(95);
+        expect(cache2.invalidateTag("t")).toBe(1);
+        cache2.destroy();
+    });
+
+    it("should replay flush and later writes", () => {
+        const cache1 = open();
+        cache1.set("old", 1);
+        cache1.flush();
+        cache1.set("new", 2);
+        cache1.destroy();
+
+        const cache2 = open();
+        expect(cache2.has("old")).toBe(false);
+        expect(cache2.get("new")).toBe(2);
+        cache2.destroy();
+    });
+
+    it("should fold the log into the snapshot on startup", async () => {
+        const cache1 = open();
+        cache1.set("a", 1);
+        cache1.destroy();
+
+        const cache2 = open();
+        const info = await new Promise((resolve) => cache2.once("loaded", resolve));
+
+        expect(info).toMatchObject({ entries: 1, replayed: 1 });
+        expect(fs.existsSync(testPersistPath)).toBe(true);
+        expect(fs.statSync(logPath).size).toBe(12); // header only
+        cache2.destroy();
+
+        const cache3 = open();
+        expect(cache3.get("a")).toBe(1);
+        cache3.destroy();
+    });
+
+    it("should keep records before a truncated tail", () => {
+        const cache1 = open();
+        cache1.set("a", 1);
+        cache1.set("b", 2);
+        cache1.destroy();
+
+        // Simulate a crash in the middle of the last write
+        const buffer = fs.readFileSync(logPath);
+        fs.writeFileSync(logPath, buffer.subarray(0, buffer.length - 3));
+
+        const cache2 = open();
+        cache2.on("error", () => {});
+        expect(cache2.get("a")).toBe(1);
+        expect(cache2.has("b")).toBe(false);
+        cache2.destroy();
+    });
+
+    it("should compact in the background once the log outgrows the snapshot", async () => {
+        const cache = open({ compactMinSize: 200, compactRatio: 1 });
+        const compacted = new Promise((resolve) => cache.once("compacted", resolve));
+
+        for (let i = 0; i < 20; i++) {
+            cache.set("key", "value-" + i);
+        }
+
+        const info = await compacted;
+        expect(info.bytes).toBeGreaterThan(200);
+        expect(fs.statSync(logPath).size).toBe(12);
+        cache.destroy();
+
+        const cache2 = open();
+        expect(cache2.get("key")).toBe("value-19");
+        cache2.destroy();
+    });
+
+    it("should fsync every write with fsync: 'always'", () => {
+        const spy = jest.spyOn(fs, "fsyncSync");
+        const cache = open({ fsync: "always" });
+
+        cache.set("a", 1);
+        cache.set("b", 2);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        cache.destroy();
+    });
+
+    it("should not fsync on write with fsync: 'never'", () => {
+        const spy = jest.spyOn(fs, "fsyncSync");
+        const cache = open({ fsync: "never" });
+
+        cache.set("a", 1);
+        expect(spy).not.toHaveBeenCalled();
+        cache.destroy();
+    });
+
+    it("should encrypt log records", () => {
+        const key = crypto.randomBytes(32);
+        const cache1 = open({ encryptionKey: key });
+        cache1.set("token", "secret-token-value");
+        cache1.destroy();
+
+        expect(fs.readFileSync(logPath).toString("utf8")).not.toContain("secret-token-value");
+
+        const cache2 = open({ encryptionKey: key });
+        expect(cache2.get("token")).toBe("secret-token-value");
+        cache2.destroy();
+    });
+
+    it("should log evictions so they are not resurrected", () => {
+        const cache1 = open({ maxSize: 2 });
+        cache1.set("a", 1);
+        cache1.set("b", 2);
+        cache1.set("c", 3);
+        cache1.destroy();
+
+        const cache2 = open();
+        expect(cache2.keys().sort()).toEqual(["b", "c"]);
+        cache2.destroy();
+    });
+
+    it("should not append to the live log while reload() restores", async () => {
+        const cache = open();
+        cache.set("a", 1);
+        cache.set("a", 2);
+        cache.set("b", 1, 60);
+        cache.flush();
+        cache.set("c", 3);
+
+        const append = jest.spyOn(cache._backend._log, "append");
+        await cache.reload();
+
+        expect(append).not.toHaveBeenCalled();
+        expect(cache.keys()).toEqual(["c"]);
+        cache.destroy();
+    });
+
+    it("should keep writes made while reload() reads the file", async () => {
+        const cache = open();
+        cache.mset({ a: 1, b: 1, c: 1 });
+
+        const readFile = cache._readFileAsync.bind(cache);
+        jest.spyOn(cache, "_readFileAsync").mockImplementation(async () => {
+            const read = await readFile();
+            cache.set("a", 2);
+            cache.del("b");
+            cache.set("d", 4);
+            return read;
+        });
+        const reloading = cache.reload();
+        cache.set("e", 5);
+        await reloading;
+
+        const expected = { a: 2, b: null, c: 1, d: 4, e: 5 };
+        expect(cache.mget(Object.keys(expected))).toEqual(expected);
+        cache.destroy();
+
+        // Memory matched the log
+        const reopened = open();
+        expect(reopened.mget(Object.keys(expected))).toEqual(expected);
+        reopened.destroy();
+    });
+
+    it("should keep only writes made after a flush() during reload()", async () => {
+        const cache = open();
+        cache.mset({ a: 1, b: 1 });
+
+        const readFile = cache._readFileAsync.bind(cache);
+        jest.spyOn(cache, "_readFileAsync").mockImplementation(async () => {
+            const read = await readFile();
+            cache.flush();
+            cache.set("c", 3);
+            return read;
+        });
+        await cache.reload();
+
+        expect(cache.keys()).toEqual(["c"]);
+        cache.destroy();
+    });
+
+    it("should batch sliding renewals instead of appending on every read", async () => {
+        const cache = open({ slidingTtl: true, saveDelay: 0.05 });
+        cache.set("session", "data", 60);
+        cache.set("other", "data", 60);
+        const append = jest.spyOn(cache._backend._log, "append");
+
+        for (let i = 0; i < 100; i++) {
+            cache.get("session");
+            cache.get("other");
+        }
+        cache.del("other");
+        expect(append.mock.calls.map(([record]) => record.op)).toEqual(["del"]);
+
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        expect(append.mock.calls.map(([record]) => [record.op, record.key])).toEqual([["del", "other"], ["expire", "session"]]);
+        expect(append.mock.calls[1][0].expiryTime).toBe(cache.getTtl("session"));
+
+        // Renewals still queued are appended on destroy()
+        cache.get("session");
+        cache.destroy();
+        expect(append).toHaveBeenCalledTimes(3);
+
+        const reopened = open();
+        expect(reopened.ttl("session")).toBeGreaterThan(59);
+        reopened.destroy();
+    });
+});
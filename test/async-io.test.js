@@ -0,0 +1,300 @@
+const SimpleCache = require("../src/index");
+const sdb = require("../src/sdb");
+const { parseCompressOptions } = require("../src/compression");
+const fs = require("fs");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const collect = async (chunks) => {
+    const buffers = [];
+    for await (const chunk of chunks) buffers.push(chunk);
+    return Buffer.concat(buffers);
+};
+
+describe("Asynchronous persistence I/O", () => {
+    const testPersistPath = "./test-async-io.sdb";
+
+    afterEach(() => {
+        for (const p of [testPersistPath, testPersistPath + ".aof"]) {
+            if (fs.existsSync(p)) fs.unlinkSync(p);
+            if (fs.existsSync(p + ".tmp")) fs.unlinkSync(p + ".tmp");
+            if (fs.existsSync(p + ".async.tmp")) fs.unlinkSync(p + ".async.tmp");
+        }
+        jest.restoreAllMocks();
+    });
+
+    const entries = Array.from({ length: 25 }, (_, i) => ({
+        key: `k${i}`,
+        value: { n: i, text: "x".repeat(i * 10) },
+        expiryTime: 0,
+        tags: i % 2 ? ["odd"] : [],
+        ttl: 0,
+        createdAt: 1000 + i
+    }));
+
+    it("should stream a file that reads back like serialize()", async () => {
+        const variants = [
+            {},
+            { compress: parseCompressOptions({ algorithm: "gzip", mode: "value", threshold: 50 }) },
+            { compress: parseCompressOptions({ algorithm: "brotli", threshold: 0 }), key: Buffer.alloc(32, 7) }
+        ];
+
+        for (const options of variants) {
+            const streamed = await collect(sdb.serializeStream(entries, { ...options, batchSize: 4 }));
+            const keys = options.key ? [options.key] : [];
+
+            expect(sdb.deserialize(streamed, { keys }).entries).toEqual(sdb.deserialize(sdb.serialize(entries, options), { keys }).entries);
+        }
+    });
+
+    it("should decode with deserializeAsync() like deserialize()", async () => {
+        const options = { compress: parseCompressOptions({ algorithm: "deflate", threshold: 0 }) };
+        const buffer = sdb.serialize(entries, options);
+
+        const result = await sdb.deserializeAsync(buffer, { batchSize: 3 });
+        expect(result).toEqual(sdb.deserialize(buffer));
+        expect(result.entries).toHaveLength(25);
+    });
+
+    it("should resolve SimpleCache.open() once the file is loaded", async () => {
+        const writer = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        writer.set("a", 1);
+        writer.set("b", { nested: true });
+        writer.destroy();
+
+        const cache = await SimpleCache.open({ defaultTtl: 60, persistent: true, persistPath: testPersistPath });
+
+        expect(cache).toBeInstanceOf(SimpleCache);
+        expect(cache.asyncIO).toBe(true);
+        expect(cache.defaultTtl).toBe(60);
+        expect(cache.get("a")).toBe(1);
+        expect(cache.get("b")).toEqual({ nested: true });
+        cache.destroy();
+    });
+
+    it("should emit loaded and ready after the asynchronous load", async () => {
+        fs.writeFileSync(testPersistPath, sdb.serialize(entries));
+
+        const cache = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, asyncIO: true });
+        const events = [];
+        cache.on("loaded", (info) => events.push(["loaded", info.entries]));
+        cache.on("ready", () => events.push(["ready", cache.store.size]));
+
+        expect(cache.store.size).toBe(0);
+        await expect(cache.ready).resolves.toBe(cache);
+
+        expect(events).toEqual([["loaded", 25], ["ready", 25]]);
+        cache.destroy();
+    });
+
+    it("should provide an already resolved ready for synchronous caches", async () => {
+        const cache = new SimpleCache();
+        const onReady = jest.fn();
+        cache.on("ready", onReady);
+
+        await expect(cache.ready).resolves.toBe(cache);
+        expect(onReady).toHaveBeenCalledTimes(1);
+        cache.destroy();
+    });
+
+    it("should save debounced changes with non-blocking I/O", async () => {
+        const cache = await SimpleCache.open({ persistent: true, persistPath: testPersistPath, saveDelay: 0.05 });
+        const writeSync = jest.spyOn(fs, "writeFileSync");
+        const saved = new Promise((resolve) => cache.once("saved", resolve));
+
+        cache.set("a", "async");
+        const info = await saved;
+
+        expect(info.entries).toBe(1);
+        expect(writeSync).not.toHaveBeenCalled();
+        expect(fs.existsSync(testPersistPath + ".async.tmp")).toBe(false);
+        cache.destroy();
+
+        const reader = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        expect(reader.get("a")).toBe("async");
+        reader.destroy();
+    });
+
+    it("should run concurrent saves one at a time", async () => {
+        const cache = await SimpleCache.open({ persistent: true, persistPath: testPersistPath });
+        const open = fs.promises.open;
+        let active = 0;
+        let maxActive = 0;
+
+        jest.spyOn(fs.promises, "open").mockImplementation(async (...args) => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            const handle = await open(...args);
+            const close = handle.close.bind(handle);
+            handle.close = async () => {
+                await sleep(10);
+                active--;
+                return close();
+            };
+            return handle;
+        });
+
+        const saves = [];
+        for (let i = 0; i < 5; i++) {
+            cache.set("counter", i);
+            saves.push(cache.saveAsync());
+        }
+        saves.push(cache.save());
+
+        const results = await Promise.all(saves);
+        expect(results.map((info) => info.entries)).toEqual([1, 1, 1, 1, 1, 1]);
+        expect(maxActive).toBe(1);
+        expect(cache.stats().saves).toBe(6);
+        cache.destroy();
+
+        const reader = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        expect(reader.get("counter")).toBe(4);
+        reader.destroy();
+    });
+
+    it("should not let an in-flight asynchronous save overwrite the final save of destroy()", async () => {
+        const cache = await SimpleCache.open({ persistent: true, persistPath: testPersistPath });
+        const open = fs.promises.open;
+        let started;
+        const writing = new Promise((resolve) => { started = resolve; });
+
+        jest.spyOn(fs.promises, "open").mockImplementation(async (...args) => {
+            started();
+            await sleep(20);
+            return open(...args);
+        });
+
+        cache.set("a", "old");
+        const pending = cache.saveAsync();
+        await writing;
+
+        cache.set("a", "new");
+        cache.destroy();
+        await expect(pending).resolves.toMatchObject({ entries: 1 });
+
+        expect(fs.existsSync(testPersistPath + ".async.tmp")).toBe(false);
+        const reader = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        expect(reader.get("a")).toBe("new");
+        reader.destroy();
+    });
+
+    it("should reject saves still queued when destroy() writes the final snapshot", async () => {
+        const cache = await SimpleCache.open({ persistent: true, persistPath: testPersistPath });
+        cache.set("a", 1);
+
+        const queued = cache.saveAsync();
+        cache.destroy();
+
+        await expect(queued).rejects.toThrow("[SimpleCache] Cache was destroyed before the save could run");
+        const reader = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        expect(reader.get("a")).toBe(1);
+        reader.destroy();
+    });
+
+    it("should keep and save entries written before ready", async () => {
+        fs.writeFileSync(testPersistPath, sdb.serialize([{ key: "fromFile", value: 1, expiryTime: 0 }]));
+
+        const cache = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, asyncIO: true, saveDelay: 10 });
+        cache.set("early", 2);
+        expect(cache._saveTimeout).toBeNull();
+
+        await cache.ready;
+        expect(cache.get("fromFile")).toBe(1);
+        expect(cache.get("early")).toBe(2);
+        expect(cache._saveTimeout).not.toBeNull();
+        cache.destroy();
+
+        const reader = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        expect(reader.keys().sort()).toEqual(["early", "fromFile"]);
+        reader.destroy();
+    });
+
+    it("should not let the file overwrite keys set or deleted before ready", async () => {
+        fs.writeFileSync(testPersistPath, sdb.serialize([
+            { key: "updated", value: "old", expiryTime: 0 },
+            { key: "deleted", value: "old", expiryTime: 0 },
+            { key: "untouched", value: "old", expiryTime: 0 }
+        ]));
+
+        const cache = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, asyncIO: true, saveDelay: 10 });
+        cache.set("updated", "new");
+        cache.del("deleted");
+
+        await cache.ready;
+        expect(cache.get("updated")).toBe("new");
+        expect(cache.has("deleted")).toBe(false);
+        expect(cache.get("untouched")).toBe("old");
+        cache.destroy();
+
+        const reader = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        expect(reader.keys().sort()).toEqual(["untouched", "updated"]);
+        expect(reader.get("updated")).toBe("new");
+        reader.destroy();
+    });
+
+    it("should not load the file after a flush before ready", async () => {
+        fs.writeFileSync(testPersistPath, sdb.serialize(entries));
+
+        const cache = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, asyncIO: true });
+        cache.flush();
+        cache.set("after-flush", 1);
+
+        await cache.ready;
+        expect(cache.keys()).toEqual(["after-flush"]);
+        cache.destroy();
+    });
+
+    it("should not let the log replay overwrite keys set or deleted before ready", async () => {
+        const writer = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, persistMode: "aof" });
+        writer.set("updated", "old");
+        writer.set("deleted", "old");
+        writer.set("updated", "logged");
+        writer.destroy();
+
+        const cache = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, persistMode: "aof", asyncIO: true });
+        cache.set("updated", "new");
+        cache.del("deleted");
+
+        await cache.ready;
+        expect(cache.get("updated")).toBe("new");
+        expect(cache.has("deleted")).toBe(false);
+        cache.destroy();
+    });
+
+    it("should not load into a cache destroyed while loading", async () => {
+        fs.writeFileSync(testPersistPath, sdb.serialize(entries));
+
+        const cache = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, asyncIO: true });
+        cache.destroy();
+        await cache.ready;
+
+        expect(cache.store.size).toBe(0);
+        expect(sdb.deserialize(fs.readFileSync(testPersistPath)).entries).toHaveLength(25);
+    });
+
+    it("should report load failures through error and still become ready", async () => {
+        fs.writeFileSync(testPersistPath, Buffer.from("not an sdb file"));
+
+        const cache = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, asyncIO: true });
+        const onError = jest.fn();
+        cache.on("error", onError);
+
+        await cache.ready;
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: "Invalid SDB file format" }));
+        expect(cache.store.size).toBe(0);
+        cache.destroy();
+    });
+
+    it("should replay the append-only log when opened asynchronously", async () => {
+        const writer = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, persistMode: "aof", fsync: "always" });
+        writer.set("a", 1);
+        writer.set("b", 2);
+        writer.del("a");
+        writer.destroy();
+
+        const cache = await SimpleCache.open({ persistent: true, persistPath: testPersistPath, persistMode: "aof" });
+        expect(cache.keys()).toEqual(["b"]);
+        expect(cache._backend.isLogOpen).toBe(true);
+        cache.destroy();
+    });
+});
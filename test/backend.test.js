@@ -0,0 +1,361 @@
+const SimpleCache = require("../src/index");
+const { MemoryBackend, FileBackend, SdbBackend } = SimpleCache;
+const fs = require("fs");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Storage backends", () => {
+    const testBackendPath = "./test-backend.sdf";
+    const testSdbPath = "./test-sdb-backend.sdb";
+
+    afterEach(() => {
+        for (const p of [testBackendPath, testBackendPath + ".lock", testBackendPath + ".tmp", testSdbPath, testSdbPath + ".aof", testSdbPath + ".lock"]) {
+            if (fs.existsSync(p)) fs.unlinkSync(p);
+        }
+    });
+
+    describe("backend option", () => {
+        it("should keep only hot entries in memory and read the rest from the backend", () => {
+            const backend = new MemoryBackend();
+            const cache = new SimpleCache(0, { backend, maxSize: 2 });
+            const onEvicted = jest.fn();
+            cache.on("evicted", onEvicted);
+
+            cache.set("a", 1);
+            cache.set("b", 2);
+            cache.set("c", 3);
+
+            expect([...cache.store.keys()]).toEqual(["b", "c"]);
+            expect(backend.size).toBe(3);
+            expect(onEvicted).not.toHaveBeenCalled();
+
+            expect(cache.get("a")).toBe(1);
+            expect([...cache.store.keys()]).toEqual(["c", "a"]);
+            expect(cache.stats()).toMatchObject({ keys: 3, hits: 1, evicted: 0 });
+            cache.destroy();
+        });
+
+        it("should write every change through to the backend", () => {
+            const backend = new MemoryBackend();
+            const cache = new SimpleCache(0, { backend });
+
+            cache.set("a", { n: 1 }, { ttl: 60, tags: ["t"] });
+            expect(backend.get("a")).toMatchObject({ key: "a", value: { n: 1 }, ttl: 60, tags: ["t"] });
+            expect(backend.get("a").expiryTime).toBe(cache.getTtl("a"));
+
+            cache.persist("a");
+            expect(backend.get("a")).toMatchObject({ expiryTime: 0, ttl: 0 });
+
+            cache.set("b", 2);
+            cache.del("a");
+            expect([...backend.entries.keys()]).toEqual(["b"]);
+
+            cache.flush();
+            expect(backend.size).toBe(0);
+            cache.destroy();
+        });
+
+        it("should delete expired entries from the backend when they are read", async () => {
+            const backend = new MemoryBackend();
+            const cache = new SimpleCache(0, { backend, maxSize: 1 });
+            const onExpired = jest.fn();
+            cache.on("expired", onExpired);
+
+            cache.set("short", "x", 0.05);
+            cache.set("other", "y");
+            await sleep(80);
+
+            expect(cache.has("short")).toBe(false);
+            expect(cache.get("short")).toBeNull();
+            expect(backend.get("short")).toBeUndefined();
+            expect(onExpired).toHaveBeenCalledWith("short", "x");
+            expect(cache.stats().expired).toBe(1);
+            cache.destroy();
+        });
+
+        it("should list, count and invalidate entries that are not in memory", () => {
+            const cache = new SimpleCache(0, { backend: new MemoryBackend(), maxSize: 1 });
+
+            cache.set("user:1", 1, { tags: ["users"] });
+            cache.set("user:2", 2, { tags: ["users"] });
+            cache.set("post:1", 3);
+
+            expect(cache.keys("user:*")).toEqual(["user:1", "user:2"]);
+            expect([...cache.entries()]).toEqual([["user:1", 1], ["user:2", 2], ["post:1", 3]]);
+            expect(cache.namespace("user").keys()).toEqual(["1", "2"]);
+
+            expect(cache.invalidateTag("users")).toBe(2);
+            expect(cache.keys()).toEqual(["post:1"]);
+            expect(cache.stats().keys).toBe(1);
+            cache.destroy();
+        });
+
+        it("should answer has() from the backend without loading the value", () => {
+            const backend = new MemoryBackend();
+            const cache = new SimpleCache(0, { backend, maxSize: 1 });
+            const get = jest.spyOn(backend, "get");
+
+            cache.set("cold", 1);
+            cache.set("hot", 2);
+            backend.set("expired", { key: "expired", value: 3, expiryTime: Date.now() - 1 });
+
+            expect(cache.has("cold")).toBe(true);
+            expect(cache.has("expired")).toBe(false);
+            expect(cache.has("missing")).toBe(false);
+            expect(get).not.toHaveBeenCalled();
+            expect([...cache.store.keys()]).toEqual(["hot"]);
+            cache.destroy();
+        });
+
+        it("should invalidate tags through keysByTag() instead of iterating the backend", () => {
+            const backend = new MemoryBackend();
+            const cache = new SimpleCache(0, { backend, maxSize: 1 });
+            const iterate = jest.spyOn(backend, "iterate");
+
+            cache.set("user:1", 1, { tags: ["users"] });
+            cache.set("user:2", 2, { tags: ["users", "admins"] });
+            cache.set("post:1", 3, { tags: ["posts"] });
+
+            expect(cache.invalidateTags(["users", "admins"])).toBe(2);
+            expect(iterate).not.toHaveBeenCalled();
+            expect([...backend.entries.keys()]).toEqual(["post:1"]);
+            cache.destroy();
+        });
+
+        it("should not count expired backend entries in stats().keys", () => {
+            const backend = new MemoryBackend();
+            const cache = new SimpleCache(0, { backend, maxSize: 1 });
+
+            cache.set("live", 1);
+            backend.set("expired", { key: "expired", value: 2, expiryTime: Date.now() - 1 });
+
+            expect(backend.size).toBe(2);
+            expect(cache.stats().keys).toBe(1);
+            cache.destroy();
+        });
+
+        it("should close the backend on destroy() without clearing it", () => {
+            const backend = new MemoryBackend();
+            const close = jest.spyOn(backend, "close");
+            const cache = new SimpleCache(0, { backend });
+
+            cache.set("a", 1);
+            cache.destroy();
+
+            expect(close).toHaveBeenCalledTimes(1);
+            expect(backend.get("a")).toMatchObject({ value: 1 });
+        });
+
+        it("should work with a backend that only implements the required methods", () => {
+            const entries = new Map();
+            const backend = {
+                get: (key) => entries.get(key),
+                set: (key, entry) => entries.set(key, entry),
+                del: (key) => entries.delete(key),
+                expire: (key, expiryTime, ttl) => Object.assign(entries.get(key), { expiryTime, ttl }),
+                iterate: () => entries.values(),
+                close: () => {}
+            };
+            const cache = new SimpleCache(0, { backend, maxSize: 1 });
+
+            cache.set("a", 1);
+            cache.set("b", 2);
+            expect(cache.keys()).toEqual(["a", "b"]);
+            expect(cache.stats().keys).toBe(2);
+
+            cache.flush();
+            expect(entries.size).toBe(0);
+            cache.destroy();
+        });
+
+        it("should reject incomplete backends and persistent=true", () => {
+            expect(() => new SimpleCache(0, { backend: { get() {} } }))
+                .toThrow("[SimpleCache] backend is missing required method(s): set, del, expire, iterate, close");
+            expect(() => new SimpleCache(0, { backend: new MemoryBackend(), persistent: true, persistPath: "./unused.sdb" }))
+                .toThrow('[SimpleCache] "backend" cannot be combined with persistent=true');
+        });
+    });
+
+    describe("SdbBackend", () => {
+        it("should be the default backend, persisting the cache's file", () => {
+            const memory = new SimpleCache();
+            expect(memory._backend).toBeInstanceOf(SdbBackend);
+            expect(memory._backend.path).toBeNull();
+            memory.destroy();
+
+            const cache = new SimpleCache(0, { persistent: true, persistPath: testSdbPath, persistMode: "aof" });
+            expect(cache._backend).toBeInstanceOf(SdbBackend);
+            cache.set("a", 1);
+            cache.set("b", { n: 2 }, { ttl: 60, tags: ["t"] });
+            cache.del("a");
+
+            // Each change was appended through the backend; iterate() replays the log over the snapshot
+            const entries = [...new SdbBackend(testSdbPath, { persistMode: "aof" }).iterate()];
+            expect(entries).toEqual([expect.objectContaining({ key: "b", value: { n: 2 }, ttl: 60, tags: ["t"] })]);
+            cache.destroy();
+        });
+
+        it("should make a cache persistent when passed as backend", async () => {
+            const cache = new SimpleCache(0, { backend: new SdbBackend(testSdbPath, { serializer: "structured" }) });
+            expect(cache.persistent).toBe(true);
+            expect(cache.persistPath).toBe(testSdbPath);
+
+            cache.set("d", new Date(0));
+            expect([...cache.store.keys()]).toEqual(["d"]);
+            await cache.save();
+            cache.destroy();
+
+            const reopened = new SimpleCache(0, { persistent: true, backend: new SdbBackend(testSdbPath, { serializer: "structured" }) });
+            expect(reopened.get("d")).toEqual(new Date(0));
+            reopened.destroy();
+        });
+
+        it("should reject a path besides its own and use as a TieredCache L2", () => {
+            expect(() => new SimpleCache(0, { backend: new SdbBackend(testSdbPath), persistent: true, persistPath: "./unused.sdb" }))
+                .toThrow('[SimpleCache] "persistPath" / "name" cannot be combined with "backend"');
+            expect(() => new SimpleCache.TieredCache(0, { l2: new SdbBackend(testSdbPath), maxSize: 1 }))
+                .toThrow("[SimpleCache] TieredCache needs an L2 that holds the entries");
+        });
+    });
+
+    describe("FileBackend", () => {
+        it("should keep values on disk and reopen with the same entries", () => {
+            const cache = new SimpleCache(0, { backend: new FileBackend(testBackendPath), maxSize: 10 });
+            for (let i = 0; i < 100; i++) {
+                cache.set(`k${i}`, { i }, { ttl: i === 0 ? 60 : 0, tags: ["all"] });
+            }
+            cache.del("k1");
+
+            expect(cache.store.size).toBeLessThanOrEqual(10);
+            expect(cache.get("k50")).toEqual({ i: 50 });
+            cache.destroy();
+
+            const reopened = new SimpleCache(0, { backend: new FileBackend(testBackendPath) });
+            expect(reopened.keys()).toHaveLength(99);
+            expect(reopened.get("k1")).toBeNull();
+            expect(reopened.getEntry("k99")).toEqual({ value: { i: 99 }, expiryTime: 0 });
+            expect(reopened.ttl("k0")).toBeGreaterThan(59);
+            expect(reopened.store.size).toBe(2);
+            reopened.destroy();
+        });
+
+        it("should index tags and live keys without reading values", () => {
+            const backend = new FileBackend(testBackendPath, { compactMinSize: 0 });
+            backend.set("a", { key: "a", value: 1, expiryTime: 0, tags: ["t1", "t2"] });
+            backend.set("b", { key: "b", value: 2, expiryTime: 0, tags: ["t2"] });
+            backend.set("c", { key: "c", value: 3, expiryTime: Date.now() - 1, tags: ["t1"] });
+            backend.set("b", { key: "b", value: 2, expiryTime: 0, tags: ["t3"] });
+            const readSync = jest.spyOn(fs, "readSync");
+
+            expect(backend.keysByTag(["t1", "t2"]).sort()).toEqual(["a", "c"]);
+            expect(backend.keysByTag(["t3"])).toEqual(["b"]);
+            expect([backend.has("a"), backend.has("c"), backend.has("missing")]).toEqual([true, false, false]);
+            expect(readSync).not.toHaveBeenCalled();
+            readSync.mockRestore();
+
+            backend.del("a");
+            expect(backend.keysByTag(["t1", "t2"])).toEqual(["c"]);
+            backend.close();
+
+            // Rebuilt from the record headers, and kept by compaction
+            const reopened = new FileBackend(testBackendPath, { compactMinSize: 0 });
+            expect(reopened.keysByTag(["t1", "t3"]).sort()).toEqual(["b", "c"]);
+            reopened.compact();
+            expect(reopened.keysByTag(["t1", "t3"])).toEqual(["b"]);
+            reopened.close();
+        });
+
+        it("should keep expiry changes across reopening", () => {
+            const backend = new FileBackend(testBackendPath);
+            backend.set("a", { key: "a", value: 1, expiryTime: 0, ttl: 0, tags: [], createdAt: 1 });
+            backend.expire("a", Date.now() + 30000, 30);
+            backend.close();
+
+            const reopened = new FileBackend(testBackendPath);
+            expect(reopened.get("a")).toMatchObject({ value: 1, ttl: 30 });
+            expect(reopened.get("a").expiryTime).toBeGreaterThan(Date.now());
+            reopened.close();
+        });
+
+        it("should compact away overwritten, deleted and expired records", () => {
+            const backend = new FileBackend(testBackendPath, { compactMinSize: 0 });
+            backend.set("gone", { key: "gone", value: 0, expiryTime: Date.now() - 1 });
+            for (let i = 0; i < 50; i++) {
+                backend.set("a", { key: "a", value: "x".repeat(100) + i, expiryTime: 0 });
+            }
+            backend.expire("a", Date.now() + 60000, 60);
+            const before = fs.statSync(testBackendPath).size;
+
+            backend.compact();
+            expect(fs.statSync(testBackendPath).size).toBeLessThan(before / 10);
+            expect(backend.size).toBe(1);
+            backend.close();
+
+            const reopened = new FileBackend(testBackendPath);
+            expect(reopened.get("a")).toMatchObject({ value: "x".repeat(100) + 49, ttl: 60 });
+            reopened.close();
+        });
+
+        it("should compact in the background once garbage outgrows the live data", async () => {
+            const backend = new FileBackend(testBackendPath, { compactMinSize: 1000 });
+            for (let i = 0; i < 100; i++) {
+                backend.set("a", { key: "a", value: i, expiryTime: 0 });
+            }
+            await sleep(10);
+
+            expect(backend._garbage).toBeLessThan(1000);
+            expect(backend.get("a").value).toBe(99);
+            backend.close();
+        });
+
+        it("should drop a torn record at the end of the file", () => {
+            const backend = new FileBackend(testBackendPath, { fsync: "always" });
+            backend.set("a", { key: "a", value: 1, expiryTime: 0 });
+            backend.set("b", { key: "b", value: 2, expiryTime: 0 });
+            backend.close();
+
+            const size = fs.statSync(testBackendPath).size;
+            fs.truncateSync(testBackendPath, size - 3);
+
+            const reopened = new FileBackend(testBackendPath);
+            expect(reopened.skipped).toBe(1);
+            expect(reopened.keys()).toEqual(["a"]);
+            reopened.set("c", { key: "c", value: 3, expiryTime: 0 });
+            reopened.close();
+
+            const again = new FileBackend(testBackendPath);
+            expect(again.skipped).toBe(0);
+            expect(again.keys()).toEqual(["a", "c"]);
+            again.close();
+        });
+
+        it("should keep the serializer and compression of an existing file", () => {
+            const writer = new FileBackend(testBackendPath, { serializer: "structured", compress: { algorithm: "brotli", threshold: 0 } });
+            writer.set("d", { key: "d", value: { at: new Date(0), tags: new Set(["x"]) }, expiryTime: 0 });
+            writer.close();
+
+            const reader = new FileBackend(testBackendPath);
+            expect(reader.get("d").value).toEqual({ at: new Date(0), tags: new Set(["x"]) });
+            reader.set("e", { key: "e", value: new Map([[1, 2]]), expiryTime: 0 });
+            expect(reader.get("e").value).toEqual(new Map([[1, 2]]));
+            reader.close();
+        });
+
+        it("should lock the file against a second writer", () => {
+            const backend = new FileBackend(testBackendPath);
+
+            expect(() => new FileBackend(testBackendPath)).toThrow(`[SimpleCache] Cache file is locked by process ${process.pid}`);
+            backend.close();
+
+            expect(fs.existsSync(testBackendPath + ".lock")).toBe(false);
+            new FileBackend(testBackendPath).close();
+        });
+
+        it("should reject a file that is not a backend file", () => {
+            fs.writeFileSync(testBackendPath, "definitely not");
+
+            expect(() => new FileBackend(testBackendPath)).toThrow("Invalid file backend format");
+            expect(fs.existsSync(testBackendPath + ".lock")).toBe(false);
+        });
+    });
+});
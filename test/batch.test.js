@@ -0,0 +1,108 @@
+const SimpleCache = require("../src/index");
+const fs = require("fs");
+
+describe("Batch Operations", () => {
+    const testPersistPath = "./test-batch.sdb";
+    let cache;
+
+    beforeEach(() => {
+        cache = new SimpleCache(5, { checkInterval: 1 });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    it("should mset from an object and mget values", () => {
+        expect(cache.mset({ "user:1": { name: "Alice" }, "user:2": { name: "Bob" } })).toBe("OK");
+
+        expect(cache.mget(["user:1", "user:2", "user:3"])).toEqual({
+            "user:1": { name: "Alice" },
+            "user:2": { name: "Bob" },
+            "user:3": null
+        });
+    });
+
+    it("should mset from an array with per-entry TTL", () => {
+        cache.mset([
+            { key: "a", value: 1, ttl: 100 },
+            { key: "b", value: 2, ttl: 0 },
+            { key: 3, value: "three" }
+        ]);
+
+        expect(cache.get("a")).toBe(1);
+        expect(cache.expiries.has("b")).toBe(false);
+        expect(cache.get("3")).toBe("three");
+        // Falls back to default TTL (5s)
+        expect(cache.expiries.get("3") - Date.now()).toBeLessThanOrEqual(5000);
+    });
+
+    it("should apply shared ttl argument to entries without their own TTL", () => {
+        cache.mset({ a: 1 }, 100);
+        expect(cache.expiries.get("a") - Date.now()).toBeGreaterThan(90 * 1000);
+    });
+
+    it("should mdel keys and return number deleted", () => {
+        cache.mset({ a: 1, b: 2, c: 3 });
+
+        expect(cache.mdel(["a", "b", "missing"])).toBe(2);
+        expect(cache.stats().keys).toBe(1);
+    });
+
+    it("should take a value and delete it", () => {
+        cache.set("otp", "123456");
+
+        expect(cache.take("otp")).toBe("123456");
+        expect(cache.get("otp")).toBeNull();
+        expect(cache.take("otp")).toBeNull();
+    });
+
+    it("should mtake values and delete them", () => {
+        cache.mset({ a: 1, b: 2 });
+
+        expect(cache.mtake(["a", "b", "c"])).toEqual({ a: 1, b: 2, c: null });
+        expect(cache.stats().keys).toBe(0);
+    });
+
+    it("should schedule a single save per batch", () => {
+        const persistCache = new SimpleCache(10, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        const spy = jest.spyOn(persistCache, "_scheduleSave");
+
+        persistCache.mset({ a: 1, b: 2, c: 3 });
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        persistCache.mget(["a", "b"]);
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        persistCache.mdel(["a", "b"]);
+        expect(spy).toHaveBeenCalledTimes(2);
+
+        persistCache.mdel(["missing"]);
+        expect(spy).toHaveBeenCalledTimes(2);
+
+        persistCache.mtake(["c"]);
+        expect(spy).toHaveBeenCalledTimes(3);
+
+        persistCache.destroy();
+    });
+
+    it("should return a __proto__ key like any other key", () => {
+        cache.set("__proto__", "value");
+        cache.set("a", 1);
+
+        const values = cache.mget(["__proto__", "a"]);
+        expect(Object.keys(values)).toEqual(["__proto__", "a"]);
+        expect(values.__proto__).toBe("value");
+        expect(Object.getPrototypeOf(values)).toBe(Object.prototype);
+
+        const taken = cache.mtake(["__proto__"]);
+        expect(Object.keys(taken)).toEqual(["__proto__"]);
+        expect(Object.getOwnPropertyDescriptor(taken, "__proto__").value).toBe("value");
+        expect(cache.has("__proto__")).toBe(false);
+    });
+});
@@ -339,7 +339,7 @@ describe("SimpleCache", () => {
             persistCache.destroy();
         });
 
-        it("should handle corrupt binary file gracefully", () => {
+        it("should handle corrupt binary file gracefully", async () => {
             // Buat file corrupt
             fs.writeFileSync(testPersistPath, "CORRUPT DATA");
 
@@ -350,6 +350,9 @@ describe("SimpleCache", () => {
             });
 
             expect(persistCache.stats().keys).toBe(0);
+
+            // Load error is reported on the next tick
+            await new Promise((resolve) => setImmediate(resolve));
             persistCache.destroy();
         });
 
@@ -0,0 +1,320 @@
+const SimpleCache = require("../src/index");
+const { ClusterHost, ClusterClient, serveCluster, connectCluster } = require("../cluster");
+const { EventEmitter } = require("events");
+const { spawn } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// In-process stand-in for a cluster worker: JSON-serialized messages, delivered in order on a later tick
+const createWorker = (cluster, id) => {
+    const worker = new EventEmitter();
+    const channel = new EventEmitter();
+    worker.process = { pid: id };
+
+    worker.send = (message, callback) => {
+        const copy = JSON.parse(JSON.stringify(message));
+        setImmediate(() => {
+            channel.emit("message", copy);
+            if (callback) callback(null);
+        });
+    };
+    channel.send = (message) => {
+        const copy = JSON.parse(JSON.stringify(message));
+        setImmediate(() => cluster.emit("message", worker, copy));
+    };
+
+    return { worker, channel };
+};
+
+describe("Cluster IPC", () => {
+    const testPersistPath = "./test-cluster.sdb";
+    let cluster;
+    let cache;
+    let host;
+    let clients;
+
+    const connect = (options = {}) => {
+        const { worker, channel } = createWorker(cluster, clients.length + 1);
+        const client = new ClusterClient({ ...options, channel });
+        clients.push(client);
+        return { worker, client };
+    };
+
+    beforeEach(() => {
+        cluster = new EventEmitter();
+        cache = new SimpleCache();
+        host = serveCluster(cache, { cluster });
+        clients = [];
+    });
+
+    afterEach(() => {
+        for (const client of clients) client.close();
+        host.close();
+        cache.destroy();
+        for (const suffix of ["", ".lock", ".tmp"]) {
+            if (fs.existsSync(testPersistPath + suffix)) fs.unlinkSync(testPersistPath + suffix);
+        }
+    });
+
+    it("should proxy cache methods to the primary", async () => {
+        const { client } = connect();
+
+        expect(await client.set("a", { n: 1 }, 60)).toBe("OK");
+        expect(cache.get("a")).toEqual({ n: 1 });
+        expect(await client.get("a")).toEqual({ n: 1 });
+        expect(await client.has("a")).toBe(true);
+        expect(await client.ttl("a")).toBeGreaterThan(59);
+
+        await client.mset({ b: 2, c: 3 });
+        expect(await client.mget(["a", "b", "missing"])).toEqual({ a: { n: 1 }, b: 2, missing: null });
+        expect((await client.keys()).sort()).toEqual(["a", "b", "c"]);
+        expect(await client.take("b")).toBe(2);
+        expect(await client.del("c")).toBe(1);
+        expect((await client.stats()).keys).toBe(1);
+
+        await client.flush();
+        expect(cache.keys()).toEqual([]);
+        expect(host).toBeInstanceOf(ClusterHost);
+    });
+
+    it("should pass errors back to the worker", async () => {
+        const { client } = connect();
+
+        jest.spyOn(cache, "set").mockImplementation(() => {
+            throw Object.assign(new Error("[SimpleCache] read-only"), { code: "EROFS" });
+        });
+
+        await expect(client.set("a", 1)).rejects.toMatchObject({ message: "[SimpleCache] read-only", code: "EROFS" });
+        await expect(client._call("destroy", [])).rejects.toThrow('[SimpleCache] Unknown cluster method "destroy"');
+        expect(cache.store).toBeDefined();
+    });
+
+    it("should coalesce wrap() across workers", async () => {
+        const first = connect().client;
+        const second = connect().client;
+        const fn1 = jest.fn(async () => { await sleep(30); return "from worker 1"; });
+        const fn2 = jest.fn(async () => "from worker 2");
+
+        const results = await Promise.all([
+            first.wrap("report", fn1, 60),
+            second.wrap("report", fn2, 60),
+            first.wrap("report", fn1, 60)
+        ]);
+
+        expect(results).toEqual(["from worker 1", "from worker 1", "from worker 1"]);
+        expect(fn1).toHaveBeenCalledTimes(1);
+        expect(fn2).not.toHaveBeenCalled();
+        expect(cache.get("report")).toBe("from worker 1");
+
+        // Cached now: nobody computes
+        expect(await second.wrap("report", fn2)).toBe("from worker 1");
+        expect(fn2).not.toHaveBeenCalled();
+    });
+
+    it("should share wrap() errors and honour wrap options", async () => {
+        const first = connect().client;
+        const second = connect().client;
+        const err = Object.assign(new Error("backend down"), { code: "EDOWN" });
+
+        const results = await Promise.allSettled([
+            first.wrap("a", async () => { await sleep(10); throw err; }),
+            second.wrap("a", () => "unused")
+        ]);
+        expect(results.map((r) => r.reason.message)).toEqual(["backend down", "backend down"]);
+        expect(results[1].reason.code).toBe("EDOWN");
+        expect(cache.has("a")).toBe(false);
+
+        expect(await first.wrap("b", () => 1, { ttl: 30, tags: ["t"] })).toBe(1);
+        expect(cache.ttl("b")).toBeGreaterThan(29);
+        expect(cache.invalidateTag("t")).toBe(1);
+    });
+
+    it("should run stale-while-revalidate refreshes in a worker", async () => {
+        const { client } = connect();
+        let version = 0;
+        const fn = async () => ++version;
+        const options = { ttl: 0.02, staleTtl: 60 };
+
+        expect(await client.wrap("a", fn, options)).toBe(1);
+        await sleep(40);
+        expect(await client.wrap("a", fn, options)).toBe(1);
+
+        await sleep(20);
+        expect(version).toBe(2);
+        expect(await client.wrap("a", fn, options)).toBe(2);
+
+        await sleep(20);
+        expect(client._wraps.size).toBe(0);
+    });
+
+    it("should fail computations of a worker that exits", async () => {
+        const { worker, client: dying } = connect();
+        const survivor = connect().client;
+
+        dying.wrap("a", () => new Promise(() => {})).catch(() => {});
+        await sleep(10);
+        const waiting = survivor.wrap("a", () => "unused");
+        await sleep(10);
+
+        cluster.emit("exit", worker);
+        await expect(waiting).rejects.toThrow("[SimpleCache] Worker 1 exited before its wrap() computation finished");
+
+        // The key is free again
+        expect(await survivor.wrap("a", () => "recomputed")).toBe("recomputed");
+    });
+
+    it("should keep local copies until the primary reports a change", async () => {
+        const { client } = connect({ localTtl: 60 });
+        const other = connect().client;
+        const invalidated = [];
+        client.on("invalidate", (key) => invalidated.push(key));
+        await sleep(10);
+
+        cache.set("a", 1);
+        cache.set("short", "x", 0.05);
+        expect(await client.get("a")).toBe(1);
+        expect(await client.get("short")).toBe("x");
+
+        const getEntry = jest.spyOn(cache, "getEntry");
+        expect(await client.get("a")).toBe(1);
+        expect(getEntry).not.toHaveBeenCalled();
+
+        await other.set("a", 2);
+        await sleep(10);
+        expect(invalidated).toContain("a");
+        expect(await client.get("a")).toBe(2);
+
+        // Never kept past the primary's expiry
+        await sleep(60);
+        expect(await client.get("short")).toBeNull();
+
+        const flushed = jest.fn();
+        client.on("flush", flushed);
+        cache.flush();
+        await sleep(10);
+        expect(flushed).toHaveBeenCalledTimes(1);
+        expect(await client.get("a")).toBeNull();
+    });
+
+    it("should read its own writes through local copies", async () => {
+        const { client } = connect({ localTtl: 60 });
+        await sleep(10);
+
+        await client.mset({ a: 1, b: 1, c: 1, t: 1 });
+        expect(await client.mget(["a", "b"])).toEqual({ a: 1, b: 1 });
+        for (const key of ["a", "b", "c", "t"]) expect(await client.get(key)).toBe(1);
+
+        await client.set("a", 2);
+        expect(await client.get("a")).toBe(2);
+
+        await client.mset([{ key: "b", value: 2 }]);
+        expect(await client.get("b")).toBe(2);
+
+        await client.del("a");
+        expect(await client.get("a")).toBeNull();
+
+        await client.mdel(["b"]);
+        expect(await client.get("b")).toBeNull();
+
+        expect(await client.take("c")).toBe(1);
+        expect(await client.get("c")).toBeNull();
+
+        await client.set("t", 2, { tags: ["tag"] });
+        expect(await client.get("t")).toBe(2);
+        await client.invalidateTag("tag");
+        expect(await client.get("t")).toBeNull();
+
+        await client.set("f", 1);
+        expect(await client.get("f")).toBe(1);
+        await client.flush();
+        expect(await client.get("f")).toBeNull();
+    });
+
+    it("should time out when the primary does not answer", async () => {
+        host.close();
+        const { client } = connect({ timeout: 0.05 });
+
+        await expect(client.get("a")).rejects.toMatchObject({ code: "ETIMEDOUT" });
+        await expect(client.wrap("a", () => 1)).rejects.toMatchObject({
+            code: "ETIMEDOUT",
+            message: '[SimpleCache] Cluster request "wrap" timed out after 0.05s (is the primary serving the cache?)'
+        });
+        expect(client._pending.size).toBe(0);
+        expect(client._wraps.size).toBe(0);
+        client.close();
+        await expect(client.get("a")).rejects.toThrow("[SimpleCache] Cluster client was closed");
+    });
+
+    it("should not time out a wrap() computation the primary accepted", async () => {
+        const first = connect({ timeout: 0.05 }).client;
+        const second = connect({ timeout: 0.05 }).client;
+
+        const results = await Promise.all([
+            first.wrap("slow", async () => { await sleep(150); return "done"; }),
+            second.wrap("slow", () => "unused")
+        ]);
+        expect(results).toEqual(["done", "done"]);
+    });
+
+    it("should ignore messages for another cache name", async () => {
+        const other = serveCluster(new SimpleCache(), { cluster, name: "sessions" });
+        const { client } = connect({ name: "sessions" });
+
+        await client.set("a", 1);
+        expect(cache.has("a")).toBe(false);
+        expect(other.cache.get("a")).toBe(1);
+
+        other.close();
+        other.cache.destroy();
+    });
+
+    it("should refuse to run outside a worker", () => {
+        expect(() => connectCluster({ channel: new EventEmitter() }))
+            .toThrow("[SimpleCache] ClusterClient must run in a worker (process.send is not available)");
+    });
+
+    it("should serve forked processes and persist in the primary only", async () => {
+        cache.destroy();
+        host.close();
+        cache = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        host = serveCluster(cache, { cluster });
+
+        const script = `
+            const { connectCluster } = require(${JSON.stringify(path.resolve(__dirname, "../cluster"))});
+            const client = connectCluster();
+            const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+            (async () => {
+                await client.set("worker:" + process.pid, process.pid);
+                const value = await client.wrap("shared", async () => { await sleep(100); return process.pid; });
+                process.send({ done: true, value });
+                client.close();
+                process.disconnect();
+            })();
+        `;
+        const children = [0, 1].map(() => spawn(process.execPath, ["-e", script], { stdio: ["ignore", "ignore", "inherit", "ipc"] }));
+        const results = await Promise.all(children.map((child) => {
+            host.addWorker(child);
+            return new Promise((resolve, reject) => {
+                child.on("message", (message) => { if (message.done) resolve(message.value); });
+                child.on("exit", (code) => reject(new Error(`child exited with ${code}`)));
+            });
+        }));
+        await Promise.all(children.map((child) => new Promise((resolve) => {
+            if (child.exitCode !== null) resolve();
+            else child.once("exit", resolve);
+        })));
+
+        expect(results[0]).toBe(results[1]);
+        expect(children.map((child) => child.pid)).toContain(results[0]);
+        expect(cache.keys().sort()).toEqual(["shared", ...children.map((child) => `worker:${child.pid}`)].sort());
+        expect(host._children.size).toBe(0);
+
+        cache.destroy();
+        const reopened = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        expect(reopened.get("shared")).toBe(results[0]);
+        reopened.destroy();
+        cache = new SimpleCache();
+    }, 20000);
+});
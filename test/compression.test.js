@@ -0,0 +1,78 @@
+const SimpleCache = require("../src/index");
+const sdb = require("../src/sdb");
+const { parseCompressOptions } = require("../src/compression");
+const fs = require("fs");
+
+describe("Compression", () => {
+    const testPersistPath = "./test-compression.sdb";
+    const large = { items: Array.from({ length: 200 }, (_, i) => ({ id: i, name: "item-" + i })) };
+
+    afterEach(() => {
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    it("should normalize the compress option", () => {
+        expect(parseCompressOptions(undefined)).toBeNull();
+        expect(parseCompressOptions(false)).toBeNull();
+        expect(parseCompressOptions(true)).toMatchObject({ algorithm: "gzip", threshold: 1024, mode: "file" });
+        expect(parseCompressOptions("brotli")).toMatchObject({ algorithm: "brotli", level: 11 });
+        expect(parseCompressOptions({ algorithm: "deflate", level: 3, threshold: 0, mode: "value" }))
+            .toEqual({ algorithm: "deflate", level: 3, threshold: 0, mode: "value" });
+    });
+
+    it("should reject unknown algorithms, modes and levels", () => {
+        expect(() => new SimpleCache(0, { compress: "lz4" })).toThrow('[SimpleCache] Invalid compress algorithm "lz4"');
+        expect(() => new SimpleCache(0, { compress: { mode: "block" } })).toThrow('[SimpleCache] Invalid compress mode "block"');
+        expect(() => new SimpleCache(0, { compress: { algorithm: "gzip", level: 10 } })).toThrow("[SimpleCache] Invalid compress level 10 for gzip");
+    });
+
+    it.each(["gzip", "deflate", "brotli"])("should round-trip a %s compressed file", (algorithm) => {
+        const entries = [{ key: "big", value: large, expiryTime: 0, tags: ["t"], ttl: 0, createdAt: 0 }];
+        const plain = sdb.serialize(entries);
+        const packed = sdb.serialize(entries, { compress: parseCompressOptions(algorithm) });
+
+        expect(packed.length).toBeLessThan(plain.length);
+        expect(packed.readUInt16LE(8)).toBe(0x01);
+        expect(sdb.deserialize(packed)).toEqual(sdb.deserialize(plain));
+    });
+
+    it("should only compress values above the threshold in value mode", () => {
+        const compress = parseCompressOptions({ algorithm: "gzip", mode: "value", threshold: 100 });
+        const buffer = sdb.serialize([
+            { key: "small", value: "x", expiryTime: 0 },
+            { key: "big", value: large, expiryTime: 0 }
+        ], { compress });
+
+        expect(buffer.readUInt16LE(8)).toBe(0x02);
+        expect(buffer.toString("utf8")).toContain('"x"');
+        expect(buffer.toString("utf8")).not.toContain("item-1");
+        expect(sdb.deserialize(buffer).entries.map((entry) => entry.value)).toEqual(["x", large]);
+    });
+
+    it("should leave files below the threshold uncompressed", () => {
+        const buffer = sdb.serialize([{ key: "a", value: 1, expiryTime: 0 }], { compress: parseCompressOptions("gzip") });
+
+        expect(buffer.readUInt16LE(8)).toBe(0);
+        expect(buffer.readUInt8(10)).toBe(0);
+    });
+
+    it("should auto-detect compression on load regardless of the reader's option", () => {
+        const cache1 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath,
+            compress: { algorithm: "brotli", level: 4 }
+        });
+        cache1.set("big", large);
+        cache1.destroy();
+
+        expect(fs.readFileSync(testPersistPath).readUInt16LE(8)).toBe(0x01);
+
+        const cache2 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        expect(cache2.get("big")).toEqual(large);
+        cache2.destroy();
+    });
+});
@@ -0,0 +1,148 @@
+const SimpleCache = require("../src/index");
+const sdb = require("../src/sdb");
+const crypto = require("crypto");
+const fs = require("fs");
+
+describe("Encryption", () => {
+    const testPersistPath = "./test-encryption.sdb";
+    const key = crypto.randomBytes(32);
+    const oldKey = crypto.randomBytes(32);
+
+    afterEach(() => {
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    const open = (options) => new SimpleCache(0, { persistent: true, persistPath: testPersistPath, ...options });
+
+    const loadResult = (cache) => new Promise((resolve) => {
+        cache.once("loaded", (info) => resolve({ info }));
+        cache.once("error", (err) => resolve({ err }));
+    });
+
+    it("should reject keys that are not 32 bytes", () => {
+        expect(() => new SimpleCache(0, { encryptionKey: "short" }))
+            .toThrow("[SimpleCache] encryptionKey must be 32 bytes (Buffer, hex or base64 string)");
+        expect(() => new SimpleCache(0, { encryptionKey: Buffer.alloc(16) })).toThrow("[SimpleCache] encryptionKey must be 32 bytes");
+    });
+
+    it("should not write plaintext to disk", () => {
+        const cache = open({ encryptionKey: key });
+        cache.set("token", "secret-token-value");
+        cache.destroy();
+
+        const buffer = fs.readFileSync(testPersistPath);
+        expect(buffer.readUInt16LE(8) & 0x04).toBe(0x04);
+        expect(buffer.toString("utf8")).not.toContain("secret-token-value");
+        expect(buffer.toString("utf8")).not.toContain("token");
+    });
+
+    it("should round-trip with Buffer, hex and base64 keys", () => {
+        for (const encryptionKey of [key, key.toString("hex"), key.toString("base64")]) {
+            const cache1 = open({ encryptionKey: key });
+            cache1.set("a", { n: 1 });
+            cache1.destroy();
+
+            const cache2 = open({ encryptionKey });
+            expect(cache2.get("a")).toEqual({ n: 1 });
+            cache2.destroy();
+        }
+    });
+
+    it("should accept a key provider function", () => {
+        const provider = jest.fn(() => key);
+        const cache1 = open({ encryptionKey: provider });
+        cache1.set("a", 1);
+        cache1.destroy();
+
+        const cache2 = open({ encryptionKey: () => key.toString("hex") });
+        expect(cache2.get("a")).toBe(1);
+        cache2.destroy();
+        expect(provider).toHaveBeenCalled();
+    });
+
+    it("should combine with compression", () => {
+        const value = "x".repeat(5000);
+        const cache1 = open({ encryptionKey: key, compress: "gzip" });
+        cache1.set("big", value);
+        cache1.destroy();
+
+        const buffer = fs.readFileSync(testPersistPath);
+        expect(buffer.readUInt16LE(8)).toBe(0x01 | 0x04);
+        expect(buffer.length).toBeLessThan(1000);
+
+        const cache2 = open({ encryptionKey: key });
+        expect(cache2.get("big")).toBe(value);
+        cache2.destroy();
+    });
+
+    it("should decrypt with an old key and re-encrypt with the current one", async () => {
+        const cache1 = open({ encryptionKey: oldKey });
+        cache1.set("a", "rotated");
+        cache1.destroy();
+
+        const cache2 = open({ encryptionKey: [key, oldKey], saveDelay: 0.05 });
+        const saved = new Promise((resolve) => cache2.once("saved", resolve));
+        expect(cache2.get("a")).toBe("rotated");
+        await saved;
+        cache2.destroy();
+
+        expect(sdb.deserialize(fs.readFileSync(testPersistPath), { keys: [key] }).keyIndex).toBe(0);
+        expect(() => sdb.deserialize(fs.readFileSync(testPersistPath), { keys: [oldKey] })).toThrow("failed authentication");
+    });
+
+    it("should refuse a tampered file with an ERR_SDB_AUTH error event", async () => {
+        const cache1 = open({ encryptionKey: key });
+        cache1.set("a", 1);
+        cache1.destroy();
+
+        const buffer = fs.readFileSync(testPersistPath);
+        buffer[buffer.length - 1] ^= 0x01;
+        fs.writeFileSync(testPersistPath, buffer);
+
+        const cache2 = open({ encryptionKey: key });
+        const { err } = await loadResult(cache2);
+
+        expect(err.code).toBe("ERR_SDB_AUTH");
+        expect(err.message).toContain("failed authentication");
+        expect(cache2.has("a")).toBe(false);
+        cache2.destroy();
+    });
+
+    it("should refuse a file whose header was modified", async () => {
+        const cache1 = open({ encryptionKey: key, compress: { threshold: 0 } });
+        cache1.set("a", 1);
+        cache1.destroy();
+
+        const buffer = fs.readFileSync(testPersistPath);
+        expect(() => {
+            buffer.writeUInt32LE(5, 4);
+            sdb.deserialize(buffer, { keys: [key] });
+        }).toThrow("failed authentication");
+    });
+
+    it("should refuse the file with the wrong key, and plaintext files when a key is set", async () => {
+        const cache1 = open({ encryptionKey: key });
+        cache1.set("a", 1);
+        cache1.destroy();
+
+        const wrong = open({ encryptionKey: oldKey });
+        expect((await loadResult(wrong)).err.code).toBe("ERR_SDB_AUTH");
+        wrong.destroy();
+
+        fs.writeFileSync(testPersistPath, sdb.serialize([{ key: "a", value: 1, expiryTime: 0 }]));
+        const plain = open({ encryptionKey: key });
+        expect((await loadResult(plain)).err.message).toContain("not encrypted");
+        plain.destroy();
+    });
+
+    it("should report an encrypted file opened without a key", async () => {
+        const cache1 = open({ encryptionKey: key });
+        cache1.set("a", 1);
+        cache1.destroy();
+
+        const cache2 = open({});
+        expect((await loadResult(cache2)).err.message).toContain("no encryption key is configured");
+        cache2.destroy();
+    });
+});
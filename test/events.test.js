@@ -0,0 +1,158 @@
+const SimpleCache = require("../src/index");
+const fs = require("fs");
+const { EventEmitter } = require("events");
+
+describe("Events", () => {
+    const testPersistPath = "./test-events.sdb";
+    let cache;
+
+    beforeEach(() => {
+        cache = new SimpleCache(5, { checkInterval: 1 });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    it("should be an EventEmitter", () => {
+        expect(cache).toBeInstanceOf(EventEmitter);
+    });
+
+    it("should emit set with key, value and ttl", () => {
+        const listener = jest.fn();
+        cache.on("set", listener);
+
+        cache.set("foo", "bar", 10);
+
+        expect(listener).toHaveBeenCalledWith("foo", "bar", 10);
+    });
+
+    it("should emit get, hit and miss", () => {
+        const onGet = jest.fn();
+        const onHit = jest.fn();
+        const onMiss = jest.fn();
+        cache.on("get", onGet);
+        cache.on("hit", onHit);
+        cache.on("miss", onMiss);
+
+        cache.set("foo", "bar");
+        cache.get("foo");
+        cache.get("missing");
+
+        expect(onHit).toHaveBeenCalledWith("foo", "bar");
+        expect(onMiss).toHaveBeenCalledWith("missing");
+        expect(onGet).toHaveBeenNthCalledWith(1, "foo", "bar");
+        expect(onGet).toHaveBeenNthCalledWith(2, "missing", null);
+    });
+
+    it("should emit del only when a key was deleted", () => {
+        const listener = jest.fn();
+        cache.on("del", listener);
+
+        cache.set("foo", "bar");
+        cache.del("foo");
+        cache.del("foo");
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith("foo", "bar");
+    });
+
+    it("should emit expired on lazy deletion in get()", (done) => {
+        const onExpired = jest.fn();
+        const onMiss = jest.fn();
+        cache.on("expired", onExpired);
+        cache.on("miss", onMiss);
+
+        cache.set("lazy", "value", 0.5);
+
+        setTimeout(() => {
+            expect(cache.get("lazy")).toBeNull();
+            expect(onExpired).toHaveBeenCalledWith("lazy", "value");
+            expect(onMiss).toHaveBeenCalledWith("lazy");
+            done();
+        }, 700);
+    });
+
+    it("should emit expired from the interval sweep", (done) => {
+        const listener = jest.fn();
+        cache.on("expired", listener);
+
+        cache.set("swept", "value", 0.5);
+
+        setTimeout(() => {
+            expect(listener).toHaveBeenCalledWith("swept", "value");
+            done();
+        }, 1500);
+    });
+
+    it("should emit evicted when a bound is exceeded", () => {
+        const bounded = new SimpleCache(0, { maxSize: 1 });
+        const listener = jest.fn();
+        bounded.on("evicted", listener);
+
+        bounded.set("a", 1);
+        bounded.set("b", 2);
+
+        expect(listener).toHaveBeenCalledWith("a", 1);
+        bounded.destroy();
+    });
+
+    it("should emit flush", () => {
+        const listener = jest.fn();
+        cache.on("flush", listener);
+
+        cache.flush();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it("should emit saved and loaded with entry count, bytes and duration", (done) => {
+        const cache1 = new SimpleCache(10, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        const onSaved = jest.fn();
+        cache1.on("saved", onSaved);
+
+        cache1.set("a", 1);
+        cache1.set("b", 2);
+        cache1.destroy();
+
+        expect(onSaved).toHaveBeenCalledTimes(1);
+        const saved = onSaved.mock.calls[0][0];
+        expect(saved.entries).toBe(2);
+        expect(saved.bytes).toBe(fs.statSync(testPersistPath).size);
+        expect(typeof saved.duration).toBe("number");
+
+        const cache2 = new SimpleCache(10, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        cache2.on("loaded", (info) => {
+            expect(info.entries).toBe(2);
+            expect(info.bytes).toBe(saved.bytes);
+            expect(info.path).toBe(testPersistPath);
+            cache2.destroy();
+            done();
+        });
+    });
+
+    it("should emit error instead of logging when loading a corrupt file", (done) => {
+        fs.writeFileSync(testPersistPath, "CORRUPT DATA");
+        const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+        const persistCache = new SimpleCache(10, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        persistCache.on("error", (err) => {
+            expect(err.message).toBe("Invalid SDB file format");
+            expect(spy).not.toHaveBeenCalled();
+            spy.mockRestore();
+            persistCache.destroy();
+            done();
+        });
+    });
+});
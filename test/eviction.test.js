@@ -0,0 +1,191 @@
+const SimpleCache = require("../src/index");
+const FrequencyIndex = require("../src/lfu");
+const fs = require("fs");
+
+describe("Eviction", () => {
+    const testPersistPath = "./test-eviction.sdb";
+
+    afterEach(() => {
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    it("should throw on invalid evictionPolicy", () => {
+        expect(() => new SimpleCache(0, { evictionPolicy: "random" }))
+            .toThrow('[SimpleCache] Invalid evictionPolicy "random"');
+    });
+
+    it("should evict least recently used entry with maxSize (lru)", () => {
+        const cache = new SimpleCache(0, { maxSize: 2 });
+
+        cache.set("a", 1);
+        cache.set("b", 2);
+        cache.get("a"); // a is now most recent
+        cache.set("c", 3);
+
+        expect(cache.get("b")).toBeNull();
+        expect(cache.get("a")).toBe(1);
+        expect(cache.get("c")).toBe(3);
+        expect(cache.stats().keys).toBe(2);
+        cache.destroy();
+    });
+
+    it("should update recency through wrap()", async () => {
+        const cache = new SimpleCache(0, { maxSize: 2 });
+
+        cache.set("a", 1);
+        cache.set("b", 2);
+        await cache.wrap("a", () => "unused");
+        await cache.wrap("c", () => 3);
+
+        expect(cache.get("a")).toBe(1);
+        expect(cache.get("b")).toBeNull();
+        cache.destroy();
+    });
+
+    it("should evict least frequently used entry (lfu)", () => {
+        const cache = new SimpleCache(0, { maxSize: 2, evictionPolicy: "lfu" });
+
+        cache.set("a", 1);
+        cache.set("b", 2);
+        cache.get("a");
+        cache.get("a");
+        cache.get("b");
+        cache.set("c", 3);
+
+        expect(cache.get("b")).toBeNull();
+        expect(cache.get("a")).toBe(1);
+        expect(cache.get("c")).toBe(3);
+        cache.destroy();
+    });
+
+    it("should evict oldest inserted entry regardless of reads (fifo)", () => {
+        const cache = new SimpleCache(0, { maxSize: 2, evictionPolicy: "fifo" });
+
+        cache.set("a", 1);
+        cache.set("b", 2);
+        cache.get("a");
+        cache.set("c", 3);
+
+        expect(cache.get("a")).toBeNull();
+        expect(cache.get("b")).toBe(2);
+        cache.destroy();
+    });
+
+    it("should evict entries to stay under maxMemory", () => {
+        const cache = new SimpleCache(0, { maxMemory: 250 });
+
+        cache.set("a", "x".repeat(50)); // ~102 bytes
+        cache.set("b", "x".repeat(50));
+        expect(cache.stats().keys).toBe(2);
+
+        cache.set("c", "x".repeat(50));
+        expect(cache.stats().keys).toBe(2);
+        expect(cache.get("a")).toBeNull();
+        expect(cache._memoryUsage).toBeLessThanOrEqual(250);
+        cache.destroy();
+    });
+
+    it("should drop evicted entries from expiries", () => {
+        const cache = new SimpleCache(10, { maxSize: 1 });
+
+        cache.set("a", 1);
+        cache.set("b", 2);
+
+        expect(cache.expiries.has("a")).toBe(false);
+        expect(cache.expiries.has("b")).toBe(true);
+        cache.destroy();
+    });
+
+    it("should not persist evicted entries", () => {
+        const cache1 = new SimpleCache(0, {
+            maxSize: 2,
+            persistent: true,
+            persistPath: testPersistPath
+        });
+
+        cache1.set("a", 1);
+        cache1.set("b", 2);
+        cache1.set("c", 3);
+        cache1.destroy();
+
+        const cache2 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+
+        expect(cache2.get("a")).toBeNull();
+        expect(cache2.stats().keys).toBe(2);
+        cache2.destroy();
+    });
+
+    it("should apply maxSize to entries loaded from disk", () => {
+        const cache1 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        cache1.set("a", 1);
+        cache1.set("b", 2);
+        cache1.set("c", 3);
+        cache1.destroy();
+
+        const cache2 = new SimpleCache(0, {
+            maxSize: 1,
+            persistent: true,
+            persistPath: testPersistPath
+        });
+
+        expect(cache2.stats().keys).toBe(1);
+        expect(cache2.get("c")).toBe(3);
+        cache2.destroy();
+    });
+
+    describe("FrequencyIndex", () => {
+        it("should return the least frequently used key, oldest first on ties", () => {
+            const index = new FrequencyIndex();
+            ["a", "b", "c"].forEach((key) => index.increment(key));
+            index.increment("a");
+
+            expect(index.min()).toBe("b");
+            expect(index.min("b")).toBe("c");
+
+            index.increment("b");
+            index.increment("c");
+            expect(index.min()).toBe("a"); // reached 2 first
+            expect(index.get("a")).toBe(2);
+        });
+
+        it("should track untouched keys at 0 and recover after deletes", () => {
+            const index = new FrequencyIndex();
+            index.increment("a");
+            index.increment("a");
+            index.increment("b");
+            index.add("loaded");
+
+            expect(index.min()).toBe("loaded");
+            index.delete("loaded");
+            index.delete("b");
+            expect(index.min()).toBe("a");
+            expect(index.min("a")).toBeUndefined();
+
+            index.clear();
+            expect(index.size).toBe(0);
+            expect(index.min()).toBeUndefined();
+        });
+    });
+
+    it("should evict under lfu without scanning the whole cache", () => {
+        const cache = new SimpleCache(0, { maxSize: 50000, evictionPolicy: "lfu" });
+        for (let i = 0; i < 50000; i++) cache.set(`k${i}`, i);
+        cache.get("k0");
+
+        const start = Date.now();
+        for (let i = 50000; i < 55000; i++) cache.set(`k${i}`, i);
+
+        expect(Date.now() - start).toBeLessThan(2000); // a scan per eviction takes ~20s
+        expect(cache.store.size).toBe(50000);
+        expect(cache.get("k0")).toBe(0);
+        expect(cache.has("k1")).toBe(false);
+        cache.destroy();
+    });
+});
@@ -0,0 +1,99 @@
+const SimpleCache = require("../src/index");
+const ExpiryHeap = require("../src/heap");
+
+describe("Expiry Scheduling", () => {
+    describe("ExpiryHeap", () => {
+        it("should pop nodes in time order", () => {
+            const heap = new ExpiryHeap();
+            const times = [50, 10, 40, 30, 20, 60, 0];
+            times.forEach((time) => heap.push(time, `k${time}`));
+
+            const popped = [];
+            while (heap.size > 0) popped.push(heap.pop());
+
+            expect(popped.map((node) => node.time)).toEqual([0, 10, 20, 30, 40, 50, 60]);
+            expect(popped[1].key).toBe("k10");
+            expect(heap.pop()).toBeUndefined();
+            expect(heap.peekTime()).toBe(Infinity);
+        });
+
+        it("should rebuild from [key, time] pairs", () => {
+            const heap = new ExpiryHeap();
+            heap.push(1, "outdated");
+            heap.rebuild(new Map([["a", 30], ["b", 10], ["c", 20]]));
+
+            expect(heap.size).toBe(3);
+            expect(heap.pop()).toEqual({ time: 10, key: "b" });
+            expect(heap.pop()).toEqual({ time: 20, key: "c" });
+        });
+    });
+
+    describe("sweep", () => {
+        let cache;
+
+        beforeEach(() => {
+            cache = new SimpleCache(0, { checkInterval: 60 });
+        });
+
+        afterEach(() => {
+            cache.destroy();
+        });
+
+        it("should only visit due nodes", () => {
+            cache.set("soon", 1, 0.001);
+            for (let i = 0; i < 100; i++) cache.set(`later:${i}`, i, 100);
+
+            const start = Date.now();
+            while (Date.now() - start < 5) { /* let "soon" expire */ }
+
+            const spy = jest.spyOn(cache._expiryHeap, "pop");
+            cache._sweepExpired();
+
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(cache.store.has("soon")).toBe(false);
+            expect(cache.stats().keys).toBe(100);
+        });
+
+        it("should skip nodes of renewed or deleted keys", () => {
+            // Long enough that a GC pause cannot expire the keys before they are renewed / deleted
+            cache.set("renewed", 1, 0.05);
+            cache.set("deleted", 2, 0.05);
+            cache.expire("renewed", 100);
+            cache.del("deleted");
+
+            const start = Date.now();
+            while (Date.now() - start < 60) { /* wait */ }
+
+            const onExpired = jest.fn();
+            cache.on("expired", onExpired);
+            cache._sweepExpired();
+
+            expect(onExpired).not.toHaveBeenCalled();
+            expect(cache.get("renewed")).toBe(1);
+        });
+
+        it("should bound the work per step and continue on the next turn", async () => {
+            cache.maxExpirePerTick = 10;
+            for (let i = 0; i < 25; i++) cache.set(`k${i}`, i, 0.001);
+
+            const start = Date.now();
+            while (Date.now() - start < 5) { /* wait */ }
+
+            cache._sweepExpired();
+            expect(cache.store.size).toBe(15);
+
+            await new Promise((resolve) => setImmediate(resolve));
+            await new Promise((resolve) => setImmediate(resolve));
+            expect(cache.store.size).toBe(0);
+        });
+
+        it("should drop outdated nodes when they pile up", () => {
+            cache.set("session", 1, 100);
+            for (let i = 0; i < 2000; i++) cache.touch("session");
+
+            cache._sweepExpired();
+
+            expect(cache._expiryHeap.size).toBe(1);
+        });
+    });
+});
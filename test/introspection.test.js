@@ -0,0 +1,173 @@
+const SimpleCache = require("../src/index");
+const fs = require("fs");
+
+describe("Key Introspection", () => {
+    const testPersistPath = "./test-introspection.sdb";
+    let cache;
+
+    beforeEach(() => {
+        cache = new SimpleCache(0, { checkInterval: 1 });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    describe("keys()", () => {
+        beforeEach(() => {
+            cache.mset({ "user:1": 1, "user:2": 2, "user:10": 10, "post:1": "p", "a*b": "literal" });
+        });
+
+        it("should list all keys without pattern", () => {
+            expect(cache.keys().sort()).toEqual(["a*b", "post:1", "user:1", "user:10", "user:2"]);
+        });
+
+        it("should filter with glob patterns", () => {
+            expect(cache.keys("user:*").sort()).toEqual(["user:1", "user:10", "user:2"]);
+            expect(cache.keys("user:?").sort()).toEqual(["user:1", "user:2"]);
+            expect(cache.keys("*:1")).toEqual(["user:1", "post:1"]);
+            expect(cache.keys("user:[12]").sort()).toEqual(["user:1", "user:2"]);
+            expect(cache.keys("user:[!1]")).toEqual(["user:2"]);
+            expect(cache.keys("a\\*b")).toEqual(["a*b"]);
+        });
+
+        it("should skip expired keys", (done) => {
+            cache.set("user:short", "x", 0.5);
+            setTimeout(() => {
+                expect(cache.keys("user:*")).not.toContain("user:short");
+                done();
+            }, 700);
+        });
+
+        it("should filter namespace keys by pattern", () => {
+            const users = cache.namespace("user");
+            expect(users.keys("1*").sort()).toEqual(["1", "10"]);
+        });
+    });
+
+    describe("iteration", () => {
+        it("should iterate entries and skip expired ones", (done) => {
+            cache.set("a", 1);
+            cache.set("b", 2, 0.5);
+
+            setTimeout(() => {
+                expect([...cache.entries()]).toEqual([["a", 1]]);
+                expect([...cache]).toEqual([["a", 1]]);
+                expect(cache.stats().hits).toBe(0);
+                done();
+            }, 700);
+        });
+
+        it("should iterate a namespace without prefix", () => {
+            cache.set("user:1", "a");
+            cache.set("post:1", "b");
+
+            expect([...cache.namespace("user")]).toEqual([["1", "a"]]);
+        });
+    });
+
+    describe("ttl() / getTtl()", () => {
+        it("should return remaining seconds, -1 and -2", () => {
+            cache.set("temp", "v", 10);
+            cache.set("forever", "v");
+
+            expect(cache.ttl("temp")).toBeGreaterThan(9);
+            expect(cache.ttl("temp")).toBeLessThanOrEqual(10);
+            expect(cache.ttl("forever")).toBe(-1);
+            expect(cache.ttl("missing")).toBe(-2);
+        });
+
+        it("should return expiry timestamp, 0 and undefined", () => {
+            cache.set("temp", "v", 10);
+            cache.set("forever", "v");
+
+            expect(cache.getTtl("temp")).toBe(cache.expiries.get("temp"));
+            expect(cache.getTtl("forever")).toBe(0);
+            expect(cache.getTtl("missing")).toBeUndefined();
+        });
+    });
+
+    describe("expire() / persist() / touch()", () => {
+        it("should change expiry without rewriting the value", () => {
+            const onSet = jest.fn();
+            cache.on("set", onSet);
+            cache.set("key", { big: "object" });
+
+            expect(cache.expire("key", 100)).toBe(1);
+            expect(cache.ttl("key")).toBeGreaterThan(99);
+            expect(onSet).toHaveBeenCalledTimes(1);
+            expect(cache.expire("missing", 100)).toBe(0);
+        });
+
+        it("should expire immediately with non-positive seconds", () => {
+            cache.set("key", "v");
+
+            expect(cache.expire("key", 0)).toBe(1);
+            expect(cache.has("key")).toBe(false);
+        });
+
+        it("should remove expiry with persist()", () => {
+            cache.set("key", "v", 10);
+
+            expect(cache.persist("key")).toBe(1);
+            expect(cache.ttl("key")).toBe(-1);
+            expect(cache.persist("key")).toBe(0);
+            expect(cache.persist("missing")).toBe(0);
+        });
+
+        it("should renew expiry with touch()", (done) => {
+            cache.set("session", "v", 1);
+
+            setTimeout(() => {
+                expect(cache.touch("session", 1)).toBe(1);
+            }, 600);
+
+            setTimeout(() => {
+                expect(cache.get("session")).toBe("v");
+                expect(cache.touch("missing")).toBe(0);
+                done();
+            }, 1200);
+        });
+
+        it("should schedule saves when mutating", () => {
+            const persistCache = new SimpleCache(0, {
+                persistent: true,
+                persistPath: testPersistPath
+            });
+            persistCache.set("key", "v");
+            const spy = jest.spyOn(persistCache, "_scheduleSave");
+
+            persistCache.ttl("key");
+            persistCache.keys();
+            expect(spy).not.toHaveBeenCalled();
+
+            persistCache.expire("key", 10);
+            persistCache.touch("key", 10);
+            persistCache.persist("key");
+            expect(spy).toHaveBeenCalledTimes(3);
+
+            persistCache.expire("missing", 10);
+            expect(spy).toHaveBeenCalledTimes(3);
+            persistCache.destroy();
+        });
+
+        it("should persist the changed expiry", () => {
+            const cache1 = new SimpleCache(0, {
+                persistent: true,
+                persistPath: testPersistPath
+            });
+            cache1.set("key", "v");
+            cache1.expire("key", 100);
+            cache1.destroy();
+
+            const cache2 = new SimpleCache(0, {
+                persistent: true,
+                persistPath: testPersistPath
+            });
+            expect(cache2.ttl("key")).toBeGreaterThan(90);
+            cache2.destroy();
+        });
+    });
+});
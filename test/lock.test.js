@@ -0,0 +1,250 @@
+const SimpleCache = require("../src/index");
+const { FileLock } = require("../src/lock");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, spawnSync } = require("child_process");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Cross-process file locking", () => {
+    const testPersistPath = "./test-lock.sdb";
+    const lockPath = testPersistPath + ".lock";
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        for (const p of [testPersistPath, lockPath, testPersistPath + ".tmp"]) {
+            if (fs.existsSync(p)) fs.unlinkSync(p);
+        }
+    });
+
+    const open = (options = {}) => new SimpleCache(0, { persistent: true, persistPath: testPersistPath, ...options });
+
+    // Lockfile as another process would leave it
+    const writeLock = (pid, mtime) => {
+        fs.writeFileSync(lockPath, JSON.stringify({ pid, hostname: os.hostname(), token: "other", createdAt: Date.now() }));
+        if (mtime) fs.utimesSync(lockPath, mtime, mtime);
+    };
+
+    // A separate node process that holds the cache for `holdMs`
+    const holdInChild = (holdMs) => new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ["-e", `
+            const SimpleCache = require(${JSON.stringify(path.resolve(__dirname, "../src/index.js"))});
+            const cache = new SimpleCache(0, { persistent: true, persistPath: ${JSON.stringify(path.resolve(testPersistPath))} });
+            cache.set("fromChild", 1);
+            console.log("locked");
+            setTimeout(() => cache.destroy(), ${holdMs});
+        `]);
+        child.stdout.once("data", () => resolve(child));
+        child.once("error", reject);
+    });
+
+    const exited = (child) => new Promise((resolve) => {
+        if (child.exitCode !== null) resolve();
+        else child.once("exit", resolve);
+    });
+
+    it("should hold a lockfile with the PID until destroy()", () => {
+        const cache = open();
+
+        expect(JSON.parse(fs.readFileSync(lockPath, "utf8"))).toMatchObject({ pid: process.pid, hostname: os.hostname() });
+        cache.destroy();
+        expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    it("should fail fast with the owning PID when another process holds the lock", async () => {
+        const child = await holdInChild(1000);
+
+        try {
+            expect(() => open()).toThrow(`[SimpleCache] Cache file is locked by process ${child.pid}: ${lockPath}`);
+            try {
+                open();
+            } catch (err) {
+                expect(err.code).toBe("ELOCKED");
+                expect(err.pid).toBe(child.pid);
+            }
+        } finally {
+            child.kill();
+            await exited(child);
+        }
+    });
+
+    it("should wait for the lock with lock: 'wait'", async () => {
+        const child = await holdInChild(300);
+
+        const cache = open({ lock: "wait", lockTimeout: 10 });
+        expect(cache.get("fromChild")).toBe(1);
+        cache.destroy();
+        await exited(child);
+    });
+
+    it("should give up waiting after lockTimeout", () => {
+        writeLock(process.ppid);
+        const start = Date.now();
+
+        expect(() => open({ lock: "wait", lockTimeout: 0.2 })).toThrow(`locked by process ${process.ppid}`);
+        expect(Date.now() - start).toBeGreaterThanOrEqual(150);
+        expect(SimpleCache._activeFiles.has(testPersistPath)).toBe(false);
+    });
+
+    it("should wait without blocking the event loop with asyncIO", async () => {
+        writeLock(process.ppid);
+        setTimeout(() => fs.unlinkSync(lockPath), 200);
+
+        const cache = await SimpleCache.open({ persistent: true, persistPath: testPersistPath, lock: "wait" });
+        expect(JSON.parse(fs.readFileSync(lockPath, "utf8")).pid).toBe(process.pid);
+        cache.destroy();
+    });
+
+    it("should reject open() when the asynchronous wait times out", async () => {
+        writeLock(process.ppid);
+
+        await expect(SimpleCache.open({ persistent: true, persistPath: testPersistPath, lock: "wait", lockTimeout: 0.2 }))
+            .rejects.toMatchObject({ code: "ELOCKED", pid: process.ppid });
+        expect(SimpleCache._activeFiles.has(testPersistPath)).toBe(false);
+    });
+
+    it("should take over the lock of a dead process", () => {
+        const { pid } = spawnSync(process.execPath, ["-e", ""]);
+        writeLock(pid);
+
+        const cache = open();
+        expect(JSON.parse(fs.readFileSync(lockPath, "utf8")).pid).toBe(process.pid);
+        cache.destroy();
+    });
+
+    it("should take over a lock whose heartbeat stopped", () => {
+        writeLock(process.ppid, new Date(Date.now() - 60000));
+
+        const cache = open({ lockStale: 30 });
+        expect(JSON.parse(fs.readFileSync(lockPath, "utf8")).pid).toBe(process.pid);
+        cache.destroy();
+    });
+
+    it("should not take over a lock that changed hands after it was found stale", () => {
+        writeLock(process.ppid, new Date(Date.now() - 60000));
+        const slow = new FileLock(lockPath, { stale: 30 });
+        const fast = new FileLock(lockPath, { stale: 30 });
+
+        // The fast process takes over the stale lock right before the slow one removes it
+        const replace = () => {
+            fs.unlinkSync.mockRestore();
+            fs.renameSync.mockRestore();
+            fs.unlinkSync(lockPath);
+            fast.acquireSync();
+        };
+        const unlinkSync = fs.unlinkSync;
+        const renameSync = fs.renameSync;
+        jest.spyOn(fs, "unlinkSync").mockImplementation((p) => {
+            if (p === lockPath) replace();
+            return unlinkSync(p);
+        });
+        jest.spyOn(fs, "renameSync").mockImplementation((from, to) => {
+            if (from === lockPath) replace();
+            return renameSync(from, to);
+        });
+
+        expect(() => slow.acquireSync()).toThrow(expect.objectContaining({ code: "ELOCKED", pid: process.pid }));
+        expect(slow.isHeld).toBe(false);
+        expect(fast.isHeld).toBe(true);
+        expect(JSON.parse(fs.readFileSync(lockPath, "utf8")).token).toBe(fast._token);
+        expect(fs.readdirSync(".").filter((name) => name.startsWith("test-lock.sdb.lock."))).toEqual([]);
+
+        fast.release();
+    });
+
+    it("should create the lockfile exclusively where hard links are not supported", () => {
+        jest.spyOn(fs, "linkSync").mockImplementation(() => {
+            throw Object.assign(new Error("operation not permitted"), { code: "EPERM" });
+        });
+        const first = new FileLock(lockPath);
+        const second = new FileLock(lockPath);
+
+        first.acquireSync();
+        expect(JSON.parse(fs.readFileSync(lockPath, "utf8"))).toMatchObject({ pid: process.pid, token: first._token });
+        expect(() => second.acquireSync()).toThrow(expect.objectContaining({ code: "ELOCKED" }));
+
+        first.release();
+        second.acquireSync();
+        expect(second.isHeld).toBe(true);
+        second.release();
+        expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    it("should treat a lockfile whose owner is not written yet as held", () => {
+        // Created by an exclusive open on a file system without hard links, before the owner is written
+        fs.writeFileSync(lockPath, "");
+        const lock = new FileLock(lockPath, { stale: 30 });
+
+        expect(() => lock.acquireSync()).toThrow(expect.objectContaining({
+            code: "ELOCKED",
+            message: `[SimpleCache] Cache file is locked by another process: ${lockPath}`
+        }));
+        expect(fs.readFileSync(lockPath, "utf8")).toBe("");
+
+        // Abandoned once its heartbeat is overdue
+        const old = new Date(Date.now() - 60000);
+        fs.utimesSync(lockPath, old, old);
+        lock.acquireSync();
+        expect(JSON.parse(fs.readFileSync(lockPath, "utf8")).token).toBe(lock._token);
+        lock.release();
+    });
+
+    it("should keep a live lock fresh with the heartbeat", async () => {
+        const cache = open({ lockStale: 0.3 });
+        const before = fs.statSync(lockPath).mtimeMs;
+
+        await sleep(250);
+        expect(fs.statSync(lockPath).mtimeMs).toBeGreaterThan(before);
+        cache.destroy();
+    });
+
+    it("should open read-only without taking the lock", async () => {
+        const writer = open();
+        writer.set("a", 1);
+        await writer.save();
+
+        const reader = open({ lock: "readonly" });
+        expect(reader.readOnly).toBe(true);
+        expect(reader.get("a")).toBe(1);
+
+        reader.set("b", 2);
+        expect(reader._saveTimeout).toBeNull();
+        await expect(reader.save()).rejects.toThrow("[SimpleCache] save() is not available on a read-only cache");
+        reader.destroy();
+
+        expect(fs.existsSync(lockPath)).toBe(true);
+        writer.destroy();
+
+        const check = open({ lock: false });
+        expect(check.keys()).toEqual(["a"]);
+        check.destroy();
+    });
+
+    it("should stop writing when the lock is taken over", async () => {
+        const cache = open({ lockStale: 0.3 });
+        const onError = jest.fn();
+        cache.on("error", onError);
+
+        writeLock(process.ppid);
+        await sleep(250);
+
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining("Lost the lock") }));
+        expect(cache.readOnly).toBe(true);
+
+        cache.set("a", 1);
+        cache.destroy();
+        expect(fs.existsSync(testPersistPath)).toBe(false);
+        expect(JSON.parse(fs.readFileSync(lockPath, "utf8")).token).toBe("other");
+    });
+
+    it("should not lock with lock: false", () => {
+        const cache = open({ lock: false });
+        expect(fs.existsSync(lockPath)).toBe(false);
+        cache.destroy();
+    });
+
+    it("should reject an invalid lock option", () => {
+        expect(() => open({ lock: "maybe" })).toThrow('[SimpleCache] Invalid lock "maybe" (expected one of: fail, wait, readonly, false)');
+    });
+});
@@ -0,0 +1,109 @@
+const SimpleCache = require("../src/index");
+const fs = require("fs");
+
+describe("Namespace", () => {
+    const testPersistPath = "./test-namespace.sdb";
+    let cache;
+
+    beforeEach(() => {
+        cache = new SimpleCache(5, { checkInterval: 1 });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    it("should prefix keys transparently", () => {
+        const users = cache.namespace("user");
+
+        users.set(123, { name: "Alice" });
+
+        expect(users.get(123)).toEqual({ name: "Alice" });
+        expect(cache.get("user:123")).toEqual({ name: "Alice" });
+        expect(users.del(123)).toBe(1);
+        expect(cache.get("user:123")).toBeNull();
+    });
+
+    it("should support batch operations without prefix in results", () => {
+        const users = cache.namespace("user");
+
+        users.mset({ 1: "a", 2: "b" });
+        users.mset([{ key: 3, value: "c", ttl: 10 }]);
+
+        expect(users.mget([1, 2, 3, 4])).toEqual({ 1: "a", 2: "b", 3: "c", 4: null });
+        expect(users.mtake([1])).toEqual({ 1: "a" });
+        expect(users.mdel([2, 3])).toBe(2);
+        expect(cache.stats().keys).toBe(0);
+    });
+
+    it("should wrap with prefixed key", async () => {
+        const users = cache.namespace("user");
+
+        const value = await users.wrap("1", () => "computed");
+
+        expect(value).toBe("computed");
+        expect(cache.get("user:1")).toBe("computed");
+    });
+
+    it("should list only its own keys", () => {
+        const users = cache.namespace("user");
+        users.set("1", "a");
+        users.set("2", "b");
+        cache.set("post:1", "c");
+
+        expect(users.keys().sort()).toEqual(["1", "2"]);
+    });
+
+    it("should support nested namespaces", () => {
+        const settings = cache.namespace("user").namespace("settings");
+
+        settings.set("theme", "dark");
+
+        expect(cache.get("user:settings:theme")).toBe("dark");
+        expect(cache.namespace("user").keys()).toEqual(["settings:theme"]);
+    });
+
+    it("should flush only its prefix", () => {
+        const users = cache.namespace("user");
+        users.set("1", "a");
+        users.namespace("settings").set("theme", "dark");
+        cache.set("post:1", "c");
+        cache.set("username", "not-in-namespace");
+
+        expect(users.flush()).toBe(2);
+        expect(cache.get("post:1")).toBe("c");
+        expect(cache.get("username")).toBe("not-in-namespace");
+        expect(cache.stats().keys).toBe(2);
+    });
+
+    it("should persist through the parent file", () => {
+        const cache1 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        cache1.namespace("user").set("1", "Alice");
+        cache1.namespace("post").set("1", "Hello");
+
+        expect(SimpleCache._activeFiles.get(testPersistPath)).toBe(cache1);
+        cache1.destroy();
+
+        const cache2 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        expect(cache2.namespace("user").get("1")).toBe("Alice");
+        expect(cache2.namespace("post").get("1")).toBe("Hello");
+        cache2.destroy();
+    });
+
+    it("should return a __proto__ key from mget()", () => {
+        const ns = cache.namespace("ns");
+        ns.set("__proto__", "value");
+
+        const values = ns.mget(["__proto__"]);
+        expect(Object.keys(values)).toEqual(["__proto__"]);
+        expect(Object.getOwnPropertyDescriptor(values, "__proto__").value).toBe("value");
+    });
+});
@@ -0,0 +1,117 @@
+const SimpleCache = require("../src/index");
+const fs = require("fs");
+
+describe("Nullish values", () => {
+    const testPersistPath = "./test-nullish.sdb";
+    let cache;
+
+    beforeEach(() => {
+        cache = new SimpleCache(5, { checkInterval: 1 });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    it("should report stored null and undefined with has()", () => {
+        cache.set("null", null);
+        cache.set("undefined", undefined);
+
+        expect(cache.has("null")).toBe(true);
+        expect(cache.has("undefined")).toBe(true);
+        expect(cache.has("missing")).toBe(false);
+    });
+
+    it("should not report expired keys with has()", (done) => {
+        cache.set("short", "value", 0.5);
+        setTimeout(() => {
+            expect(cache.has("short")).toBe(false);
+            done();
+        }, 700);
+    });
+
+    it("should distinguish missing from stored null with getEntry()", () => {
+        cache.set("null", null, 0);
+        cache.set("falsy", 0, 10);
+
+        expect(cache.getEntry("missing")).toBeNull();
+        expect(cache.getEntry("null")).toEqual({ value: null, expiryTime: 0 });
+        expect(cache.getEntry("falsy").value).toBe(0);
+        expect(cache.getEntry("falsy").expiryTime).toBeGreaterThan(Date.now());
+    });
+
+    it("should treat cached null results of wrap() as hits", async () => {
+        let calls = 0;
+        const fn = () => {
+            calls++;
+            return null;
+        };
+
+        expect(await cache.wrap("user:404", fn)).toBeNull();
+        expect(await cache.wrap("user:404", fn)).toBeNull();
+        expect(calls).toBe(1);
+    });
+
+    it("should cache falsy values in wrap()", async () => {
+        let calls = 0;
+        for (const value of [0, "", false, undefined]) {
+            const fn = () => {
+                calls++;
+                return value;
+            };
+            await cache.wrap(`key:${String(value)}`, fn);
+            expect(await cache.wrap(`key:${String(value)}`, fn)).toBe(value);
+        }
+        expect(calls).toBe(4);
+    });
+
+    it("should use negativeTtl for null results", async () => {
+        await cache.wrap("missing", () => null, { ttl: 100, negativeTtl: 1 });
+        await cache.wrap("found", () => "value", { ttl: 100, negativeTtl: 1 });
+
+        expect(cache.expiries.get("missing") - Date.now()).toBeLessThanOrEqual(1000);
+        expect(cache.expiries.get("found") - Date.now()).toBeGreaterThan(90 * 1000);
+    });
+
+    it("should use cache-level negativeTtl as default", async () => {
+        const negative = new SimpleCache(100, { negativeTtl: 1 });
+
+        await negative.wrap("missing", () => undefined);
+
+        expect(negative.has("missing")).toBe(true);
+        expect(negative.expiries.get("missing") - Date.now()).toBeLessThanOrEqual(1000);
+        negative.destroy();
+    });
+
+    it("should take stored null values", () => {
+        cache.set("null", null);
+        cache.mset({ a: null });
+
+        expect(cache.take("null")).toBeNull();
+        expect(cache.has("null")).toBe(false);
+        expect(cache.mtake(["a"])).toEqual({ a: null });
+        expect(cache.has("a")).toBe(false);
+    });
+
+    it("should persist null and undefined values", () => {
+        const cache1 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        cache1.set("null", null);
+        cache1.set("undefined", undefined);
+        cache1.set("zero", 0);
+        cache1.destroy();
+
+        const cache2 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        expect(cache2.getEntry("null")).toEqual({ value: null, expiryTime: 0 });
+        expect(cache2.getEntry("undefined")).toEqual({ value: undefined, expiryTime: 0 });
+        expect(cache2.get("zero")).toBe(0);
+        cache2.destroy();
+    });
+});
@@ -0,0 +1,161 @@
+const SimpleCache = require("../src/index");
+const fs = require("fs");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Save API", () => {
+    const testPersistPath = "./test-save-api.sdb";
+
+    afterEach(() => {
+        for (const p of [testPersistPath, testPersistPath + ".aof"]) {
+            if (fs.existsSync(p)) fs.unlinkSync(p);
+            if (fs.existsSync(p + ".tmp")) fs.unlinkSync(p + ".tmp");
+        }
+    });
+
+    const open = (options = {}) => new SimpleCache(0, { persistent: true, persistPath: testPersistPath, ...options });
+
+    it("should save immediately with save() and cancel the pending debounce", async () => {
+        const cache = open({ saveDelay: 10 });
+        cache.set("a", 1);
+        expect(cache._saveTimeout).not.toBeNull();
+
+        const info = await cache.save();
+
+        expect(info).toMatchObject({ path: testPersistPath, entries: 1 });
+        expect(cache._saveTimeout).toBeNull();
+        expect(fs.existsSync(testPersistPath)).toBe(true);
+        cache.destroy();
+    });
+
+    it("should save with non-blocking I/O using saveAsync()", async () => {
+        const cache = open();
+        cache.set("a", { n: 1 });
+
+        const info = await cache.saveAsync();
+        expect(info.entries).toBe(1);
+        expect(cache.stats().saves).toBe(1);
+        cache.destroy();
+
+        const cache2 = open();
+        expect(cache2.get("a")).toEqual({ n: 1 });
+        cache2.destroy();
+    });
+
+    it("should reject instead of emitting error when a save fails", async () => {
+        const cache = open();
+        const onError = jest.fn();
+        cache.on("error", onError);
+        cache.set("big", 1n); // BigInt is not JSON serializable
+
+        await expect(cache.save()).rejects.toThrow(TypeError);
+        await expect(cache.saveAsync()).rejects.toThrow(TypeError);
+        expect(onError).not.toHaveBeenCalled();
+        expect(cache.stats().saveErrors).toBe(2);
+
+        cache.del("big");
+        cache.destroy();
+    });
+
+    it("should reject save(), saveAsync() and reload() without persistence", async () => {
+        const cache = new SimpleCache(0);
+
+        await expect(cache.save()).rejects.toThrow("[SimpleCache] save() requires persistent: true");
+        await expect(cache.saveAsync()).rejects.toThrow("[SimpleCache] saveAsync() requires persistent: true");
+        await expect(cache.reload()).rejects.toThrow("[SimpleCache] reload() requires persistent: true");
+        cache.destroy();
+    });
+
+    it("should discard unsaved changes on reload()", async () => {
+        const cache = open();
+        cache.set("saved", 1);
+        await cache.save();
+
+        cache.set("unsaved", 2);
+        cache.del("saved");
+        const info = await cache.reload();
+
+        expect(info.entries).toBe(1);
+        expect(cache.get("saved")).toBe(1);
+        expect(cache.has("unsaved")).toBe(false);
+        expect(cache._saveTimeout).toBeNull();
+        cache.destroy();
+    });
+
+    it("should wait for queued saves before reload() reads the file", async () => {
+        const cache = open();
+        cache.set("a", 1);
+
+        const saving = cache.saveAsync();
+        const info = await cache.reload();
+        await saving;
+
+        expect(info.entries).toBe(1);
+        expect(cache.get("a")).toBe(1);
+        cache.destroy();
+    });
+
+    it("should resolve reload() with null when there is no file and reject on a corrupt file", async () => {
+        const cache = open();
+        await expect(cache.reload()).resolves.toBeNull();
+
+        fs.writeFileSync(testPersistPath, "CORRUPT DATA");
+        await expect(cache.reload()).rejects.toThrow("Invalid SDB file format");
+        cache.destroy();
+    });
+
+    it("should compact the log with save() in aof mode", async () => {
+        const cache = open({ persistMode: "aof" });
+        cache.set("a", 1);
+        const compacted = jest.fn();
+        cache.on("compacted", compacted);
+
+        await cache.save();
+
+        expect(compacted).toHaveBeenCalledTimes(1);
+        expect(fs.statSync(testPersistPath + ".aof").size).toBe(12);
+        cache.set("b", 2);
+        await cache.reload();
+        expect(cache.keys().sort()).toEqual(["a", "b"]);
+        cache.destroy();
+    });
+
+    it("should cap the debounce with maxSaveDelay under constant writes", async () => {
+        const cache = open({ saveDelay: 0.3, maxSaveDelay: 0.5 });
+        const saved = jest.fn();
+        cache.on("saved", saved);
+
+        // A write every 100ms keeps pushing the 300ms debounce back
+        for (let i = 0; i < 8; i++) {
+            cache.set("counter", i);
+            await sleep(100);
+        }
+
+        expect(saved).toHaveBeenCalled();
+        cache.destroy();
+    });
+
+    it("should save at least every autoSaveInterval under constant writes", async () => {
+        const cache = open({ saveDelay: 10, autoSaveInterval: 0.3 });
+        const saved = jest.fn();
+        cache.on("saved", saved);
+
+        for (let i = 0; i < 8; i++) {
+            cache.set("counter", i);
+            await sleep(100);
+        }
+
+        expect(saved.mock.calls.length).toBeGreaterThanOrEqual(2);
+        cache.destroy();
+    });
+
+    it("should not save on the interval without changes", async () => {
+        const cache = open({ autoSaveInterval: 0.1 });
+        const saved = jest.fn();
+        cache.on("saved", saved);
+
+        await sleep(350);
+        expect(saved).not.toHaveBeenCalled();
+        cache.destroy();
+    });
+});
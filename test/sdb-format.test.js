@@ -0,0 +1,191 @@
+const SimpleCache = require("../src/index");
+const sdb = require("../src/sdb");
+const fs = require("fs");
+
+/**
+ * Build a file in the original v1 layout (12-byte header with a reserved field, no checksums)
+ */
+function buildV1(entries) {
+    const header = Buffer.alloc(12);
+    header.write("SDB", 0, "ascii");
+    header.writeUInt8(1, 3);
+    header.writeUInt32LE(entries.length, 4);
+
+    const parts = [header];
+    for (const { key, value, expiryTime = 0 } of entries) {
+        const keyBuf = Buffer.from(key);
+        const valueBuf = value === undefined ? Buffer.alloc(0) : Buffer.from(JSON.stringify(value));
+        const buf = Buffer.alloc(2 + keyBuf.length + 8 + 4 + valueBuf.length);
+        let offset = buf.writeUInt16LE(keyBuf.length, 0);
+        offset += keyBuf.copy(buf, offset);
+        offset = buf.writeBigInt64LE(BigInt(expiryTime), offset);
+        offset = buf.writeUInt32LE(valueBuf.length, offset);
+        valueBuf.copy(buf, offset);
+        parts.push(buf);
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Byte offset of the body of the n-th record in a v2 buffer
+ */
+function recordBodyOffset(buffer, n) {
+    let offset = 16;
+    for (let i = 0; i < n; i++) {
+        offset += 4 + buffer.readUInt32LE(offset) + 4;
+    }
+    return offset + 4;
+}
+
+describe("SDB Format", () => {
+    const testPersistPath = "./test-sdb-format.sdb";
+
+    afterEach(() => {
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    it("should write v2 with a checksummed header", () => {
+        const buffer = sdb.serialize([{ key: "a", value: 1, expiryTime: 0 }]);
+
+        expect(buffer.toString("ascii", 0, 3)).toBe("SDB");
+        expect(buffer.readUInt8(3)).toBe(2);
+        expect(buffer.readUInt32LE(4)).toBe(1);
+    });
+
+    it("should round-trip per-entry metadata", () => {
+        const entries = [
+            { key: "plain", value: { a: [1, 2] }, expiryTime: 0, tags: [], ttl: 0, createdAt: 0 },
+            { key: "full", value: "x", expiryTime: 2000000000000, tags: ["t1", "t2"], ttl: 60, createdAt: 1999999940000 },
+            { key: "undef", value: undefined, expiryTime: 0, tags: [], ttl: 0, createdAt: 5 },
+            { key: "nul", value: null, expiryTime: 0, tags: ["n"], ttl: 0, createdAt: 0 }
+        ];
+
+        const result = sdb.deserialize(sdb.serialize(entries));
+
+        expect(result).toEqual({ entries, skipped: 0, version: 2, keyIndex: -1 });
+    });
+
+    it("should skip records whose checksum does not match", () => {
+        const buffer = sdb.serialize([
+            { key: "a", value: "first", expiryTime: 0 },
+            { key: "b", value: "second", expiryTime: 0 },
+            { key: "c", value: "third", expiryTime: 0 }
+        ]);
+        // Flip a byte inside the value of "b"
+        const offset = recordBodyOffset(buffer, 1);
+        buffer[offset + buffer.readUInt32LE(offset - 4) - 2] ^= 0xFF;
+
+        const { entries, skipped } = sdb.deserialize(buffer);
+
+        expect(entries.map((entry) => entry.key)).toEqual(["a", "c"]);
+        expect(skipped).toBe(1);
+    });
+
+    it("should keep complete records of a truncated file", () => {
+        const buffer = sdb.serialize([
+            { key: "a", value: "first", expiryTime: 0 },
+            { key: "b", value: "second", expiryTime: 0 }
+        ]);
+
+        const { entries, skipped } = sdb.deserialize(buffer.subarray(0, buffer.length - 3));
+
+        expect(entries.map((entry) => entry.key)).toEqual(["a"]);
+        expect(skipped).toBe(1);
+    });
+
+    it("should still read records when the header checksum is damaged", () => {
+        const buffer = sdb.serialize([
+            { key: "a", value: 1, expiryTime: 0 },
+            { key: "b", value: 2, expiryTime: 0 }
+        ]);
+        buffer.writeUInt32LE(99, 4); // entry count no longer matches the header CRC
+
+        const { entries } = sdb.deserialize(buffer);
+
+        expect(entries.map((entry) => entry.key)).toEqual(["a", "b"]);
+    });
+
+    it("should reject unknown magic and versions", () => {
+        expect(() => sdb.deserialize(Buffer.from("CORRUPT DATA"))).toThrow("Invalid SDB file format");
+
+        const buffer = sdb.serialize([]);
+        buffer.writeUInt8(9, 3);
+        expect(() => sdb.deserialize(buffer)).toThrow("Unsupported SDB version: 9");
+    });
+
+    it("should read v1 files", () => {
+        const buffer = buildV1([
+            { key: "a", value: { x: 1 }, expiryTime: 0 },
+            { key: "b", value: undefined, expiryTime: 2000000000000 }
+        ]);
+
+        expect(sdb.deserialize(buffer)).toEqual({
+            entries: [
+                { key: "a", value: { x: 1 }, expiryTime: 0, tags: [], ttl: 0, createdAt: 0 },
+                { key: "b", value: undefined, expiryTime: 2000000000000, tags: [], ttl: 0, createdAt: 0 }
+            ],
+            skipped: 0,
+            version: 1,
+            keyIndex: -1
+        });
+    });
+
+    it("should keep v1 entries read before the damage", () => {
+        const buffer = buildV1([
+            { key: "a", value: 1 },
+            { key: "b", value: 2 },
+            { key: "c", value: 3 }
+        ]);
+
+        const { entries, skipped } = sdb.deserialize(buffer.subarray(0, buffer.length - 10));
+
+        expect(entries.map((entry) => entry.key)).toEqual(["a", "b"]);
+        expect(skipped).toBe(1);
+    });
+
+    it("should load a v1 file and rewrite it as v2 on the next save", async () => {
+        fs.writeFileSync(testPersistPath, buildV1([{ key: "legacy", value: "v1" }]));
+
+        const cache = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath,
+            saveDelay: 0.05
+        });
+        const loaded = new Promise((resolve) => cache.once("loaded", resolve));
+        const saved = new Promise((resolve) => cache.once("saved", resolve));
+
+        expect(cache.get("legacy")).toBe("v1");
+        expect(await loaded).toMatchObject({ version: 1, skipped: 0 });
+        await saved;
+
+        const buffer = fs.readFileSync(testPersistPath);
+        expect(buffer.readUInt8(3)).toBe(2);
+        expect(sdb.deserialize(buffer).entries[0]).toMatchObject({ key: "legacy", value: "v1" });
+        cache.destroy();
+    });
+
+    it("should load intact records from a damaged file and report the rest", async () => {
+        const buffer = sdb.serialize([
+            { key: "a", value: "ok", expiryTime: 0 },
+            { key: "b", value: "broken", expiryTime: 0 }
+        ]);
+        buffer[recordBodyOffset(buffer, 1)] ^= 0xFF;
+        fs.writeFileSync(testPersistPath, buffer);
+
+        const cache = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        const errors = [];
+        cache.on("error", (err) => errors.push(err));
+        const info = await new Promise((resolve) => cache.once("loaded", resolve));
+
+        expect(cache.get("a")).toBe("ok");
+        expect(cache.has("b")).toBe(false);
+        expect(info.skipped).toBe(1);
+        expect(errors).toHaveLength(1);
+        expect(errors[0].message).toContain("Skipped 1 corrupt record");
+        cache.destroy();
+    });
+});
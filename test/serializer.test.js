@@ -0,0 +1,168 @@
+const SimpleCache = require("../src/index");
+const sdb = require("../src/sdb");
+const { createSerializer } = require("../src/serializer");
+const fs = require("fs");
+
+class Money {
+    constructor(amount, currency) {
+        this.amount = amount;
+        this.currency = currency;
+    }
+
+    format() {
+        return `${this.amount} ${this.currency}`;
+    }
+}
+
+class Point {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+}
+
+describe("Serializers", () => {
+    const testPersistPath = "./test-serializer.sdb";
+
+    afterEach(() => {
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    const value = {
+        date: new Date("2024-05-01T10:00:00.000Z"),
+        map: new Map([["a", 1], [{ k: 1 }, new Set([1, 2])]]),
+        set: new Set(["x", "y"]),
+        big: 12345678901234567890n,
+        buffer: Buffer.from("hello"),
+        floats: new Float64Array([1.5, -2]),
+        regexp: /ab+c/gi,
+        list: [undefined, NaN, Infinity, -Infinity, null],
+        nested: { $t: "looks encoded", v: 1 }
+    };
+
+    it("should round-trip built-in types with the structured serializer", () => {
+        const codec = createSerializer("structured");
+        const result = codec.decode(codec.encode(value));
+
+        expect(result).toEqual(value);
+        expect(result.date).toBeInstanceOf(Date);
+        expect(Buffer.isBuffer(result.buffer)).toBe(true);
+        expect(result.floats).toBeInstanceOf(Float64Array);
+        expect(typeof result.big).toBe("bigint");
+    });
+
+    it("should round-trip built-in types with the v8 serializer", () => {
+        const codec = createSerializer("v8");
+        const result = codec.decode(codec.encode(value));
+
+        // v8.deserialize builds objects in the main realm, so compare contents rather than prototypes
+        expect(result.date.getTime()).toBe(value.date.getTime());
+        expect([...result.map]).toEqual([...value.map].map(([k, v]) => [k, expect.anything()]));
+        expect([...result.map.values()][1].has(2)).toBe(true);
+        expect([...result.set]).toEqual(["x", "y"]);
+        expect(result.big).toBe(value.big);
+        expect(Buffer.from(result.buffer).toString()).toBe("hello");
+        expect(result.list).toEqual(value.list);
+    });
+
+    it("should revive registered classes", () => {
+        const codec = createSerializer("structured", {
+            Money,
+            Point: { type: Point, serialize: (p) => [p.x, p.y], deserialize: ([x, y]) => new Point(x, y) }
+        });
+
+        const result = codec.decode(codec.encode({ price: new Money(5, "EUR"), at: new Point(1, 2) }));
+
+        expect(result.price).toBeInstanceOf(Money);
+        expect(result.price.format()).toBe("5 EUR");
+        expect(result.at).toEqual(new Point(1, 2));
+        expect(result.at).toBeInstanceOf(Point);
+    });
+
+    it("should reject circular structures and built-in type names", () => {
+        const codec = createSerializer("structured");
+        const circular = {};
+        circular.self = circular;
+
+        expect(() => codec.encode(circular)).toThrow("circular");
+        expect(() => codec.registerType("Date", Money)).toThrow("conflicts with a built-in type");
+        expect(() => createSerializer("yaml")).toThrow('[SimpleCache] Invalid serializer "yaml"');
+    });
+
+    it("should persist Date, Map, Set, BigInt and Buffer through a save/load cycle", () => {
+        const cache1 = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, serializer: "structured" });
+        cache1.set("value", value);
+        cache1.destroy();
+
+        expect(fs.readFileSync(testPersistPath).readUInt8(11)).toBe(1);
+
+        const cache2 = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, serializer: "structured" });
+        expect(cache2.get("value")).toEqual(value);
+        cache2.destroy();
+    });
+
+    it("should detect the codec from the header", () => {
+        const cache1 = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, serializer: "v8" });
+        cache1.set("when", new Date(0));
+        cache1.destroy();
+
+        // Reader configured with the default JSON serializer
+        const cache2 = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        expect(cache2.get("when")).toEqual(new Date(0));
+        cache2.destroy();
+    });
+
+    it("should revive custom classes passed as types", () => {
+        const cache1 = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, serializer: "structured" });
+        cache1.registerType("Money", Money);
+        cache1.set("price", new Money(10, "USD"));
+        cache1.destroy();
+
+        const cache2 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath,
+            serializer: "structured",
+            types: { Money }
+        });
+        expect(cache2.get("price").format()).toBe("10 USD");
+        cache2.destroy();
+    });
+
+    it("should skip records of unregistered custom types", () => {
+        const codec = createSerializer("structured", { Money });
+        const buffer = sdb.serialize([
+            { key: "a", value: new Money(1, "EUR"), expiryTime: 0 },
+            { key: "b", value: "plain", expiryTime: 0 }
+        ], { serializer: codec });
+
+        const { entries, skipped } = sdb.deserialize(buffer);
+
+        expect(entries.map((entry) => entry.key)).toEqual(["b"]);
+        expect(skipped).toBe(1);
+    });
+
+    it("should keep JSON as the default", () => {
+        const buffer = sdb.serialize([{ key: "a", value: { n: 1 }, expiryTime: 0 }]);
+
+        expect(buffer.readUInt8(11)).toBe(0);
+        expect(buffer.toString("utf8")).toContain('{"n":1}');
+    });
+
+    it("should validate types and registerType() against the serializer", () => {
+        expect(() => new SimpleCache(0, { types: { Money } })).toThrow("[SimpleCache] \"types\" requires serializer: 'structured'");
+        expect(() => new SimpleCache(0).registerType("Money", Money)).toThrow("[SimpleCache] registerType() requires serializer: 'structured'");
+        expect(() => new SimpleCache(0, { serializer: "structured" }).registerType("Bad", {})).toThrow('registerType("Bad") requires a class');
+    });
+
+    it("should keep an own __proto__ key with the structured serializer", () => {
+        const codec = createSerializer("structured");
+        const input = JSON.parse('{"__proto__": {"polluted": true}, "a": 1}');
+        const result = codec.decode(codec.encode(input));
+
+        expect(Object.keys(result)).toEqual(["__proto__", "a"]);
+        expect(Object.getOwnPropertyDescriptor(result, "__proto__").value).toEqual({ polluted: true });
+        expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+        expect(result.polluted).toBeUndefined();
+    });
+});
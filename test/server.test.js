@@ -0,0 +1,245 @@
+const SimpleCache = require("../src/index");
+const { createServer, RespParser } = require("../server");
+const net = require("net");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Encode a command the way Redis clients do
+const encode = (...args) => Buffer.concat([
+    Buffer.from(`*${args.length}\r\n`),
+    ...args.map((arg) => {
+        const data = Buffer.from(String(arg));
+        return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data, Buffer.from("\r\n")]);
+    })
+]);
+
+// Parse one RESP2 reply: [value, bytes consumed], or null if incomplete
+const parseReply = (buffer, offset = 0) => {
+    const end = buffer.indexOf("\r\n", offset);
+    if (end === -1) return null;
+    const line = buffer.toString("utf8", offset + 1, end);
+
+    switch (String.fromCharCode(buffer[offset])) {
+        case "+": return [line, end + 2];
+        case "-": return [new Error(line), end + 2];
+        case ":": return [Number(line), end + 2];
+        case "$": {
+            const length = Number(line);
+            if (length === -1) return [null, end + 2];
+            if (buffer.length < end + 2 + length + 2) return null;
+            return [buffer.toString("utf8", end + 2, end + 2 + length), end + 4 + length];
+        }
+        case "*": {
+            const items = [];
+            let next = end + 2;
+            for (let i = 0; i < Number(line); i++) {
+                const item = parseReply(buffer, next);
+                if (!item) return null;
+                items.push(item[0]);
+                next = item[1];
+            }
+            return [items, next];
+        }
+        default: throw new Error(`Unexpected reply: ${buffer.toString()}`);
+    }
+};
+
+// Minimal client: sends raw data and resolves with the next `count` replies
+const connect = (port) => new Promise((resolve) => {
+    const socket = net.connect(port, "127.0.0.1", () => {
+        let buffer = Buffer.alloc(0);
+        let waiting = null;
+
+        const drain = () => {
+            if (!waiting) return;
+            const replies = [];
+            let offset = 0;
+            while (replies.length < waiting.count) {
+                const reply = parseReply(buffer, offset);
+                if (!reply) return;
+                replies.push(reply[0]);
+                offset = reply[1];
+            }
+            buffer = buffer.subarray(offset);
+            const { resolve: done } = waiting;
+            waiting = null;
+            done(replies);
+        };
+
+        socket.on("data", (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            drain();
+        });
+
+        const send = (data, count = 1) => new Promise((done) => {
+            waiting = { count, resolve: done };
+            socket.write(data);
+        });
+
+        resolve({
+            socket,
+            send,
+            call: async (...args) => (await send(encode(...args)))[0]
+        });
+    });
+});
+
+describe("RESP server", () => {
+    let cache;
+    let server;
+    let client;
+
+    beforeEach(async () => {
+        cache = new SimpleCache();
+        server = createServer(cache);
+        const { port } = await server.listen(0);
+        client = await connect(port);
+    });
+
+    afterEach(async () => {
+        client.socket.destroy();
+        await server.close();
+        cache.destroy();
+    });
+
+    it("should answer PING", async () => {
+        expect(await client.call("PING")).toBe("PONG");
+        expect(await client.call("ping", "hello")).toBe("hello");
+    });
+
+    it("should GET and SET against the cache", async () => {
+        expect(await client.call("SET", "greeting", "hello world")).toBe("OK");
+        expect(await client.call("GET", "greeting")).toBe("hello world");
+        expect(cache.get("greeting")).toBe("hello world");
+
+        cache.set("fromJs", { a: 1 });
+        cache.set("number", 42);
+        expect(await client.call("GET", "fromJs")).toBe('{"a":1}');
+        expect(await client.call("GET", "number")).toBe("42");
+        expect(await client.call("GET", "missing")).toBeNull();
+    });
+
+    it("should support SET EX / PX / NX / XX", async () => {
+        expect(await client.call("SET", "a", "1", "EX", "100")).toBe("OK");
+        expect(cache.ttl("a")).toBeGreaterThan(99);
+
+        expect(await client.call("SET", "b", "1", "px", "1500")).toBe("OK");
+        expect(cache.ttl("b")).toBeLessThanOrEqual(1.5);
+
+        expect(await client.call("SET", "a", "2", "NX")).toBeNull();
+        expect(await client.call("SET", "c", "3", "NX")).toBe("OK");
+        expect(await client.call("SET", "missing", "x", "XX")).toBeNull();
+        expect(await client.call("SET", "c", "4", "XX", "EX", "5")).toBe("OK");
+        expect(cache.get("c")).toBe("4");
+
+        expect((await client.call("SET", "a", "1", "EX", "0")).message).toBe("ERR invalid expire time in 'set' command");
+        expect((await client.call("SET", "a", "1", "EX", "ten")).message).toBe("ERR value is not an integer or out of range");
+        expect((await client.call("SET", "a", "1", "NX", "XX")).message).toBe("ERR syntax error");
+    });
+
+    it("should support DEL, EXISTS, EXPIRE and TTL", async () => {
+        await client.call("MSET", "a", "1", "b", "2", "c", "3");
+
+        expect(await client.call("EXISTS", "a", "b", "a", "nope")).toBe(3);
+        expect(await client.call("DEL", "a", "b", "nope")).toBe(2);
+        expect(await client.call("TTL", "c")).toBe(-1);
+        expect(await client.call("TTL", "a")).toBe(-2);
+
+        expect(await client.call("EXPIRE", "c", "30")).toBe(1);
+        expect(await client.call("TTL", "c")).toBe(30);
+        expect(await client.call("EXPIRE", "nope", "30")).toBe(0);
+    });
+
+    it("should support KEYS, MGET, MSET and FLUSHDB", async () => {
+        expect(await client.call("MSET", "user:1", "ann", "user:2", "bob", "post:1", "hi")).toBe("OK");
+
+        expect((await client.call("KEYS", "user:*")).sort()).toEqual(["user:1", "user:2"]);
+        expect(await client.call("MGET", "user:1", "nope", "post:1")).toEqual(["ann", null, "hi"]);
+        expect((await client.call("MSET", "odd")).message).toBe("ERR wrong number of arguments for 'mset' command");
+
+        expect(await client.call("FLUSHDB")).toBe("OK");
+        expect(cache.keys()).toEqual([]);
+    });
+
+    it("should INCR integers and keep the expiry", async () => {
+        expect(await client.call("INCR", "counter")).toBe(1);
+        expect(await client.call("INCR", "counter")).toBe(2);
+
+        await client.call("SET", "ttl", "10", "EX", "60");
+        expect(await client.call("INCR", "ttl")).toBe(11);
+        expect(cache.ttl("ttl")).toBeGreaterThan(58);
+
+        await client.call("SET", "text", "abc");
+        expect((await client.call("INCR", "text")).message).toBe("ERR value is not an integer or out of range");
+    });
+
+    it("should report unknown commands and wrong arity", async () => {
+        expect((await client.call("HGET", "h", "f")).message).toBe("ERR unknown command 'HGET', with args beginning with: 'h' 'f'");
+        expect((await client.call("GET")).message).toBe("ERR wrong number of arguments for 'get' command");
+        expect(await client.call("COMMAND", "DOCS")).toEqual([]);
+    });
+
+    it("should accept inline commands and pipelined requests", async () => {
+        const replies = await client.send(Buffer.concat([
+            Buffer.from("SET inline value\r\n"),
+            encode("GET", "inline"),
+            Buffer.from("PING\n")
+        ]), 3);
+
+        expect(replies).toEqual(["OK", "value", "PONG"]);
+    });
+
+    it("should handle requests split across packets", async () => {
+        const value = "x".repeat(100000);
+        const data = encode("SET", "big", value);
+        const reply = client.send(data.subarray(0, 10));
+
+        for (let offset = 10; offset < data.length; offset += 4096) {
+            client.socket.write(data.subarray(offset, offset + 4096));
+            await sleep(1);
+        }
+
+        expect(await reply).toEqual(["OK"]);
+        expect(cache.get("big")).toBe(value);
+    });
+
+    it("should reply with an error and disconnect on a protocol error", async () => {
+        const closed = new Promise((resolve) => client.socket.once("end", resolve));
+
+        expect(await client.send(Buffer.from("*1\r\n+GET\r\n"))).toEqual([new Error("ERR Protocol error: expected '$', got '+'")]);
+        await closed;
+    });
+
+    it("should reject a negative bulk length inside a request", async () => {
+        expect(() => new RespParser().push(Buffer.from("*2\r\n$3\r\nGET\r\n$-1\r\n"))).toThrow("Protocol error: invalid bulk length");
+
+        const closed = new Promise((resolve) => client.socket.once("end", resolve));
+        expect(await client.send(Buffer.from("*2\r\n$3\r\nGET\r\n$-1\r\n"))).toEqual([new Error("ERR Protocol error: invalid bulk length")]);
+        await closed;
+        expect(cache.stats().misses).toBe(0);
+    });
+
+    it("should close the connection after QUIT", async () => {
+        const closed = new Promise((resolve) => client.socket.once("end", resolve));
+
+        expect(await client.call("QUIT")).toBe("OK");
+        await closed;
+    });
+
+    it("should reject arguments over maxBulkLength", () => {
+        const parser = new RespParser({ maxBulkLength: 10 });
+
+        expect(parser.push(encode("GET", "short"))).toEqual([[Buffer.from("GET"), Buffer.from("short")]]);
+        expect(() => parser.push(Buffer.from("*2\r\n$3\r\nGET\r\n$11\r\n"))).toThrow("Protocol error: invalid bulk length");
+    });
+
+    it("should keep the cache usable after close()", async () => {
+        await client.call("SET", "a", "1");
+        const disconnected = new Promise((resolve) => client.socket.once("close", resolve));
+        await server.close();
+
+        await disconnected;
+        expect(server.address()).toBeNull();
+        expect(cache.get("a")).toBe("1");
+    });
+});
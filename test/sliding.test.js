@@ -0,0 +1,122 @@
+const SimpleCache = require("../src/index");
+const fs = require("fs");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Sliding Expiration", () => {
+    const testPersistPath = "./test-sliding.sdb";
+
+    afterEach(() => {
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    it("should renew expiry on every read with slidingTtl", async () => {
+        const cache = new SimpleCache(0, { slidingTtl: true });
+        cache.set("session", "data", 0.5);
+
+        for (let i = 0; i < 3; i++) {
+            await sleep(300);
+            expect(cache.get("session")).toBe("data");
+        }
+
+        await sleep(600);
+        expect(cache.get("session")).toBeNull();
+        cache.destroy();
+    });
+
+    it("should renew expiry per call with get(key, { refresh: true })", async () => {
+        const cache = new SimpleCache(0);
+        cache.set("a", "x", 0.5);
+        cache.set("b", "y", 0.5);
+
+        await sleep(300);
+        cache.get("a", { refresh: true });
+        cache.get("b");
+
+        await sleep(300);
+        expect(cache.get("a")).toBe("x");
+        expect(cache.get("b")).toBeNull();
+        cache.destroy();
+    });
+
+    it("should let refresh: false override slidingTtl", () => {
+        const cache = new SimpleCache(0, { slidingTtl: true });
+        cache.set("a", "x", 10);
+        const expiry = cache.expiries.get("a");
+
+        cache.get("a", { refresh: false });
+
+        expect(cache.expiries.get("a")).toBe(expiry);
+        cache.destroy();
+    });
+
+    it("should renew by the original TTL, not the default TTL", async () => {
+        const cache = new SimpleCache(100, { slidingTtl: true });
+        cache.set("a", "x", 10);
+
+        await sleep(50);
+        cache.get("a");
+
+        expect(cache.ttl("a")).toBeGreaterThan(9.9);
+        expect(cache.ttl("a")).toBeLessThanOrEqual(10);
+        cache.destroy();
+    });
+
+    it("should not give permanent keys an expiry", () => {
+        const cache = new SimpleCache(0, { slidingTtl: true });
+        cache.set("a", "x");
+        cache.get("a");
+
+        expect(cache.ttl("a")).toBe(-1);
+        cache.destroy();
+    });
+
+    it("should cap renewals with maxAge", async () => {
+        const cache = new SimpleCache(0, { slidingTtl: true, maxAge: 0.7 });
+        cache.set("session", "data", 0.5);
+
+        await sleep(300);
+        expect(cache.get("session")).toBe("data"); // renewed, but capped at 0.7s after set
+        await sleep(300);
+        expect(cache.get("session")).toBe("data");
+        await sleep(200);
+        expect(cache.get("session")).toBeNull();
+        cache.destroy();
+    });
+
+    it("should use the original TTL in touch()", async () => {
+        const cache = new SimpleCache(100);
+        cache.set("a", "x", 10);
+
+        await sleep(50);
+        cache.touch("a");
+
+        expect(cache.ttl("a")).toBeGreaterThan(9.9);
+        expect(cache.ttl("a")).toBeLessThanOrEqual(10);
+        cache.destroy();
+    });
+
+    it("should persist original TTL and created-at", async () => {
+        const cache1 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        cache1.set("session", "data", 30);
+        const createdAt = cache1._created.get("session");
+        cache1.destroy();
+
+        const cache2 = new SimpleCache(0, {
+            slidingTtl: true,
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        expect(cache2._ttls.get("session")).toBe(30);
+        expect(cache2._created.get("session")).toBe(createdAt);
+
+        await sleep(50);
+        cache2.get("session");
+        expect(cache2.ttl("session")).toBeGreaterThan(29.9);
+        cache2.destroy();
+    });
+});
@@ -0,0 +1,129 @@
+const SimpleCache = require("../src/index");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("wrap() stale modes", () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new SimpleCache(0, { checkInterval: 1 });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+    });
+
+    describe("staleTtl (stale-while-revalidate)", () => {
+        it("should serve the stale value and refresh in the background", async () => {
+            let version = 0;
+            const fn = async () => {
+                await sleep(30);
+                return ++version;
+            };
+            const options = { ttl: 0.2, staleTtl: 5 };
+
+            expect(await cache.wrap("key", fn, options)).toBe(1);
+            await sleep(250);
+
+            // Expired: get() misses but wrap() answers immediately with the old value
+            expect(cache.get("key")).toBeNull();
+            expect(await cache.wrap("key", fn, options)).toBe(1);
+            expect(cache._pending.has("key")).toBe(true);
+
+            await sleep(60);
+            expect(cache.get("key")).toBe(2);
+            expect(cache.stats().stale).toBe(1);
+        });
+
+        it("should only start one background refresh", async () => {
+            let calls = 0;
+            const fn = async () => {
+                calls++;
+                await sleep(30);
+                return calls;
+            };
+            const options = { ttl: 0.2, staleTtl: 5 };
+
+            await cache.wrap("key", fn, options);
+            await sleep(250);
+            await Promise.all([cache.wrap("key", fn, options), cache.wrap("key", fn, options)]);
+            await sleep(60);
+
+            expect(calls).toBe(2);
+        });
+
+        it("should emit refreshError when the background refresh fails", async () => {
+            const onError = jest.fn();
+            cache.on("refreshError", onError);
+            const options = { ttl: 0.2, staleTtl: 5 };
+
+            await cache.wrap("key", () => "old", options);
+            await sleep(250);
+
+            expect(await cache.wrap("key", () => { throw new Error("down"); }, options)).toBe("old");
+            await sleep(10);
+
+            expect(onError).toHaveBeenCalledWith("key", expect.objectContaining({ message: "down" }));
+        });
+
+        it("should recompute once the stale window has passed", async () => {
+            await cache.wrap("key", () => "old", { ttl: 0.1, staleTtl: 0.1 });
+            await sleep(250);
+
+            expect(await cache.wrap("key", () => "new", { ttl: 0.1, staleTtl: 0.1 })).toBe("new");
+        });
+    });
+
+    describe("staleIfError", () => {
+        it("should serve the last good value when fn throws", async () => {
+            const onError = jest.fn();
+            cache.on("refreshError", onError);
+            const options = { ttl: 0.2, staleIfError: 5 };
+
+            await cache.wrap("key", () => "good", options);
+            await sleep(250);
+
+            const value = await cache.wrap("key", () => { throw new Error("down"); }, options);
+
+            expect(value).toBe("good");
+            expect(onError).toHaveBeenCalledTimes(1);
+            expect(cache.stats().stale).toBe(1);
+        });
+
+        it("should use the fresh value when fn succeeds", async () => {
+            const options = { ttl: 0.2, staleIfError: 5 };
+
+            await cache.wrap("key", () => "old", options);
+            await sleep(250);
+
+            expect(await cache.wrap("key", () => "new", options)).toBe("new");
+        });
+
+        it("should serve the stale value on timeout", async () => {
+            const options = { ttl: 0.2, staleIfError: 5 };
+
+            await cache.wrap("key", () => "good", options);
+            await sleep(250);
+
+            const value = await cache.wrap("key", () => sleep(200).then(() => "slow"), { ...options, timeout: 0.05 });
+            expect(value).toBe("good");
+        });
+
+        it("should throw after the grace window", async () => {
+            await cache.wrap("key", () => "good", { ttl: 0.1, staleIfError: 0.1 });
+            await sleep(250);
+
+            await expect(cache.wrap("key", () => { throw new Error("down"); }, { ttl: 0.1, staleIfError: 0.1 }))
+                .rejects.toThrow("down");
+        });
+    });
+
+    it("should keep retained entries through the cleanup sweep until the window ends", async () => {
+        await cache.wrap("key", () => "v", { ttl: 0.2, staleIfError: 1.5 });
+        await sleep(1100); // at least one sweep after expiry
+
+        expect(cache.store.has("key")).toBe(true);
+        await sleep(1500);
+        expect(cache.store.has("key")).toBe(false);
+    });
+});
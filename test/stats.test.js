@@ -0,0 +1,135 @@
+const SimpleCache = require("../src/index");
+const fs = require("fs");
+
+describe("Statistics", () => {
+    const testPersistPath = "./test-stats.sdb";
+    let cache;
+
+    beforeEach(() => {
+        cache = new SimpleCache(5, { checkInterval: 1 });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    it("should start with zeroed counters", () => {
+        expect(cache.stats()).toEqual({
+            keys: 0,
+            hits: 0,
+            misses: 0,
+            hitRate: 0,
+            sets: 0,
+            deletes: 0,
+            expired: 0,
+            evicted: 0,
+            wraps: 0,
+            avgWrapTime: 0,
+            stale: 0,
+            saves: 0,
+            saveErrors: 0,
+            lastSave: null,
+            lastSaveDuration: 0,
+            memory: 0
+        });
+    });
+
+    it("should count hits, misses, sets and deletes", () => {
+        cache.set("a", 1);
+        cache.set("b", 2);
+        cache.get("a");
+        cache.get("a");
+        cache.get("missing");
+        cache.del("b");
+        cache.del("b");
+
+        const stats = cache.stats();
+        expect(stats.keys).toBe(1);
+        expect(stats.sets).toBe(2);
+        expect(stats.hits).toBe(2);
+        expect(stats.misses).toBe(1);
+        expect(stats.hitRate).toBeCloseTo(2 / 3);
+        expect(stats.deletes).toBe(1);
+    });
+
+    it("should count expirations and evictions", (done) => {
+        const bounded = new SimpleCache(0, { maxSize: 1 });
+        bounded.set("a", 1);
+        bounded.set("b", 2);
+        expect(bounded.stats().evicted).toBe(1);
+        bounded.destroy();
+
+        cache.set("short", "value", 0.5);
+        setTimeout(() => {
+            cache.get("short");
+            expect(cache.stats().expired).toBe(1);
+            expect(cache.stats().misses).toBe(1);
+            done();
+        }, 700);
+    });
+
+    it("should count wrap() computations only", async () => {
+        await cache.wrap("key", () => "value");
+        await cache.wrap("key", () => "value");
+
+        const stats = cache.stats();
+        expect(stats.wraps).toBe(1);
+        expect(stats.hits).toBe(1);
+        expect(stats.avgWrapTime).toBeGreaterThanOrEqual(0);
+    });
+
+    it("should count saves and record lastSave", () => {
+        const persistCache = new SimpleCache(10, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        persistCache.set("a", 1);
+        persistCache._saveToBinary();
+
+        const stats = persistCache.stats();
+        expect(stats.saves).toBe(1);
+        expect(stats.saveErrors).toBe(0);
+        expect(stats.lastSave).toBeLessThanOrEqual(Date.now());
+        persistCache.destroy();
+    });
+
+    it("should count save failures", () => {
+        const persistCache = new SimpleCache(10, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        const onError = jest.fn();
+        persistCache.on("error", onError);
+        persistCache.set("a", 1n); // BigInt cannot be serialized
+
+        persistCache._saveToBinary();
+
+        expect(persistCache.stats().saveErrors).toBe(1);
+        expect(onError).toHaveBeenCalled();
+        persistCache.del("a");
+        persistCache.destroy();
+    });
+
+    it("should estimate memory usage", () => {
+        cache.set("ab", "xyz");
+        expect(cache.stats().memory).toBe(4 + 6);
+
+        const bounded = new SimpleCache(0, { maxMemory: 1000 });
+        bounded.set("ab", "xyz");
+        expect(bounded.stats().memory).toBe(10);
+        bounded.destroy();
+    });
+
+    it("should reset counters with resetStats()", () => {
+        cache.set("a", 1);
+        cache.get("a");
+        cache.resetStats();
+
+        const stats = cache.stats();
+        expect(stats.keys).toBe(1);
+        expect(stats.sets).toBe(0);
+        expect(stats.hits).toBe(0);
+    });
+});
@@ -0,0 +1,384 @@
+const SimpleCache = require("../src/index");
+const { InProcessTransport, SocketTransport, BroadcastChannelTransport } = SimpleCache;
+const { Worker } = require("worker_threads");
+const { spawn } = require("child_process");
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const net = require("net");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves with the next remote message applied by a cache
+const nextSync = (cache) => new Promise((resolve) => cache.once("sync", resolve));
+
+// Resolves once a socket transport is listening or connected
+const connected = async (transport) => {
+    for (let i = 0; i < 200 && !transport.connected; i++) await sleep(5);
+    expect(transport.connected).toBe(true);
+};
+
+describe("Invalidation sync", () => {
+    const socketPath = path.join(os.tmpdir(), `simple-cache-sync-${process.pid}.sock`);
+    let caches;
+
+    const create = (transport, options = {}) => {
+        const cache = new SimpleCache(0, { ...options, sync: transport });
+        caches.push(cache);
+        return cache;
+    };
+
+    beforeEach(() => {
+        caches = [];
+    });
+
+    afterEach(() => {
+        for (const cache of caches) cache.destroy();
+        if (fs.existsSync(socketPath)) fs.unlinkSync(socketPath);
+    });
+
+    describe("InProcessTransport", () => {
+        it("should apply del, take and mdel on the other instances", () => {
+            const a = create(new InProcessTransport("test"));
+            const b = create(new InProcessTransport("test"));
+            const c = create(new InProcessTransport("test"));
+
+            for (const cache of [a, b, c]) cache.mset({ k1: 1, k2: 2, k3: 3, k4: 4 });
+
+            a.del("k1");
+            expect(b.has("k1")).toBe(false);
+            expect(c.has("k1")).toBe(false);
+
+            expect(b.take("k2")).toBe(2);
+            expect(a.has("k2")).toBe(false);
+
+            c.mdel(["k3", "missing"]);
+            expect(a.keys()).toEqual(["k4"]);
+            expect(b.keys()).toEqual(["k4"]);
+        });
+
+        it("should publish a delete even when the key is only cached elsewhere", () => {
+            const a = create(new InProcessTransport("test"));
+            const b = create(new InProcessTransport("test"));
+            b.set("only-in-b", 1);
+
+            expect(a.del("only-in-b")).toBe(0);
+            expect(b.has("only-in-b")).toBe(false);
+        });
+
+        it("should invalidate tags against each instance's own entries", () => {
+            const a = create(new InProcessTransport("test"));
+            const b = create(new InProcessTransport("test"));
+
+            a.set("user:1", 1, { tags: ["users"] });
+            b.set("user:2", 2, { tags: ["users"] });
+            b.set("post:1", 3);
+
+            expect(a.invalidateTag("users")).toBe(1);
+            expect(b.keys()).toEqual(["post:1"]);
+        });
+
+        it("should apply flush and emit sync with the message", () => {
+            const a = create(new InProcessTransport("test"));
+            const b = create(new InProcessTransport("test"));
+            const onSync = jest.fn();
+            const onFlush = jest.fn();
+            b.on("sync", onSync);
+            b.on("flush", onFlush);
+
+            b.set("x", 1);
+            a.flush();
+
+            expect(b.keys()).toEqual([]);
+            expect(onFlush).toHaveBeenCalledTimes(1);
+            expect(onSync).toHaveBeenCalledWith({ origin: a.syncId, op: "flush" });
+        });
+
+        it("should not echo remote invalidations back", () => {
+            const transports = [new InProcessTransport("test"), new InProcessTransport("test"), new InProcessTransport("test")];
+            const publishes = transports.map((transport) => jest.spyOn(transport, "publish"));
+            const [a] = transports.map((transport) => create(transport));
+
+            a.del("k");
+            a.invalidateTag("t");
+            a.flush();
+
+            expect(publishes[0]).toHaveBeenCalledTimes(3);
+            expect(publishes[1]).not.toHaveBeenCalled();
+            expect(publishes[2]).not.toHaveBeenCalled();
+        });
+
+        it("should ignore its own messages and other channels", () => {
+            const transport = new InProcessTransport("test");
+            const a = create(transport);
+            const other = create(new InProcessTransport("other"));
+            a.set("k", 1);
+            other.set("k", 1);
+
+            // A transport that delivers to its sender too
+            transport._handler({ origin: a.syncId, op: "del", keys: ["k"] });
+            expect(a.has("k")).toBe(true);
+
+            create(new InProcessTransport("test")).del("k");
+            expect(a.has("k")).toBe(false);
+            expect(other.has("k")).toBe(true);
+        });
+
+        it("should propagate namespace deletes", () => {
+            const a = create(new InProcessTransport("test"));
+            const b = create(new InProcessTransport("test"));
+            b.set("users:1", 1);
+            b.set("users:2", 2);
+            b.set("posts:1", 3);
+
+            a.namespace("users").del(1);
+            expect(b.has("users:1")).toBe(false);
+
+            b.namespace("users").flush();
+            expect(b.keys()).toEqual(["posts:1"]);
+        });
+
+        it("should close the transport on destroy without publishing a flush", () => {
+            const transport = new InProcessTransport("test");
+            const a = new SimpleCache(0, { sync: transport });
+            const b = create(new InProcessTransport("test"));
+            const close = jest.spyOn(transport, "close");
+            b.set("k", 1);
+
+            a.destroy();
+            expect(close).toHaveBeenCalledTimes(1);
+            expect(b.has("k")).toBe(true);
+            expect(InProcessTransport._channels.get("test").size).toBe(1);
+        });
+
+        it("should report failures through the error event", () => {
+            const a = create(new InProcessTransport("test"));
+            const b = create(new InProcessTransport("test"));
+            const errors = [];
+            b.on("error", (err) => errors.push(err));
+            b.on("sync", () => { throw new Error("listener failed"); });
+
+            a.del("k");
+            expect(errors.map((err) => err.message)).toEqual(["listener failed"]);
+            expect(b._applyingSync).toBe(false);
+        });
+
+        it("should validate the transport", () => {
+            expect(() => new SimpleCache(0, { sync: { publish() {} } }))
+                .toThrow("[SimpleCache] sync transport is missing required method(s): subscribe, close");
+        });
+    });
+
+    describe("BroadcastChannelTransport", () => {
+        it("should sync instances on the same channel", async () => {
+            const a = create(new BroadcastChannelTransport("simple-cache-test"));
+            const b = create(new BroadcastChannelTransport("simple-cache-test"));
+            b.mset({ k1: 1, k2: 2 });
+
+            const synced = nextSync(b);
+            a.del("k1");
+            expect(await synced).toMatchObject({ op: "del", keys: ["k1"] });
+            expect(b.keys()).toEqual(["k2"]);
+        });
+
+        it("should reach worker threads", async () => {
+            const a = create(new BroadcastChannelTransport("simple-cache-threads"));
+            const worker = new Worker(`
+                const { parentPort } = require("worker_threads");
+                const SimpleCache = require(${JSON.stringify(path.resolve(__dirname, "../src/index"))});
+                const cache = new SimpleCache(0, { sync: new SimpleCache.BroadcastChannelTransport("simple-cache-threads") });
+                const alive = setInterval(() => {}, 1000); // the transport does not keep the thread alive
+                cache.set("shared", 1);
+                cache.once("sync", (message) => {
+                    parentPort.postMessage({ op: message.op, has: cache.has("shared") });
+                    cache.destroy();
+                    clearInterval(alive);
+                });
+                cache.invalidateTag("from-worker");
+            `, { eval: true });
+
+            try {
+                const synced = nextSync(a);
+                expect(await synced).toMatchObject({ op: "invalidateTags", tags: ["from-worker"] });
+
+                const reply = new Promise((resolve) => worker.once("message", resolve));
+                a.del("shared");
+                expect(await reply).toEqual({ op: "del", has: false });
+            } finally {
+                await worker.terminate();
+            }
+        }, 10000);
+    });
+
+    describe("SocketTransport", () => {
+        const transport = () => new SocketTransport(socketPath, { retryDelay: 0.02 });
+
+        it("should sync instances over a UNIX domain socket", async () => {
+            const transports = [transport(), transport(), transport()];
+            const [a, b, c] = transports.map((t) => create(t));
+            for (const t of transports) await connected(t);
+            const listeners = transports.filter((t) => t._server);
+            expect(listeners).toHaveLength(1);
+            // Connected means registered by the listener
+            expect(listeners[0]._peers.size).toBe(2);
+
+            for (const cache of [a, b, c]) cache.mset({ k1: 1, k2: 2 });
+
+            // From the listening side and from a connected side
+            let synced = Promise.all([nextSync(b), nextSync(c)]);
+            a.del("k1");
+            await synced;
+
+            synced = Promise.all([nextSync(a), nextSync(c)]);
+            b.flush();
+            await synced;
+
+            expect([a.keys(), b.keys(), c.keys()]).toEqual([[], [], []]);
+        });
+
+        it("should let another process take over when the listening one leaves", async () => {
+            const first = transport();
+            const a = new SimpleCache(0, { sync: first });
+            await connected(first);
+            const b = create(transport());
+            const c = create(transport());
+            await connected(b._sync);
+            await connected(c._sync);
+
+            a.destroy();
+            await sleep(100);
+            await connected(b._sync);
+            await connected(c._sync);
+
+            c.set("k", 1);
+            const synced = nextSync(c);
+            b.del("k");
+            await synced;
+            expect(c.has("k")).toBe(false);
+        });
+
+        it("should replace a socket file left by a crashed process", async () => {
+            fs.writeFileSync(socketPath, "");
+            const t = transport();
+            create(t);
+            await connected(t);
+            expect(t._server).not.toBeNull();
+        });
+
+        it("should end with one listener when several processes replace a stale socket file", async () => {
+            fs.writeFileSync(socketPath, "");
+            const transports = [transport(), transport(), transport()];
+            const [a, b, c] = transports.map((t) => create(t));
+            await sleep(150);
+            for (const t of transports) await connected(t);
+            expect(transports.filter((t) => t._server)).toHaveLength(1);
+            expect(fs.existsSync(socketPath + ".lock")).toBe(false);
+
+            c.set("k", 1);
+            b.set("k", 1);
+            const synced = Promise.all([nextSync(b), nextSync(c)]);
+            a.del("k");
+            await synced;
+            expect([b.has("k"), c.has("k")]).toEqual([false, false]);
+        });
+
+        it("should rejoin when its socket file is replaced", async () => {
+            const first = transport();
+            const a = create(first);
+            await connected(first);
+
+            fs.unlinkSync(socketPath);
+            const second = transport();
+            const b = create(second);
+            await connected(second);
+            expect(second._server).not.toBeNull();
+
+            await sleep(100);
+            expect(first._server).toBeNull();
+            await connected(first);
+
+            b.set("k", 1);
+            const synced = nextSync(b);
+            a.del("k");
+            await synced;
+            expect(b.has("k")).toBe(false);
+        });
+
+        it("should drop a connection sending a message over maxMessageLength", async () => {
+            const errors = [];
+            const t = new SocketTransport(socketPath, { maxMessageLength: 100, onError: (err) => errors.push(err) });
+            create(t);
+            await connected(t);
+
+            const peer = net.connect(socketPath);
+            const closed = new Promise((resolve) => peer.once("close", resolve));
+            peer.on("error", () => {});
+            peer.resume();
+            peer.write("x".repeat(60));
+            peer.write("x".repeat(60));
+            await closed;
+
+            expect(t._peers.size).toBe(0);
+            expect(errors.map((err) => err.message)).toEqual([
+                `[SimpleCache] Sync message over 100 characters on ${socketPath}, connection dropped`
+            ]);
+        });
+
+        it("should drop a connection sending a complete line over maxMessageLength", async () => {
+            const errors = [];
+            const t = new SocketTransport(socketPath, { maxMessageLength: 100, onError: (err) => errors.push(err) });
+            const handler = jest.fn();
+            t.subscribe(handler);
+            await connected(t);
+
+            const peer = net.connect(socketPath);
+            const closed = new Promise((resolve) => peer.once("close", resolve));
+            peer.on("error", () => {});
+            peer.resume();
+            peer.write(JSON.stringify({ x: "y".repeat(500) }) + "\n");
+            await closed;
+            t.close();
+
+            expect(handler).not.toHaveBeenCalled();
+            expect(errors.map((err) => err.message)).toEqual([
+                `[SimpleCache] Sync message over 100 characters on ${socketPath}, connection dropped`
+            ]);
+        });
+
+        it("should sync with another process", async () => {
+            const cache = create(transport());
+            await connected(cache._sync);
+
+            const child = spawn(process.execPath, ["-e", `
+                const SimpleCache = require(${JSON.stringify(path.resolve(__dirname, "../src/index"))});
+                const cache = new SimpleCache(0, { sync: new SimpleCache.SocketTransport(${JSON.stringify(socketPath)}) });
+                const alive = setInterval(() => {}, 1000); // the transport does not keep the process alive
+                cache.set("k", 1);
+                cache.once("sync", () => {
+                    process.send({ has: cache.has("k") });
+                    cache.destroy();
+                    clearInterval(alive);
+                    process.disconnect();
+                });
+                const ready = setInterval(() => {
+                    if (cache._sync.connected) {
+                        clearInterval(ready);
+                        process.send({ ready: true });
+                    }
+                }, 5);
+            `], { stdio: ["ignore", "ignore", "inherit", "ipc"] });
+            const next = () => new Promise((resolve) => child.once("message", resolve));
+            const exited = new Promise((resolve) => child.once("exit", resolve));
+
+            try {
+                expect(await next()).toEqual({ ready: true });
+                const reply = next();
+                cache.del("k");
+                expect(await reply).toEqual({ has: false });
+            } finally {
+                if (child.exitCode === null) child.kill();
+                await exited;
+            }
+        }, 15000);
+    });
+});
@@ -0,0 +1,106 @@
+const SimpleCache = require("../src/index");
+const fs = require("fs");
+
+describe("Tags", () => {
+    const testPersistPath = "./test-tags.sdb";
+    let cache;
+
+    beforeEach(() => {
+        cache = new SimpleCache(5, { checkInterval: 1 });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+        if (fs.existsSync(testPersistPath)) fs.unlinkSync(testPersistPath);
+        if (fs.existsSync(testPersistPath + ".tmp")) fs.unlinkSync(testPersistPath + ".tmp");
+    });
+
+    it("should accept an options object with ttl and tags in set()", () => {
+        cache.set("query:1", "a", { ttl: 100, tags: ["user:1"] });
+
+        expect(cache.get("query:1")).toBe("a");
+        expect(cache.expiries.get("query:1") - Date.now()).toBeGreaterThan(90 * 1000);
+    });
+
+    it("should invalidate every key with a tag", () => {
+        cache.set("query:1", "a", { tags: ["user:1"] });
+        cache.set("query:2", "b", { tags: ["user:1", "user:2"] });
+        cache.set("query:3", "c", { tags: ["user:2"] });
+
+        expect(cache.invalidateTag("user:1")).toBe(2);
+        expect(cache.get("query:1")).toBeNull();
+        expect(cache.get("query:2")).toBeNull();
+        expect(cache.get("query:3")).toBe("c");
+        expect(cache.invalidateTag("user:1")).toBe(0);
+    });
+
+    it("should invalidate multiple tags at once", () => {
+        cache.set("a", 1, { tags: ["x"] });
+        cache.set("b", 2, { tags: ["y"] });
+        cache.set("c", 3, { tags: ["x", "y"] });
+        cache.set("d", 4);
+
+        expect(cache.invalidateTags(["x", "y"])).toBe(3);
+        expect(cache.stats().keys).toBe(1);
+    });
+
+    it("should accept tags in wrap() and mset()", async () => {
+        await cache.wrap("query:1", () => "a", { ttl: 10, tags: ["user:1"] });
+        cache.mset([{ key: "query:2", value: "b", tags: ["user:1"] }]);
+
+        expect(cache.invalidateTag("user:1")).toBe(2);
+    });
+
+    it("should replace tags when a key is overwritten", () => {
+        cache.set("a", 1, { tags: ["x"] });
+        cache.set("a", 2);
+
+        expect(cache.invalidateTag("x")).toBe(0);
+        expect(cache.get("a")).toBe(2);
+    });
+
+    it("should clean up the tag index on del, expiry and flush", (done) => {
+        cache.set("a", 1, { tags: ["x"] });
+        cache.del("a");
+        expect(cache._tags.has("x")).toBe(false);
+
+        cache.set("b", 1, { tags: ["y"] });
+        cache.flush();
+        expect(cache._tags.size).toBe(0);
+        expect(cache._keyTags.size).toBe(0);
+
+        cache.set("c", 1, { ttl: 0.5, tags: ["z"] });
+        setTimeout(() => {
+            cache.get("c");
+            expect(cache._tags.has("z")).toBe(false);
+            done();
+        }, 700);
+    });
+
+    it("should persist tags so invalidation works after reload", () => {
+        const cache1 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        cache1.set("query:1", "a", { tags: ["user:1"] });
+        cache1.set("query:2", "b");
+        cache1.destroy();
+
+        const cache2 = new SimpleCache(0, {
+            persistent: true,
+            persistPath: testPersistPath
+        });
+        expect(cache2.get("query:1")).toBe("a");
+        expect(cache2.invalidateTag("user:1")).toBe(1);
+        expect(cache2.get("query:2")).toBe("b");
+        cache2.destroy();
+    });
+
+    it("should round-trip entries without tags", () => {
+        const buffer = cache._backend.encode([{ key: "a", value: 1, expiryTime: 0, tags: [] }]);
+
+        expect(cache._backend.decode(buffer).entries).toEqual([
+            { key: "a", value: 1, expiryTime: 0, tags: [], ttl: 0, createdAt: 0 }
+        ]);
+    });
+});
@@ -0,0 +1,171 @@
+const SimpleCache = require("../src/index");
+const { TieredCache, MemoryBackend, FileBackend } = SimpleCache;
+const fs = require("fs");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("TieredCache", () => {
+    const testPersistPath = "./test-tiered.sdb";
+    const testBackendPath = "./test-tiered.sdf";
+
+    afterEach(() => {
+        for (const p of [testPersistPath, testBackendPath]) {
+            for (const suffix of ["", ".lock", ".tmp"]) {
+                if (fs.existsSync(p + suffix)) fs.unlinkSync(p + suffix);
+            }
+        }
+    });
+
+    it("should keep hot keys in the L1 and all keys in the L2", () => {
+        const l2 = new SimpleCache();
+        const cache = new TieredCache(0, { l2, maxSize: 2 });
+
+        cache.set("a", 1);
+        cache.set("b", 2);
+        cache.set("c", 3);
+
+        expect([...cache.store.keys()]).toEqual(["b", "c"]);
+        expect(l2.keys()).toEqual(["a", "b", "c"]);
+        expect(cache.keys()).toEqual(["a", "b", "c"]);
+        expect(cache).toBeInstanceOf(SimpleCache);
+        cache.destroy();
+    });
+
+    it("should promote on an L2 hit and demote on L1 eviction", () => {
+        const l2 = new SimpleCache();
+        const cache = new TieredCache(0, { l2, maxSize: 1 });
+        const onEvicted = jest.fn();
+        cache.on("evicted", onEvicted);
+
+        cache.set("a", { v: 1 });
+        cache.set("b", { v: 2 });
+        expect(cache.store.has("a")).toBe(false);
+
+        expect(cache.get("a")).toEqual({ v: 1 });
+        expect([...cache.store.keys()]).toEqual(["a"]);
+        expect(l2.get("b")).toEqual({ v: 2 });
+        expect(onEvicted).not.toHaveBeenCalled();
+        cache.destroy();
+    });
+
+    it("should keep TTLs consistent across tiers", async () => {
+        const l2 = new SimpleCache();
+        const cache = new TieredCache(60, { l2, maxSize: 1 });
+
+        cache.set("a", 1, { ttl: 30, tags: ["t"] });
+        expect(l2.getTtl("a")).toBe(cache.getTtl("a"));
+
+        cache.set("b", 2);
+        const demoted = l2.getTtl("a");
+        expect(cache.getTtl("a")).toBe(demoted); // promoted with the same absolute expiry
+        expect(cache.store.get("a")).toBe(1);
+        expect(cache._ttls.get("a")).toBe(30);
+
+        cache.expire("a", 100);
+        expect(l2.getTtl("a")).toBe(cache.getTtl("a"));
+        cache.persist("a");
+        expect(l2.ttl("a")).toBe(-1);
+
+        cache.set("short", "x", 0.05);
+        await sleep(80);
+        expect(cache.get("short")).toBeNull();
+        expect(l2.has("short")).toBe(false);
+        cache.destroy();
+    });
+
+    it("should delete, invalidate and flush in both tiers", () => {
+        const l2 = new SimpleCache();
+        const cache = new TieredCache(0, { l2, maxSize: 1 });
+
+        cache.set("user:1", 1, { tags: ["users"] });
+        cache.set("user:2", 2, { tags: ["users"] });
+        cache.set("post:1", 3);
+
+        expect(cache.invalidateTag("users")).toBe(2);
+        expect(l2.keys()).toEqual(["post:1"]);
+
+        cache.del("post:1");
+        expect(l2.has("post:1")).toBe(false);
+
+        cache.set("x", 1);
+        cache.flush();
+        expect(l2.keys()).toEqual([]);
+        cache.destroy();
+    });
+
+    it("should report per-tier hit stats", () => {
+        const l2 = new SimpleCache();
+        const cache = new TieredCache(0, { l2, maxSize: 1 });
+
+        cache.set("a", 1);
+        cache.set("b", 2);
+        cache.get("b"); // L1 hit
+        cache.get("a"); // L1 miss, L2 hit
+        cache.get("zzz"); // miss in both
+
+        expect(cache.stats()).toMatchObject({
+            keys: 2,
+            hits: 2,
+            misses: 1,
+            tiers: {
+                l1: { hits: 1, misses: 2, hitRate: 1 / 3, keys: 1 },
+                l2: { hits: 1, misses: 1, hitRate: 0.5, keys: 2 }
+            }
+        });
+
+        cache.resetStats();
+        expect(cache.stats().tiers.l1).toMatchObject({ hits: 0, misses: 0 });
+        cache.destroy();
+    });
+
+    it("should persist through a persistent L2 and destroy it with the tiered cache", async () => {
+        const l2 = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        const cache = new TieredCache(0, { l2, maxSize: 2 });
+        await cache.ready;
+
+        for (let i = 0; i < 10; i++) cache.set(`k${i}`, i, { ttl: 60 });
+        cache.destroy();
+        expect(SimpleCache._activeFiles.has(testPersistPath)).toBe(false);
+
+        const reopened = new TieredCache(0, { l2: new SimpleCache(0, { persistent: true, persistPath: testPersistPath }), maxSize: 2 });
+        expect(reopened.keys()).toHaveLength(10);
+        expect(reopened.get("k3")).toBe(3);
+        expect(reopened.ttl("k3")).toBeGreaterThan(58);
+        reopened.destroy();
+    });
+
+    it("should wait for an asynchronously loading L2", async () => {
+        const writer = new SimpleCache(0, { persistent: true, persistPath: testPersistPath });
+        writer.set("a", "from disk");
+        writer.destroy();
+
+        const l2 = new SimpleCache(0, { persistent: true, persistPath: testPersistPath, asyncIO: true });
+        const cache = await new TieredCache(0, { l2, maxSize: 1 }).ready;
+
+        expect(cache.get("a")).toBe("from disk");
+        cache.destroy();
+    });
+
+    it("should use a backend as the L2", () => {
+        const cache = new TieredCache(0, { l2: new FileBackend(testBackendPath), maxSize: 1 });
+
+        cache.set("a", 1);
+        cache.set("b", 2);
+        expect(cache.get("a")).toBe(1);
+        expect(cache.stats().tiers.l2).toMatchObject({ hits: 1, keys: 2 });
+        cache.destroy();
+
+        const reopened = new TieredCache(0, { l2: new FileBackend(testBackendPath), maxSize: 1 });
+        expect(reopened.keys()).toEqual(["a", "b"]);
+        reopened.destroy();
+    });
+
+    it("should validate its options", () => {
+        expect(() => new TieredCache(0, { maxSize: 1 })).toThrow('[SimpleCache] TieredCache requires an "l2" option');
+        expect(() => new TieredCache(0, { l2: new MemoryBackend() })).toThrow("[SimpleCache] TieredCache requires maxSize or maxMemory");
+        expect(() => new TieredCache(0, { l2: new MemoryBackend(), maxSize: 1, persistent: true, name: "x" }))
+            .toThrow("[SimpleCache] TieredCache persists through its L2");
+        expect(() => new TieredCache(0, { l2: new MemoryBackend(), maxSize: 1, backend: new MemoryBackend() }))
+            .toThrow('[SimpleCache] TieredCache does not take a "backend" option');
+    });
+});
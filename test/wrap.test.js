@@ -0,0 +1,125 @@
+const SimpleCache = require("../src/index");
+
+describe("wrap() request coalescing", () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new SimpleCache(5, { checkInterval: 1 });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+    });
+
+    it("should share a single fn() call between concurrent callers", async () => {
+        let calls = 0;
+        const fn = () => new Promise((resolve) => {
+            calls++;
+            setTimeout(() => resolve("value"), 50);
+        });
+
+        const results = await Promise.all(
+            Array.from({ length: 200 }, () => cache.wrap("cold", fn))
+        );
+
+        expect(calls).toBe(1);
+        expect(results.every((v) => v === "value")).toBe(true);
+        expect(cache.get("cold")).toBe("value");
+        expect(cache._pending.size).toBe(0);
+    });
+
+    it("should propagate rejection to every caller and not cache it", async () => {
+        let calls = 0;
+        const fn = async () => {
+            calls++;
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            throw new Error("db down");
+        };
+
+        const results = await Promise.allSettled([
+            cache.wrap("key", fn),
+            cache.wrap("key", fn)
+        ]);
+
+        expect(calls).toBe(1);
+        expect(results.map((r) => r.status)).toEqual(["rejected", "rejected"]);
+        expect(results[0].reason.message).toBe("db down");
+        expect(cache.get("key")).toBeNull();
+        expect(cache._pending.size).toBe(0);
+
+        // Next call recomputes
+        await expect(cache.wrap("key", () => "recovered")).resolves.toBe("recovered");
+    });
+
+    it("should handle synchronous throws", async () => {
+        await expect(cache.wrap("key", () => {
+            throw new Error("sync");
+        })).rejects.toThrow("sync");
+
+        expect(cache._pending.size).toBe(0);
+    });
+
+    it("should reject waiters after timeout without caching", async () => {
+        let resolveFn;
+        const fn = () => new Promise((resolve) => {
+            resolveFn = resolve;
+        });
+
+        await expect(cache.wrap("slow", fn, { timeout: 0.05 }))
+            .rejects.toMatchObject({ code: "ETIMEDOUT" });
+        expect(cache.get("slow")).toBeNull();
+
+        // The computation keeps running and still populates the cache
+        resolveFn("late");
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(cache.get("slow")).toBe("late");
+    });
+
+    it("should start a fresh computation after a timeout", async () => {
+        let calls = 0;
+        const hanging = () => {
+            calls++;
+            return new Promise(() => {});
+        };
+
+        await expect(cache.wrap("stuck", hanging, { timeout: 0.05 }))
+            .rejects.toMatchObject({ code: "ETIMEDOUT" });
+        expect(cache._pending.has("stuck")).toBe(false);
+
+        const working = jest.fn(async () => "fresh");
+        expect(await cache.wrap("stuck", working, { timeout: 0.05 })).toBe("fresh");
+        expect(working).toHaveBeenCalledTimes(1);
+        expect(calls).toBe(1);
+        expect(cache.get("stuck")).toBe("fresh");
+    });
+
+    it("should not let a replaced computation overwrite the newer result", async () => {
+        let resolveFirst;
+        const first = () => new Promise((resolve) => {
+            resolveFirst = resolve;
+        });
+
+        await expect(cache.wrap("key", first, { timeout: 0.05 })).rejects.toMatchObject({ code: "ETIMEDOUT" });
+        let resolveSecond;
+        const second = cache.wrap("key", () => new Promise((resolve) => {
+            resolveSecond = resolve;
+        }));
+        await new Promise((resolve) => setImmediate(resolve));
+
+        resolveFirst("late");
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(cache.get("key")).toBeNull();
+
+        resolveSecond("current");
+        expect(await second).toBe("current");
+        expect(cache.get("key")).toBe("current");
+        expect(cache._pending.size).toBe(0);
+    });
+
+    it("should still honor ttl and tags with timeout option", async () => {
+        await cache.wrap("key", () => "v", { ttl: 100, tags: ["t"], timeout: 1 });
+
+        expect(cache.expiries.get("key") - Date.now()).toBeGreaterThan(90 * 1000);
+        expect(cache.invalidateTag("t")).toBe(1);
+    });
+});